@@ -0,0 +1,312 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { createTranslator, LANGUAGES, normalizeLanguage } from '../src/i18n/languages.js';
+import { DEFAULT_CONTEXT_BUDGET } from '../src/contextWindow.js';
+import { DEFAULT_PHASE_COUNTS, PLAN_PHASES } from '../src/interviewPlan.js';
+import { createInterviewSession } from '../src/interviewSession.js';
+import { createPanelist, describePanelist, findPanelist, MAX_PANELISTS, MIN_PANELISTS, nextPanelistName, normalizePanel, PANEL_ROLES, PANEL_TURN_OPTIONS } from '../src/panel.js';
+import { INTERVIEW_TYPES, normalizePersona, PERSONA_STYLES, SENIORITY_LEVELS } from '../src/persona.js';
+import { createProvider, PROVIDERS } from '../src/providers/index.js';
+import { parseBankImport } from '../src/questionBanks.js';
+import { parseResumeFile } from '../src/resume.js';
+import { DEFAULT_RUBRIC, parseRubricImport } from '../src/rubrics.js';
+import { exportSessionBundle, sessionToMarkdown } from '../src/sessionExport.js';
+import { createSession } from '../src/storage/sessions.js';
+import { formatCost, formatTokens } from '../src/usage.js';
+
+// --- Terminal Practice Interview ---
+// Runs a text-only interview against any provider, using the same session
+// engine as the web app. Answers are typed one line at a time.
+
+const USAGE = `Usage: npm run cli -- --job "<role or job description>" [options]
+
+  --job <text>            Job description or role to interview for
+  --job-file <path>       Read the job description from a file instead
+  --provider <id>         ${Object.keys(PROVIDERS).join(' | ')} (default: mock)
+  --model <name>          Chat model (gemini, openai)
+  --base-url <url>        API base URL (openai) or server URL (proxy, default http://localhost:8787)
+  --api-key <key>         API key (default: GEMINI_API_KEY or OPENAI_API_KEY)
+  --language <id>         ${Object.keys(LANGUAGES).join(' | ')} (default: en)
+  --style <id>            ${Object.keys(PERSONA_STYLES).join(' | ')}
+  --seniority <id>        ${Object.keys(SENIORITY_LEVELS).join(' | ')}
+  --type <id>             ${Object.keys(INTERVIEW_TYPES).join(' | ')}
+  --panel <roles>         Panel interview, e.g. hiring-manager,senior-engineer,hr (${MIN_PANELISTS}-${MAX_PANELISTS} of: ${Object.keys(PANEL_ROLES).join(', ')})
+  --panel-turns <n>       Interviewer turns per panelist before handing off (${PANEL_TURN_OPTIONS.join(' | ')}, default: 2)
+  --phases <list>         Questions per phase, e.g. technical=2,behavioral=1 (${PLAN_PHASES.map(p => p.id).join(', ')})
+  --resume <path>         Plain-text (.txt or .md) resume
+  --rubric <path>         Rubric exported from the app (JSON)
+  --bank <path>           Question bank (JSON or YAML); repeat for several
+  --bank-count <n>        Bank questions per interview (default: 3)
+  --context-budget <n>    Tokens of conversation sent verbatim before older turns are summarized (default: ${DEFAULT_CONTEXT_BUDGET})
+  --out <path>            Save the session: .md for Markdown, anything else for a JSON bundle
+  -h, --help              Show this help
+
+During the interview: /finish ends it and writes the report, /retry repeats a failed turn,
+Ctrl+C cancels a pending model call, and /quit leaves without a report.`;
+
+const OPTIONS = {
+    job: { type: 'string' },
+    'job-file': { type: 'string' },
+    provider: { type: 'string', default: 'mock' },
+    model: { type: 'string' },
+    'base-url': { type: 'string' },
+    'api-key': { type: 'string' },
+    language: { type: 'string', default: 'en' },
+    style: { type: 'string' },
+    seniority: { type: 'string' },
+    type: { type: 'string' },
+    panel: { type: 'string' },
+    'panel-turns': { type: 'string', default: '2' },
+    phases: { type: 'string' },
+    resume: { type: 'string' },
+    rubric: { type: 'string' },
+    bank: { type: 'string', multiple: true, default: [] },
+    'bank-count': { type: 'string', default: '3' },
+    'context-budget': { type: 'string', default: String(DEFAULT_CONTEXT_BUDGET) },
+    out: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+class UsageError extends Error {}
+
+// --- Option Handling ---
+
+const providerConfig = (providerId, values) => {
+    const config = { ...PROVIDERS[providerId].defaults };
+    if (providerId === 'gemini') {
+        config.apiKey = values['api-key'] || process.env.GEMINI_API_KEY || '';
+    } else if (providerId === 'openai') {
+        config.apiKey = values['api-key'] || process.env.OPENAI_API_KEY || '';
+        if (values['base-url']) config.baseUrl = values['base-url'];
+    } else if (providerId === 'proxy') {
+        // There is no "same origin" in a terminal.
+        config.baseUrl = values['base-url'] || 'http://localhost:8787';
+    }
+    if (values.model && 'chatModel' in config) config.chatModel = values.model;
+    return config;
+};
+
+const parsePhaseCounts = (text) => {
+    if (!text) return DEFAULT_PHASE_COUNTS;
+    const counts = Object.fromEntries(PLAN_PHASES.map(p => [p.id, 0]));
+    text.split(',').forEach(entry => {
+        const [id, value] = entry.split('=').map(part => part.trim());
+        const count = Number(value);
+        if (!(id in counts) || !Number.isInteger(count) || count < 0 || count > 10) {
+            throw new UsageError(`Invalid phase count "${entry}". Use <phase>=<0-10>.`);
+        }
+        counts[id] = count;
+    });
+    return counts;
+};
+
+const choice = (value, options, name) => {
+    if (value !== undefined && !(value in options)) {
+        throw new UsageError(`Unknown ${name} "${value}". Choose one of: ${Object.keys(options).join(', ')}.`);
+    }
+    return value;
+};
+
+const parsePanel = (roles, turns) => {
+    if (!roles) return normalizePanel(null);
+    const ids = roles.split(',').map(role => role.trim()).filter(Boolean);
+    if (ids.length < MIN_PANELISTS || ids.length > MAX_PANELISTS) {
+        throw new UsageError(`A panel has ${MIN_PANELISTS} to ${MAX_PANELISTS} interviewers.`);
+    }
+    const turnsEach = Number(turns);
+    if (!PANEL_TURN_OPTIONS.includes(turnsEach)) throw new UsageError(`--panel-turns must be one of ${PANEL_TURN_OPTIONS.join(', ')}.`);
+    const panelists = [];
+    ids.forEach(role => panelists.push(createPanelist(choice(role, PANEL_ROLES, 'panel role'), nextPanelistName(panelists))));
+    return normalizePanel({ enabled: true, turnsEach, panelists });
+};
+
+const loadResume = async (path) => {
+    if (!['.txt', '.md'].includes(extname(path).toLowerCase())) {
+        throw new UsageError("The CLI reads plain-text resumes (.txt or .md); PDF and DOCX are supported in the web app.");
+    }
+    return parseResumeFile(new File([await readFile(path)], basename(path)));
+};
+
+const loadSessionConfig = async (values) => {
+    const providerId = choice(values.provider, PROVIDERS, 'provider');
+    const jobDescription = values['job-file'] ? (await readFile(values['job-file'], 'utf8')).trim() : (values.job || '').trim();
+    if (!jobDescription) throw new UsageError("A job description is required (--job or --job-file).");
+
+    const bankCount = Number(values['bank-count']);
+    if (!Number.isInteger(bankCount) || bankCount < 0) throw new UsageError("--bank-count must be a whole number.");
+    const contextBudget = Number(values['context-budget']);
+    if (!Number.isInteger(contextBudget) || contextBudget < 500) throw new UsageError("--context-budget must be a whole number of at least 500.");
+
+    return {
+        provider: createProvider({ providerId, config: { [providerId]: providerConfig(providerId, values) } }),
+        jobDescription,
+        resume: values.resume ? await loadResume(values.resume) : null,
+        persona: normalizePersona({
+            style: choice(values.style, PERSONA_STYLES, 'style'),
+            seniority: choice(values.seniority, SENIORITY_LEVELS, 'seniority'),
+            interviewType: choice(values.type, INTERVIEW_TYPES, 'interview type'),
+        }),
+        panel: parsePanel(values.panel, values['panel-turns']),
+        language: normalizeLanguage(choice(values.language, LANGUAGES, 'language')),
+        rubric: values.rubric ? parseRubricImport(await readFile(values.rubric, 'utf8')) : DEFAULT_RUBRIC,
+        phaseCounts: parsePhaseCounts(values.phases),
+        questionBanks: await Promise.all(values.bank.map(async path => parseBankImport(await readFile(path, 'utf8'), basename(path)))),
+        bankQuestionCount: bankCount,
+        contextBudgetTokens: contextBudget,
+    };
+};
+
+// --- Output ---
+
+const write = (text) => process.stdout.write(text);
+
+const printPlan = (plan) => {
+    write(`\nInterview plan: ${plan.totalQuestions} questions, ~${plan.estimatedMinutes} min${plan.generic ? ' (generic: the model could not plan this role)' : ''}\n`);
+    plan.phases.forEach(phase => {
+        write(`  ${phase.label}: ${phase.focus}\n`);
+        phase.topics.forEach((topic, i) => write(`    - ${topic}${phase.bank?.[i] ? ' [bank]' : ''}\n`));
+    });
+};
+
+const printReport = (report) => {
+    if (report.error) {
+        write(`\n${report.error}\n`);
+        return;
+    }
+    const rubric = report.Rubric;
+    write(`\n=== Feedback: ${report.OverallScore ?? '–'} / ${rubric.scale.max} ===\n`);
+    rubric.criteria.forEach(c => write(`  ${c.label}: ${report[c.key] ?? '–'}\n`));
+    write(`\n${report.DetailedFeedback.trim()}\n`);
+    (report.Panel || []).forEach((panelist, i) => {
+        if (i === 0) write("\nBy panelist:\n");
+        write(`  ${describePanelist(panelist)}: ${panelist.overall ?? '–'} over ${panelist.questions} question${panelist.questions === 1 ? '' : 's'}${panelist.comment ? `. ${panelist.comment}` : ''}\n`);
+    });
+    report.QuestionFeedback.forEach((item, i) => {
+        write(`\nQ${i + 1}. ${item.question}\n`);
+        if (item.Critique) write(`  Critique: ${item.Critique}\n`);
+        if (item.SuggestedAnswer) write(`  Stronger answer: ${item.SuggestedAnswer}\n`);
+    });
+};
+
+const printUsage = (usage) => {
+    if (!usage.requests) return;
+    const approx = usage.estimated ? '~' : '';
+    const cost = usage.cost === null ? 'cost unknown for this model' : `${approx}${formatCost(usage.cost)}`;
+    write(`\nModel usage: ${approx}${formatTokens(usage.inputTokens)} input / ${approx}${formatTokens(usage.outputTokens)} output tokens over ${usage.requests} calls, ${cost}\n`);
+};
+
+const saveSession = async (path, config, state) => {
+    const session = {
+        ...createSession(config.jobDescription),
+        resume: config.resume,
+        persona: config.persona,
+        panel: config.panel,
+        language: config.language,
+        chatHistory: state.chatHistory,
+        feedbackReport: state.feedbackReport,
+        interviewState: state.status,
+        interviewPlan: state.plan,
+        answerTimings: state.answerTimings,
+        codingRounds: state.codingRounds,
+        contextSummary: state.contextSummary,
+        usage: state.usage,
+        guardrailLog: state.guardrailLog,
+        speakers: state.speakers,
+    };
+    await writeFile(path, extname(path).toLowerCase() === '.md' ? sessionToMarkdown(session) : exportSessionBundle(session));
+    write(`\nSaved to ${path}\n`);
+};
+
+// --- Main ---
+
+const main = async () => {
+    const { values } = parseArgs({ options: OPTIONS, allowPositionals: false });
+    if (values.help) {
+        write(`${USAGE}\n`);
+        return;
+    }
+
+    const config = await loadSessionConfig(values);
+    const session = createInterviewSession(config);
+    let speaking = false;
+    let writingFeedback = false;
+    // "Alex (Hiring manager)" in a panel interview.
+    const speakerName = (speaker) => {
+        const panelist = findPanelist(config.panel, speaker);
+        return panelist ? describePanelist(panelist) : "Interviewer";
+    };
+    session.on('delta', ({ text, speaker }) => {
+        if (!speaking) write(`${speakerName(speaker)}: `);
+        speaking = true;
+        write(text);
+    });
+    // A draft that broke a guardrail is marked as withdrawn; its replacement follows.
+    session.on('retract', () => {
+        if (speaking) write(" [withdrawn]\n");
+        speaking = false;
+    });
+    session.on('violation', ({ entry }) => {
+        process.stderr.write(`[guardrail] message ${entry.index}, draft ${entry.attempt}: ${entry.rules.join(', ')} (${entry.action})\n`);
+    });
+    session.on('question', ({ text, streamed, speaker }) => {
+        write(streamed ? "\n\n" : `${speakerName(speaker)}: ${text}\n\n`);
+        speaking = false;
+    });
+    session.on('feedback', ({ report }) => printReport(report));
+    session.on('error', ({ stage, error }) => process.stderr.write(`\n[${stage}] ${error.message}\n`));
+    session.subscribe(() => {
+        const { status, loading, feedbackReport } = session.getState();
+        if (status === 'feedback' && loading && !feedbackReport && !writingFeedback) {
+            writingFeedback = true;
+            write("\nWriting feedback...\n");
+        }
+    });
+
+    write("Planning the interview...\n");
+    printPlan(await session.plan());
+    write("\nType each answer on one line and press Enter. /finish ends the interview, /quit leaves without feedback.\n\n");
+
+    const { t } = createTranslator(config.language);
+    const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+    // Ctrl+C cancels a model call in flight; with nothing pending it exits.
+    rl.on('SIGINT', () => {
+        if (session.getState().loading) {
+            session.cancel();
+        } else {
+            process.exit(130);
+        }
+    });
+    const lines = rl[Symbol.asyncIterator]();
+    await session.start();
+
+    for (;;) {
+        const { status, error } = session.getState();
+        if (status === 'feedback' && !error) break;
+        if (error) write(`\n${t(`app.error.${error.stage}`)} ${t(`app.error.kind.${error.kind}`)} Type /retry to try again.\n`);
+
+        rl.prompt();
+        const { value, done } = await lines.next();
+        const answer = (value ?? '').trim();
+        if (answer === '/quit') break;
+        if (answer === '/retry' || (answer === '/finish' && status === 'feedback')) {
+            await session.retryTurn();
+        } else if (done || answer === '/finish') {
+            if (status === 'in-progress') await session.finish();
+            if (done) break;
+        } else if (answer && !error) {
+            write("\n");
+            await session.answer(answer);
+        }
+    }
+    rl.close();
+
+    printUsage(session.getState().usage);
+    if (values.out) await saveSession(values.out, config, session.getState());
+};
+
+main().catch(error => {
+    process.stderr.write(`${error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? `${error.message}\n\n${USAGE}` : error.stack}\n`);
+    process.exitCode = 1;
+});
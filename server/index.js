@@ -0,0 +1,320 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createGeminiProvider } from '../src/providers/gemini.js';
+import { errorKind } from '../src/providers/http.js';
+import { createRateLimiter } from './rateLimit.js';
+
+// --- Server Configuration ---
+// The API key only ever lives here; the browser talks to /api/* instead of Google.
+const PORT = Number(process.env.PORT) || 8787;
+const API_KEY = process.env.GEMINI_API_KEY || "";
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 256 * 1024;
+// Recorded answers arrive base64-encoded, so their route gets a larger limit.
+const MAX_AUDIO_BODY_BYTES = Number(process.env.MAX_AUDIO_BODY_BYTES) || 8 * 1024 * 1024;
+const MAX_TTS_CHARS = Number(process.env.MAX_TTS_CHARS) || 5000;
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)));
+
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript",
+    ".mjs": "text/javascript",
+    ".css": "text/css",
+    ".svg": "image/svg+xml",
+    ".json": "application/json",
+    ".png": "image/png",
+    ".ico": "image/x-icon",
+};
+
+const provider = createGeminiProvider({
+    apiKey: API_KEY,
+    ...(process.env.GEMINI_CHAT_MODEL && { chatModel: process.env.GEMINI_CHAT_MODEL }),
+    ...(process.env.GEMINI_TTS_MODEL && { ttsModel: process.env.GEMINI_TTS_MODEL }),
+});
+
+const rateLimiter = createRateLimiter({ limit: RATE_LIMIT_PER_MINUTE, windowMs: 60_000 });
+setInterval(() => rateLimiter.sweep(), 60_000).unref();
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// --- Request Helpers ---
+
+const clientIdOf = (req) => {
+    const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+const readJSONBody = (req, maxBytes = MAX_BODY_BYTES) => new Promise((resolveBody, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) {
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes.`));
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            // Keep draining so the 413 can still be written back on this socket.
+            reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes.`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8') || "{}");
+        } catch {
+            reject(new HttpError(400, "Request body must be valid JSON."));
+            return;
+        }
+        // The handlers destructure the body; `null` or an array would throw there and surface as a 502.
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            reject(new HttpError(400, "Request body must be a JSON object."));
+            return;
+        }
+        resolveBody(body);
+    });
+    req.on('error', reject);
+});
+
+const sendJSON = (res, status, body) => {
+    const data = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+    res.end(data);
+    return data.length;
+};
+
+// Relays streamed text as server-sent events. Once headers are out, failures
+// can only be reported in-band as an `error` event.
+const sendEventStream = async (res, stream, entry) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    entry.bytesOut = 0;
+
+    const send = (event) => {
+        const data = `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`;
+        entry.bytesOut += data.length;
+        res.write(data);
+    };
+
+    try {
+        await stream(text => send({ text }), (usage) => {
+            entry.usage = usage;
+            send({ usage });
+        });
+        send('[DONE]');
+    } catch (error) {
+        if (errorKind(error) === 'aborted') {
+            entry.status = 499;
+            return;
+        }
+        console.error("Upstream stream failed:", error);
+        const { status, message, kind } = upstreamFailure(error);
+        entry.status = status;
+        send({ error: message, kind });
+    } finally {
+        res.end();
+    }
+};
+
+// Upstream details stay in the server log; the client only learns whether
+// waiting will help (429, with the upstream Retry-After), whether the model's
+// safety filter withheld the reply (422), or neither (502).
+const upstreamFailure = (error) => {
+    const kind = errorKind(error);
+    if (kind === 'quota') return { status: 429, kind, message: "The model's rate limit or quota is exhausted.", retryAfterMs: error.retryAfterMs };
+    if (kind === 'blocked') return { status: 422, kind, message: "The model's safety filter withheld the reply." };
+    return { status: 502, kind: 'server', message: "Upstream model request failed." };
+};
+
+const logUsage = (entry) => {
+    console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+};
+
+// --- API Routes ---
+
+const isMessage = (msg) => (
+    msg && (msg.role === 'user' || msg.role === 'model') &&
+    Array.isArray(msg.parts) && msg.parts.every(p => typeof p?.text === 'string')
+);
+
+const routes = {
+    "/api/chat": async (body, signal) => {
+        const { history, systemInstruction } = body;
+        if (!Array.isArray(history) || !history.every(isMessage) || typeof systemInstruction !== 'string') {
+            throw new HttpError(400, "Expected { history: Message[], systemInstruction: string }.");
+        }
+        let usage = null;
+        const text = await provider.chat({ history, systemInstruction, signal, onUsage: u => { usage = u; } });
+        return { json: { text }, usage };
+    },
+
+    "/api/chat/stream": async (body, signal) => {
+        const { history, systemInstruction } = body;
+        if (!Array.isArray(history) || !history.every(isMessage) || typeof systemInstruction !== 'string') {
+            throw new HttpError(400, "Expected { history: Message[], systemInstruction: string }.");
+        }
+        return { stream: (onText, onUsage) => provider.streamChat({ history, systemInstruction, onText, signal, onUsage }) };
+    },
+
+    "/api/feedback": async (body, signal) => {
+        const { prompt, schema } = body;
+        if (typeof prompt !== 'string' || !schema || typeof schema !== 'object') {
+            throw new HttpError(400, "Expected { prompt: string, schema: object }.");
+        }
+        let usage = null;
+        const json = await provider.generateJSON({ prompt, schema, signal, onUsage: u => { usage = u; } });
+        return { json, usage };
+    },
+
+    "/api/tts": async (body, signal) => {
+        const { text, voice } = body;
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new HttpError(400, "Expected { text: string }.");
+        }
+        if (text.length > MAX_TTS_CHARS) {
+            throw new HttpError(413, `TTS text exceeds ${MAX_TTS_CHARS} characters.`);
+        }
+        const blob = await provider.synthesizeSpeech(text, { voice: typeof voice === 'string' ? voice : undefined, signal });
+        return { audio: blob ? Buffer.from(await blob.arrayBuffer()) : null };
+    },
+
+    "/api/transcribe": async (body, signal) => {
+        const { audio, mimeType, language } = body;
+        if (typeof audio !== 'string' || !audio || typeof mimeType !== 'string' || !mimeType.startsWith('audio/')) {
+            throw new HttpError(400, "Expected { audio: base64 string, mimeType: audio/*, language?: string }.");
+        }
+        let usage = null;
+        const text = await provider.transcribeAudio({
+            audio: new Blob([Buffer.from(audio, 'base64')], { type: mimeType }),
+            language: typeof language === 'string' && /^[a-z]{2}$/.test(language) ? language : undefined,
+            signal,
+            onUsage: u => { usage = u; },
+        });
+        return { json: { text }, usage };
+    },
+};
+
+const BODY_LIMITS = { "/api/transcribe": MAX_AUDIO_BODY_BYTES };
+
+const handleApi = async (req, res, handler) => {
+    const startedAt = Date.now();
+    const client = clientIdOf(req);
+    const entry = { client, route: req.url, status: 200 };
+    // A client that disconnects (cancelled turn, closed tab) cancels its upstream request.
+    const upstream = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) upstream.abort();
+    });
+
+    try {
+        if (req.method !== 'POST') throw new HttpError(405, "Use POST.");
+
+        const limit = rateLimiter.check(client);
+        if (!limit.allowed) {
+            res.setHeader('Retry-After', Math.ceil(limit.retryAfterMs / 1000));
+            throw new HttpError(429, "Rate limit exceeded. Please slow down.");
+        }
+        if (!API_KEY) throw new HttpError(503, "Server is missing GEMINI_API_KEY.");
+
+        const body = await readJSONBody(req, BODY_LIMITS[req.url.split('?')[0]]);
+        entry.bytesIn = JSON.stringify(body).length;
+
+        const result = await handler(body, upstream.signal);
+        if (result.stream) {
+            await sendEventStream(res, result.stream, entry);
+        } else if (result.audio) {
+            res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': result.audio.length });
+            res.end(result.audio);
+            entry.bytesOut = result.audio.length;
+        } else if ('audio' in result) {
+            entry.status = 204;
+            res.writeHead(204);
+            res.end();
+        } else {
+            if (result.usage) {
+                entry.usage = result.usage;
+                res.setHeader('X-Model-Usage', JSON.stringify(result.usage));
+            }
+            entry.bytesOut = sendJSON(res, 200, result.json);
+        }
+    } catch (error) {
+        if (error instanceof HttpError) {
+            entry.status = error.status;
+            sendJSON(res, error.status, { error: error.message });
+        } else if (errorKind(error) === 'aborted') {
+            entry.status = 499;
+        } else {
+            console.error(`Upstream request for ${req.url} failed:`, error);
+            const { status, message, retryAfterMs } = upstreamFailure(error);
+            entry.status = status;
+            if (retryAfterMs) res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+            sendJSON(res, status, { error: message });
+        }
+    } finally {
+        logUsage({ ...entry, ms: Date.now() - startedAt });
+    }
+};
+
+// --- Static Files (production build) ---
+
+const serveStatic = async (req, res) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+        // A malformed escape such as `%E0%A4%A` would otherwise throw out of the handler.
+        sendJSON(res, 400, { error: "Malformed path." });
+        return;
+    }
+    let filePath = normalize(join(DIST_DIR, pathname));
+    // Compared with the separator so a sibling such as `dist-ssr` is refused too.
+    if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + sep)) {
+        sendJSON(res, 403, { error: "Forbidden." });
+        return;
+    }
+
+    try {
+        if ((await stat(filePath)).isDirectory()) filePath = join(filePath, 'index.html');
+    } catch {
+        // Unknown paths fall back to the single-page app.
+        filePath = join(DIST_DIR, 'index.html');
+    }
+
+    try {
+        await stat(filePath);
+    } catch {
+        sendJSON(res, 404, { error: "Not found. Run `npm run build` to serve the app from this server." });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+    createReadStream(filePath).pipe(res);
+};
+
+const server = createServer((req, res) => {
+    const handler = routes[req.url.split('?')[0]];
+    if (handler) {
+        handleApi(req, res, handler);
+    } else if (req.url.startsWith('/api/')) {
+        sendJSON(res, 404, { error: "Unknown API route." });
+    } else {
+        serveStatic(req, res);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Interview proxy listening on http://localhost:${PORT}`);
+    if (!API_KEY) console.warn("GEMINI_API_KEY is not set; /api routes will return 503.");
+});
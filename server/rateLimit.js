@@ -0,0 +1,26 @@
+// Sliding-window rate limiter keyed by client id (IP address by default).
+export const createRateLimiter = ({ limit, windowMs }) => {
+    const hits = new Map();
+
+    const check = (clientId, now = Date.now()) => {
+        const recent = (hits.get(clientId) || []).filter(t => now - t < windowMs);
+
+        if (recent.length >= limit) {
+            hits.set(clientId, recent);
+            return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+        }
+
+        recent.push(now);
+        hits.set(clientId, recent);
+        return { allowed: true, remaining: limit - recent.length };
+    };
+
+    // Drop idle clients so the map does not grow without bound.
+    const sweep = (now = Date.now()) => {
+        for (const [clientId, times] of hits) {
+            if (times.every(t => now - t >= windowMs)) hits.delete(clientId);
+        }
+    };
+
+    return { check, sweep };
+};
@@ -1,370 +1,574 @@
-import { CheckCircle, Loader2, MessageSquare, Mic, Star, Volume2 } from 'lucide-react';
-import { useCallback, useEffect, useRef, useState } from 'react';
-
-// --- System Instructions & Prompts ---
-// UPDATED: Now accepts a full Job Description or Role string to customize the interview context.
-const INTERVIEWER_SYSTEM_PROMPT = (jobContext) => `You are an AI interviewer conducting a mock interview based on the following Job Description or Role: 
-"${jobContext}"
-
-Your goal is to be professional, challenging, and fair. 
-
-Operational Rules:
-1. **Contextual Relevance:** tailored your questions specifically to the skills, requirements, and responsibilities mentioned in the provided Job Description.
-2. **One Question at a Time:** Never ask multiple questions in a single turn.
-3. **Targeted Follow-up:** If the candidate's answer is incomplete, vague, or misses key technical details, ask a specific follow-up question to probe their depth.
-4. **Off-Topic Handling (Chatty User):** If the user goes off-topic or rambles about irrelevant personal details, politely acknowledge the input but firmly redirect the conversation back to the specific interview topic.
-5. **Boundary Maintenance (Edge Case):** If the user asks you to perform tasks outside the scope of a mock interview (e.g., "write a poem", "explain stock prices"), firmly refuse and state that you are focused strictly on the interview.
-6. **No Early Feedback:** Do not provide feedback or scores until the user explicitly requests to finish the interview.
-
-Start the interview by asking the first question immediately after the opening phrase.`;
-
-const FEEDBACK_PROMPT = `Analyze the following interview transcript and provide constructive feedback to the candidate. 
-You MUST return the output as a single JSON object that conforms to the specified schema. 
-The score for each criterion must be an integer between 1 (Poor) and 5 (Excellent).
-The DetailedFeedback should contain a concise summary and 3-5 bullet points covering the interview's strengths and weaknesses based on the specific Job Description provided.`;
-
-// --- API Configuration ---
-const CHAT_MODEL = "gemini-2.5-flash-preview-09-2025";
-const TTS_MODEL = "gemini-2.5-flash-preview-tts";
-const apiKey = "YOUR_API_KEY_HERE"; 
-
-// --- JSON Schema for Structured Feedback ---
-const FEEDBACK_SCHEMA = {
-    type: "OBJECT",
-    properties: {
-        OverallScore: { type: "INTEGER", description: "Overall rating (1-5)." },
-        ClarityAndStructureScore: { type: "INTEGER", description: "Score for answer clarity and structure (1-5)." },
-        RelevanceAndDepthScore: { type: "INTEGER", description: "Score for technical relevance and depth of knowledge (1-5)." },
-        ConfidenceAndCommunicationScore: { type: "INTEGER", description: "Score for verbal confidence and communication style (1-5)." },
-        DetailedFeedback: { type: "STRING", description: "A summary of performance followed by 3-5 key bullet points for improvement." },
-    },
-    propertyOrdering: [
-        "OverallScore",
-        "ClarityAndStructureScore",
-        "RelevanceAndDepthScore",
-        "ConfidenceAndCommunicationScore",
-        "DetailedFeedback"
-    ]
-};
+import { BarChart3, CheckCircle, Code2, History, Loader2, MessageSquare, Mic, RotateCcw, Settings, Volume2, VolumeX, X } from 'lucide-react';
+import { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { createAudioQueue } from './audioQueue.js';
+import { MentorComments } from './components/Annotations.jsx';
+import AnswerReview from './components/AnswerReview.jsx';
+import CodingPanel from './components/CodingPanel.jsx';
+import ConversationBubble from './components/ConversationBubble.jsx';
+import ErrorBanner from './components/ErrorBanner.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import FeedbackReportDisplay from './components/FeedbackReport.jsx';
+import GuardrailLog from './components/GuardrailLog.jsx';
+import HistoryPanel from './components/HistoryPanel.jsx';
+import { PlanPreview, PlanProgress, PlanSettings } from './components/InterviewPlan.jsx';
+import PanelSetup from './components/PanelSetup.jsx';
+import PersonaPanel from './components/PersonaPanel.jsx';
+import ProgressDashboard from './components/ProgressDashboard.jsx';
+import QuestionBankPanel from './components/QuestionBankPanel.jsx';
+import ResumeUpload from './components/ResumeUpload.jsx';
+import RubricPanel from './components/RubricPanel.jsx';
+import SettingsPanel from './components/SettingsPanel.jsx';
+import { InterviewTimer, TimedModeSettings } from './components/Timer.jsx';
+import UsageMeter from './components/UsageMeter.jsx';
+import { useInterviewTimer } from './hooks/useInterviewTimer.js';
+import { createTranslator, I18nContext, LANGUAGES, loadLanguage, normalizeLanguage, saveLanguage } from './i18n/index.js';
+import { countAskedQuestions, DEFAULT_PHASE_COUNTS } from './interviewPlan.js';
+import { createInterviewSession } from './interviewSession.js';
+import { describePanelist, findPanelist, normalizePanel } from './panel.js';
+import { normalizePersona } from './persona.js';
+import { errorKind } from './providers/http.js';
+import { createProvider, loadProviderSettings, PROVIDERS, resolveVoice, saveProviderSettings } from './providers/index.js';
+import { askedBankKeys } from './questionBanks.js';
+import { recordingSupported, startRecording } from './recorder.js';
+import { DEFAULT_RUBRIC } from './rubrics.js';
+import { createSentenceBuffer } from './sentenceBuffer.js';
+import { synthesizeSpeech } from './speech.js';
+import { createSpeechTracker, recordedDelivery } from './speechMetrics.js';
+import { loadPanel, savePanel } from './storage/panel.js';
+import { loadCurrentPersona, saveCurrentPersona } from './storage/personas.js';
+import { loadPlayback, savePlayback } from './storage/playback.js';
+import { listBanks, loadBankSettings, saveBankSettings } from './storage/questionBanks.js';
+import { getActiveRubricId, listRubrics, setActiveRubricId } from './storage/rubrics.js';
+import { createSession, getActiveSessionId, getSession, listSessions, setActiveSessionId, updateSession } from './storage/sessions.js';
+import { clearSpeechCache, speechCacheSize } from './storage/speechCache.js';
+import { loadVoiceInput, saveVoiceInput } from './storage/voiceInput.js';
+import { DEFAULT_TIMED_SETTINGS, NO_ANSWER_TEXT } from './timing.js';
+
+// --- Speech & Stored History ---
+// Prompts, model calls and the interview state machine live in the session
+// engine (interviewSession.js); the component adds speech, persistence and the UI.
+
+// Resolves to a clip for the audio queue (a Blob or a browser utterance, see
+// speech.js), or null; `onSource` is told which voice source produced it.
+// An undefined `voice` falls back to the provider's configured voice.
+const fetchTTSAudio = (provider, text, options, onSource = null) => synthesizeSpeech(provider, text, options)
+    .then(({ clip, source }) => {
+        if (source) onSource?.(source);
+        return clip;
+    });
+
+// Bank questions that stored sessions already reached, so the plan prefers
+// others. Without history, every question counts as new.
+const loadAskedBankKeys = () => listSessions()
+    .then(askedBankKeys)
+    .catch(error => {
+        console.error("Error reading past sessions:", error);
+        return new Set();
+    });
 
-// Helper functions for exponential backoff retry logic
-const withExponentialBackoff = async (fn, retries = 5, delay = 1000) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            console.warn(`Attempt ${i + 1} failed. Retrying in ${delay}ms...`, error);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            delay *= 2;
-        }
-    }
-};
+const InterviewApp = () => {
+    // Replaced 'role' state with 'jobDescription'
+    const [jobDescription, setJobDescription] = useState("");
+    const [resume, setResume] = useState(null);
+    const [persona, setPersona] = useState(loadCurrentPersona);
+    // The panel as edited; the engine gets it normalized (blank names filled in).
+    const [panel, setPanel] = useState(loadPanel);
+    const sessionPanel = useMemo(() => normalizePanel(panel), [panel]);
+    const [language, setLanguage] = useState(loadLanguage);
+    const i18n = useMemo(() => createTranslator(language), [language]);
+    const { t } = i18n;
+    // Interview state (chat, plan, timings, report...) is owned by the session engine.
+    const [engine] = useState(createInterviewSession);
+    const {
+        status: interviewState, chatHistory, plan: interviewPlan, answerTimings, codingRounds, codingProblem,
+        feedbackReport, loading, streaming, questionReadyAt, sessionStartedAt, error: sessionError, contextSummary, usage, guardrailLog, speakers,
+    } = useSyncExternalStore(engine.subscribe, engine.getState);
+    const [userInput, setUserInput] = useState('');
+    const [audioQueue] = useState(createAudioQueue);
+    const playbackState = useSyncExternalStore(audioQueue.subscribe, audioQueue.getState);
+    const [playback, setPlayback] = useState(loadPlayback);
+    // Interviewer audio clips per chat message index, kept so any reply can be replayed.
+    const messageAudioRef = useRef(new Map());
+    // The voice sources (cache, model, browser) each message's clips came from.
+    const [voiceSources, setVoiceSources] = useState({});
+    const [speechCacheBytes, setSpeechCacheBytes] = useState(null);
+    // Mentor comments per chat message, returned through a review link (see shareLink.js).
+    const [annotations, setAnnotations] = useState({});
+    const [phaseCounts, setPhaseCounts] = useState(DEFAULT_PHASE_COUNTS);
+    const [rubrics, setRubrics] = useState([DEFAULT_RUBRIC]);
+    const [activeRubricId, setActiveRubricIdState] = useState(getActiveRubricId);
+    const activeRubric = rubrics.find(r => r.id === activeRubricId) || DEFAULT_RUBRIC;
+    const [questionBanks, setQuestionBanks] = useState([]);
+    const [bankSettings, setBankSettings] = useState(loadBankSettings);
+
+    const [timedSettings, setTimedSettings] = useState(DEFAULT_TIMED_SETTINGS);
+    const timeoutReasonRef = useRef(null);
+    const speechTrackerRef = useRef(null);
 
-// --- TTS Audio Handling Functions (PCM to WAV conversion) ---
+    const [isListening, setIsListening] = useState(false);
+    const [liveTranscript, setLiveTranscript] = useState('');
+    const [recognition, setRecognition] = useState(null); 
 
-const base64ToArrayBuffer = (base64) => {
-    const binaryString = window.atob(base64);
-    const len = binaryString.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-    }
-    return bytes.buffer;
-};
+    const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+    const [showSettings, setShowSettings] = useState(false);
+    const provider = useMemo(() => createProvider(providerSettings), [providerSettings]);
+    const voice = resolveVoice(providerSettings.providerId, persona.voice);
+    const speechOptions = useMemo(() => ({ voice, language, offline: playback.offlineVoice }), [voice, language, playback.offlineVoice]);
+    // In a panel interview each panelist speaks with their own voice, if they have one.
+    const speechOptionsFor = useCallback((speaker) => {
+        const panelistVoice = resolveVoice(providerSettings.providerId, findPanelist(sessionPanel, speaker)?.voice);
+        return panelistVoice ? { ...speechOptions, voice: panelistVoice } : speechOptions;
+    }, [providerSettings.providerId, sessionPanel, speechOptions]);
+
+    // Persistence: `session` holds the stored record's identity (id, title, createdAt).
+    const [session, setSession] = useState(null);
+    const [resumableSession, setResumableSession] = useState(null);
+    const [view, setView] = useState('interview');
+    
+    const finalTranscriptRef = useRef(''); 
+    const isStoppingRef = useRef(false); 
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    // Without Web Speech, answers are recorded (recorder.js) and transcribed by the model.
+    const recordingRef = useRef(null);
+    const [transcribing, setTranscribing] = useState(false);
+    // A spoken answer awaiting review: { text, delivery }, or { failed, recording } when
+    // transcription failed and the recording is kept for another try.
+    const [review, setReview] = useState(null);
+    const [voiceInput, setVoiceInput] = useState(loadVoiceInput);
+
+    // Drops a recording, transcription or review in progress when the interview is left.
+    const discardVoiceAnswer = useCallback(() => {
+        recordingRef.current?.stop();
+        recordingRef.current = null;
+        setIsListening(false);
+        setTranscribing(false);
+        setReview(null);
+    }, []);
 
-const pcmToWav = (pcmData, sampleRate) => {
-    const numChannels = 1; 
-    const bitsPerSample = 16;
-    const bytesPerSample = bitsPerSample / 8;
-    const byteRate = sampleRate * numChannels * bytesPerSample;
-    const blockAlign = numChannels * bytesPerSample;
-    const dataSize = pcmData.byteLength;
-    const totalFileSize = 36 + dataSize;
-
-    const buffer = new ArrayBuffer(44 + dataSize);
-    const view = new DataView(buffer);
-    let offset = 0;
-    const littleEndian = true;
-    const bigEndian = false; 
-
-    view.setUint32(offset, 0x52494646, bigEndian); 
-    offset += 4;
-    view.setUint32(offset, totalFileSize, littleEndian); 
-    offset += 4;
-    view.setUint32(offset, 0x57415645, bigEndian); 
-    offset += 4;
-
-    view.setUint32(offset, 0x666d7420, bigEndian); 
-    offset += 4;
-    view.setUint32(offset, 16, littleEndian); 
-    offset += 4;
-    view.setUint16(offset, 1, littleEndian); 
-    offset += 2;
-    view.setUint16(offset, numChannels, littleEndian); 
-    offset += 2;
-    view.setUint32(offset, sampleRate, littleEndian); 
-    offset += 4;
-    view.setUint32(offset, byteRate, littleEndian); 
-    offset += 4;
-    view.setUint16(offset, blockAlign, littleEndian); 
-    offset += 2;
-    view.setUint16(offset, bitsPerSample, littleEndian); 
-    offset += 2;
-
-    view.setUint32(offset, 0x64617461, bigEndian); 
-    offset += 4;
-    view.setUint32(offset, dataSize, littleEndian); 
-    offset += 4;
-
-    const pcmDataView = new Uint8Array(pcmData);
-    const wavDataView = new Uint8Array(buffer, offset, pcmDataView.byteLength);
-    wavDataView.set(pcmDataView);
-
-    return new Blob([buffer], { type: 'audio/wav' });
-};
+    useEffect(() => {
+        saveProviderSettings(providerSettings);
+    }, [providerSettings]);
 
-const fetchTTSAudio = async (text) => {
-    if (!text) return null;
+    useEffect(() => {
+        audioQueue.setRate(playback.rate);
+        audioQueue.setMuted(playback.muted);
+        savePlayback(playback);
+    }, [audioQueue, playback]);
 
-    const payload = {
-        contents: [{ parts: [{ text: text }] }],
-        generationConfig: {
-            responseModalities: ["AUDIO"],
-            speechConfig: {
-                voiceConfig: {
-                    prebuiltVoiceConfig: { voiceName: "Kore" }
-                }
+    // The engine reads its inputs when it makes a call, so they follow the form.
+    useEffect(() => {
+        engine.configure({
+            provider,
+            jobDescription,
+            resume,
+            persona,
+            panel: sessionPanel,
+            language,
+            rubric: activeRubric,
+            phaseCounts,
+            timedSettings,
+            questionBanks: questionBanks.filter(bank => bankSettings.enabledIds.includes(bank.id)),
+            bankQuestionCount: bankSettings.count,
+        });
+    }, [engine, provider, jobDescription, resume, persona, sessionPanel, language, activeRubric, phaseCounts, timedSettings, questionBanks, bankSettings]);
+
+    useEffect(() => {
+        if (!showSettings) return;
+        speechCacheSize()
+            .then(setSpeechCacheBytes)
+            .catch(error => console.error("Error reading speech cache:", error));
+    }, [showSettings]);
+
+    const noteVoiceSource = useCallback((index, source) => setVoiceSources(sources => (
+        sources[index]?.includes(source) ? sources : { ...sources, [index]: [...(sources[index] || []), source] }
+    )), []);
+
+    // Speaks interviewer messages. A streamed reply is spoken a sentence at a
+    // time while the rest is still arriving; each message's clips are kept for replay.
+    useEffect(() => {
+        let turn = null;
+        const turnFor = (index, speaker) => {
+            if (turn?.index !== index) {
+                const clips = [];
+                messageAudioRef.current.set(index, clips);
+                const options = speechOptionsFor(speaker);
+                const speak = (text) => {
+                    const clip = fetchTTSAudio(provider, text, options, source => noteVoiceSource(index, source));
+                    clips.push(clip);
+                    audioQueue.enqueue(clip, index);
+                };
+                turn = { index, speak, sentences: createSentenceBuffer(speak) };
             }
-        },
-    };
+            return turn;
+        };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${TTS_MODEL}:generateContent?key=${apiKey}`;
+        const unsubscribers = [
+            engine.on('delta', ({ index, text, speaker }) => turnFor(index, speaker).sentences.push(text)),
+            // A draft that broke a guardrail is silenced; its replacement starts afresh.
+            engine.on('retract', ({ index }) => {
+                if (turn?.index !== index) return;
+                audioQueue.stop();
+                messageAudioRef.current.delete(index);
+                setVoiceSources((sources) => {
+                    const next = { ...sources };
+                    delete next[index];
+                    return next;
+                });
+                turn = null;
+            }),
+            engine.on('question', ({ index, text, streamed, problem, speaker }) => {
+                const { speak, sentences } = turnFor(index, speaker);
+                // The examples are left out of the spoken version of a coding problem.
+                if (problem) {
+                    speak(`${problem.title}. ${problem.spec}`);
+                } else if (streamed) {
+                    sentences.flush();
+                } else {
+                    speak(text);
+                }
+                turn = null;
+            }),
+            engine.on('feedback', ({ report }) => {
+                const ttsText = `${t('app.feedbackSpeech', { score: report.OverallScore, max: report.Rubric.scale.max })} ${report.DetailedFeedback}`;
+                audioQueue.enqueue(fetchTTSAudio(provider, ttsText, speechOptions));
+            }),
+            engine.on('error', ({ stage, error }) => {
+                // Sentences of a reply that broke off are not spoken.
+                turn = null;
+                if (errorKind(error) !== 'aborted') console.error(`Interview error (${stage}):`, error);
+            }),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [engine, provider, speechOptions, speechOptionsFor, noteVoiceSource, audioQueue, t]);
 
-    const response = await withExponentialBackoff(() => fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    }));
+    // Autosave the current interview whenever it changes.
+    useEffect(() => {
+        if (!session) return;
+        updateSession(session, { jobDescription, resume, persona, panel: sessionPanel, language, chatHistory, feedbackReport, interviewState, interviewPlan, timedSettings, answerTimings, codingRounds, contextSummary, usage, guardrailLog, speakers, annotations })
+            .catch(error => console.error("Error saving session:", error));
+    }, [session, jobDescription, resume, persona, sessionPanel, language, chatHistory, feedbackReport, interviewState, interviewPlan, timedSettings, answerTimings, codingRounds, contextSummary, usage, guardrailLog, speakers, annotations]);
+
+    const loadSession = useCallback((saved) => {
+        messageAudioRef.current.clear();
+        setVoiceSources({});
+        discardVoiceAnswer();
+        setSession(saved);
+        setJobDescription(saved.jobDescription);
+        setResume(saved.resume || null);
+        setPersona(normalizePersona(saved.persona));
+        setPanel(normalizePanel(saved.panel));
+        setAnnotations(saved.annotations || {});
+        // Sessions from before multilingual support were in English.
+        setLanguage(normalizeLanguage(saved.language));
+        setTimedSettings(saved.timedSettings || DEFAULT_TIMED_SETTINGS);
+        // An answer that was sent but never replied to goes back in the input.
+        setUserInput(engine.restore(saved));
+        setResumableSession(null);
+        setActiveSessionId(saved.id);
+    }, [engine, discardVoiceAnswer]);
+
+    // On load, restore a finished report directly and offer to resume an unfinished interview.
+    useEffect(() => {
+        const activeId = getActiveSessionId();
+        if (!activeId) return;
+
+        getSession(activeId)
+            .then(saved => {
+                if (!saved) {
+                    setActiveSessionId(null);
+                } else if (saved.interviewState === 'in-progress') {
+                    setResumableSession(saved);
+                } else {
+                    loadSession(saved);
+                }
+            })
+            .catch(error => console.error("Error restoring session:", error));
+    }, [loadSession]);
 
-    if (!response.ok) {
-        console.error("TTS API call failed:", response.status, await response.text());
-        return null;
-    }
+    useEffect(() => () => audioQueue.stop(), [audioQueue]);
 
-    const result = await response.json();
+    const refreshRubrics = useCallback(() => listRubrics()
+        .then(setRubrics)
+        .catch(error => console.error("Error loading rubrics:", error)), []);
 
-    const part = result?.candidates?.[0]?.content?.parts?.[0];
-    const audioData = part?.inlineData?.data;
-    const mimeType = part?.inlineData?.mimeType;
+    useEffect(() => {
+        refreshRubrics();
+    }, [refreshRubrics]);
 
-    if (audioData && mimeType && mimeType.startsWith("audio/")) {
-        const sampleRateMatch = mimeType.match(/rate=(\d+)/);
-        const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : 16000;
-        
-        const pcmData = base64ToArrayBuffer(audioData);
-        const wavBlob = pcmToWav(pcmData, sampleRate);
-        return URL.createObjectURL(wavBlob);
-    }
+    const refreshBanks = useCallback(() => listBanks()
+        .then(setQuestionBanks)
+        .catch(error => console.error("Error loading question banks:", error)), []);
 
-    return null;
-};
+    useEffect(() => {
+        refreshBanks();
+    }, [refreshBanks]);
 
-const fetchChatResponse = async (history, prompt, systemInstruction, tools = undefined) => {
-    const contents = [...history, { role: "user", parts: [{ text: prompt }] }];
-    
-    const payload = {
-        contents: contents,
-        systemInstruction: { parts: [{ text: systemInstruction }] },
-        tools: tools,
+    const changePersona = (next) => {
+        setPersona(next);
+        saveCurrentPersona(next);
     };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${CHAT_MODEL}:generateContent?key=${apiKey}`;
+    const changePanel = (next) => {
+        setPanel(next);
+        savePanel(next);
+    };
 
-    const response = await withExponentialBackoff(() => fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    }));
-    
-    if (!response.ok) {
-        throw new Error(`API call failed with status ${response.status}: ${await response.text()}`);
-    }
+    const previewVoice = (voiceId) => {
+        audioQueue.stop();
+        audioQueue.enqueue(fetchTTSAudio(provider, t('persona.previewText'), { ...speechOptions, voice: resolveVoice(providerSettings.providerId, voiceId) }));
+    };
 
-    const result = await response.json();
-    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text || "Sorry, I couldn't generate a response.";
-    
-    const updatedHistory = [...history, { role: "user", parts: [{ text: prompt }] }];
-    
-    return { text, updatedHistory };
-};
+    const changeLanguage = (next) => {
+        setLanguage(next);
+        saveLanguage(next);
+    };
 
-const generateFeedback = async (transcript) => {
-    const transcriptText = transcript.map(msg => `${msg.role === 'model' ? 'Interviewer' : 'Candidate'}: ${msg.parts[0].text}`).join('\n');
-    const fullPrompt = FEEDBACK_PROMPT + "\n\n--- Transcript ---\n" + transcriptText;
+    const changeBankSettings = (next) => {
+        setBankSettings(next);
+        saveBankSettings(next);
+        engine.setPlan(null);
+    };
 
-    const payload = {
-        contents: [{ parts: [{ text: fullPrompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: FEEDBACK_SCHEMA,
-        },
+    const selectRubric = (id) => {
+        setActiveRubricId(id);
+        setActiveRubricIdState(id);
     };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${CHAT_MODEL}:generateContent?key=${apiKey}`;
-    
-    const response = await withExponentialBackoff(() => fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    }));
-    
-    if (!response.ok) {
-        throw new Error(`API call failed with status ${response.status}: ${await response.text()}`);
-    }
+    // Options (timedOut, delivery, codingRound) are passed on to the engine.
+    const handleAskQuestion = (userPrompt, options) => {
+        // After a failed turn the input is kept until the last answer has been retried.
+        if (loading || sessionError || !userPrompt.trim()) return;
 
-    const result = await response.json();
-    const jsonText = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+        setUserInput('');
+        audioQueue.stop();
+        engine.answer(userPrompt, options);
+    };
 
-    if (!jsonText) {
-        throw new Error("Could not retrieve JSON feedback from model.");
-    }
-    return JSON.parse(jsonText);
-};
+    const handlePlanInterview = async () => {
+        if (!jobDescription.trim()) return; // Validation
 
+        const askedKeys = bankSettings.enabledIds.length > 0 ? await loadAskedBankKeys() : undefined;
+        await engine.plan({ askedKeys });
+    };
 
-const InterviewApp = () => {
-    // Replaced 'role' state with 'jobDescription'
-    const [jobDescription, setJobDescription] = useState("");
-    const [chatHistory, setChatHistory] = useState([]); 
-    const [interviewState, setInterviewState] = useState('initial'); 
-    const [loading, setLoading] = useState(false);
-    const [userInput, setUserInput] = useState('');
-    const [audioUrl, setAudioUrl] = useState(null);
-    const [feedbackReport, setFeedbackReport] = useState(null);
+    const handleStartInterview = () => {
+        if (!jobDescription.trim()) return; // Validation
 
-    const [isListening, setIsListening] = useState(false);
-    const [liveTranscript, setLiveTranscript] = useState('');
-    const [recognition, setRecognition] = useState(null); 
-    
-    const finalTranscriptRef = useRef(''); 
-    const isStoppingRef = useRef(false); 
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        audioQueue.stop();
+        messageAudioRef.current.clear();
+        setVoiceSources({});
+        setAnnotations({});
+        discardVoiceAnswer();
+        const newSession = createSession(jobDescription);
+        setSession(newSession);
+        setResumableSession(null);
+        setActiveSessionId(newSession.id);
+        engine.start();
+    };
 
-    const playAudio = useCallback((url) => {
-        if (url) {
-            const audio = new Audio(url);
-            audio.play().catch(e => console.error("Error playing audio:", e));
-        }
-    }, []);
+    const handleGenerateFeedback = () => {
+        audioQueue.stop();
+        engine.finish();
+    };
 
-    useEffect(() => {
-        if (audioUrl) {
-            playAudio(audioUrl);
-            
-            return () => URL.revokeObjectURL(audioUrl);
-        }
-    }, [audioUrl, playAudio]);
+    const handleRetryQuestion = (index, answer) => engine.retryQuestion(index, answer);
 
+    const handleRetryTurn = () => {
+        audioQueue.stop();
+        engine.retryTurn();
+    };
 
-    const handleAskQuestion = async (userPrompt) => {
-        if (loading || !userPrompt.trim()) return;
+    // Stops the model call in flight; the turn can then be retried from the error banner.
+    const cancelButton = (
+        <button onClick={engine.cancel} className="ml-3 flex items-center text-sm font-semibold text-gray-500 hover:text-red-600">
+            <X className="w-4 h-4 mr-1" /> {t('common.cancel')}
+        </button>
+    );
 
-        setLoading(true);
-        setUserInput('');
-        setAudioUrl(null);
+    const speakText = (text) => {
+        audioQueue.stop();
+        audioQueue.enqueue(fetchTTSAudio(provider, text, speechOptions));
+    };
 
-        const userMessage = { role: 'user', parts: [{ text: userPrompt }] };
-        const historyWithUser = [...chatHistory, userMessage];
-        setChatHistory(historyWithUser);
+    const replayMessage = (index) => {
+        let clips = messageAudioRef.current.get(index);
+        if (!clips?.length) {
+            // Restored sessions have no audio yet: synthesize the whole message once.
+            const text = chatHistory[index]?.parts[0].text;
+            if (!text) return;
+            clips = [fetchTTSAudio(provider, text, speechOptionsFor(speakers[index]), source => noteVoiceSource(index, source))];
+            messageAudioRef.current.set(index, clips);
+        }
+        audioQueue.stop();
+        clips.forEach(clip => audioQueue.enqueue(clip, index));
+    };
 
-        try {
-            const systemInstruction = INTERVIEWER_SYSTEM_PROMPT(jobDescription);
+    // "Alex (Hiring manager)" for a panelist's message, else null.
+    const speakerLabel = (speaker) => {
+        const panelist = findPanelist(sessionPanel, speaker);
+        return panelist ? describePanelist(panelist, t(`panel.role.${panelist.role}`)) : null;
+    };
 
-            const { text: aiResponse } = await fetchChatResponse(historyWithUser, userPrompt, systemInstruction);
-            
-            const newHistory = [
-                ...historyWithUser,
-                { role: 'model', parts: [{ text: aiResponse }] }
-            ];
-            setChatHistory(newHistory);
+    const playerFor = (index) => ({
+        status: playbackState.owner !== index ? 'idle' : playbackState.paused ? 'paused' : 'playing',
+        rate: playback.rate,
+        sources: voiceSources[index] || [],
+        onReplay: () => replayMessage(index),
+        onPause: audioQueue.pause,
+        onResume: audioQueue.resume,
+        onRateChange: (rate) => setPlayback(p => ({ ...p, rate })),
+    });
+
+    const handleNewInterview = () => {
+        setSession(null);
+        setActiveSessionId(null);
+        setJobDescription('');
+        // The resume is kept: the next practice run is usually for the same candidate.
+        setUserInput('');
+        audioQueue.stop();
+        messageAudioRef.current.clear();
+        setVoiceSources({});
+        setAnnotations({});
+        discardVoiceAnswer();
+        engine.reset();
+    };
 
-            const url = await fetchTTSAudio(aiResponse);
-            setAudioUrl(url);
+    const handleStartCoding = () => {
+        audioQueue.stop();
+        engine.startCoding();
+    };
 
-        } catch (error) {
-            console.error("Error asking question:", error);
-            const errorMessage = { role: 'model', parts: [{ text: "Sorry, I had trouble processing that. Can you repeat your answer?" }] };
-            setChatHistory(h => [...h, errorMessage]);
-        } finally {
-            setLoading(false);
-        }
+    const handleSubmitCode = (round) => {
+        audioQueue.stop();
+        engine.submitCode(round);
     };
-    
-    const handleStartInterview = async () => {
-        if (!jobDescription.trim()) return; // Validation
 
-        setLoading(true);
-        setChatHistory([]);
-        setAudioUrl(null);
-        setInterviewState('in-progress');
-        setFeedbackReport(null);
+    const handleResumeFromHistory = (saved) => {
+        loadSession(saved);
+        setView('interview');
+    };
 
-        const promptToAI = "Start the interview. Ask your first question.";
+    // Timed mode: submit whatever the candidate has so far when a limit runs out.
+    const submitOnTimeout = (reason) => {
+        if (recordingRef.current || transcribing) {
+            // The answer is sent once its transcript arrives.
+            timeoutReasonRef.current = reason;
+            if (recordingRef.current) stopRecording();
+            return;
+        }
+        if (review) {
+            setReview(null);
+            deliverSpokenAnswer(review.failed ? '' : review.text.trim(), { timedOut: reason, delivery: review.delivery });
+            return;
+        }
+        if (isListening && recognition) {
+            // recognition.onend picks up the reason and submits the transcript.
+            timeoutReasonRef.current = reason;
+            isStoppingRef.current = true;
+            recognition.stop();
+            return;
+        }
 
-        try {
-            const systemInstruction = INTERVIEWER_SYSTEM_PROMPT(jobDescription);
-            
-            const { text: firstQuestion, updatedHistory: tempHistory } = await fetchChatResponse([], promptToAI, systemInstruction);
+        const answer = userInput.trim();
+        if (reason === 'session' && (!answer || sessionError)) {
+            handleGenerateFeedback();
+        } else {
+            handleAskQuestion(answer || NO_ANSWER_TEXT, { timedOut: reason });
+        }
+    };
 
-            const newHistory = [
-                ...tempHistory,
-                { role: 'model', parts: [{ text: firstQuestion }] }
-            ];
-            setChatHistory(newHistory);
+    const { answerRemaining, sessionRemaining } = useInterviewTimer({
+        enabled: timedSettings.enabled && interviewState === 'in-progress',
+        answerSeconds: timedSettings.answerSeconds,
+        sessionSeconds: timedSettings.sessionMinutes * 60,
+        questionReadyAt,
+        sessionStartedAt,
+        onAnswerTimeout: () => submitOnTimeout('answer'),
+        onSessionTimeout: () => submitOnTimeout('session'),
+    });
+
+    // A finished spoken answer is sent, or held for review when that is on.
+    // An answer cut off by the timer is always sent: the time is up.
+    const deliverSpokenAnswer = (text, { timedOut = null, delivery = null } = {}) => {
+        if (timedOut === 'session' && !text) {
+            handleGenerateFeedback();
+        } else if (timedOut) {
+            handleAskQuestion(text || NO_ANSWER_TEXT, { timedOut, delivery });
+        } else if (!text) {
+            setUserInput('');
+        } else if (voiceInput.reviewBeforeSending) {
+            setReview({ text, delivery });
+        } else {
+            handleAskQuestion(text, { delivery });
+        }
+    };
 
-            const url = await fetchTTSAudio(firstQuestion);
-            setAudioUrl(url);
+    const changeVoiceInput = (next) => {
+        setVoiceInput(next);
+        saveVoiceInput(next);
+    };
 
+    // A recording that could not be transcribed stays in review for another try,
+    // unless the timer has run out.
+    const transcribeRecording = async ({ audio, durationMs }) => {
+        setReview(null);
+        setTranscribing(true);
+        let text = null;
+        try {
+            text = (await engine.transcribe(audio)).trim();
         } catch (error) {
-            console.error("Error starting interview:", error);
-            setChatHistory([{ role: 'model', parts: [{ text: "An error occurred while starting the interview. Please try again." }] }]);
-        } finally {
-            setLoading(false);
+            if (errorKind(error) !== 'aborted') console.error("Transcription failed:", error);
         }
-    };
+        setTranscribing(false);
 
-    const handleGenerateFeedback = async () => {
-        setLoading(true);
-        setAudioUrl(null);
-        setInterviewState('feedback');
-        setFeedbackReport(null);
+        const timedOut = timeoutReasonRef.current;
+        timeoutReasonRef.current = null;
+        if (text === null && !timedOut) {
+            setReview({ failed: true, recording: { audio, durationMs }, delivery: null });
+            return;
+        }
+        deliverSpokenAnswer(text || '', { timedOut, delivery: text ? recordedDelivery(text, language, durationMs) : null });
+    };
 
-        const historyForFeedback = chatHistory.filter(m => m.parts.length > 0 && m.parts[0].text.length > 0);
+    const stopRecording = async () => {
+        const recording = recordingRef.current;
+        recordingRef.current = null;
+        setIsListening(false);
+        const durationMs = Date.now() - recording.startedAt;
+        const audio = await recording.stop();
+        await transcribeRecording({ audio, durationMs });
+    };
 
+    const toggleRecording = async () => {
+        if (recordingRef.current) {
+            await stopRecording();
+            return;
+        }
+        // Barge-in, as with speech recognition.
+        audioQueue.stop();
+        engine.markAnswerStarted();
         try {
-            const report = await generateFeedback(historyForFeedback);
-            setFeedbackReport(report);
-
-            const ttsText = `Your interview is complete. Your overall score is ${report.OverallScore} out of 5. ${report.DetailedFeedback}`;
-            const url = await fetchTTSAudio(ttsText); 
-            setAudioUrl(url);
-
+            recordingRef.current = await startRecording();
+            setIsListening(true);
         } catch (error) {
-            console.error("Error generating feedback:", error);
-            setFeedbackReport({ error: "An error occurred while generating feedback." });
-        } finally {
-            setLoading(false);
+            console.error("Error opening the microphone:", error);
+            alert(t('app.alert.microphone'));
         }
     };
-    
+
     const toggleListening = () => {
-        if (!SpeechRecognition) {
-            alert("Your browser does not support the Web Speech API for transcription. Please use the text input.");
+        if (!SpeechRecognition && !recordingSupported()) {
+            alert(t('app.alert.noSpeechApi'));
             return;
         }
 
-        if (loading || interviewState !== 'in-progress') return;
+        if (loading || sessionError || interviewState !== 'in-progress' || transcribing) return;
+
+        setReview(null);
+        if (!SpeechRecognition) {
+            toggleRecording();
+            return;
+        }
 
         if (isListening && recognition) {
             // STOP Listening (Manual Stop)
@@ -373,19 +577,23 @@ const InterviewApp = () => {
             
             // Wait for onend to finish cleanup and submission
         } else {
-            // START Listening
+            // START Listening. Barge-in: the interviewer stops talking as soon as the mic opens.
+            audioQueue.stop();
             finalTranscriptRef.current = ''; 
             isStoppingRef.current = false;
             setLiveTranscript('');
             setIsListening(true);
+            engine.markAnswerStarted();
+            speechTrackerRef.current = createSpeechTracker();
             
             const newRecognition = new SpeechRecognition();
             newRecognition.continuous = true; 
             newRecognition.interimResults = true; 
-            newRecognition.lang = 'en-US';
+            newRecognition.lang = LANGUAGES[language].locale;
             setRecognition(newRecognition); 
 
             newRecognition.onresult = (event) => {
+                speechTrackerRef.current?.result();
                 let currentInterimTranscript = '';
                 
                 for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -414,12 +622,12 @@ const InterviewApp = () => {
                     const finalText = finalTranscriptRef.current.trim();
                     finalTranscriptRef.current = ''; 
                     setLiveTranscript(''); 
-                    
-                    if (finalText) {
-                        handleAskQuestion(finalText); 
-                    } else {
-                        setUserInput('');
-                    }
+
+                    const timedOut = timeoutReasonRef.current;
+                    timeoutReasonRef.current = null;
+                    const delivery = finalText ? speechTrackerRef.current?.summarize(finalText, language) : null;
+                    speechTrackerRef.current = null;
+                    deliverSpokenAnswer(finalText, { timedOut, delivery });
                 } else {
                     // Auto-stop/Timeout, restart to continue listening
                     if (interviewState === 'in-progress') {
@@ -437,7 +645,7 @@ const InterviewApp = () => {
                 setRecognition(null);
                 setLiveTranscript('');
                 if (event.error !== 'no-speech' && event.error !== 'aborted') {
-                     alert(`Speech recognition error: ${event.error}. Please use the text input.`);
+                     alert(t('app.alert.recognitionError', { error: event.error }));
                 }
             };
 
@@ -451,221 +659,374 @@ const InterviewApp = () => {
         }
     };
 
-    const ConversationBubble = ({ message }) => {
-        const isAI = message.role === 'model';
-        const text = message.parts[0].text;
-        const color = isAI ? 'bg-indigo-100 text-indigo-900' : 'bg-green-100 text-green-900';
-        const alignment = isAI ? 'justify-start' : 'justify-end';
-        const speaker = isAI ? 'Interviewer' : 'You';
-        const icon = isAI ? <Volume2 size={16} className="text-indigo-500 mr-2" /> : <Mic size={16} className="text-green-500 mr-2" />;
-
-        return (
-            <div className={`flex ${alignment} my-3`}>
-                <div className={`max-w-[80%] p-4 rounded-xl shadow-lg ${color} transition-all duration-300`}>
-                    <div className="flex items-center font-semibold mb-1 text-sm">
-                        {icon}
-                        <span>{speaker}</span>
-                    </div>
-                    <p className="whitespace-pre-wrap text-base">{text}</p>
-                </div>
-            </div>
-        );
-    };
-    
-    const ScoreBadge = ({ score }) => {
-        const scoreOutOf5 = Math.min(5, Math.max(1, score));
-        const colorClass = scoreOutOf5 >= 4 ? 'bg-green-600' : scoreOutOf5 >= 3 ? 'bg-yellow-600' : 'bg-red-600';
+    return (
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-gray-50 flex items-start justify-center p-4 sm:p-8">
+                <div className="w-full max-w-3xl bg-white p-6 sm:p-8 rounded-2xl shadow-2xl">
+                    <header className="relative text-center mb-8">
+                        <div className="absolute right-0 top-0 flex items-center gap-1">
+                            <select
+                                value={language}
+                                onChange={(e) => changeLanguage(e.target.value)}
+                                disabled={interviewState === 'in-progress'}
+                                aria-label={t('app.language')}
+                                title={interviewState === 'in-progress' ? t('app.languageLocked') : t('app.language')}
+                                className="p-1 text-sm border border-gray-300 rounded-lg text-gray-600 bg-white disabled:opacity-50"
+                            >
+                                {Object.entries(LANGUAGES).map(([id, { label }]) => (
+                                    <option key={id} value={id}>{label}</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => setPlayback(p => ({ ...p, muted: !p.muted }))}
+                                className={`p-2 rounded-lg transition duration-200 ${playback.muted ? 'bg-indigo-100 text-indigo-700' : 'text-gray-400 hover:text-indigo-600'}`}
+                                title={playback.muted ? t('app.unmute') : t('app.mute')}
+                            >
+                                {playback.muted ? <VolumeX className="w-6 h-6" /> : <Volume2 className="w-6 h-6" />}
+                            </button>
+                            <button
+                                onClick={() => setView(v => v === 'progress' ? 'interview' : 'progress')}
+                                className={`p-2 rounded-lg transition duration-200 ${view === 'progress' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-400 hover:text-indigo-600'}`}
+                                title={t('app.nav.progress')}
+                            >
+                                <BarChart3 className="w-6 h-6" />
+                            </button>
+                            <button
+                                onClick={() => setView(v => v === 'history' ? 'interview' : 'history')}
+                                className={`p-2 rounded-lg transition duration-200 ${view === 'history' ? 'bg-indigo-100 text-indigo-700' : 'text-gray-400 hover:text-indigo-600'}`}
+                                title={t('app.nav.history')}
+                            >
+                                <History className="w-6 h-6" />
+                            </button>
+                            <button
+                                onClick={() => setShowSettings(v => !v)}
+                                className={`p-2 rounded-lg transition duration-200 ${showSettings ? 'bg-indigo-100 text-indigo-700' : 'text-gray-400 hover:text-indigo-600'}`}
+                                title={t('app.nav.settings')}
+                            >
+                                <Settings className="w-6 h-6" />
+                            </button>
+                        </div>
+                        <h1 className="text-4xl font-extrabold text-indigo-700 flex items-center justify-center">
+                            <MessageSquare className="w-9 h-9 mr-3" />
+                            {t('app.title')}
+                        </h1>
+                        <p className="text-gray-600 mt-2 text-lg">{t('app.subtitle')}</p>
+                    </header>
+
+                    {showSettings && (
+                        <SettingsPanel
+                            settings={providerSettings}
+                            onChange={setProviderSettings}
+                            disabled={interviewState === 'in-progress'}
+                            offlineVoice={playback.offlineVoice}
+                            onOfflineVoiceChange={(offlineVoice) => setPlayback(p => ({ ...p, offlineVoice }))}
+                            speechCacheBytes={speechCacheBytes}
+                            onClearSpeechCache={() => clearSpeechCache()
+                                .then(() => setSpeechCacheBytes(0))
+                                .catch(error => console.error("Error clearing speech cache:", error))}
+                        />
+                    )}
 
-        return (
-            <div className={`flex items-center justify-center w-14 h-14 rounded-full text-white font-extrabold text-xl ${colorClass} shadow-xl`}>
-                {scoreOutOf5}
-            </div>
-        );
-    };
-    
-    const StarRating = ({ score }) => {
-        const stars = [];
-        for (let i = 1; i <= 5; i++) {
-            stars.push(
-                <Star
-                    key={i}
-                    size={22}
-                    className={i <= score ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}
-                />
-            );
-        }
-        return <div className="flex space-x-1">{stars}</div>;
-    };
+                    {view === 'history' ? (
+                        <HistoryPanel onResume={handleResumeFromHistory} activeSessionId={session?.id} />
+                    ) : view === 'progress' ? (
+                        <ProgressDashboard />
+                    ) : (
+                        <>
+                            {resumableSession && interviewState === 'initial' && (
+                                <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded-xl shadow-md">
+                                    <p className="flex-grow text-gray-800">
+                                        {t('app.unfinished', { title: resumableSession.title })}
+                                    </p>
+                                    <button
+                                        onClick={() => loadSession(resumableSession)}
+                                        className="px-4 py-2 rounded-lg font-bold text-white bg-green-600 hover:bg-green-700 shadow"
+                                    >
+                                        {t('app.resume')}
+                                    </button>
+                                    <button
+                                        onClick={() => { setResumableSession(null); setActiveSessionId(null); }}
+                                        className="px-4 py-2 rounded-lg font-semibold text-gray-600 hover:text-gray-800"
+                                    >
+                                        {t('app.dismiss')}
+                                    </button>
+                                </div>
+                            )}
 
-    const FeedbackReportDisplay = ({ report }) => {
-        if (report.error) {
-            return <p className="text-red-600 font-semibold">{report.error}</p>;
-        }
+                            <div className="flex flex-col sm:flex-row gap-4 mb-8 p-6 bg-indigo-50 rounded-xl shadow-inner">
+                                <div className="flex-grow">
+                                    <label className="block text-sm font-bold text-indigo-700 mb-1">
+                                        {t('app.jobLabel')}
+                                    </label>
+                                    <textarea
+                                        value={jobDescription}
+                                        onChange={(e) => {
+                                            setJobDescription(e.target.value);
+                                            engine.setPlan(null);
+                                        }}
+                                        placeholder={t('app.jobPlaceholder')}
+                                        className="w-full p-3 border-2 border-indigo-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-200 shadow-sm h-24 resize-none"
+                                        disabled={interviewState !== 'initial'}
+                                    />
+                                    <ResumeUpload resume={resume} onChange={setResume} disabled={interviewState !== 'initial'} />
+                                </div>
+                                <button
+                                    onClick={interviewState !== 'initial' ? () => handleGenerateFeedback() : interviewPlan ? handleStartInterview : handlePlanInterview}
+                                    disabled={loading || (interviewState === 'feedback' && feedbackReport) || (interviewState === 'initial' && !jobDescription.trim())}
+                                    className={`mt-4 sm:mt-0 sm:ml-4 px-8 py-3 rounded-xl font-extrabold text-white shadow-lg transition duration-300 transform hover:scale-[1.02] flex-shrink-0 h-fit self-center
+                                        ${interviewState === 'initial' ? 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-500/50' : 'bg-red-500 hover:bg-red-600 shadow-red-500/50'}
+                                        ${loading || (interviewState === 'feedback' && feedbackReport) || (interviewState === 'initial' && !jobDescription.trim()) ? 'opacity-50 cursor-not-allowed' : ''}
+                                    `}
+                                >
+                                    {loading && interviewState === 'initial' ? <Loader2 className="w-5 h-5 animate-spin mr-2 inline" /> : null}
+                                    {interviewState !== 'initial' ? t('app.finish') : interviewPlan ? t('app.start') : t('app.plan')}
+                                </button>
+                            </div>
 
-        const criteria = [
-            { key: 'ClarityAndStructureScore', label: 'Clarity & Structure' },
-            { key: 'RelevanceAndDepthScore', label: 'Relevance & Depth' },
-            { key: 'ConfidenceAndCommunicationScore', label: 'Confidence & Communication' },
-        ];
-        
-        const renderDetailedFeedback = (text) => {
-            const lines = text.split('\n').filter(line => line.trim().length > 0);
-            return lines.map((line, index) => {
-                if (line.trim().startsWith('*') || line.trim().startsWith('-')) {
-                    return <li key={index} className="ml-5 list-disc text-gray-700">{line.replace(/^[\*\-]\s*/, '').trim()}</li>;
-                }
-                return <p key={index} className="font-semibold text-gray-800 mb-2">{line.trim()}</p>;
-            });
-        };
+                            {interviewState === 'initial' && (
+                                <PlanSettings
+                                    counts={phaseCounts}
+                                    onChange={(counts) => {
+                                        setPhaseCounts(counts);
+                                        engine.setPlan(null);
+                                    }}
+                                    disabled={loading}
+                                />
+                            )}
 
+                            {interviewState === 'initial' && (
+                                <QuestionBankPanel
+                                    banks={questionBanks}
+                                    settings={bankSettings}
+                                    onSettingsChange={changeBankSettings}
+                                    onBanksChanged={refreshBanks}
+                                    disabled={loading}
+                                />
+                            )}
 
-        return (
-            <div className="space-y-8">
-                <div className="flex items-center justify-between p-5 bg-indigo-50 border-l-4 border-indigo-600 rounded-xl shadow-md">
-                    <h4 className="text-2xl font-extrabold text-indigo-900">Overall Performance</h4>
-                    <div className="flex items-center space-x-3">
-                        <ScoreBadge score={report.OverallScore} />
-                        <span className="text-indigo-600 font-semibold text-lg">/ 5.0</span>
-                    </div>
-                </div>
+                            {interviewState === 'initial' && (
+                                <PersonaPanel
+                                    persona={persona}
+                                    onChange={changePersona}
+                                    voices={PROVIDERS[providerSettings.providerId].voices}
+                                    onPreview={previewVoice}
+                                    disabled={loading}
+                                />
+                            )}
 
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    {criteria.map(({ key, label }) => (
-                        <div key={key} className="p-4 bg-white rounded-xl shadow-lg border border-gray-200 text-center">
-                            <h5 className="text-base font-bold text-gray-700 mb-2">{label}</h5>
-                            <StarRating score={report[key]} />
-                        </div>
-                    ))}
-                </div>
+                            {interviewState === 'initial' && (
+                                <PanelSetup
+                                    panel={panel}
+                                    onChange={changePanel}
+                                    voices={PROVIDERS[providerSettings.providerId].voices}
+                                    onPreview={(voiceId) => previewVoice(voiceId || persona.voice)}
+                                    disabled={loading}
+                                />
+                            )}
 
-                <div>
-                    <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">Actionable Insights</h4>
-                    <div className="p-5 bg-white rounded-xl shadow-lg border border-gray-100">
-                        <ul className="list-none space-y-2">
-                           {renderDetailedFeedback(report.DetailedFeedback)}
-                        </ul>
-                    </div>
-                </div>
-            </div>
-        );
-    };
+                            {interviewState === 'initial' && (
+                                <TimedModeSettings settings={timedSettings} onChange={setTimedSettings} disabled={loading} />
+                            )}
 
+                            {interviewState !== 'feedback' && (
+                                <RubricPanel
+                                    rubrics={rubrics}
+                                    activeRubric={activeRubric}
+                                    onSelect={selectRubric}
+                                    onRubricsChanged={refreshRubrics}
+                                    disabled={loading}
+                                />
+                            )}
 
-    return (
-        <div className="min-h-screen bg-gray-50 flex items-start justify-center p-4 sm:p-8">
-            <div className="w-full max-w-3xl bg-white p-6 sm:p-8 rounded-2xl shadow-2xl">
-                <header className="text-center mb-8">
-                    <h1 className="text-4xl font-extrabold text-indigo-700 flex items-center justify-center">
-                        <MessageSquare className="w-9 h-9 mr-3" />
-                        AI Interview Practice Partner
-                    </h1>
-                    <p className="text-gray-600 mt-2 text-lg">Practice and Ace your next interview .</p>
-                </header>
-
-                <div className="flex flex-col sm:flex-row gap-4 mb-8 p-6 bg-indigo-50 rounded-xl shadow-inner">
-                    <div className="flex-grow">
-                        <label className="block text-sm font-bold text-indigo-700 mb-1">
-                            Enter Job Role or Paste Job Description
-                        </label>
-                        <textarea
-                            value={jobDescription}
-                            onChange={(e) => setJobDescription(e.target.value)}
-                            placeholder="E.g., Senior React Developer, Sales Associate, or paste a full Job Description..."
-                            className="w-full p-3 border-2 border-indigo-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-200 shadow-sm h-24 resize-none"
-                            disabled={interviewState !== 'initial'}
-                        />
-                    </div>
-                    <button
-                        onClick={interviewState === 'initial' ? handleStartInterview : handleGenerateFeedback}
-                        disabled={loading || (interviewState === 'feedback' && feedbackReport) || (interviewState === 'initial' && !jobDescription.trim())}
-                        className={`mt-4 sm:mt-0 sm:ml-4 px-8 py-3 rounded-xl font-extrabold text-white shadow-lg transition duration-300 transform hover:scale-[1.02] flex-shrink-0 h-fit self-center
-                            ${interviewState === 'initial' ? 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-500/50' : 'bg-red-500 hover:bg-red-600 shadow-red-500/50'}
-                            ${loading || (interviewState === 'feedback' && feedbackReport) || (interviewState === 'initial' && !jobDescription.trim()) ? 'opacity-50 cursor-not-allowed' : ''}
-                        `}
-                    >
-                        {loading && interviewState === 'initial' ? <Loader2 className="w-5 h-5 animate-spin mr-2 inline" /> : null}
-                        {interviewState === 'initial' ? 'Start Interview' : 'Finish & Feedback'}
-                    </button>
-                </div>
+                            {interviewState === 'in-progress' && interviewPlan && (
+                                <PlanProgress plan={interviewPlan} askedCount={countAskedQuestions(chatHistory)} />
+                            )}
 
-                <div className="bg-gray-100 p-4 border-2 border-gray-200 rounded-xl h-[400px] overflow-y-auto shadow-inner mb-6 space-y-4">
-                    {interviewState === 'initial' && (
-                        <p className="text-center text-gray-500 mt-20 p-4">Enter a job role or description above and click 'Start Interview' to begin.</p>
-                    )}
+                            {interviewState !== 'initial' && (
+                                <UsageMeter usage={usage} summary={contextSummary} />
+                            )}
 
-                    {interviewState === 'in-progress' && chatHistory.length > 0 && chatHistory.map((message, index) => (
-                        <ConversationBubble key={index} message={message} />
-                    ))}
+                            {interviewState === 'in-progress' && sessionRemaining !== null && (
+                                <InterviewTimer
+                                    answerRemaining={answerRemaining}
+                                    sessionRemaining={sessionRemaining}
+                                    warningSeconds={timedSettings.warningSeconds}
+                                />
+                            )}
 
-                    {loading && interviewState === 'in-progress' && (
-                        <div className="flex justify-start my-3">
-                            <div className="bg-indigo-100 text-indigo-800 p-4 rounded-xl shadow-md flex items-center">
-                                <Loader2 className="w-5 h-5 mr-2 animate-spin text-indigo-600" />
-                                Interviewer is thinking...
+                            <div className="bg-gray-100 p-4 border-2 border-gray-200 rounded-xl h-[400px] overflow-y-auto shadow-inner mb-6 space-y-4">
+                                {interviewState === 'initial' && !interviewPlan && (
+                                    <p className="text-center text-gray-500 mt-20 p-4">
+                                        {loading
+                                            ? <span className="inline-flex items-center">{t('app.planning')}{cancelButton}</span>
+                                            : t('app.emptyHint', { button: t('app.plan') })}
+                                    </p>
+                                )}
+
+                                {interviewState === 'initial' && interviewPlan && (
+                                    <>
+                                        {interviewPlan.generic && (
+                                            <p className="text-sm text-yellow-700">{t('app.genericPlan')}</p>
+                                        )}
+                                        <PlanPreview plan={interviewPlan} onRegenerate={handlePlanInterview} disabled={loading} />
+                                    </>
+                                )}
+
+                                {interviewState === 'in-progress' && chatHistory.length > 0 && chatHistory.map((message, index) => (
+                                    <ConversationBubble key={index} message={message} speaker={speakerLabel(speakers[index])} player={message.role === 'model' ? playerFor(index) : null} />
+                                ))}
+
+                                {streaming?.text && (
+                                    <ConversationBubble message={{ role: 'model', parts: [{ text: streaming.text }] }} speaker={speakerLabel(streaming.speaker)} isStreaming player={playerFor(streaming.index)} />
+                                )}
+
+                                {loading && interviewState === 'in-progress' && !streaming?.text && (
+                                    <div className="flex justify-start my-3">
+                                        <div className="bg-indigo-100 text-indigo-800 p-4 rounded-xl shadow-md flex items-center">
+                                            <Loader2 className="w-5 h-5 mr-2 animate-spin text-indigo-600" />
+                                            {t('app.thinking')}
+                                            {cancelButton}
+                                        </div>
+                                    </div>
+                                )}
+
+                                {interviewState === 'in-progress' && sessionError && (
+                                    <ErrorBanner error={sessionError} onRetry={handleRetryTurn} disabled={loading} />
+                                )}
+
+                                {interviewState === 'feedback' && (
+                                    <div className="p-4 bg-white rounded-xl shadow-lg">
+                                        <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+                                            <h3 className="text-2xl font-bold text-indigo-700 flex items-center">
+                                                <CheckCircle className="w-7 h-7 mr-3 text-green-500" />
+                                                {t('app.reportTitle')}
+                                            </h3>
+                                            {session && feedbackReport && !feedbackReport.error && (
+                                                <ExportMenu session={{ ...session, jobDescription, resume, persona, panel: sessionPanel, language, chatHistory, feedbackReport, interviewState, interviewPlan, timedSettings, answerTimings, codingRounds, contextSummary, usage, guardrailLog, speakers, annotations }} />
+                                            )}
+                                        </div>
+                                        {loading && !feedbackReport ? (
+                                            <div className="flex items-center text-gray-600 justify-center h-48">
+                                                <Loader2 className="w-8 h-8 mr-3 animate-spin text-indigo-500" />
+                                                <span className="text-lg">{t('app.analyzing')}</span>
+                                                {cancelButton}
+                                            </div>
+                                        ) : sessionError ? (
+                                            <ErrorBanner error={sessionError} onRetry={handleRetryTurn} disabled={loading} />
+                                        ) : (
+                                            feedbackReport && (
+                                                <FeedbackReportDisplay report={feedbackReport} onRetryQuestion={handleRetryQuestion} onSpeak={speakText} />
+                                            )
+                                        )}
+                                        <MentorComments chatHistory={chatHistory} annotations={annotations} />
+                                        <GuardrailLog entries={guardrailLog} />
+                                        {!loading && (
+                                            <button
+                                                onClick={handleNewInterview}
+                                                className="mt-8 flex items-center px-6 py-2 rounded-xl font-bold text-white bg-indigo-600 hover:bg-indigo-700 shadow-lg shadow-indigo-500/50 transition duration-300"
+                                            >
+                                                <RotateCcw className="w-5 h-5 mr-2" />
+                                                {t('app.newInterview')}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
                             </div>
-                        </div>
-                    )}
 
-                    {interviewState === 'feedback' && (
-                        <div className="p-4 bg-white rounded-xl shadow-lg">
-                            <h3 className="text-2xl font-bold text-indigo-700 flex items-center mb-6">
-                                <CheckCircle className="w-7 h-7 mr-3 text-green-500" />
-                                Interview Performance Report
-                            </h3>
-                            {loading && !feedbackReport ? (
-                                <div className="flex items-center text-gray-600 justify-center h-48">
-                                    <Loader2 className="w-8 h-8 mr-3 animate-spin text-indigo-500" />
-                                    <span className="text-lg">Analyzing performance and generating structured report...</span>
-                                </div>
-                            ) : (
-                                feedbackReport && <FeedbackReportDisplay report={feedbackReport} />
+                            {interviewState === 'in-progress' && codingProblem && (
+                                <CodingPanel
+                                    key={codingProblem.startedAt}
+                                    problem={codingProblem.problem}
+                                    startedAt={codingProblem.startedAt}
+                                    onSubmit={handleSubmitCode}
+                                    disabled={loading}
+                                />
                             )}
-                        </div>
-                    )}
-                </div>
 
-                <div className="flex gap-3 items-center">
-                    <input
-                        type="text"
-                        placeholder={
-                            isListening ? "Listening... Click the mic to stop and send." : 
-                            interviewState === 'in-progress' ? "Type or click the mic to speak..." : 
-                            "Start the interview first."
-                        }
-                        value={isListening ? liveTranscript : userInput}
-                        onChange={(e) => setUserInput(e.target.value)}
-                        onKeyDown={(e) => {
-                            if (e.key === 'Enter') handleAskQuestion(userInput);
-                        }}
-                        className={`flex-grow p-3 border-2 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 transition duration-200 shadow-md
-                            ${isListening ? 'bg-yellow-50 border-yellow-400' : 'bg-white border-gray-300'}
-                        `}
-                        disabled={loading || interviewState !== 'in-progress' || isStoppingRef.current}
-                    />
-                    <button
-                        onClick={() => handleAskQuestion(userInput)}
-                        disabled={loading || interviewState !== 'in-progress' || !userInput.trim() || isListening}
-                        className={`px-5 py-3 rounded-xl font-bold text-white shadow-lg transition duration-300 transform hover:scale-[1.02]
-                            ${loading || interviewState !== 'in-progress' || !userInput.trim() || isListening ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-500/50'}
-                        `}
-                        title="Send via text"
-                    >
-                        Send
-                    </button>
-                    <button
-                        onClick={toggleListening} 
-                        disabled={loading || interviewState !== 'in-progress'}
-                        className={`p-3 rounded-xl font-bold text-white shadow-lg transition duration-300 transform hover:scale-[1.02]
-                            ${isListening ? 'bg-red-500 hover:bg-red-600 animate-pulse shadow-red-500/50' : 'bg-green-600 hover:bg-green-700 shadow-green-500/50'}
-                            ${loading || interviewState !== 'in-progress' ? 'opacity-50 cursor-not-allowed' : ''}
-                        `}
-                        title={isListening ? "Click to stop recording and send" : "Start voice transcription"}
-                    >
-                        <Mic className="w-6 h-6" />
-                    </button>
+                            {interviewState === 'in-progress' && review && (
+                                <AnswerReview
+                                    review={review}
+                                    onChange={(text) => setReview(r => ({ ...r, text }))}
+                                    onSend={() => {
+                                        setReview(null);
+                                        handleAskQuestion(review.text.trim(), { delivery: review.delivery });
+                                    }}
+                                    onRerecord={toggleListening}
+                                    onDiscard={() => setReview(null)}
+                                    onRetryTranscription={() => transcribeRecording(review.recording)}
+                                    disabled={loading || transcribing || sessionError !== null}
+                                />
+                            )}
+
+                            <div className="flex gap-3 items-center">
+                                <input
+                                    type="text"
+                                    placeholder={
+                                        transcribing ? t('app.input.transcribing') :
+                                        isListening && !SpeechRecognition ? t('app.input.recording') :
+                                        isListening ? t('app.input.listening') :
+                                        interviewState === 'in-progress' ? t('app.input.ready') :
+                                        t('app.input.notStarted')
+                                    }
+                                    value={isListening ? liveTranscript : userInput}
+                                    onChange={(e) => {
+                                        engine.markAnswerStarted();
+                                        setUserInput(e.target.value);
+                                    }}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') handleAskQuestion(userInput);
+                                    }}
+                                    className={`flex-grow p-3 border-2 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 transition duration-200 shadow-md
+                                        ${isListening ? 'bg-yellow-50 border-yellow-400' : 'bg-white border-gray-300'}
+                                    `}
+                                    disabled={loading || interviewState !== 'in-progress' || isListening || transcribing || review !== null}
+                                />
+                                <button
+                                    onClick={() => handleAskQuestion(userInput)}
+                                    disabled={loading || sessionError !== null || interviewState !== 'in-progress' || !userInput.trim() || isListening}
+                                    className={`px-5 py-3 rounded-xl font-bold text-white shadow-lg transition duration-300 transform hover:scale-[1.02]
+                                        ${loading || sessionError || interviewState !== 'in-progress' || !userInput.trim() || isListening ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 shadow-indigo-500/50'}
+                                    `}
+                                    title={t('app.sendTitle')}
+                                >
+                                    {t('app.send')}
+                                </button>
+                                <button
+                                    onClick={toggleListening} 
+                                    disabled={loading || sessionError !== null || interviewState !== 'in-progress' || transcribing}
+                                    className={`p-3 rounded-xl font-bold text-white shadow-lg transition duration-300 transform hover:scale-[1.02]
+                                        ${isListening ? 'bg-red-500 hover:bg-red-600 animate-pulse shadow-red-500/50' : 'bg-green-600 hover:bg-green-700 shadow-green-500/50'}
+                                        ${loading || sessionError || interviewState !== 'in-progress' || transcribing ? 'opacity-50 cursor-not-allowed' : ''}
+                                    `}
+                                    title={isListening ? t('app.mic.stop') : t('app.mic.start')}
+                                >
+                                    <Mic className="w-6 h-6" />
+                                </button>
+                                <button
+                                    onClick={handleStartCoding}
+                                    disabled={loading || sessionError !== null || interviewState !== 'in-progress' || codingProblem !== null}
+                                    className="p-3 rounded-xl font-bold text-indigo-700 bg-indigo-100 hover:bg-indigo-200 shadow-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    title={t('coding.start')}
+                                >
+                                    <Code2 className="w-6 h-6" />
+                                </button>
+                            </div>
+                            {(SpeechRecognition || recordingSupported()) && (
+                                <label className="mt-2 flex items-center text-xs text-gray-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={voiceInput.reviewBeforeSending}
+                                        onChange={(e) => changeVoiceInput({ ...voiceInput, reviewBeforeSending: e.target.checked })}
+                                        className="mr-2"
+                                    />
+                                    {t('review.toggle')}
+                                </label>
+                            )}
+                        </>
+                    )}
                 </div>
             </div>
-        </div>
+        </I18nContext.Provider>
     );
 };
 
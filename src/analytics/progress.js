@@ -0,0 +1,89 @@
+// --- Progress Aggregation ---
+// Pure helpers that turn stored sessions into per-criterion score trends.
+// Reports may use different rubrics, so every score is rescaled to 1-5 before charting.
+import { DEFAULT_RUBRIC } from '../rubrics.js';
+
+export const PROGRESS_SCALE = 5;
+
+const OVERALL_CRITERION = { key: 'OverallScore', label: 'Overall', color: '#4f46e5' };
+const CRITERION_COLORS = ['#0891b2', '#16a34a', '#d97706', '#db2777', '#7c3aed', '#0d9488', '#dc2626', '#65a30d'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// Sessions with a usable report, oldest first.
+export const scoredSessions = (sessions) => sessions
+    .filter(s => s.feedbackReport && !s.feedbackReport.error && typeof s.feedbackReport.OverallScore === 'number')
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+const reportRubric = (report) => report.Rubric || DEFAULT_RUBRIC;
+
+// Maps a score on a 1..max scale onto 1..PROGRESS_SCALE.
+export const normalizeScore = (score, max) => (
+    max === PROGRESS_SCALE ? score : 1 + (score - 1) * (PROGRESS_SCALE - 1) / (max - 1)
+);
+
+// Overall first, then every criterion seen across the sessions' rubrics in first-seen order.
+export const progressCriteria = (sessions) => {
+    const criteria = [OVERALL_CRITERION];
+    const seen = new Set([OVERALL_CRITERION.key]);
+    scoredSessions(sessions).forEach(s => reportRubric(s.feedbackReport).criteria.forEach(c => {
+        if (seen.has(c.key)) return;
+        seen.add(c.key);
+        criteria.push({ key: c.key, label: c.label, color: CRITERION_COLORS[(criteria.length - 1) % CRITERION_COLORS.length] });
+    }));
+    return criteria;
+};
+
+export const distinctRoles = (sessions) => [...new Set(sessions.map(s => s.role).filter(Boolean))].sort();
+
+// `role` must match exactly; `query` is a case-insensitive search over the job description.
+export const filterSessions = (sessions, { role = '', query = '' } = {}) => {
+    const needle = query.trim().toLowerCase();
+    return sessions.filter(s => (
+        (!role || s.role === role) &&
+        (!needle || s.jobDescription.toLowerCase().includes(needle))
+    ));
+};
+
+// Mean of each value and up to `window - 1` values before it.
+export const rollingAverage = (values, window) => values.map((_, i) => (
+    average(values.slice(Math.max(0, i - window + 1), i + 1))
+));
+
+// Change in mean score between the last 7 days and the 7 days before that.
+// Null when either week has no sessions.
+export const weekOverWeek = (points, now = Date.now()) => {
+    const thisWeek = average(points.filter(p => now - p.createdAt < WEEK_MS).map(p => p.score));
+    const lastWeek = average(points.filter(p => now - p.createdAt >= WEEK_MS && now - p.createdAt < 2 * WEEK_MS).map(p => p.score));
+    return thisWeek === null || lastWeek === null ? null : thisWeek - lastWeek;
+};
+
+export const buildProgress = (sessions, { window = 3, now = Date.now() } = {}) => {
+    const scored = scoredSessions(sessions);
+
+    return progressCriteria(scored).map(criterion => {
+        const points = scored
+            .filter(s => typeof s.feedbackReport[criterion.key] === 'number')
+            .map(s => {
+                const rawScore = s.feedbackReport[criterion.key];
+                const max = reportRubric(s.feedbackReport).scale.max;
+                return { sessionId: s.id, title: s.title, createdAt: s.createdAt, score: normalizeScore(rawScore, max), rawScore, max };
+            });
+
+        const rolling = rollingAverage(points.map(p => p.score), window);
+        points.forEach((p, i) => { p.rollingAverage = rolling[i]; });
+
+        // Earliest session wins ties so the best marks when it was first reached.
+        const best = points.reduce((top, p) => (!top || p.score > top.score ? p : top), null);
+
+        return {
+            ...criterion,
+            points,
+            best,
+            currentAverage: rolling.length ? rolling[rolling.length - 1] : null,
+            weekOverWeek: weekOverWeek(points, now),
+        };
+    });
+};
@@ -0,0 +1,73 @@
+// --- TTS Audio Handling Functions (PCM to WAV conversion) ---
+
+export const base64ToArrayBuffer = (base64) => {
+    const binaryString = atob(base64);
+    const len = binaryString.length;
+    const bytes = new Uint8Array(len);
+    for (let i = 0; i < len; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+// For sending recorded audio inside a JSON payload. Converted in slices, since
+// spreading a long recording into one String.fromCharCode call overflows the stack.
+export const arrayBufferToBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+export const pcmToWav = (pcmData, sampleRate) => {
+    const numChannels = 1; 
+    const bitsPerSample = 16;
+    const bytesPerSample = bitsPerSample / 8;
+    const byteRate = sampleRate * numChannels * bytesPerSample;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = pcmData.byteLength;
+    const totalFileSize = 36 + dataSize;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+    const littleEndian = true;
+    const bigEndian = false; 
+
+    view.setUint32(offset, 0x52494646, bigEndian); 
+    offset += 4;
+    view.setUint32(offset, totalFileSize, littleEndian); 
+    offset += 4;
+    view.setUint32(offset, 0x57415645, bigEndian); 
+    offset += 4;
+
+    view.setUint32(offset, 0x666d7420, bigEndian); 
+    offset += 4;
+    view.setUint32(offset, 16, littleEndian); 
+    offset += 4;
+    view.setUint16(offset, 1, littleEndian); 
+    offset += 2;
+    view.setUint16(offset, numChannels, littleEndian); 
+    offset += 2;
+    view.setUint32(offset, sampleRate, littleEndian); 
+    offset += 4;
+    view.setUint32(offset, byteRate, littleEndian); 
+    offset += 4;
+    view.setUint16(offset, blockAlign, littleEndian); 
+    offset += 2;
+    view.setUint16(offset, bitsPerSample, littleEndian); 
+    offset += 2;
+
+    view.setUint32(offset, 0x64617461, bigEndian); 
+    offset += 4;
+    view.setUint32(offset, dataSize, littleEndian); 
+    offset += 4;
+
+    const pcmDataView = new Uint8Array(pcmData);
+    const wavDataView = new Uint8Array(buffer, offset, pcmDataView.byteLength);
+    wavDataView.set(pcmDataView);
+
+    return new Blob([buffer], { type: 'audio/wav' });
+};
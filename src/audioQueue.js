@@ -0,0 +1,216 @@
+// --- Gapless Audio Queue ---
+// Plays audio clips back to back in the order they were enqueued, even if they
+// finish downloading out of order. Clips are decoded with the Web Audio API and
+// scheduled on the AudioContext clock, so there is no gap between sentences.
+//
+// Each clip carries an `owner` (the chat message it belongs to) so the UI can
+// show which message is speaking. Pausing suspends the context clock; changing
+// the speed re-schedules whatever has not been heard yet.
+//
+// A clip can also be a SpeechSynthesisUtterance (the browser's offline voice,
+// see speech.js). It is spoken in its turn, once the audio before it has
+// finished; speed and mute apply to it from the next utterance on.
+
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5];
+
+const IDLE_STATE = { owner: null, paused: false };
+
+export const createAudioQueue = () => {
+    let context = null;
+    let output = null;
+    let nextStartTime = 0;
+    let tail = Promise.resolve();
+    let generation = 0;
+    let rate = 1;
+    let muted = false;
+    let paused = false;
+    // Scheduled clips in play order: { buffer, source, startAt, offset, rate, owner }.
+    let scheduled = [];
+    // Clips still downloading or decoding, oldest first.
+    let waiting = [];
+    // The utterance being spoken: { utterance, owner, done }.
+    let speaking = null;
+    // Resolves once the last scheduled clip has ended.
+    let onDrained = null;
+    let state = IDLE_STATE;
+    const listeners = new Set();
+
+    const getContext = () => {
+        if (!context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            context = new AudioContextClass();
+            output = context.createGain();
+            output.gain.value = muted ? 0 : 1;
+            output.connect(context.destination);
+        }
+        return context;
+    };
+
+    const emit = () => {
+        const owner = scheduled[0]?.owner ?? speaking?.owner ?? waiting[0]?.owner ?? null;
+        const next = owner === null && !paused ? IDLE_STATE : { owner, paused };
+        if (next.owner === state.owner && next.paused === state.paused) return;
+        state = next;
+        listeners.forEach(listener => listener());
+    };
+
+    // Starts `clip` at `offset` seconds into its buffer, right after whatever is already scheduled.
+    const schedule = (clip) => {
+        const ctx = getContext();
+        const source = ctx.createBufferSource();
+        source.buffer = clip.buffer;
+        source.playbackRate.value = rate;
+        source.connect(output);
+
+        const startAt = Math.max(ctx.currentTime, nextStartTime);
+        source.start(startAt, clip.offset);
+        nextStartTime = startAt + (clip.buffer.duration - clip.offset) / rate;
+
+        Object.assign(clip, { source, startAt, rate });
+        source.onended = () => {
+            // A re-scheduled clip has a new source; only the current one may retire it.
+            if (clip.source !== source) return;
+            scheduled = scheduled.filter(c => c !== clip);
+            if (scheduled.length === 0) drain();
+            emit();
+        };
+    };
+
+    const drain = () => {
+        onDrained?.();
+        onDrained = null;
+    };
+
+    const drained = () => (scheduled.length === 0 ? Promise.resolve() : new Promise((resolve) => {
+        onDrained = resolve;
+    }));
+
+    // Resolves when the utterance has been spoken, or cut off by `stop`.
+    const speak = (utterance, owner) => new Promise((resolve) => {
+        const done = () => {
+            if (speaking?.utterance === utterance) speaking = null;
+            resolve();
+            emit();
+        };
+        utterance.rate = rate;
+        utterance.volume = muted ? 0 : 1;
+        utterance.onend = done;
+        utterance.onerror = done;
+        speaking = { utterance, owner, done };
+        window.speechSynthesis.speak(utterance);
+        if (paused) window.speechSynthesis.pause();
+        emit();
+    });
+
+    const isUtterance = (clip) => typeof SpeechSynthesisUtterance !== 'undefined' && clip instanceof SpeechSynthesisUtterance;
+
+    // Accepts a Blob or utterance (or a promise of one). Null clips and failed fetches are skipped.
+    const enqueue = (blobOrPromise, owner = null) => {
+        const clipGeneration = generation;
+        const entry = { owner };
+        waiting.push(entry);
+        emit();
+
+        const decoded = Promise.resolve(blobOrPromise)
+            .then(async (blob) => {
+                if (!blob || isUtterance(blob)) return blob;
+                const ctx = getContext();
+                return ctx.decodeAudioData(await blob.arrayBuffer());
+            })
+            .catch(error => {
+                console.error("Error preparing audio clip:", error);
+                return null;
+            });
+
+        tail = tail.then(async () => {
+            const buffer = await decoded;
+            waiting = waiting.filter(e => e !== entry);
+            // Drop clips that belong to a turn that has since been stopped.
+            if (isUtterance(buffer) && clipGeneration === generation) {
+                await drained();
+                if (clipGeneration === generation) await speak(buffer, owner);
+            } else if (buffer && clipGeneration === generation) {
+                if (!paused) await getContext().resume();
+                const clip = { buffer, offset: 0, owner };
+                scheduled.push(clip);
+                schedule(clip);
+            }
+            emit();
+        });
+        return tail;
+    };
+
+    // Silences everything that is playing or still waiting to play.
+    const stop = () => {
+        generation += 1;
+        scheduled.forEach(clip => clip.source.stop());
+        scheduled = [];
+        waiting = [];
+        nextStartTime = 0;
+        drain();
+        if (speaking) {
+            const { done } = speaking;
+            window.speechSynthesis.cancel();
+            // A paused synthesizer stays paused for the next utterance otherwise.
+            if (paused) window.speechSynthesis.resume();
+            done();
+        }
+        if (paused) {
+            paused = false;
+            context?.resume();
+        }
+        emit();
+    };
+
+    const pause = () => {
+        if (paused || (!context && !speaking) || (scheduled.length === 0 && waiting.length === 0 && !speaking)) return;
+        paused = true;
+        context?.suspend();
+        if (speaking) window.speechSynthesis.pause();
+        emit();
+    };
+
+    const resume = () => {
+        if (!paused) return;
+        paused = false;
+        context?.resume();
+        if (speaking) window.speechSynthesis.resume();
+        emit();
+    };
+
+    // Applies a new speed from the current position onwards. Works while paused
+    // too, because the context clock is frozen then.
+    const setRate = (nextRate) => {
+        if (nextRate === rate) return;
+        const now = context ? context.currentTime : 0;
+        const pending = scheduled;
+
+        pending.forEach(clip => {
+            const played = Math.max(0, now - clip.startAt) * clip.rate;
+            clip.offset = Math.min(clip.offset + played, clip.buffer.duration);
+            clip.source.onended = null;
+            clip.source.stop();
+        });
+
+        rate = nextRate;
+        nextStartTime = now;
+        scheduled = pending.filter(clip => clip.offset < clip.buffer.duration);
+        scheduled.forEach(schedule);
+        emit();
+    };
+
+    const setMuted = (value) => {
+        muted = value;
+        if (output) output.gain.value = muted ? 0 : 1;
+    };
+
+    // For useSyncExternalStore: the snapshot only changes when owner or paused does.
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const getState = () => state;
+
+    return { enqueue, stop, pause, resume, setRate, setMuted, subscribe, getState };
+};
@@ -0,0 +1,162 @@
+// --- Sandboxed Code Runner ---
+// Candidate code runs in a throwaway Web Worker: no DOM, network APIs removed
+// from the global scope and every prototype it inherits from, and the worker is terminated if a single test runs longer than the timeout
+// (an infinite loop cannot hang the page). The candidate's code shares the
+// worker's global scope with the test harness, so the harness keeps its own
+// references to every built-in it uses, taken before that code runs, and
+// reports over a private MessagePort: replacing JSON, Object.is or
+// postMessage cannot fake a passing test.
+
+export const TEST_TIMEOUT_MS = 2000;
+const MAX_LOG_LINES = 50;
+
+// Runs inside the worker, so it must not reference anything from this module.
+const workerMain = () => {
+    // Most of these live on WorkerGlobalScope.prototype or its parents, so an
+    // own property on `self` would only shadow them until `delete self.fetch`.
+    const blocked = ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'importScripts', 'Worker', 'indexedDB', 'caches'];
+    for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+        blocked.forEach(name => {
+            if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+            try {
+                if (!delete scope[name]) Object.defineProperty(scope, name, { value: undefined });
+            } catch {
+                // Neither deletable nor redefinable; there is nothing else to do.
+            }
+        });
+    }
+
+    // Captured before the candidate's code runs; prototype methods are avoided
+    // below for the same reason (loops instead of forEach and every).
+    const { apply } = Reflect;
+    const { is, keys: keysOf } = Object;
+    const { isArray } = Array;
+    const hasOwn = Object.prototype.hasOwnProperty;
+    const stringify = JSON.stringify;
+    const toText = String;
+    const clone = structuredClone;
+    const now = performance.now.bind(performance);
+    const postToPort = MessagePort.prototype.postMessage;
+
+    const format = (value) => {
+        if (value === undefined) return 'undefined';
+        try {
+            return stringify(value);
+        } catch {
+            return toText(value);
+        }
+    };
+
+    const deepEqual = (a, b) => {
+        if (is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (isArray(a) !== isArray(b)) return false;
+        const keys = keysOf(a);
+        if (keys.length !== keysOf(b).length) return false;
+        for (let i = 0; i < keys.length; i++) {
+            if (!apply(hasOwn, b, [keys[i]]) || !deepEqual(a[keys[i]], b[keys[i]])) return false;
+        }
+        return true;
+    };
+
+    self.onmessage = ({ data, ports }) => {
+        const { code, functionName, tests, maxLogLines } = data;
+        const post = (message) => apply(postToPort, ports[0], [message]);
+        const logs = [];
+        console.log = (...args) => {
+            if (logs.length < maxLogLines) logs[logs.length] = args.map(a => typeof a === 'string' ? a : format(a)).join(' ');
+        };
+
+        let fn;
+        try {
+            fn = new Function(`"use strict";\n${code}\nreturn typeof ${functionName} === "function" ? ${functionName} : undefined;`)();
+        } catch (error) {
+            post({ type: 'error', error: toText(error) });
+            return;
+        }
+        if (!fn) {
+            post({ type: 'error', error: `${functionName} is not defined` });
+            return;
+        }
+
+        for (let index = 0; index < tests.length; index++) {
+            const test = tests[index];
+            const startedAt = now();
+            try {
+                const actual = apply(fn, undefined, clone(test.args));
+                post({ type: 'result', index, passed: deepEqual(actual, test.expected), actual: format(actual), ms: now() - startedAt });
+            } catch (error) {
+                post({ type: 'result', index, passed: false, error: toText(error?.message ?? error), ms: now() - startedAt });
+            }
+        }
+        post({ type: 'done', logs });
+    };
+};
+
+const WORKER_SOURCE = `(${workerMain.toString()})();`;
+
+// Resolves (never rejects) with { results, passed, total, error, logs }. Examples
+// run first and are marked `hidden: false`; the problem's tests follow.
+export const runTests = (code, problem, { timeoutMs = TEST_TIMEOUT_MS } = {}) => new Promise(resolve => {
+    const tests = [
+        ...problem.examples.map(test => ({ ...test, hidden: false })),
+        ...problem.tests.map(test => ({ ...test, hidden: true })),
+    ];
+    const results = [];
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    // Results come only through this channel; the worker's own postMessage is in reach of the candidate's code.
+    const channel = new MessageChannel();
+    let timer = null;
+
+    const finish = ({ error = null, logs = [], timedOut = false } = {}) => {
+        clearTimeout(timer);
+        worker.terminate();
+        channel.port1.close();
+        URL.revokeObjectURL(url);
+        // On a timeout, the first test without a result is the one that hung; the rest never ran.
+        const hung = results.length;
+        const all = tests.map((test, index) => ({
+            ...(results[index] || { index, passed: false, actual: null, ms: null, timedOut: timedOut && index === hung, notRun: !timedOut || index !== hung }),
+            args: test.args,
+            expected: test.expected,
+            hidden: test.hidden,
+        }));
+        resolve({
+            results: all,
+            passed: all.filter(r => r.passed).length,
+            total: all.length,
+            error: timedOut ? null : error,
+            logs,
+        });
+    };
+
+    // Re-armed after every result, so the limit applies to each test on its own.
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish({ timedOut: true }), timeoutMs);
+    };
+
+    channel.port1.onmessage = ({ data }) => {
+        if (data.type === 'result') {
+            results[data.index] = data;
+            arm();
+        } else if (data.type === 'done') {
+            finish({ logs: data.logs });
+        } else if (data.type === 'error') {
+            finish({ error: data.error });
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ error: event.message || 'The code could not be run.' });
+    };
+
+    arm();
+    worker.postMessage({
+        code,
+        functionName: problem.functionName,
+        tests: tests.map(({ args, expected }) => ({ args, expected })),
+        maxLogLines: MAX_LOG_LINES,
+    }, [channel.port2]);
+});
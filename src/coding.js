@@ -0,0 +1,214 @@
+import { clampScore } from './rubrics.js';
+
+// --- Live-Coding Exercises ---
+// The model writes a problem with visible examples and hidden tests; the
+// candidate's JavaScript is run against both in a worker (see codeRunner.js).
+// Arguments and expected values travel as JSON strings because the response
+// schema cannot describe arbitrary values.
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+export const CODING_PROBLEM_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        title: { type: "STRING", description: "A short problem title." },
+        spec: { type: "STRING", description: "The problem statement: what the function receives, what it returns, constraints and edge cases. No code." },
+        functionName: { type: "STRING", description: "Name of the JavaScript function the candidate must implement." },
+        starterCode: { type: "STRING", description: "A JavaScript function stub with that name and its parameters, and an empty body." },
+        examples: {
+            type: "ARRAY",
+            description: "2 worked examples shown to the candidate.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    args: { type: "STRING", description: "JSON array of the arguments, e.g. [[1,2,3], 4]." },
+                    expected: { type: "STRING", description: "JSON of the expected return value." },
+                },
+                propertyOrdering: ["args", "expected"],
+            },
+        },
+        tests: {
+            type: "ARRAY",
+            description: "4-8 hidden test cases, including edge cases, in the same format as the examples.",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    args: { type: "STRING" },
+                    expected: { type: "STRING" },
+                },
+                propertyOrdering: ["args", "expected"],
+            },
+        },
+    },
+    propertyOrdering: ["title", "spec", "functionName", "starterCode", "examples", "tests"],
+};
+
+export const CODING_PROBLEM_PROMPT = (jobContext, seniority) => `You are the interviewer in a live-coding round for the following Job Description or Role:
+"${jobContext}"
+
+Write one self-contained coding problem the candidate can solve in JavaScript in about 15-20 minutes, pitched at ${seniority}. Prefer a problem that relates to the role's domain. The solution must be a single pure function: deterministic, no I/O, no timers, and its inputs and output must be plain JSON values (numbers, strings, booleans, arrays, objects, null).
+Return the examples and hidden tests as JSON strings exactly as described in the schema, and make sure every expected value is correct.`;
+
+// Used when the model's problem can't be parsed or has no runnable tests.
+export const FALLBACK_PROBLEM = {
+    title: "Balanced Brackets",
+    spec: "Write isBalanced(s), which receives a string made of the characters ()[]{} and returns true if every bracket is closed by the matching bracket in the correct order, and false otherwise. The empty string is balanced.",
+    functionName: "isBalanced",
+    starterCode: "function isBalanced(s) {\n    \n}\n",
+    examples: [
+        { args: ["([]{})"], expected: true },
+        { args: ["(]"], expected: false },
+    ],
+    tests: [
+        { args: [""], expected: true },
+        { args: ["((("], expected: false },
+        { args: ["{[()()]}"], expected: true },
+        { args: ["())("], expected: false },
+        { args: ["[(])"], expected: false },
+        { args: ["}"], expected: false },
+    ],
+    generic: true,
+};
+
+const parseJSON = (text) => {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch {
+        return { ok: false };
+    }
+};
+
+const parseCases = (raw) => (Array.isArray(raw) ? raw : []).flatMap(item => {
+    const args = parseJSON(item?.args);
+    const expected = parseJSON(item?.expected);
+    return args.ok && expected.ok && Array.isArray(args.value) ? [{ args: args.value, expected: expected.value }] : [];
+});
+
+export const normalizeCodingProblem = (raw) => {
+    const functionName = typeof raw?.functionName === 'string' ? raw.functionName.trim() : '';
+    const examples = parseCases(raw?.examples);
+    const tests = parseCases(raw?.tests);
+    if (!IDENTIFIER.test(functionName) || tests.length === 0 || typeof raw.spec !== 'string' || !raw.spec.trim()) {
+        return FALLBACK_PROBLEM;
+    }
+
+    return {
+        title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : functionName,
+        spec: raw.spec.trim(),
+        functionName,
+        starterCode: typeof raw.starterCode === 'string' && raw.starterCode.includes(functionName)
+            ? raw.starterCode
+            : `function ${functionName}() {\n    \n}\n`,
+        examples,
+        tests,
+    };
+};
+
+const formatCall = (problem, test) => `${problem.functionName}(${test.args.map(a => JSON.stringify(a)).join(', ')})`;
+
+// The chat message that poses the problem. Hidden tests are never shown.
+export const CODING_PROBLEM_MESSAGE = (problem) => [
+    `${problem.title}`,
+    '',
+    problem.spec,
+    ...(problem.examples.length ? ['', ...problem.examples.map(e => `${formatCall(problem, e)} → ${JSON.stringify(e.expected)}`)] : []),
+].join('\n');
+
+// --- Edit Timeline ---
+// Edits are coalesced into one entry per window so the timeline stays short.
+const EDIT_WINDOW_MS = 15000;
+
+export const recordEdit = (timeline, at, code) => {
+    const last = timeline[timeline.length - 1];
+    const entry = { kind: 'edit', at, chars: code.length, lines: code.split('\n').length };
+    if (last?.kind === 'edit' && at - last.windowStart < EDIT_WINDOW_MS) {
+        return [...timeline.slice(0, -1), { ...entry, windowStart: last.windowStart }];
+    }
+    return [...timeline, { ...entry, windowStart: at }];
+};
+
+export const recordRun = (timeline, at, run) => [
+    ...timeline,
+    { kind: 'run', at, passed: run.passed, total: run.total, error: Boolean(run.error) },
+];
+
+const formatElapsed = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const describeTimeline = (timeline, submittedAt) => {
+    const runs = timeline.filter(e => e.kind === 'run');
+    const firstEdit = timeline.find(e => e.kind === 'edit');
+    const parts = [`${formatElapsed(submittedAt)} total`];
+    if (firstEdit) parts.push(`first edit at ${formatElapsed(firstEdit.windowStart)}`);
+    parts.push(runs.length === 0
+        ? 'never ran the tests'
+        : `${runs.length} test run${runs.length === 1 ? '' : 's'} (${runs.map(r => r.error ? 'error' : `${r.passed}/${r.total}`).join(' → ')})`);
+    return parts.join(', ');
+};
+
+// --- Submission ---
+// A round is { problem, code, run, timeline, submittedAt }, with times in ms since the problem was posed.
+// The candidate's chat message. Kept in English like other model-facing markers.
+export const CODING_SUBMISSION_TEXT = (round) => {
+    const { problem, code, run } = round;
+    const failing = run.results.filter(r => !r.passed);
+    return [
+        `[Code submission: ${problem.title}]`,
+        '```javascript',
+        code.trim(),
+        '```',
+        run.error
+            ? `Tests: could not run (${run.error}).`
+            : `Tests: ${run.passed}/${run.total} passed${failing.some(r => r.timedOut) ? ', some timed out' : ''}.`,
+        `Timeline: ${describeTimeline(round.timeline, round.submittedAt)}.`,
+    ].join('\n');
+};
+
+// Extra instruction for the interviewer's turn right after a submission.
+export const CODING_FOLLOW_UP_INSTRUCTION = "\n\nThe candidate has just submitted code for the live-coding problem. Ask one follow-up about it: a failing test or edge case, time and space complexity, or how they would improve readability. Do not reveal the hidden tests or write the solution for them.";
+
+// --- Feedback ---
+const describeRound = (round, index) => {
+    const { problem, run } = round;
+    const failed = run.results
+        .filter(r => !r.passed)
+        .map(r => `- ${formatCall(problem, r)} expected ${JSON.stringify(r.expected)}, ${r.timedOut ? 'timed out' : r.notRun ? 'not run' : r.error ? `threw ${r.error}` : `got ${r.actual}`}`);
+    return [
+        `Problem ${index + 1}: ${problem.title}`,
+        problem.spec,
+        'Final code:',
+        '```javascript',
+        round.code.trim(),
+        '```',
+        run.error ? `The code did not run: ${run.error}` : `Tests passed: ${run.passed}/${run.total}`,
+        ...failed,
+        `Timeline: ${describeTimeline(round.timeline, round.submittedAt)}.`,
+    ].join('\n');
+};
+
+export const CODING_FEEDBACK_SECTION = (rounds) => `\n\n--- Live-Coding Rounds ---
+${rounds.map(describeRound).join('\n\n')}
+
+For Coding, score Correctness from the test results above (all passing is the top of the scale; failing edge cases or errors lower it) and CodeQuality from readability, naming, structure and efficiency of the final code. Use the timeline to comment on how the candidate worked (testing early, iterating).`;
+
+export const CODING_SCHEMA = (rubric) => ({
+    type: "OBJECT",
+    description: "Assessment of the live-coding rounds.",
+    properties: {
+        Correctness: { type: "INTEGER", description: `How correct the final code is (1-${rubric.scale.max}).` },
+        CodeQuality: { type: "INTEGER", description: `Readability, structure and efficiency (1-${rubric.scale.max}).` },
+        Summary: { type: "STRING", description: "Two or three sentences on the solution and the way the candidate worked." },
+        Suggestions: { type: "ARRAY", items: { type: "STRING" }, description: "Concrete improvements to the code or approach." },
+    },
+    propertyOrdering: ["Correctness", "CodeQuality", "Summary", "Suggestions"],
+});
+
+export const normalizeCodingFeedback = (raw, rounds, rubric) => ({
+    Correctness: clampScore(raw?.Correctness, rubric),
+    CodeQuality: clampScore(raw?.CodeQuality, rubric),
+    Summary: typeof raw?.Summary === 'string' ? raw.Summary : '',
+    Suggestions: (Array.isArray(raw?.Suggestions) ? raw.Suggestions : []).filter(s => typeof s === 'string' && s.trim()),
+    Rounds: rounds.map(round => ({ title: round.problem.title, passed: round.run.passed, total: round.run.total })),
+});
@@ -0,0 +1,90 @@
+import { MessageSquarePlus, MessagesSquare, Trash2 } from 'lucide-react';
+import { useState } from 'react';
+import { useI18n } from '../i18n/index.js';
+
+// Mentor comments on one chat message (see shareLink.js). Without `onAdd`
+// and `onDelete` the thread is read-only.
+const AnnotationThread = ({ notes = [], onAdd, onDelete }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(null);
+
+    if (notes.length === 0 && !onAdd) return null;
+
+    const submit = () => {
+        if (!draft?.trim()) return;
+        onAdd(draft);
+        setDraft(null);
+    };
+
+    return (
+        <div className="mt-3 pt-2 border-t border-black/10 space-y-2">
+            {notes.map(note => (
+                <div key={note.id} className="p-2 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900">
+                    <div className="flex items-center text-xs font-semibold">
+                        <span>{note.author || t('mentor.anonymous')}</span>
+                        <span className="ml-2 font-normal text-amber-700">{new Date(note.at).toLocaleString()}</span>
+                        {onDelete && (
+                            <button onClick={() => onDelete(note.id)} title={t('mentor.delete')} className="ml-auto p-1 text-amber-600 hover:text-red-600">
+                                <Trash2 size={12} />
+                            </button>
+                        )}
+                    </div>
+                    <p className="mt-1 whitespace-pre-wrap">{note.text}</p>
+                </div>
+            ))}
+            {onAdd && (draft === null ? (
+                <button onClick={() => setDraft('')} className="flex items-center text-xs font-semibold text-indigo-600 hover:text-indigo-800">
+                    <MessageSquarePlus size={14} className="mr-1" /> {t('mentor.comment')}
+                </button>
+            ) : (
+                <div>
+                    <textarea
+                        autoFocus
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submit();
+                            if (e.key === 'Escape') setDraft(null);
+                        }}
+                        rows={3}
+                        placeholder={t('mentor.placeholder')}
+                        className="w-full p-2 border-2 border-amber-300 rounded-lg bg-white text-sm text-gray-800"
+                    />
+                    <div className="flex justify-end gap-2 mt-1">
+                        <button onClick={() => setDraft(null)} className="px-2 py-1 text-xs font-semibold text-gray-600 hover:text-gray-800">
+                            {t('common.cancel')}
+                        </button>
+                        <button onClick={submit} disabled={!draft.trim()} className="px-2 py-1 text-xs font-semibold text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:opacity-50">
+                            {t('mentor.add')}
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Every commented message with its thread, for views that do not show the transcript.
+export const MentorComments = ({ chatHistory, annotations }) => {
+    const { t } = useI18n();
+    const indexes = Object.keys(annotations || {}).map(Number).filter(i => chatHistory[i]).sort((a, b) => a - b);
+    if (indexes.length === 0) return null;
+
+    return (
+        <div className="mt-6 p-4 bg-white border border-amber-200 rounded-xl shadow-sm">
+            <h4 className="flex items-center text-lg font-bold text-amber-800 mb-2">
+                <MessagesSquare className="w-5 h-5 mr-2" /> {t('mentor.title')}
+            </h4>
+            {indexes.map(index => (
+                <div key={index} className="mt-3">
+                    <p className="text-sm text-gray-600 line-clamp-2">
+                        <span className="font-semibold">{chatHistory[index].role === 'model' ? t('bubble.interviewer') : t('bubble.you')}:</span> {chatHistory[index].parts[0].text}
+                    </p>
+                    <AnnotationThread notes={annotations[index]} />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AnnotationThread;
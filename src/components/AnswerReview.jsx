@@ -0,0 +1,44 @@
+import { Mic, RotateCcw, Send, Trash2 } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+
+// A spoken answer held back before sending, so misrecognized words can be
+// fixed. `review.failed` is set when the recording could not be transcribed;
+// it is kept so transcription can be tried again.
+const AnswerReview = ({ review, onChange, onSend, onRerecord, onDiscard, onRetryTranscription, disabled }) => {
+    const { t } = useI18n();
+    const buttonClass = "flex items-center px-3 py-1.5 rounded-lg text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed";
+
+    return (
+        <div className="mb-3 p-4 bg-yellow-50 border border-yellow-300 rounded-xl shadow-md">
+            <p className="text-sm font-semibold text-yellow-900 mb-2">{review.failed ? t('review.failed') : t('review.title')}</p>
+            {!review.failed && (
+                <textarea
+                    value={review.text}
+                    onChange={(e) => onChange(e.target.value)}
+                    rows={4}
+                    className="w-full p-2 border-2 border-yellow-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                    aria-label={t('review.title')}
+                />
+            )}
+            <div className="mt-2 flex flex-wrap justify-end gap-2">
+                <button onClick={onDiscard} disabled={disabled} className={`${buttonClass} text-gray-700 bg-gray-100 hover:bg-gray-200`}>
+                    <Trash2 className="w-4 h-4 mr-1" /> {t('review.discard')}
+                </button>
+                <button onClick={onRerecord} disabled={disabled} className={`${buttonClass} text-green-800 bg-green-100 hover:bg-green-200`}>
+                    <Mic className="w-4 h-4 mr-1" /> {t('review.rerecord')}
+                </button>
+                {review.failed ? (
+                    <button onClick={onRetryTranscription} disabled={disabled} className={`${buttonClass} text-white bg-indigo-600 hover:bg-indigo-700`}>
+                        <RotateCcw className="w-4 h-4 mr-1" /> {t('review.retryTranscription')}
+                    </button>
+                ) : (
+                    <button onClick={onSend} disabled={disabled || !review.text.trim()} className={`${buttonClass} text-white bg-indigo-600 hover:bg-indigo-700`}>
+                        <Send className="w-4 h-4 mr-1" /> {t('review.send')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AnswerReview;
@@ -0,0 +1,143 @@
+import { CheckCircle, Code2, Loader2, Play, Send, XCircle } from 'lucide-react';
+import { useState } from 'react';
+import { recordEdit, recordRun } from '../coding.js';
+import { runTests, TEST_TIMEOUT_MS } from '../codeRunner.js';
+import { useI18n } from '../i18n/index.js';
+
+const INDENT = '    ';
+
+const ResultRow = ({ result, number }) => {
+    const { t } = useI18n();
+    const status = result.passed ? t('coding.passed')
+        : result.timedOut ? t('coding.timedOut', { seconds: TEST_TIMEOUT_MS / 1000 })
+        : result.notRun ? t('coding.notRun')
+        : result.error ? t('coding.error', { error: result.error })
+        : t('coding.failed');
+
+    return (
+        <li className="flex items-start gap-2 text-sm">
+            {result.passed
+                ? <CheckCircle className="w-4 h-4 mt-0.5 text-green-600 flex-shrink-0" />
+                : <XCircle className="w-4 h-4 mt-0.5 text-red-600 flex-shrink-0" />}
+            <div>
+                <span className="font-semibold text-gray-700">
+                    {result.hidden ? t('coding.hidden', { number }) : t('coding.example', { number })}:
+                </span>{' '}
+                <span className={result.passed ? 'text-green-700' : 'text-red-700'}>{status}</span>
+                {/* Hidden tests only report pass/fail, so they stay hidden. */}
+                {!result.hidden && !result.passed && result.actual !== null && (
+                    <span className="block font-mono text-xs text-gray-600">
+                        {t('coding.expected', { expected: JSON.stringify(result.expected) })} · {t('coding.got', { actual: result.actual })}
+                    </span>
+                )}
+            </div>
+        </li>
+    );
+};
+
+// `startedAt` is when the problem was posed; the timeline is measured from it.
+// `onSubmit` receives the finished round: { problem, code, run, timeline, submittedAt }.
+const CodingPanel = ({ problem, startedAt, onSubmit, disabled }) => {
+    const { t } = useI18n();
+    const [code, setCode] = useState(problem.starterCode);
+    const [timeline, setTimeline] = useState([]);
+    const [run, setRun] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const edit = (next) => {
+        setCode(next);
+        setTimeline(tl => recordEdit(tl, Date.now() - startedAt, next));
+    };
+
+    // Tab indents instead of leaving the editor.
+    const handleKeyDown = (e) => {
+        if (e.key !== 'Tab' || e.shiftKey) return;
+        e.preventDefault();
+        const { selectionStart, selectionEnd } = e.target;
+        edit(code.slice(0, selectionStart) + INDENT + code.slice(selectionEnd));
+        requestAnimationFrame(() => {
+            e.target.selectionStart = e.target.selectionEnd = selectionStart + INDENT.length;
+        });
+    };
+
+    const runAll = async () => {
+        setRunning(true);
+        const result = await runTests(code, problem);
+        const nextTimeline = recordRun(timeline, Date.now() - startedAt, result);
+        setRun(result);
+        setTimeline(nextTimeline);
+        setRunning(false);
+        return { result, nextTimeline };
+    };
+
+    // Submitting always runs the latest code first, so the results match what is sent.
+    const submit = async () => {
+        const { result, nextTimeline } = await runAll();
+        onSubmit({ problem, code, run: result, timeline: nextTimeline, submittedAt: Date.now() - startedAt });
+    };
+
+    const busy = disabled || running;
+    // Examples run first, so hidden tests are numbered after them.
+    const numberOf = (i) => i < problem.examples.length ? i + 1 : i - problem.examples.length + 1;
+
+    return (
+        <div className="mb-6 p-4 bg-slate-50 border-2 border-slate-200 rounded-xl shadow-inner">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="flex items-center font-bold text-slate-800">
+                    <Code2 className="w-5 h-5 mr-2 text-indigo-600" />
+                    {t('coding.title', { title: problem.title })}
+                </h4>
+                <span className="text-xs font-mono text-gray-500">{problem.functionName}()</span>
+            </div>
+            {problem.generic && <p className="text-sm text-yellow-700 mb-2">{t('coding.fallback')}</p>}
+            <label className="block text-xs font-semibold text-gray-600 mb-1">{t('coding.editorLabel')}</label>
+            <textarea
+                value={code}
+                onChange={(e) => edit(e.target.value)}
+                onKeyDown={handleKeyDown}
+                spellCheck={false}
+                disabled={disabled}
+                className="w-full h-64 p-3 font-mono text-sm bg-slate-900 text-slate-100 rounded-lg border-2 border-slate-700 focus:border-indigo-500 resize-y"
+            />
+            <div className="flex flex-wrap items-center gap-3 mt-3">
+                <button
+                    onClick={runAll}
+                    disabled={busy}
+                    className="flex items-center px-4 py-2 rounded-lg font-semibold text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+                >
+                    {running ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+                    {running ? t('coding.running') : t('coding.run')}
+                </button>
+                <button
+                    onClick={submit}
+                    disabled={busy || !code.trim()}
+                    className="flex items-center px-4 py-2 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    <Send className="w-4 h-4 mr-2" />
+                    {t('coding.submit')}
+                </button>
+                {run && !run.error && (
+                    <span className={`font-semibold ${run.passed === run.total ? 'text-green-700' : 'text-gray-700'}`}>
+                        {t('coding.summary', { passed: run.passed, total: run.total })}
+                    </span>
+                )}
+            </div>
+            {run?.error && <p className="mt-3 text-sm text-red-700 font-mono">{t('coding.compileError', { error: run.error })}</p>}
+            {run && !run.error && (
+                <ul className="mt-3 space-y-1">
+                    {run.results.map((result, i) => (
+                        <ResultRow key={i} result={result} number={numberOf(i)} />
+                    ))}
+                </ul>
+            )}
+            {run?.logs.length > 0 && (
+                <details className="mt-3">
+                    <summary className="cursor-pointer text-xs text-gray-500">{t('coding.console')}</summary>
+                    <pre className="mt-1 p-2 max-h-32 overflow-y-auto bg-white border rounded text-xs whitespace-pre-wrap">{run.logs.join('\n')}</pre>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default CodingPanel;
@@ -0,0 +1,76 @@
+import { Mic, Pause, Play, RotateCcw, Volume2 } from 'lucide-react';
+import { PLAYBACK_RATES } from '../audioQueue.js';
+import { useI18n } from '../i18n/index.js';
+import { VOICE_SOURCES } from '../speech.js';
+
+// `player.status` is 'playing' or 'paused' while this message is the one being heard, else 'idle'.
+// `player.sources` lists the voice sources its audio came from (see speech.js).
+const AudioControls = ({ player }) => {
+    const { t } = useI18n();
+    const buttonClass = "p-1 rounded text-indigo-500 hover:text-indigo-700 hover:bg-indigo-200";
+
+    return (
+        <div className="flex items-center gap-1 ml-auto">
+            {player.sources.length > 0 && (
+                <span className="mr-1 text-xs font-normal text-indigo-400" title={t('voice.sourceHint')}>
+                    {VOICE_SOURCES.filter(source => player.sources.includes(source)).map(source => t(`voice.source.${source}`)).join(' · ')}
+                </span>
+            )}
+            {player.status === 'playing' && (
+                <button onClick={player.onPause} className={buttonClass} title={t('bubble.pause')}>
+                    <Pause size={14} />
+                </button>
+            )}
+            {player.status === 'paused' && (
+                <button onClick={player.onResume} className={buttonClass} title={t('bubble.resume')}>
+                    <Play size={14} />
+                </button>
+            )}
+            <button onClick={player.onReplay} className={buttonClass} title={t('bubble.replay')}>
+                <RotateCcw size={14} />
+            </button>
+            <select
+                value={player.rate}
+                onChange={(e) => player.onRateChange(Number(e.target.value))}
+                className="text-xs bg-transparent text-indigo-600 rounded hover:bg-indigo-200"
+                title={t('bubble.speed')}
+            >
+                {PLAYBACK_RATES.map(rate => <option key={rate} value={rate}>{rate}×</option>)}
+            </select>
+        </div>
+    );
+};
+
+// `speaker` names the panelist behind an interviewer message in a panel interview.
+// `children` go under the text, e.g. mentor comments on the message.
+const ConversationBubble = ({ message, speaker = null, isStreaming = false, player = null, children = null }) => {
+    const { t } = useI18n();
+    const isAI = message.role === 'model';
+    const text = message.parts[0].text;
+    const color = isAI ? 'bg-indigo-100 text-indigo-900' : 'bg-green-100 text-green-900';
+    const alignment = isAI ? 'justify-start' : 'justify-end';
+    const label = isAI ? speaker || t('bubble.interviewer') : t('bubble.you');
+    const speaking = player && player.status !== 'idle';
+    const icon = isAI
+        ? <Volume2 size={16} className={`text-indigo-500 mr-2 ${speaking ? 'animate-pulse' : ''}`} />
+        : <Mic size={16} className="text-green-500 mr-2" />;
+
+    return (
+        <div className={`flex ${alignment} my-3`}>
+            <div className={`max-w-[80%] p-4 rounded-xl shadow-lg ${color} transition-all duration-300`}>
+                <div className="flex items-center font-semibold mb-1 text-sm">
+                    {icon}
+                    <span>{label}</span>
+                    {isAI && player && <AudioControls player={player} />}
+                </div>
+                <p className="whitespace-pre-wrap text-base">
+                    {text}
+                    {isStreaming && <span className="inline-block w-2 h-4 ml-1 align-middle bg-indigo-400 animate-pulse" />}
+                </p>
+                {children}
+            </div>
+        </div>
+    );
+};
+
+export default ConversationBubble;
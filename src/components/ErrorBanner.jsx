@@ -0,0 +1,36 @@
+import { AlertTriangle, RotateCcw } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+
+// Shown instead of a chat message when the opening question, a reply or the
+// report failed. `error` is the session engine's { stage, kind, message }.
+const ErrorBanner = ({ error, onRetry, disabled }) => {
+    const { t } = useI18n();
+
+    return (
+        <div role="alert" className="p-4 bg-red-50 border border-red-200 rounded-xl text-red-800">
+            <div className="flex items-start gap-3">
+                <AlertTriangle className="w-5 h-5 mt-0.5 flex-shrink-0 text-red-500" />
+                <div className="flex-grow">
+                    <p className="font-semibold">{t(`app.error.${error.stage}`)}</p>
+                    <p className="text-sm">{t(`app.error.kind.${error.kind}`)}</p>
+                    {error.kind !== 'aborted' && (
+                        <details className="mt-1 text-xs text-red-700">
+                            <summary className="cursor-pointer">{t('app.error.details')}</summary>
+                            <p className="mt-1 break-words font-mono">{error.message}</p>
+                        </details>
+                    )}
+                </div>
+                <button
+                    onClick={onRetry}
+                    disabled={disabled}
+                    className="flex items-center px-3 py-1.5 rounded-lg text-sm font-bold text-white bg-red-600 hover:bg-red-700 whitespace-nowrap disabled:opacity-50"
+                >
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    {error.stage === 'feedback' ? t('app.error.retryReport') : t('app.error.retryTurn')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ErrorBanner;
@@ -0,0 +1,49 @@
+import { FileJson, FileText, Link2, Printer } from 'lucide-react';
+import { useState } from 'react';
+import { downloadText, fileSlug, printHtml } from '../download.js';
+import { useI18n } from '../i18n/index.js';
+import { exportSessionBundle, sessionToMarkdown, sessionToPrintHtml } from '../sessionExport.js';
+import { buildSharePayload, copyShareLink } from '../shareLink.js';
+import ShareLinkResult from './ShareLinkResult.jsx';
+
+const ExportMenu = ({ session }) => {
+    const { t } = useI18n();
+    const stem = `interview-${fileSlug(session.title)}`;
+    const [share, setShare] = useState(null);
+    // A review link only makes sense once there is a report to review.
+    const canShare = Boolean(session.feedbackReport && !session.feedbackReport.error);
+
+    const handleShare = () => copyShareLink(buildSharePayload(session, session.annotations))
+        .then(setShare)
+        .catch(error => {
+            console.error("Error creating share link:", error);
+            setShare({ error: true });
+        });
+
+    const buttonClass = "flex items-center px-3 py-2 text-sm font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50";
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm font-semibold text-gray-600">{t('export.label')}</span>
+                <button onClick={() => downloadText(`${stem}.md`, sessionToMarkdown(session), 'text/markdown')} className={buttonClass}>
+                    <FileText className="w-4 h-4 mr-1" /> {t('export.markdown')}
+                </button>
+                <button onClick={() => downloadText(`${stem}.json`, exportSessionBundle(session))} title={t('export.jsonHint')} className={buttonClass}>
+                    <FileJson className="w-4 h-4 mr-1" /> {t('export.json')}
+                </button>
+                <button onClick={() => printHtml(sessionToPrintHtml(session))} title={t('export.pdfHint')} className={buttonClass}>
+                    <Printer className="w-4 h-4 mr-1" /> {t('export.pdf')}
+                </button>
+                {canShare && (
+                    <button onClick={handleShare} title={t('share.hint')} className={buttonClass}>
+                        <Link2 className="w-4 h-4 mr-1" /> {t('share.button')}
+                    </button>
+                )}
+            </div>
+            <ShareLinkResult result={share} />
+        </div>
+    );
+};
+
+export default ExportMenu;
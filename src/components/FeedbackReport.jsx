@@ -0,0 +1,305 @@
+import { Star } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+import { DEFAULT_RUBRIC } from '../rubrics.js';
+import { formatFillers, LONG_PAUSE_MS, summarizeDelivery } from '../speechMetrics.js';
+import QuestionFeedbackSection from './QuestionFeedback.jsx';
+
+const ScoreBadge = ({ score, max }) => {
+    const clamped = Math.min(max, Math.max(1, score));
+    const fraction = clamped / max;
+    const colorClass = fraction >= 0.8 ? 'bg-green-600' : fraction >= 0.6 ? 'bg-yellow-600' : 'bg-red-600';
+
+    return (
+        <div className={`flex items-center justify-center w-14 h-14 rounded-full text-white font-extrabold text-xl ${colorClass} shadow-xl`}>
+            {clamped}
+        </div>
+    );
+};
+
+const StarRating = ({ score, max }) => {
+    const stars = [];
+    for (let i = 1; i <= max; i++) {
+        stars.push(
+            <Star
+                key={i}
+                size={max > 5 ? 14 : 22}
+                className={i <= score ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}
+            />
+        );
+    }
+    return <div className="flex space-x-1">{stars}</div>;
+};
+
+const formatMs = (ms) => ms === null ? '–' : `${(ms / 1000).toFixed(1)}s`;
+
+const PacingSection = ({ timings }) => {
+    const { t } = useI18n();
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.pacing')}</h4>
+            <div className="overflow-x-auto bg-white rounded-xl shadow-lg border border-gray-100">
+                <table className="w-full text-sm">
+                    <thead className="bg-indigo-50 text-indigo-900">
+                        <tr>
+                            <th className="p-2 text-left">#</th>
+                            <th className="p-2 text-left">{t('report.question')}</th>
+                            <th className="p-2 text-right" title={t('report.latencyHint')}>{t('report.latency')}</th>
+                            <th className="p-2 text-right">{t('report.duration')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {timings.map((timing, i) => (
+                            <tr key={i} className="border-t border-gray-100">
+                                <td className="p-2 text-gray-500">{i + 1}</td>
+                                <td className="p-2 text-gray-700">{timing.question}</td>
+                                <td className="p-2 text-right font-mono">{formatMs(timing.latencyMs)}</td>
+                                <td className={`p-2 text-right font-mono ${timing.timedOut ? 'text-red-600' : ''}`}>
+                                    {formatMs(timing.durationMs)}{timing.timedOut ? ` ${t('report.timedOut')}` : ''}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const DeliveryStat = ({ label, value, hint }) => (
+    <div className="p-3 bg-white rounded-xl shadow border border-gray-100 text-center" title={hint}>
+        <p className="text-xs text-gray-500">{label}</p>
+        <p className="text-lg font-bold text-gray-800">{value ?? '–'}</p>
+    </div>
+);
+
+const DeliverySection = ({ timings }) => {
+    const { t } = useI18n();
+    const summary = summarizeDelivery(timings);
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.delivery')}</h4>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+                <DeliveryStat label={t('report.averagePace')} value={summary.averageWordsPerMinute && t('report.wpm', { value: summary.averageWordsPerMinute })} hint={t('report.averagePaceHint')} />
+                <DeliveryStat label={t('report.fillersPer100')} value={summary.fillersPer100Words} />
+                <DeliveryStat label={t('report.longPauses')} value={summary.spokenAnswers ? summary.longPauses : null} hint={t('report.longPausesHint', { seconds: LONG_PAUSE_MS / 1000 })} />
+                <DeliveryStat label={t('report.averageAnswer')} value={t('report.words', { count: summary.averageWords })} />
+            </div>
+            <div className="overflow-x-auto bg-white rounded-xl shadow-lg border border-gray-100">
+                <table className="w-full text-sm">
+                    <thead className="bg-indigo-50 text-indigo-900">
+                        <tr>
+                            <th className="p-2 text-left">#</th>
+                            <th className="p-2 text-left">{t('report.answer')}</th>
+                            <th className="p-2 text-right">{t('report.wordsColumn')}</th>
+                            <th className="p-2 text-right">{t('report.pace')}</th>
+                            <th className="p-2 text-left">{t('report.fillers')}</th>
+                            <th className="p-2 text-right">{t('report.longPauses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {timings.map((timing, i) => timing.delivery && (
+                            <tr key={i} className="border-t border-gray-100">
+                                <td className="p-2 text-gray-500">{i + 1}</td>
+                                <td className="p-2 text-gray-700">{timing.delivery.source === 'speech' ? t('report.spoken') : t('report.typed')}</td>
+                                <td className="p-2 text-right font-mono">{timing.delivery.wordCount}</td>
+                                <td className="p-2 text-right font-mono">{timing.delivery.wordsPerMinute ? t('report.wpm', { value: timing.delivery.wordsPerMinute }) : '–'}</td>
+                                <td className="p-2 text-gray-700">{timing.delivery.fillerTotal ? formatFillers(timing.delivery.fillers) : t('report.none')}</td>
+                                <td className="p-2 text-right font-mono">
+                                    {timing.delivery.longPauses === null ? '–' : timing.delivery.longPauses}
+                                    {timing.delivery.longPauses > 0 && ` ${t('report.longestPause', { seconds: (timing.delivery.longestPauseMs / 1000).toFixed(1) })}`}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+const ResumeFitSection = ({ fit }) => {
+    const { t } = useI18n();
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.resumeFit')}</h4>
+            <div className="p-5 bg-white rounded-xl shadow-lg border border-gray-100 space-y-4">
+                {fit.Summary && <p className="text-gray-800">{fit.Summary}</p>}
+                {fit.Matches.length > 0 && (
+                    <div>
+                        <h5 className="font-bold text-green-700 mb-1">{t('report.resumeMatches')}</h5>
+                        <ul className="ml-5 list-disc text-gray-700">
+                            {fit.Matches.map((match, i) => <li key={i}>{match}</li>)}
+                        </ul>
+                    </div>
+                )}
+                {fit.Gaps.length > 0 && (
+                    <div>
+                        <h5 className="font-bold text-red-700 mb-1">{t('report.resumeGaps')}</h5>
+                        <ul className="space-y-2">
+                            {fit.Gaps.map((gap, i) => (
+                                <li key={i} className="p-3 bg-red-50 rounded-lg text-sm">
+                                    <p className="font-semibold text-gray-800">{gap.Requirement}</p>
+                                    {gap.Interview && <p className="text-gray-700"><span className="font-semibold">{t('report.resumeInterview')}</span> {gap.Interview}</p>}
+                                    {gap.Suggestion && <p className="text-gray-700"><span className="font-semibold">{t('report.resumeNext')}</span> {gap.Suggestion}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const CodingSection = ({ coding, max }) => {
+    const { t } = useI18n();
+    const scores = [
+        [t('report.correctness'), coding.Correctness],
+        [t('report.codeQuality'), coding.CodeQuality],
+    ];
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.coding')}</h4>
+            <div className="p-5 bg-white rounded-xl shadow-lg border border-gray-100 space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                    {scores.map(([label, score]) => (
+                        <div key={label} className="text-center">
+                            <h5 className="text-base font-bold text-gray-700 mb-2">{label}</h5>
+                            <div className="flex justify-center"><StarRating score={score} max={max} /></div>
+                        </div>
+                    ))}
+                </div>
+                <ul className="text-sm text-gray-600">
+                    {coding.Rounds.map((round, i) => (
+                        <li key={i}>{t('report.codingRound', { title: round.title, passed: round.passed, total: round.total })}</li>
+                    ))}
+                </ul>
+                {coding.Summary && <p className="text-gray-800">{coding.Summary}</p>}
+                {coding.Suggestions.length > 0 && (
+                    <ul className="ml-5 list-disc text-gray-700">
+                        {coding.Suggestions.map((suggestion, i) => <li key={i}>{suggestion}</li>)}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Each panelist's averages over the questions they asked (see panel.js).
+const PanelSection = ({ panel, rubric }) => {
+    const { t } = useI18n();
+    const max = rubric.scale.max;
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.panel')}</h4>
+            <div className="overflow-x-auto bg-white rounded-xl shadow-lg border border-gray-100">
+                <table className="w-full text-sm">
+                    <thead className="bg-indigo-50 text-indigo-900">
+                        <tr>
+                            <th className="p-2 text-left">{t('report.panelist')}</th>
+                            <th className="p-2 text-right">{t('report.panelQuestions')}</th>
+                            {rubric.criteria.map(c => <th key={c.key} className="p-2 text-right">{c.label}</th>)}
+                            <th className="p-2 text-right">{t('report.overallShort')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {panel.map(panelist => (
+                            <tr key={panelist.id} className="border-t border-gray-100 align-top">
+                                <td className="p-2 text-gray-700">
+                                    <p className="font-semibold">{panelist.name} <span className="font-normal text-gray-500">({t(`panel.role.${panelist.role}`)})</span></p>
+                                    {panelist.comment && <p className="mt-1 text-xs text-gray-600">{panelist.comment}</p>}
+                                </td>
+                                <td className="p-2 text-right font-mono">{panelist.questions}</td>
+                                {rubric.criteria.map(c => <td key={c.key} className="p-2 text-right font-mono">{panelist.scores[c.key] ?? '–'}</td>)}
+                                <td className="p-2 text-right font-mono font-bold">{panelist.overall === null ? '–' : `${panelist.overall}/${max}`}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="mt-2 text-xs text-gray-500">{t('report.panelHint')}</p>
+        </div>
+    );
+};
+
+// `onRetryQuestion` and `onSpeak` are optional; without them the report is read-only.
+const FeedbackReportDisplay = ({ report, onRetryQuestion, onSpeak }) => {
+    const { t } = useI18n();
+
+    if (report.error) {
+        return <p className="text-red-600 font-semibold">{report.error}</p>;
+    }
+
+    // Reports from before custom rubrics were scored on the default one.
+    const rubric = report.Rubric || DEFAULT_RUBRIC;
+    const max = rubric.scale.max;
+    
+    const renderDetailedFeedback = (text) => {
+        const lines = text.split('\n').filter(line => line.trim().length > 0);
+        return lines.map((line, index) => {
+            if (line.trim().startsWith('*') || line.trim().startsWith('-')) {
+                return <li key={index} className="ml-5 list-disc text-gray-700">{line.replace(/^[*-]\s*/, '').trim()}</li>;
+            }
+            return <p key={index} className="font-semibold text-gray-800 mb-2">{line.trim()}</p>;
+        });
+    };
+
+
+    return (
+        <div className="space-y-8">
+            <div className="flex items-center justify-between p-5 bg-indigo-50 border-l-4 border-indigo-600 rounded-xl shadow-md">
+                <h4 className="text-2xl font-extrabold text-indigo-900">{t('report.overall')}</h4>
+                <div className="flex items-center space-x-3">
+                    <ScoreBadge score={report.OverallScore} max={max} />
+                    <span className="text-indigo-600 font-semibold text-lg">/ {max.toFixed(1)}</span>
+                </div>
+            </div>
+
+            {report.Rubric && (
+                <p className="text-sm text-gray-500 -mt-4">{t('report.scoredWith', { name: rubric.name })}</p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {rubric.criteria.map(({ key, label, description, weight }) => (
+                    <div key={key} className="p-4 bg-white rounded-xl shadow-lg border border-gray-200 text-center" title={description}>
+                        <h5 className="text-base font-bold text-gray-700 mb-2">{label}</h5>
+                        <div className="flex justify-center"><StarRating score={report[key]} max={max} /></div>
+                        {rubric.criteria.some(c => c.weight !== 1) && (
+                            <p className="text-xs text-gray-500 mt-1">{t('report.weight', { weight })}</p>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div>
+                <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('report.insights')}</h4>
+                <div className="p-5 bg-white rounded-xl shadow-lg border border-gray-100">
+                    <ul className="list-none space-y-2">
+                       {renderDetailedFeedback(report.DetailedFeedback)}
+                    </ul>
+                </div>
+            </div>
+
+            {report.ResumeFit && <ResumeFitSection fit={report.ResumeFit} />}
+
+            {report.Coding && <CodingSection coding={report.Coding} max={max} />}
+
+            {report.Panel?.length > 0 && <PanelSection panel={report.Panel} rubric={rubric} />}
+
+            {report.QuestionFeedback?.length > 0 && (
+                <QuestionFeedbackSection items={report.QuestionFeedback} rubric={rubric} onRetry={onRetryQuestion} onSpeak={onSpeak} />
+            )}
+
+            {report.answerTimings?.length > 0 && <PacingSection timings={report.answerTimings} />}
+
+            {report.answerTimings?.some(timing => timing.delivery) && <DeliverySection timings={report.answerTimings} />}
+        </div>
+    );
+};
+
+export default FeedbackReportDisplay;
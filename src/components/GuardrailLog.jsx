@@ -0,0 +1,39 @@
+import { ShieldAlert } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+
+// Interviewer drafts the guardrails rejected (see guardrails.js), for review
+// after the interview. `entries` is the engine's `guardrailLog`.
+const GuardrailLog = ({ entries }) => {
+    const { t } = useI18n();
+    if (entries.length === 0) return null;
+
+    return (
+        <details className="mt-6 p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-900">
+            <summary className="cursor-pointer font-semibold flex items-center">
+                <ShieldAlert className="w-4 h-4 mr-2 text-amber-600" />
+                {t('guard.title', { count: entries.length })}
+            </summary>
+            <p className="mt-2 text-xs text-amber-800">{t('guard.hint')}</p>
+            <ul className="mt-3 space-y-3">
+                {entries.map(entry => (
+                    <li key={`${entry.index}-${entry.attempt}-${entry.at}`} className="border-t border-amber-200 pt-2">
+                        <p className="font-medium">
+                            {t('guard.entry', { index: entry.index, attempt: entry.attempt })}
+                            <span className="mx-1">·</span>
+                            {entry.rules.map(rule => t(`guard.rule.${rule}`)).join(', ')}
+                            <span className="mx-1">·</span>
+                            {t(`guard.action.${entry.action}`)}
+                        </p>
+                        {entry.excerpt && (
+                            <blockquote className="mt-1 pl-3 border-l-2 border-amber-300 text-xs whitespace-pre-wrap text-amber-800">
+                                {entry.excerpt}
+                            </blockquote>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+};
+
+export default GuardrailLog;
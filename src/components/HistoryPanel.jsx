@@ -0,0 +1,193 @@
+import { ArrowLeft, Check, Eye, Pencil, PlayCircle, Trash2, Upload, X } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useI18n } from '../i18n/index.js';
+import { errorText } from '../inputError.js';
+import { describePanelist, findPanelist } from '../panel.js';
+import { parseSessionBundle } from '../sessionExport.js';
+import { deleteSession, listSessions, renameSession, saveSession } from '../storage/sessions.js';
+import AnnotationThread from './Annotations.jsx';
+import ConversationBubble from './ConversationBubble.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import FeedbackReportDisplay from './FeedbackReport.jsx';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const SessionViewer = ({ session, onBack }) => {
+    const { t } = useI18n();
+    const speakerLabel = (index) => {
+        const panelist = findPanelist(session.panel, session.speakers?.[index]);
+        return panelist ? describePanelist(panelist, t(`panel.role.${panelist.role}`)) : null;
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <button onClick={onBack} className="flex items-center text-indigo-600 hover:text-indigo-800 font-semibold">
+                    <ArrowLeft className="w-4 h-4 mr-1" /> {t('history.back')}
+                </button>
+                <ExportMenu session={session} />
+            </div>
+
+            <div>
+                <h3 className="text-2xl font-bold text-indigo-700">{session.title}</h3>
+                <p className="text-sm text-gray-500">{formatDate(session.createdAt)}</p>
+                <p className="mt-3 p-3 bg-indigo-50 rounded-lg text-sm text-gray-700 whitespace-pre-wrap">{session.jobDescription}</p>
+            </div>
+
+            <div>
+                <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('history.transcript')}</h4>
+                <div className="bg-gray-100 p-4 border-2 border-gray-200 rounded-xl max-h-[400px] overflow-y-auto shadow-inner">
+                    {session.chatHistory.map((message, index) => (
+                        <ConversationBubble key={index} message={message} speaker={speakerLabel(index)}>
+                            <AnnotationThread notes={session.annotations?.[index]} />
+                        </ConversationBubble>
+                    ))}
+                </div>
+            </div>
+
+            {session.feedbackReport && (
+                <div>
+                    <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('history.report')}</h4>
+                    <FeedbackReportDisplay report={session.feedbackReport} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+const HistoryPanel = ({ onResume, activeSessionId }) => {
+    const { t } = useI18n();
+    const [sessions, setSessions] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+    const [importError, setImportError] = useState(null);
+
+    const refresh = () => listSessions()
+        .then(setSessions)
+        .catch(error => {
+            console.error("Error loading sessions:", error);
+            setSessions([]);
+        });
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const handleDelete = async (session) => {
+        if (!window.confirm(t('history.confirmDelete', { title: session.title }))) return;
+        await deleteSession(session.id);
+        refresh();
+    };
+
+    const handleRename = async (id) => {
+        await renameSession(id, draftTitle);
+        setEditingId(null);
+        refresh();
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await saveSession(parseSessionBundle(await file.text()));
+            setImportError(null);
+            refresh();
+        } catch (error) {
+            setImportError(t('history.importError', { error: errorText(t, error) }));
+        }
+    };
+
+    const importControl = (
+        <div className="flex items-center justify-end gap-3 mb-3">
+            {importError && <p className="text-sm text-red-600">{importError}</p>}
+            <label className="flex items-center px-3 py-2 text-sm font-semibold text-indigo-700 bg-white border border-indigo-200 rounded-lg hover:bg-indigo-50 cursor-pointer">
+                <Upload className="w-4 h-4 mr-1" /> {t('history.import')}
+                <input type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+            </label>
+        </div>
+    );
+
+    if (selected) {
+        return <SessionViewer session={selected} onBack={() => setSelected(null)} />;
+    }
+
+    if (!sessions) {
+        return <p className="text-center text-gray-500 mt-20">{t('history.loading')}</p>;
+    }
+
+    if (sessions.length === 0) {
+        return (
+            <div>
+                {importControl}
+                <p className="text-center text-gray-500 mt-20">{t('history.empty')}</p>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            {importControl}
+            <ul className="space-y-3">
+                {sessions.map(session => (
+                    <li key={session.id} className="p-4 bg-white rounded-xl shadow-md border border-gray-200 flex items-center gap-3">
+                        <div className="flex-grow min-w-0">
+                            {editingId === session.id ? (
+                                <input
+                                    autoFocus
+                                    value={draftTitle}
+                                    onChange={(e) => setDraftTitle(e.target.value)}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') handleRename(session.id);
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                    className="w-full p-1 border-2 border-indigo-300 rounded-lg"
+                                />
+                            ) : (
+                                <p className="font-bold text-gray-800 truncate">{session.title}</p>
+                            )}
+                            <p className="text-sm text-gray-500">
+                                {formatDate(session.createdAt)}
+                                {' · '}
+                                {session.interviewState === 'feedback' ? t('history.completed') : t('history.inProgress')}
+                                {session.feedbackReport?.OverallScore ? ` · ${t('history.overall', { score: session.feedbackReport.OverallScore, max: session.feedbackReport.Rubric?.scale.max ?? 5 })}` : ''}
+                            </p>
+                        </div>
+
+                        {editingId === session.id ? (
+                            <>
+                                <button onClick={() => handleRename(session.id)} title={t('history.saveName')} className="p-2 text-green-600 hover:text-green-800"><Check className="w-5 h-5" /></button>
+                                <button onClick={() => setEditingId(null)} title={t('common.cancel')} className="p-2 text-gray-500 hover:text-gray-700"><X className="w-5 h-5" /></button>
+                            </>
+                        ) : (
+                            <>
+                                <button onClick={() => setSelected(session)} title={t('history.view')} className="p-2 text-indigo-600 hover:text-indigo-800"><Eye className="w-5 h-5" /></button>
+                                {session.interviewState === 'in-progress' && session.id !== activeSessionId && (
+                                    <button onClick={() => onResume(session)} title={t('history.resume')} className="p-2 text-green-600 hover:text-green-800"><PlayCircle className="w-5 h-5" /></button>
+                                )}
+                                <button
+                                    onClick={() => { setEditingId(session.id); setDraftTitle(session.title); }}
+                                    title={t('history.rename')}
+                                    className="p-2 text-gray-500 hover:text-gray-700"
+                                >
+                                    <Pencil className="w-5 h-5" />
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(session)}
+                                    disabled={session.id === activeSessionId}
+                                    title={session.id === activeSessionId ? t('history.cannotDelete') : t('history.delete')}
+                                    className="p-2 text-red-500 hover:text-red-700 disabled:opacity-30 disabled:cursor-not-allowed"
+                                >
+                                    <Trash2 className="w-5 h-5" />
+                                </button>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default HistoryPanel;
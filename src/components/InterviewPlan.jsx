@@ -0,0 +1,109 @@
+import { BookOpen, CheckCircle, Clock, RefreshCw } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+import { estimateMinutes, MAX_PHASE_QUESTIONS, PLAN_PHASES, planPosition } from '../interviewPlan.js';
+
+export const PlanSettings = ({ counts, onChange, disabled }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-bold text-indigo-700">{t('plan.perPhase')}</h4>
+                <span className="flex items-center text-sm text-gray-600">
+                    <Clock className="w-4 h-4 mr-1" /> {t('plan.minutes', { minutes: estimateMinutes(counts) })}
+                </span>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+                {PLAN_PHASES.map(phase => (
+                    <label key={phase.id} className="text-xs font-semibold text-gray-600" title={phase.description}>
+                        {t(`plan.phase.${phase.id}`)}
+                        <input
+                            type="number"
+                            min={0}
+                            max={MAX_PHASE_QUESTIONS}
+                            value={counts[phase.id]}
+                            onChange={(e) => onChange({ ...counts, [phase.id]: Math.max(0, Math.min(MAX_PHASE_QUESTIONS, Number(e.target.value) || 0)) })}
+                            disabled={disabled}
+                            className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base"
+                        />
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export const PlanPreview = ({ plan, onRegenerate, disabled }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-lg space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-xl font-bold text-indigo-700">{t('plan.title')}</h3>
+                <span className="flex items-center text-sm text-gray-600">
+                    <Clock className="w-4 h-4 mr-1" />
+                    {t('plan.summary', { count: plan.totalQuestions, minutes: plan.estimatedMinutes })}
+                </span>
+            </div>
+            <ol className="space-y-3">
+                {plan.phases.map(phase => (
+                    <li key={phase.id} className="border-l-4 border-indigo-300 pl-3">
+                        <p className="font-semibold text-gray-800">{t(`plan.phase.${phase.id}`)} <span className="text-sm font-normal text-gray-500">({phase.questionCount})</span></p>
+                        <p className="text-sm text-gray-600">{phase.focus}</p>
+                        <ul className="ml-5 list-disc text-sm text-gray-700">
+                            {phase.topics.map((topic, i) => (
+                                <li key={i}>
+                                    {topic}
+                                    {phase.bank?.[i] && (
+                                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-800">
+                                            <BookOpen className="w-3 h-3 mr-1" /> {t('plan.fromBank')}
+                                        </span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ol>
+            <button
+                onClick={onRegenerate}
+                disabled={disabled}
+                className="flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+            >
+                <RefreshCw className="w-4 h-4 mr-1" /> {t('plan.regenerate')}
+            </button>
+        </div>
+    );
+};
+
+export const PlanProgress = ({ plan, askedCount }) => {
+    const { t } = useI18n();
+    const position = planPosition(plan, Math.max(0, askedCount - 1));
+    const percent = Math.min(100, Math.round((askedCount / plan.totalQuestions) * 100));
+
+    return (
+        <div className="mb-4">
+            <div className="flex flex-wrap gap-2 mb-2">
+                {plan.phases.map((phase, i) => (
+                    <span
+                        key={phase.id}
+                        className={`flex items-center px-3 py-1 rounded-full text-xs font-semibold
+                            ${i < position.phaseIndex ? 'bg-green-100 text-green-800' : i === position.phaseIndex ? 'bg-indigo-600 text-white' : 'bg-gray-200 text-gray-600'}
+                        `}
+                    >
+                        {i < position.phaseIndex && <CheckCircle className="w-3 h-3 mr-1" />}
+                        {t(`plan.phase.${phase.id}`)}
+                    </span>
+                ))}
+            </div>
+            <div className="flex items-center gap-3">
+                <div className="flex-grow h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-indigo-500 transition-all duration-500" style={{ width: `${percent}%` }} />
+                </div>
+                <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {t('plan.progress', { current: Math.min(askedCount, plan.totalQuestions), total: plan.totalQuestions, minutes: plan.estimatedMinutes })}
+                </span>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,132 @@
+import { Plus, Trash2, Users, Volume2 } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+import { createPanelist, MAX_PANELISTS, MIN_PANELISTS, nextPanelistName, PANEL_ROLES, PANEL_TURN_OPTIONS } from '../panel.js';
+
+const fieldClass = "mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base disabled:opacity-50";
+
+const PanelistCard = ({ panelist, onChange, onRemove, canRemove, voices, onPreview, disabled }) => {
+    const { t } = useI18n();
+    const update = (key, value) => onChange({ ...panelist, [key]: value });
+    // A new role brings its default focus unless the focus was edited.
+    const changeRole = (role) => onChange({
+        ...panelist,
+        role,
+        focus: panelist.focus === PANEL_ROLES[panelist.role].focus ? PANEL_ROLES[role].focus : panelist.focus,
+    });
+
+    return (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('panel.name')}
+                    <input value={panelist.name} onChange={(e) => update('name', e.target.value)} disabled={disabled} className={fieldClass} />
+                </label>
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('panel.role')}
+                    <select value={panelist.role} onChange={(e) => changeRole(e.target.value)} disabled={disabled} className={fieldClass}>
+                        {Object.keys(PANEL_ROLES).map(id => <option key={id} value={id}>{t(`panel.role.${id}`)}</option>)}
+                    </select>
+                </label>
+                <label className="text-xs font-semibold text-gray-600 col-span-2">
+                    {t('panel.focus')}
+                    <input value={panelist.focus} onChange={(e) => update('focus', e.target.value)} disabled={disabled} className={fieldClass} />
+                </label>
+                <label className="text-xs font-semibold text-gray-600 col-span-2 sm:col-span-3">
+                    {t('panel.instructions')}
+                    <textarea
+                        value={panelist.instructions}
+                        onChange={(e) => update('instructions', e.target.value)}
+                        disabled={disabled}
+                        rows={2}
+                        placeholder={t('panel.instructionsPlaceholder')}
+                        className={fieldClass}
+                    />
+                </label>
+                <label className="text-xs font-semibold text-gray-600 col-span-2 sm:col-span-1">
+                    {t('persona.voice')}
+                    <div className="flex gap-1">
+                        <select value={panelist.voice} onChange={(e) => update('voice', e.target.value)} disabled={disabled} className={fieldClass}>
+                            <option value="">{t('panel.voiceDefault')}</option>
+                            {panelist.voice && !voices.some(v => v.id === panelist.voice) && (
+                                <option value={panelist.voice}>{t('persona.voiceUnavailable', { voice: panelist.voice })}</option>
+                            )}
+                            {voices.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                        </select>
+                        <button onClick={() => onPreview(panelist.voice)} disabled={disabled} title={t('persona.preview')} className="mt-1 p-2 text-indigo-600 hover:text-indigo-800 disabled:opacity-30">
+                            <Volume2 className="w-5 h-5" />
+                        </button>
+                        <button onClick={onRemove} disabled={disabled || !canRemove} title={t('panel.remove')} className="mt-1 p-2 text-gray-500 hover:text-red-600 disabled:opacity-30">
+                            <Trash2 className="w-5 h-5" />
+                        </button>
+                    </div>
+                </label>
+            </div>
+        </div>
+    );
+};
+
+// Panel interview settings (see panel.js). `voices` comes from the active
+// provider; `onPreview(voice)` speaks a sample line, where an empty voice is the persona's.
+const PanelSetup = ({ panel, onChange, voices, onPreview, disabled }) => {
+    const { t } = useI18n();
+    const update = (key, value) => onChange({ ...panel, [key]: value });
+    const updatePanelist = (id, next) => update('panelists', panel.panelists.map(p => p.id === id ? next : p));
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <label className="flex items-center text-sm font-bold text-indigo-700">
+                    <input
+                        type="checkbox"
+                        checked={panel.enabled}
+                        onChange={(e) => update('enabled', e.target.checked)}
+                        disabled={disabled}
+                        className="mr-2"
+                    />
+                    <Users className="w-4 h-4 mr-1" /> {t('panel.enable')}
+                </label>
+                {panel.enabled && (
+                    <label className="flex items-center text-xs font-semibold text-gray-600">
+                        {t('panel.turnsEach')}
+                        <select
+                            value={panel.turnsEach}
+                            onChange={(e) => update('turnsEach', Number(e.target.value))}
+                            disabled={disabled}
+                            className="ml-2 p-1 border-2 border-gray-300 rounded-lg bg-white text-sm"
+                        >
+                            {PANEL_TURN_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+            {panel.enabled && (
+                <>
+                    <p className="mt-1 mb-3 text-xs text-gray-500">{t('panel.hint')}</p>
+                    <div className="space-y-3">
+                        {panel.panelists.map(panelist => (
+                            <PanelistCard
+                                key={panelist.id}
+                                panelist={panelist}
+                                onChange={(next) => updatePanelist(panelist.id, next)}
+                                onRemove={() => update('panelists', panel.panelists.filter(p => p.id !== panelist.id))}
+                                canRemove={panel.panelists.length > MIN_PANELISTS}
+                                voices={voices}
+                                onPreview={onPreview}
+                                disabled={disabled}
+                            />
+                        ))}
+                    </div>
+                    <button
+                        onClick={() => update('panelists', [...panel.panelists, createPanelist('custom', nextPanelistName(panel.panelists))])}
+                        disabled={disabled || panel.panelists.length >= MAX_PANELISTS}
+                        className="mt-3 flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:opacity-30"
+                    >
+                        <Plus className="w-4 h-4 mr-1" /> {t('panel.add')}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PanelSetup;
@@ -0,0 +1,126 @@
+import { Save, Trash2, UserRound, Volume2 } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useI18n } from '../i18n/index.js';
+import { INTERVIEW_TYPES, PERSONA_STYLES, SENIORITY_LEVELS } from '../persona.js';
+import { deletePersonaPreset, listPersonaPresets, savePersonaPreset } from '../storage/personas.js';
+
+const samePersona = (a, b) => Object.keys(a).every(key => a[key] === b[key]);
+
+const selectClass = "mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base disabled:opacity-50";
+
+// Option labels are translated as `${prefix}.${id}`.
+const OptionSelect = ({ label, value, options, prefix, onChange, disabled }) => {
+    const { t } = useI18n();
+
+    return (
+        <label className="text-xs font-semibold text-gray-600">
+            {label}
+            <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={selectClass}>
+                {Object.keys(options).map(id => <option key={id} value={id}>{t(`${prefix}.${id}`)}</option>)}
+            </select>
+        </label>
+    );
+};
+
+// `voices` comes from the active provider; `onPreview(voice)` speaks a sample line.
+const PersonaPanel = ({ persona, onChange, voices, onPreview, disabled }) => {
+    const { t } = useI18n();
+    const [presets, setPresets] = useState([]);
+    const [presetName, setPresetName] = useState(null);
+
+    const refresh = () => listPersonaPresets()
+        .then(setPresets)
+        .catch(error => console.error("Error loading persona presets:", error));
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const update = (key, value) => onChange({ ...persona, [key]: value });
+    const presetLabel = (preset) => preset.builtIn ? t(`persona.preset.${preset.id}`) : preset.name;
+    const activePreset = presets.find(p => samePersona(p.persona, persona));
+
+    const handleSavePreset = async () => {
+        if (!presetName?.trim()) return;
+        await savePersonaPreset(presetName, persona);
+        setPresetName(null);
+        refresh();
+    };
+
+    const handleDeletePreset = async () => {
+        if (!window.confirm(t('persona.confirmDelete', { name: presetLabel(activePreset) }))) return;
+        await deletePersonaPreset(activePreset.id);
+        refresh();
+    };
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                <h4 className="flex items-center text-sm font-bold text-indigo-700 whitespace-nowrap">
+                    <UserRound className="w-4 h-4 mr-1" /> {t('persona.title')}
+                </h4>
+                <select
+                    value={activePreset?.id || ''}
+                    onChange={(e) => {
+                        const preset = presets.find(p => p.id === e.target.value);
+                        if (preset) onChange(preset.persona);
+                    }}
+                    disabled={disabled}
+                    className="flex-grow p-2 border-2 border-gray-300 rounded-lg bg-white text-sm"
+                >
+                    {!activePreset && <option value="">{t('persona.custom')}</option>}
+                    {presets.map(p => <option key={p.id} value={p.id}>{presetLabel(p)}</option>)}
+                </select>
+                {presetName === null ? (
+                    <button onClick={() => setPresetName('')} disabled={disabled || Boolean(activePreset)} title={t('persona.savePreset')} className="p-2 text-gray-500 hover:text-indigo-700 disabled:opacity-30">
+                        <Save className="w-4 h-4" />
+                    </button>
+                ) : (
+                    <input
+                        autoFocus
+                        value={presetName}
+                        onChange={(e) => setPresetName(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSavePreset();
+                            if (e.key === 'Escape') setPresetName(null);
+                        }}
+                        onBlur={() => setPresetName(null)}
+                        placeholder={t('persona.presetName')}
+                        className="p-2 border-2 border-indigo-300 rounded-lg text-sm"
+                    />
+                )}
+                <button
+                    onClick={handleDeletePreset}
+                    disabled={disabled || !activePreset || activePreset.builtIn}
+                    title={t('persona.deletePreset')}
+                    className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                >
+                    <Trash2 className="w-4 h-4" />
+                </button>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <OptionSelect label={t('persona.style')} value={persona.style} options={PERSONA_STYLES} prefix="persona.style" onChange={(v) => update('style', v)} disabled={disabled} />
+                <OptionSelect label={t('persona.seniority')} value={persona.seniority} options={SENIORITY_LEVELS} prefix="persona.seniority" onChange={(v) => update('seniority', v)} disabled={disabled} />
+                <OptionSelect label={t('persona.type')} value={persona.interviewType} options={INTERVIEW_TYPES} prefix="persona.type" onChange={(v) => update('interviewType', v)} disabled={disabled} />
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('persona.voice')}
+                    <div className="flex gap-1">
+                        <select value={persona.voice} onChange={(e) => update('voice', e.target.value)} disabled={disabled} className={selectClass}>
+                            <option value="">{t('persona.voiceDefault')}</option>
+                            {persona.voice && !voices.some(v => v.id === persona.voice) && (
+                                <option value={persona.voice}>{t('persona.voiceUnavailable', { voice: persona.voice })}</option>
+                            )}
+                            {voices.map(v => <option key={v.id} value={v.id}>{v.label}</option>)}
+                        </select>
+                        <button onClick={() => onPreview(persona.voice)} disabled={disabled} title={t('persona.preview')} className="mt-1 p-2 text-indigo-600 hover:text-indigo-800 disabled:opacity-30">
+                            <Volume2 className="w-5 h-5" />
+                        </button>
+                    </div>
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default PersonaPanel;
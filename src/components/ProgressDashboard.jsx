@@ -0,0 +1,142 @@
+import { Trophy, TrendingDown, TrendingUp } from 'lucide-react';
+import { useEffect, useMemo, useState } from 'react';
+import { buildProgress, distinctRoles, filterSessions, PROGRESS_SCALE, scoredSessions } from '../analytics/progress.js';
+import { useI18n } from '../i18n/index.js';
+import { listSessions } from '../storage/sessions.js';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 12;
+
+const formatScore = (value) => value === null ? '–' : value.toFixed(1);
+
+const TrendChart = ({ points, color }) => {
+    const x = (i) => points.length === 1
+        ? CHART_WIDTH / 2
+        : CHART_PADDING + (i * (CHART_WIDTH - 2 * CHART_PADDING)) / (points.length - 1);
+    const y = (score) => CHART_HEIGHT - CHART_PADDING - ((score - 1) / (PROGRESS_SCALE - 1)) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+    const line = (key) => points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(p[key])}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32">
+            {[1, 2, 3, 4, 5].map(score => (
+                <line key={score} x1={0} x2={CHART_WIDTH} y1={y(score)} y2={y(score)} stroke="#e5e7eb" strokeWidth={1} />
+            ))}
+            <path d={line('score')} fill="none" stroke={color} strokeWidth={2} />
+            <path d={line('rollingAverage')} fill="none" stroke={color} strokeWidth={2} strokeDasharray="5 4" opacity={0.5} />
+            {points.map((p, i) => (
+                <circle key={p.sessionId} cx={x(i)} cy={y(p.score)} r={4} fill={color}>
+                    <title>{`${p.title} (${new Date(p.createdAt).toLocaleDateString()}): ${p.rawScore}/${p.max}`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+};
+
+const CriterionCard = ({ criterion }) => {
+    const { t } = useI18n();
+    const { key, label, color, points, best, currentAverage, weekOverWeek } = criterion;
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-lg border border-gray-200">
+            <h5 className="text-base font-bold text-gray-700 mb-2">{key === 'OverallScore' ? t('progress.overall') : label}</h5>
+            {points.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('progress.noScores')}</p>
+            ) : (
+                <>
+                    <TrendChart points={points} color={color} />
+                    <div className="grid grid-cols-3 gap-2 mt-3 text-center text-sm">
+                        <div>
+                            <p className="text-gray-500">{t('progress.rollingAvg')}</p>
+                            <p className="font-bold text-gray-800">{formatScore(currentAverage)}</p>
+                        </div>
+                        <div>
+                            <p className="text-gray-500 flex items-center justify-center"><Trophy className="w-4 h-4 mr-1 text-yellow-500" />{t('progress.best')}</p>
+                            <p className="font-bold text-gray-800" title={best ? new Date(best.createdAt).toLocaleDateString() : ''}>{best ? formatScore(best.score) : '–'}</p>
+                        </div>
+                        <div>
+                            <p className="text-gray-500">{t('progress.thisWeek')}</p>
+                            {weekOverWeek === null ? (
+                                <p className="font-bold text-gray-400">–</p>
+                            ) : (
+                                <p className={`font-bold flex items-center justify-center ${weekOverWeek >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                    {weekOverWeek >= 0 ? <TrendingUp className="w-4 h-4 mr-1" /> : <TrendingDown className="w-4 h-4 mr-1" />}
+                                    {weekOverWeek >= 0 ? '+' : ''}{weekOverWeek.toFixed(1)}
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+const ProgressDashboard = () => {
+    const { t } = useI18n();
+    const [sessions, setSessions] = useState(null);
+    const [role, setRole] = useState('');
+    const [query, setQuery] = useState('');
+    const [rollingWindow, setRollingWindow] = useState(3);
+
+    useEffect(() => {
+        listSessions()
+            .then(all => setSessions(scoredSessions(all)))
+            .catch(error => {
+                console.error("Error loading sessions:", error);
+                setSessions([]);
+            });
+    }, []);
+
+    const filtered = useMemo(() => filterSessions(sessions || [], { role, query }), [sessions, role, query]);
+    const progress = useMemo(() => buildProgress(filtered, { window: rollingWindow }), [filtered, rollingWindow]);
+
+    if (!sessions) {
+        return <p className="text-center text-gray-500 mt-20">{t('progress.loading')}</p>;
+    }
+
+    if (sessions.length === 0) {
+        return <p className="text-center text-gray-500 mt-20">{t('progress.empty')}</p>;
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row gap-3 p-4 bg-indigo-50 rounded-xl shadow-inner">
+                <select
+                    value={role}
+                    onChange={(e) => setRole(e.target.value)}
+                    className="p-2 border-2 border-indigo-300 rounded-lg bg-white"
+                >
+                    <option value="">{t('progress.allRoles')}</option>
+                    {distinctRoles(sessions).map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder={t('progress.filter')}
+                    className="flex-grow p-2 border-2 border-indigo-300 rounded-lg bg-white"
+                />
+                <select
+                    value={rollingWindow}
+                    onChange={(e) => setRollingWindow(Number(e.target.value))}
+                    className="p-2 border-2 border-indigo-300 rounded-lg bg-white"
+                    title={t('progress.windowTitle')}
+                >
+                    {[3, 5, 10].map(n => <option key={n} value={n}>{t('progress.window', { count: n })}</option>)}
+                </select>
+            </div>
+
+            <p className="text-sm text-gray-500">
+                {t('progress.summary', { shown: filtered.length, total: sessions.length })}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {progress.map(criterion => <CriterionCard key={criterion.key} criterion={criterion} />)}
+            </div>
+        </div>
+    );
+};
+
+export default ProgressDashboard;
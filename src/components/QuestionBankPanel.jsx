@@ -0,0 +1,212 @@
+import { Download, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { useState } from 'react';
+import { downloadText, fileSlug } from '../download.js';
+import { useI18n } from '../i18n/index.js';
+import { errorText } from '../inputError.js';
+import { BANK_PHASES, DIFFICULTIES, exportBank, parseBankImport, validateBank } from '../questionBanks.js';
+import { deleteBank, MAX_BANK_QUESTIONS, saveBank } from '../storage/questionBanks.js';
+
+// Tags are edited as comma-separated text and turned back into lists by validateBank.
+const emptyQuestion = () => ({ text: '', phase: 'technical', difficulty: 'medium', roles: '', skills: '' });
+
+const toDraft = (bank) => ({
+    ...bank,
+    questions: bank.questions.map(q => ({ ...q, roles: q.roles.join(', '), skills: q.skills.join(', ') })),
+});
+
+const BankEditor = ({ initial, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(initial);
+    const [error, setError] = useState(null);
+
+    const updateQuestion = (index, changes) => setDraft(d => ({
+        ...d,
+        questions: d.questions.map((q, i) => i === index ? { ...q, ...changes } : q),
+    }));
+
+    const handleSave = async () => {
+        try {
+            await onSave(validateBank(draft));
+        } catch (e) {
+            setError(errorText(t, e));
+        }
+    };
+
+    const input = 'p-2 border-2 border-gray-300 rounded-lg text-sm';
+
+    return (
+        <div className="mt-3 space-y-3">
+            <label className="block text-xs font-semibold text-gray-600">
+                {t('bank.name')}
+                <input
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg"
+                />
+            </label>
+
+            {draft.questions.map((question, index) => (
+                <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                    <div className="flex gap-2 items-start">
+                        <textarea
+                            value={question.text}
+                            onChange={(e) => updateQuestion(index, { text: e.target.value })}
+                            placeholder={t('bank.questionPlaceholder')}
+                            className={`flex-grow h-16 resize-y ${input}`}
+                        />
+                        <button
+                            onClick={() => setDraft(d => ({ ...d, questions: d.questions.filter((_, i) => i !== index) }))}
+                            title={t('bank.removeQuestion')}
+                            className="p-2 text-red-500 hover:text-red-700"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                        <select value={question.phase} onChange={(e) => updateQuestion(index, { phase: e.target.value })} title={t('bank.phase')} className={`bg-white ${input}`}>
+                            {BANK_PHASES.map(id => <option key={id} value={id}>{t(`plan.phase.${id}`)}</option>)}
+                        </select>
+                        <select value={question.difficulty} onChange={(e) => updateQuestion(index, { difficulty: e.target.value })} title={t('bank.difficulty')} className={`bg-white ${input}`}>
+                            {DIFFICULTIES.map(id => <option key={id} value={id}>{t(`bank.difficulty.${id}`)}</option>)}
+                        </select>
+                        <input
+                            value={question.roles}
+                            onChange={(e) => updateQuestion(index, { roles: e.target.value })}
+                            placeholder={t('bank.roles')}
+                            title={t('bank.rolesHint')}
+                            className={input}
+                        />
+                        <input
+                            value={question.skills}
+                            onChange={(e) => updateQuestion(index, { skills: e.target.value })}
+                            placeholder={t('bank.skills')}
+                            title={t('bank.skillsHint')}
+                            className={input}
+                        />
+                    </div>
+                </div>
+            ))}
+
+            <button
+                onClick={() => setDraft(d => ({ ...d, questions: [...d.questions, emptyQuestion()] }))}
+                className="flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+            >
+                <Plus className="w-4 h-4 mr-1" /> {t('bank.addQuestion')}
+            </button>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex gap-2">
+                <button onClick={handleSave} className="px-4 py-2 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-700">{t('bank.save')}</button>
+                <button onClick={onCancel} className="px-4 py-2 rounded-lg font-semibold text-gray-600 hover:text-gray-800">{t('common.cancel')}</button>
+            </div>
+        </div>
+    );
+};
+
+// `settings` is { enabledIds, count }: the banks sampled from when planning and
+// how many of their questions each interview gets.
+const QuestionBankPanel = ({ banks, settings, onSettingsChange, onBanksChanged, disabled }) => {
+    const { t } = useI18n();
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState(null);
+
+    const toggleBank = (id, enabled) => onSettingsChange({
+        ...settings,
+        enabledIds: enabled ? [...settings.enabledIds, id] : settings.enabledIds.filter(other => other !== id),
+    });
+
+    const handleSaved = async (bank) => {
+        const isNew = !banks.some(b => b.id === bank.id);
+        await saveBank(bank);
+        await onBanksChanged();
+        if (isNew) toggleBank(bank.id, true);
+        setEditing(null);
+    };
+
+    const handleDelete = async (bank) => {
+        if (!window.confirm(t('bank.confirmDelete', { name: bank.name }))) return;
+        await deleteBank(bank.id);
+        await onBanksChanged();
+        toggleBank(bank.id, false);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await handleSaved(await parseBankImport(await file.text(), file.name));
+            setError(null);
+        } catch (err) {
+            setError(t('bank.importError', { error: errorText(t, err) }));
+        }
+    };
+
+    const iconButton = (title, onClick, icon) => (
+        <button onClick={onClick} title={title} disabled={disabled || editing !== null} className="p-2 text-gray-500 hover:text-indigo-700 disabled:opacity-30">
+            {icon}
+        </button>
+    );
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <div className="flex items-center gap-2">
+                <h4 className="text-sm font-bold text-indigo-700 whitespace-nowrap flex-grow">{t('bank.title')}</h4>
+                <label className="flex items-center gap-2 text-xs font-semibold text-gray-600">
+                    {t('bank.perInterview')}
+                    <input
+                        type="number"
+                        min={0}
+                        max={MAX_BANK_QUESTIONS}
+                        value={settings.count}
+                        onChange={(e) => onSettingsChange({ ...settings, count: Math.max(0, Math.min(MAX_BANK_QUESTIONS, Number(e.target.value) || 0)) })}
+                        disabled={disabled}
+                        className="w-16 p-1 border-2 border-gray-300 rounded-lg bg-white text-sm"
+                    />
+                </label>
+                {iconButton(t('bank.new'), () => setEditing({ name: '', questions: [emptyQuestion()] }), <Plus className="w-4 h-4" />)}
+                <label title={t('bank.import')} className={`p-2 text-gray-500 hover:text-indigo-700 ${disabled ? 'opacity-30' : 'cursor-pointer'}`}>
+                    <Upload className="w-4 h-4" />
+                    <input type="file" accept="application/json,.json,.yaml,.yml" onChange={handleImport} disabled={disabled} className="hidden" />
+                </label>
+            </div>
+
+            {banks.length === 0 && editing === null && <p className="mt-2 text-xs text-gray-500">{t('bank.empty')}</p>}
+
+            {editing === null && banks.length > 0 && (
+                <ul className="mt-2 divide-y divide-gray-100">
+                    {banks.map(bank => (
+                        <li key={bank.id} className="flex items-center gap-2 py-1">
+                            <label className="flex items-center gap-2 flex-grow text-sm text-gray-800">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.enabledIds.includes(bank.id)}
+                                    onChange={(e) => toggleBank(bank.id, e.target.checked)}
+                                    disabled={disabled}
+                                />
+                                {bank.name}
+                                <span className="text-xs text-gray-500">{t('bank.questionCount', { count: bank.questions.length })}</span>
+                            </label>
+                            {iconButton(t('bank.edit'), () => setEditing(toDraft(bank)), <Pencil className="w-4 h-4" />)}
+                            {iconButton(t('bank.export'), () => downloadText(`${fileSlug(bank.name)}.questions.json`, exportBank(bank)), <Download className="w-4 h-4" />)}
+                            {iconButton(t('bank.delete'), () => handleDelete(bank), <Trash2 className="w-4 h-4" />)}
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+            {editing && (
+                <BankEditor
+                    key={editing.id || 'new'}
+                    initial={editing}
+                    onSave={handleSaved}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default QuestionBankPanel;
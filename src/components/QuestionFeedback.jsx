@@ -0,0 +1,165 @@
+import { ChevronDown, ChevronUp, Loader2, RotateCcw, Volume2, X } from 'lucide-react';
+import { useState } from 'react';
+import { useI18n } from '../i18n/index.js';
+
+const ScoreChips = ({ item, rubric }) => (
+    <div className="flex flex-wrap gap-2">
+        {rubric.criteria.map(({ key, label }) => {
+            const score = item[key] ?? null;
+            const fraction = score === null ? null : score / rubric.scale.max;
+            const color = fraction === null ? 'bg-gray-100 text-gray-500' : fraction >= 0.8 ? 'bg-green-100 text-green-800' : fraction >= 0.6 ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-800';
+            return (
+                <span key={key} className={`px-2 py-0.5 rounded-full text-xs font-semibold ${color}`}>
+                    {label} {score ?? '–'}/{rubric.scale.max}
+                </span>
+            );
+        })}
+    </div>
+);
+
+const AttemptColumn = ({ title, answer, item, note, rubric }) => (
+    <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+        <h6 className="text-sm font-bold text-gray-700">{title}</h6>
+        <p className="text-sm text-gray-800 whitespace-pre-wrap">{answer}</p>
+        <ScoreChips item={item} rubric={rubric} />
+        {note && <p className="text-sm text-gray-600">{note}</p>}
+    </div>
+);
+
+// A one-question mini-session: re-ask, capture a new answer, score it against the original.
+const RetryPanel = ({ item, rubric, onRetry, onSpeak, onClose }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const latest = item.retries?.[item.retries.length - 1];
+
+    const submit = async () => {
+        if (!draft.trim() || submitting) return;
+        setSubmitting(true);
+        setError(null);
+        try {
+            await onRetry(draft.trim());
+            setDraft('');
+        } catch (e) {
+            console.error("Error evaluating retry:", e);
+            setError(t('questions.retryError'));
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="mt-3 p-4 border-2 border-indigo-200 rounded-xl bg-indigo-50 space-y-3">
+            <div className="flex items-start justify-between gap-2">
+                <p className="font-semibold text-indigo-900">{item.question}</p>
+                <div className="flex gap-1 flex-shrink-0">
+                    {onSpeak && (
+                        <button onClick={() => onSpeak(item.question)} title={t('questions.hearAgain')} className="p-1 text-indigo-600 hover:text-indigo-800">
+                            <Volume2 className="w-5 h-5" />
+                        </button>
+                    )}
+                    <button onClick={onClose} title={t('questions.closeRetry')} className="p-1 text-gray-500 hover:text-gray-700">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+            </div>
+
+            <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                placeholder={t('questions.retryPlaceholder')}
+                disabled={submitting}
+                className="w-full p-3 border-2 border-indigo-300 rounded-lg bg-white h-28 resize-none"
+            />
+            <div className="flex items-center gap-3">
+                <button
+                    onClick={submit}
+                    disabled={submitting || !draft.trim()}
+                    className="flex items-center px-4 py-2 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                    {submitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                    {t('questions.submitAttempt')}
+                </button>
+                {error && <span className="text-sm text-red-600">{error}</span>}
+            </div>
+
+            {latest && (
+                <div className="space-y-2">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        <AttemptColumn title={t('questions.original')} answer={item.answer} item={item} rubric={rubric} />
+                        <AttemptColumn title={item.retries.length > 1 ? t('questions.newAttemptNumbered', { number: item.retries.length }) : t('questions.newAttempt')} answer={latest.answer} item={latest} note={latest.Critique} rubric={rubric} />
+                    </div>
+                    {latest.Comparison && <p className="text-sm text-indigo-900 font-semibold">{latest.Comparison}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const QuestionCard = ({ item, index, rubric, onRetry, onSpeak }) => {
+    const { t } = useI18n();
+    const [showSuggested, setShowSuggested] = useState(false);
+    const [retrying, setRetrying] = useState(false);
+
+    return (
+        <li className="p-4 bg-white rounded-xl shadow-lg border border-gray-100 space-y-2">
+            <p className="font-semibold text-gray-800">{t('questions.number', { number: index + 1 })} {item.question}</p>
+            <p className="text-sm text-gray-600 whitespace-pre-wrap"><span className="font-semibold">{t('questions.yourAnswer')}</span> {item.answer}</p>
+            <ScoreChips item={item} rubric={rubric} />
+            {item.Critique && <p className="text-sm text-gray-700">{item.Critique}</p>}
+
+            <div className="flex flex-wrap gap-4">
+                {item.SuggestedAnswer && (
+                    <button onClick={() => setShowSuggested(v => !v)} className="flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+                        {showSuggested ? <ChevronUp className="w-4 h-4 mr-1" /> : <ChevronDown className="w-4 h-4 mr-1" />}
+                        {t('questions.stronger')}
+                    </button>
+                )}
+                {onRetry && !retrying && (
+                    <button
+                        onClick={() => {
+                            setRetrying(true);
+                            onSpeak?.(item.question);
+                        }}
+                        className="flex items-center text-sm font-semibold text-green-700 hover:text-green-900"
+                    >
+                        <RotateCcw className="w-4 h-4 mr-1" /> {t('questions.retry')}
+                        {item.retries?.length > 0 && <span className="ml-1 text-gray-500">{t('questions.retryCount', { count: item.retries.length })}</span>}
+                    </button>
+                )}
+            </div>
+
+            {showSuggested && (
+                <p className="p-3 bg-green-50 border-l-4 border-green-400 rounded text-sm text-gray-800 whitespace-pre-wrap">{item.SuggestedAnswer}</p>
+            )}
+
+            {retrying && (
+                <RetryPanel
+                    item={item}
+                    rubric={rubric}
+                    onRetry={(answer) => onRetry(index, answer)}
+                    onSpeak={onSpeak}
+                    onClose={() => setRetrying(false)}
+                />
+            )}
+        </li>
+    );
+};
+
+const QuestionFeedbackSection = ({ items, rubric, onRetry, onSpeak }) => {
+    const { t } = useI18n();
+
+    return (
+        <div>
+            <h4 className="text-xl font-bold text-indigo-800 mb-3 border-b pb-2">{t('questions.title')}</h4>
+            <ol className="space-y-4">
+                {items.map((item, index) => (
+                    <QuestionCard key={index} item={item} index={index} rubric={rubric} onRetry={onRetry} onSpeak={onSpeak} />
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+export default QuestionFeedbackSection;
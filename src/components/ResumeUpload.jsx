@@ -0,0 +1,66 @@
+import { FileUp, Loader2, X } from 'lucide-react';
+import { useState } from 'react';
+import { useI18n } from '../i18n/index.js';
+import { errorText } from '../inputError.js';
+import { parseResumeFile, RESUME_ACCEPT } from '../resume.js';
+
+// `resume` is null or { fileName, text, truncated }.
+const ResumeUpload = ({ resume, onChange, disabled }) => {
+    const { t } = useI18n();
+    const [parsing, setParsing] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setParsing(true);
+        setError(null);
+        try {
+            onChange(await parseResumeFile(file));
+        } catch (err) {
+            console.error("Error parsing resume:", err);
+            setError(errorText(t, err));
+        } finally {
+            setParsing(false);
+        }
+    };
+
+    if (resume) {
+        return (
+            <div className="mt-2 text-sm">
+                <div className="flex items-center gap-2 text-indigo-800">
+                    <FileUp className="w-4 h-4" />
+                    <span className="font-semibold truncate">{resume.fileName}</span>
+                    <span className="text-gray-500">
+                        ({t('resume.characters', { count: resume.text.length.toLocaleString() })}{resume.truncated ? `, ${t('resume.truncated')}` : ''})
+                    </span>
+                    {!disabled && (
+                        <button onClick={() => onChange(null)} title={t('resume.remove')} className="p-1 text-gray-500 hover:text-red-600">
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+                <details className="mt-1">
+                    <summary className="cursor-pointer text-xs text-gray-500">{t('resume.showText')}</summary>
+                    <pre className="mt-1 p-2 max-h-40 overflow-y-auto bg-white border rounded text-xs whitespace-pre-wrap">{resume.text}</pre>
+                </details>
+            </div>
+        );
+    }
+
+    if (disabled) return null;
+
+    return (
+        <div className="mt-2 text-sm">
+            <label className={`inline-flex items-center font-semibold text-indigo-700 ${parsing ? 'opacity-50' : 'cursor-pointer hover:text-indigo-900'}`}>
+                {parsing ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <FileUp className="w-4 h-4 mr-1" />}
+                {parsing ? t('resume.reading') : t('resume.add')}
+                <input type="file" accept={RESUME_ACCEPT} onChange={handleFile} disabled={parsing} className="hidden" />
+            </label>
+            {error && <p className="mt-1 text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export default ResumeUpload;
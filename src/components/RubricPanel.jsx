@@ -0,0 +1,183 @@
+import { Copy, Download, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { useState } from 'react';
+import { downloadText, fileSlug } from '../download.js';
+import { useI18n } from '../i18n/index.js';
+import { errorText } from '../inputError.js';
+import { DEFAULT_RUBRIC, exportRubric, MAX_SCALE, MIN_SCALE, parseRubricImport, validateRubric } from '../rubrics.js';
+import { deleteRubric, saveRubric } from '../storage/rubrics.js';
+
+const emptyCriterion = () => ({ label: '', description: '', weight: 1 });
+
+const RubricEditor = ({ initial, onSave, onCancel }) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(initial);
+    const [error, setError] = useState(null);
+
+    const updateCriterion = (index, changes) => setDraft(d => ({
+        ...d,
+        criteria: d.criteria.map((c, i) => i === index ? { ...c, ...changes } : c),
+    }));
+
+    const handleSave = async () => {
+        try {
+            await onSave(validateRubric(draft));
+        } catch (e) {
+            setError(errorText(t, e));
+        }
+    };
+
+    return (
+        <div className="mt-3 space-y-3">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <label className="sm:col-span-2 text-xs font-semibold text-gray-600">
+                    {t('rubric.name')}
+                    <input
+                        value={draft.name}
+                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                        className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg"
+                    />
+                </label>
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('rubric.scale')}
+                    <input
+                        type="number"
+                        min={MIN_SCALE}
+                        max={MAX_SCALE}
+                        value={draft.scale.max}
+                        onChange={(e) => setDraft({ ...draft, scale: { max: Number(e.target.value) } })}
+                        className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg"
+                    />
+                </label>
+            </div>
+
+            {draft.criteria.map((criterion, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-start">
+                    <input
+                        value={criterion.label}
+                        onChange={(e) => updateCriterion(index, { label: e.target.value })}
+                        placeholder={t('rubric.criterion')}
+                        className="col-span-3 p-2 border-2 border-gray-300 rounded-lg text-sm"
+                    />
+                    <input
+                        value={criterion.description}
+                        onChange={(e) => updateCriterion(index, { description: e.target.value })}
+                        placeholder={t('rubric.criterionHint')}
+                        className="col-span-6 p-2 border-2 border-gray-300 rounded-lg text-sm"
+                    />
+                    <input
+                        type="number"
+                        min={0.1}
+                        step={0.1}
+                        value={criterion.weight}
+                        onChange={(e) => updateCriterion(index, { weight: Number(e.target.value) })}
+                        title={t('rubric.weight')}
+                        className="col-span-2 p-2 border-2 border-gray-300 rounded-lg text-sm"
+                    />
+                    <button
+                        onClick={() => setDraft(d => ({ ...d, criteria: d.criteria.filter((_, i) => i !== index) }))}
+                        title={t('rubric.removeCriterion')}
+                        className="col-span-1 p-2 text-red-500 hover:text-red-700"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+
+            <button
+                onClick={() => setDraft(d => ({ ...d, criteria: [...d.criteria, emptyCriterion()] }))}
+                className="flex items-center text-sm font-semibold text-indigo-600 hover:text-indigo-800"
+            >
+                <Plus className="w-4 h-4 mr-1" /> {t('rubric.addCriterion')}
+            </button>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex gap-2">
+                <button onClick={handleSave} className="px-4 py-2 rounded-lg font-bold text-white bg-indigo-600 hover:bg-indigo-700">{t('rubric.save')}</button>
+                <button onClick={onCancel} className="px-4 py-2 rounded-lg font-semibold text-gray-600 hover:text-gray-800">{t('common.cancel')}</button>
+            </div>
+        </div>
+    );
+};
+
+const RubricPanel = ({ rubrics, activeRubric, onSelect, onRubricsChanged, disabled }) => {
+    const { t } = useI18n();
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState(null);
+    const isDefault = activeRubric.id === DEFAULT_RUBRIC.id;
+
+    const handleSaved = async (rubric) => {
+        await saveRubric(rubric);
+        await onRubricsChanged();
+        onSelect(rubric.id);
+        setEditing(null);
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(t('rubric.confirmDelete', { name: activeRubric.name }))) return;
+        await deleteRubric(activeRubric.id);
+        await onRubricsChanged();
+        onSelect(DEFAULT_RUBRIC.id);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            await handleSaved(parseRubricImport(await file.text()));
+            setError(null);
+        } catch (err) {
+            setError(t('rubric.importError', { error: errorText(t, err) }));
+        }
+    };
+
+    const iconButton = (title, onClick, Icon, extra = {}) => (
+        <button onClick={onClick} title={title} disabled={disabled || extra.disabled} className="p-2 text-gray-500 hover:text-indigo-700 disabled:opacity-30">
+            <Icon className="w-4 h-4" />
+        </button>
+    );
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <div className="flex items-center gap-2">
+                <h4 className="text-sm font-bold text-indigo-700 whitespace-nowrap">{t('rubric.title')}</h4>
+                <select
+                    value={activeRubric.id}
+                    onChange={(e) => onSelect(e.target.value)}
+                    disabled={disabled || editing !== null}
+                    className="flex-grow p-2 border-2 border-gray-300 rounded-lg bg-white text-sm"
+                >
+                    {rubrics.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                </select>
+                {iconButton(t('rubric.edit'), () => setEditing(activeRubric), Pencil, { disabled: isDefault })}
+                {iconButton(t('rubric.duplicate'), () => setEditing({ ...activeRubric, id: undefined, name: t('rubric.copyName', { name: activeRubric.name }) }), Copy)}
+                {iconButton(t('rubric.new'), () => setEditing({ name: '', scale: { max: 5 }, criteria: [emptyCriterion()] }), Plus)}
+                <label title={t('rubric.import')} className={`p-2 text-gray-500 hover:text-indigo-700 ${disabled ? 'opacity-30' : 'cursor-pointer'}`}>
+                    <Upload className="w-4 h-4" />
+                    <input type="file" accept="application/json,.json" onChange={handleImport} disabled={disabled} className="hidden" />
+                </label>
+                {iconButton(t('rubric.export'), () => downloadText(`${fileSlug(activeRubric.name)}.rubric.json`, exportRubric(activeRubric)), Download)}
+                {iconButton(t('rubric.delete'), handleDelete, Trash2, { disabled: isDefault })}
+            </div>
+
+            {editing === null && (
+                <p className="mt-2 text-xs text-gray-500">
+                    {activeRubric.criteria.map(c => `${c.label}${c.weight !== 1 ? ` ×${c.weight}` : ''}`).join(' · ')} · {t('rubric.scoredRange', { max: activeRubric.scale.max })}
+                </p>
+            )}
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+            {editing && (
+                <RubricEditor
+                    key={editing.id || 'new'}
+                    initial={editing}
+                    onSave={handleSaved}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default RubricPanel;
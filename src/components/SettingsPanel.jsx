@@ -0,0 +1,90 @@
+import { useI18n } from '../i18n/index.js';
+import { PROVIDERS } from '../providers/index.js';
+import { browserVoiceAvailable } from '../speech.js';
+import { SPEECH_CACHE_LIMIT_BYTES } from '../storage/speechCache.js';
+
+const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+// Provider settings are locked during an interview (`disabled`); the voice
+// settings below them are not. `speechCacheBytes` is null until measured.
+const SettingsPanel = ({ settings, onChange, disabled, offlineVoice, onOfflineVoiceChange, speechCacheBytes, onClearSpeechCache }) => {
+    const { t } = useI18n();
+    const { providerId, config } = settings;
+    const provider = PROVIDERS[providerId];
+
+    const updateField = (key, type, value) => {
+        const parsed = type === 'number' ? Number(value) || 0 : value;
+        onChange({
+            ...settings,
+            config: { ...config, [providerId]: { ...config[providerId], [key]: parsed } },
+        });
+    };
+
+    return (
+        <div className="mb-8 p-6 bg-gray-50 border border-gray-200 rounded-xl shadow-inner space-y-4">
+            <div>
+                <label className="block text-sm font-bold text-indigo-700 mb-1">{t('settings.provider')}</label>
+                <select
+                    value={providerId}
+                    onChange={(e) => onChange({ ...settings, providerId: e.target.value })}
+                    disabled={disabled}
+                    className="w-full p-2 border-2 border-indigo-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                    {Object.keys(PROVIDERS).map(id => (
+                        <option key={id} value={id}>{t(`provider.${id}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {provider.fields.map(({ key, label, type }) => (
+                    <div key={key}>
+                        <label className="block text-sm font-semibold text-gray-700 mb-1">{t(`provider.field.${label}`)}</label>
+                        <input
+                            type={type || 'text'}
+                            value={config[providerId][key] ?? ''}
+                            onChange={(e) => updateField(key, type, e.target.value)}
+                            disabled={disabled}
+                            className="w-full p-2 border-2 border-gray-300 rounded-lg bg-white focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {disabled && (
+                <p className="text-sm text-gray-500">{t('settings.locked')}</p>
+            )}
+
+            <div className="pt-4 border-t border-gray-200">
+                <label className="block text-sm font-bold text-indigo-700 mb-2">{t('settings.voice')}</label>
+                <label className="flex items-center text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={offlineVoice}
+                        onChange={(e) => onOfflineVoiceChange(e.target.checked)}
+                        disabled={!browserVoiceAvailable()}
+                        className="mr-2"
+                    />
+                    {t('settings.offlineVoice')}
+                </label>
+                <p className="mt-1 text-xs text-gray-500">
+                    {browserVoiceAvailable() ? t('settings.offlineVoiceHint') : t('settings.offlineVoiceUnavailable')}
+                </p>
+                {speechCacheBytes !== null && (
+                    <div className="mt-3 flex items-center gap-3 text-sm text-gray-700">
+                        <span>{t('settings.speechCache', { size: toMegabytes(speechCacheBytes), limit: toMegabytes(SPEECH_CACHE_LIMIT_BYTES) })}</span>
+                        <button
+                            onClick={onClearSpeechCache}
+                            disabled={speechCacheBytes === 0}
+                            className="px-3 py-1 rounded-lg text-xs font-semibold text-indigo-700 bg-indigo-100 hover:bg-indigo-200 disabled:opacity-50"
+                        >
+                            {t('settings.clearSpeechCache')}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SettingsPanel;
@@ -0,0 +1,27 @@
+import { useI18n } from '../i18n/index.js';
+import { SHARE_LINK_WARN_LENGTH } from '../shareLink.js';
+
+// The outcome of making a share link: `result` is { url, copied } or { error }.
+const ShareLinkResult = ({ result }) => {
+    const { t } = useI18n();
+    if (!result) return null;
+    if (result.error) return <p className="mt-2 text-sm text-red-600">{t('share.failed')}</p>;
+
+    return (
+        <div className="mt-2 text-sm text-gray-700">
+            <p>{result.copied ? t('share.copied') : t('share.copyFailed')}</p>
+            <input
+                readOnly
+                value={result.url}
+                onFocus={(e) => e.target.select()}
+                aria-label={t('share.link')}
+                className="mt-1 w-full p-2 border border-gray-300 rounded-lg bg-gray-50 font-mono text-xs"
+            />
+            {result.url.length > SHARE_LINK_WARN_LENGTH && (
+                <p className="mt-1 text-xs text-yellow-700">{t('share.long', { length: result.url.length })}</p>
+            )}
+        </div>
+    );
+};
+
+export default ShareLinkResult;
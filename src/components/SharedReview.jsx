@@ -0,0 +1,175 @@
+import { ExternalLink, Eye, Link2, Loader2, MessageSquare, Save } from 'lucide-react';
+import { useEffect, useMemo, useState } from 'react';
+import { createTranslator, I18nContext, loadLanguage } from '../i18n/index.js';
+import { errorText } from '../inputError.js';
+import { describePanelist, findPanelist, normalizePanel } from '../panel.js';
+import { addAnnotation, buildSharePayload, copyShareLink, countAnnotations, createAnnotation, decodeShareLink, mergeAnnotations, pickSharedFields, removeAnnotation } from '../shareLink.js';
+import { loadReviewerName, saveReviewerName } from '../storage/reviewer.js';
+import { createSession, getSession, saveSession, setActiveSessionId } from '../storage/sessions.js';
+import AnnotationThread from './Annotations.jsx';
+import ConversationBubble from './ConversationBubble.jsx';
+import FeedbackReportDisplay from './FeedbackReport.jsx';
+import ShareLinkResult from './ShareLinkResult.jsx';
+
+// Leaving the fragment reloads the page into the normal app.
+const openApp = () => window.location.assign(window.location.pathname);
+
+// Puts the reviewed interview in this browser's history. The candidate's own
+// browser still has the original session: the link's comments are merged
+// into it, so comments added there since the link was made are kept.
+const saveToHistory = async (review, annotations) => {
+    const existing = review.id ? await getSession(review.id) : null;
+    const session = existing
+        ? { ...existing, annotations: mergeAnnotations(existing.annotations || {}, annotations) }
+        : { ...createSession(review.jobDescription), ...pickSharedFields(review), interviewState: 'feedback', annotations };
+    await saveSession(session);
+    setActiveSessionId(session.id);
+};
+
+// The read-only review opened from a share link (see shareLink.js). The
+// interview cannot be continued here; a mentor can comment on messages and
+// copy an updated link that carries the comments back.
+const SharedReview = () => {
+    const [language] = useState(loadLanguage);
+    const i18n = useMemo(() => createTranslator(language), [language]);
+    const { t } = i18n;
+    const [review, setReview] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [annotations, setAnnotations] = useState({});
+    const [reviewerName, setReviewerName] = useState(loadReviewerName);
+    const [share, setShare] = useState(null);
+    const [saved, setSaved] = useState(false);
+    const panel = useMemo(() => normalizePanel(review?.panel), [review]);
+
+    useEffect(() => {
+        decodeShareLink(window.location.hash)
+            .then((decoded) => {
+                setReview(decoded);
+                setAnnotations(decoded.annotations);
+            })
+            .catch((error) => {
+                console.error("Error opening review link:", error);
+                setLoadError(error);
+            });
+    }, []);
+
+    const changeAnnotations = (next) => {
+        setAnnotations(next);
+        setShare(null);
+        setSaved(false);
+    };
+
+    const changeReviewerName = (name) => {
+        setReviewerName(name);
+        saveReviewerName(name);
+    };
+
+    const handleCopyLink = () => copyShareLink(buildSharePayload(review, annotations))
+        .then((result) => {
+            setShare(result);
+            // The address bar then holds the commented version too.
+            window.history.replaceState(null, '', result.url);
+        })
+        .catch((error) => {
+            console.error("Error creating share link:", error);
+            setShare({ error: true });
+        });
+
+    const handleSave = () => saveToHistory(review, annotations)
+        .then(() => setSaved(true))
+        .catch(error => console.error("Error saving reviewed session:", error));
+
+    const speakerLabel = (index) => {
+        const panelist = findPanelist(panel, review.speakers?.[index]);
+        return panelist ? describePanelist(panelist, t(`panel.role.${panelist.role}`)) : null;
+    };
+
+    const buttonClass = "flex items-center px-3 py-2 text-sm font-semibold rounded-lg";
+
+    return (
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-gray-50 flex items-start justify-center p-4 sm:p-8">
+                <div className="w-full max-w-3xl bg-white p-6 sm:p-8 rounded-2xl shadow-2xl space-y-6">
+                    <header className="text-center">
+                        <h1 className="text-4xl font-extrabold text-indigo-700 flex items-center justify-center">
+                            <MessageSquare className="w-9 h-9 mr-3" />
+                            {t('share.viewTitle')}
+                        </h1>
+                        <p className="mt-2 flex items-center justify-center text-sm text-gray-500">
+                            <Eye className="w-4 h-4 mr-1" /> {t('share.readOnly')}
+                        </p>
+                    </header>
+
+                    {loadError ? (
+                        <div className="p-4 bg-red-50 border-l-4 border-red-500 rounded-xl">
+                            <p className="font-semibold text-red-700">{t('share.invalid')}</p>
+                            <p className="text-sm text-red-600">{errorText(t, loadError)}</p>
+                            <button onClick={openApp} className={`${buttonClass} mt-3 text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-50`}>
+                                <ExternalLink className="w-4 h-4 mr-1" /> {t('share.openApp')}
+                            </button>
+                        </div>
+                    ) : !review ? (
+                        <p className="flex items-center justify-center text-gray-600">
+                            <Loader2 className="w-5 h-5 mr-2 animate-spin text-indigo-600" /> {t('share.loading')}
+                        </p>
+                    ) : (
+                        <>
+                            <div className="p-4 bg-indigo-50 rounded-xl">
+                                <div className="flex flex-wrap items-end gap-2">
+                                    <label className="flex-grow text-xs font-semibold text-gray-600">
+                                        {t('mentor.name')}
+                                        <input
+                                            value={reviewerName}
+                                            onChange={(e) => changeReviewerName(e.target.value)}
+                                            placeholder={t('mentor.anonymous')}
+                                            className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base"
+                                        />
+                                    </label>
+                                    <button onClick={handleCopyLink} title={t('share.updateHint')} className={`${buttonClass} text-white bg-indigo-600 hover:bg-indigo-700`}>
+                                        <Link2 className="w-4 h-4 mr-1" /> {t('share.updateLink', { count: countAnnotations(annotations) })}
+                                    </button>
+                                    <button onClick={handleSave} disabled={saved} className={`${buttonClass} text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-50 disabled:opacity-50`}>
+                                        <Save className="w-4 h-4 mr-1" /> {t('share.save')}
+                                    </button>
+                                    <button onClick={openApp} className={`${buttonClass} text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-50`}>
+                                        <ExternalLink className="w-4 h-4 mr-1" /> {t('share.openApp')}
+                                    </button>
+                                </div>
+                                <ShareLinkResult result={share} />
+                                {saved && <p className="mt-2 text-sm text-green-700">{t('share.saved')}</p>}
+                            </div>
+
+                            <div>
+                                <h3 className="text-2xl font-bold text-indigo-700">{review.title}</h3>
+                                {review.createdAt && <p className="text-sm text-gray-500">{new Date(review.createdAt).toLocaleString()}</p>}
+                                <details className="mt-3 p-3 bg-indigo-50 rounded-lg text-sm text-gray-700">
+                                    <summary className="cursor-pointer font-semibold">{t('share.jobDescription')}</summary>
+                                    <p className="mt-2 whitespace-pre-wrap">{review.jobDescription}</p>
+                                </details>
+                            </div>
+
+                            {review.feedbackReport && <FeedbackReportDisplay report={review.feedbackReport} />}
+
+                            <div>
+                                <h4 className="text-xl font-bold text-indigo-800 mb-1 border-b pb-2">{t('share.transcript')}</h4>
+                                <p className="mb-3 text-xs text-gray-500">{t('share.commentHint')}</p>
+                                {/* Message 0 is the app's opening instruction to the model. */}
+                                {review.chatHistory.map((message, index) => index > 0 && (
+                                    <ConversationBubble key={index} message={message} speaker={speakerLabel(index)}>
+                                        <AnnotationThread
+                                            notes={annotations[index]}
+                                            onAdd={(text) => changeAnnotations(addAnnotation(annotations, index, createAnnotation(reviewerName, text)))}
+                                            onDelete={(id) => changeAnnotations(removeAnnotation(annotations, index, id))}
+                                        />
+                                    </ConversationBubble>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </I18nContext.Provider>
+    );
+};
+
+export default SharedReview;
@@ -0,0 +1,91 @@
+import { AlarmClock, Timer } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+import { formatSeconds } from '../timing.js';
+
+export const TimedModeSettings = ({ settings, onChange, disabled }) => {
+    const { t } = useI18n();
+    const update = (key, value) => onChange({ ...settings, [key]: value });
+    const numberInput = (key, min, max) => (
+        <input
+            type="number"
+            min={min}
+            max={max}
+            value={settings[key]}
+            onChange={(e) => update(key, Math.max(min, Math.min(max, Number(e.target.value) || min)))}
+            disabled={disabled || !settings.enabled}
+            className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base disabled:opacity-50"
+        />
+    );
+
+    return (
+        <div className="mb-8 p-4 bg-white border border-indigo-100 rounded-xl shadow-sm">
+            <label className="flex items-center text-sm font-bold text-indigo-700 mb-3">
+                <input
+                    type="checkbox"
+                    checked={settings.enabled}
+                    onChange={(e) => update('enabled', e.target.checked)}
+                    disabled={disabled}
+                    className="mr-2"
+                />
+                <AlarmClock className="w-4 h-4 mr-1" /> {t('timer.enable')}
+            </label>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('timer.answerSeconds')}
+                    {numberInput('answerSeconds', 15, 900)}
+                </label>
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('timer.sessionMinutes')}
+                    {numberInput('sessionMinutes', 1, 180)}
+                </label>
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('timer.warnAt')}
+                    {numberInput('warningSeconds', 5, 120)}
+                </label>
+                <label className="text-xs font-semibold text-gray-600">
+                    {t('timer.onTimeout')}
+                    <select
+                        value={settings.onTimeout}
+                        onChange={(e) => update('onTimeout', e.target.value)}
+                        disabled={disabled || !settings.enabled}
+                        className="mt-1 w-full p-2 border-2 border-gray-300 rounded-lg bg-white text-base disabled:opacity-50"
+                    >
+                        <option value="auto-submit">{t('timer.autoSubmit')}</option>
+                        <option value="cut-in">{t('timer.cutIn')}</option>
+                    </select>
+                </label>
+            </div>
+        </div>
+    );
+};
+
+const Countdown = ({ label, remaining, warningSeconds }) => {
+    const { t } = useI18n();
+    const warning = remaining <= warningSeconds;
+    return (
+        <div
+            className={`flex items-center px-3 py-1 rounded-lg font-mono font-semibold text-sm
+                ${warning ? 'bg-red-100 text-red-700 animate-pulse' : 'bg-indigo-50 text-indigo-800'}
+            `}
+            aria-live={warning ? 'assertive' : 'off'}
+        >
+            <Timer className="w-4 h-4 mr-1" />
+            <span className="font-sans mr-2">{label}</span>
+            {formatSeconds(remaining)}
+            {warning && <span className="font-sans ml-2 text-xs">{t('timer.almostUp')}</span>}
+        </div>
+    );
+};
+
+export const InterviewTimer = ({ answerRemaining, sessionRemaining, warningSeconds }) => {
+    const { t } = useI18n();
+
+    return (
+        <div className="flex flex-wrap gap-2 justify-end mb-3">
+            {answerRemaining !== null && (
+                <Countdown label={t('timer.answer')} remaining={answerRemaining} warningSeconds={warningSeconds} />
+            )}
+            <Countdown label={t('timer.session')} remaining={sessionRemaining} warningSeconds={warningSeconds * 3} />
+        </div>
+    );
+};
@@ -0,0 +1,39 @@
+import { Gauge, Layers } from 'lucide-react';
+import { useI18n } from '../i18n/index.js';
+import { formatCost, formatTokens } from '../usage.js';
+
+// Tokens and estimated cost of the session so far. `summary` is the engine's
+// context summary, when older turns are being sent as notes.
+const UsageMeter = ({ usage, summary }) => {
+    const { t } = useI18n();
+    if (usage.requests === 0) return null;
+
+    const approx = usage.estimated ? '~' : '';
+    const detail = [
+        t('usage.detail', {
+            input: formatTokens(usage.inputTokens),
+            output: formatTokens(usage.outputTokens),
+            requests: usage.requests,
+            last: formatTokens(usage.lastInputTokens),
+        }),
+        usage.estimated ? t('usage.estimatedNote') : null,
+    ].filter(Boolean).join('\n');
+
+    return (
+        <div className="mb-4 flex flex-wrap items-center justify-end gap-4 text-xs text-gray-500">
+            {summary && (
+                <span className="flex items-center" title={t('usage.summarizedHint', { count: summary.through })}>
+                    <Layers className="w-4 h-4 mr-1" /> {t('usage.summarized')}
+                </span>
+            )}
+            <span className="flex items-center" title={detail}>
+                <Gauge className="w-4 h-4 mr-1" />
+                {t('usage.tokens', { tokens: `${approx}${formatTokens(usage.inputTokens + usage.outputTokens)}` })}
+                <span className="mx-1">·</span>
+                {usage.cost === null ? t('usage.noPrice') : `${approx}${formatCost(usage.cost)}`}
+            </span>
+        </div>
+    );
+};
+
+export default UsageMeter;
@@ -0,0 +1,65 @@
+import { estimateMessagesTokens, estimateTokens } from './usage.js';
+
+// --- Context Window ---
+// Every turn resends the conversation. Once the part sent verbatim grows past
+// the budget, older turns are folded into a rolling summary that travels in
+// the system instruction; the session keeps the full transcript for the
+// report and exports.
+export const DEFAULT_CONTEXT_BUDGET = 6000;
+// The latest messages always go verbatim so follow-ups see the exact wording.
+const KEEP_RECENT_MESSAGES = 6;
+
+// The report is a single call, so its transcript gets more room.
+export const FEEDBACK_TRANSCRIPT_BUDGET = 24000;
+// No message is cut shorter than this, even if the transcript then runs over.
+const MIN_MESSAGE_CHARS = 400;
+
+// Panel interviews name the panelist behind each interviewer turn (see panel.js).
+export const formatTranscript = (messages) => messages
+    .map(msg => `${msg.role === 'model' ? (msg.speakerName ? `Interviewer ${msg.speakerName}` : 'Interviewer') : 'Candidate'}: ${msg.parts[0].text}`)
+    .join('\n');
+
+export const SUMMARY_PROMPT = (previousSummary, messages) => `You are taking notes on a mock interview for the interviewer's own use. Update the notes with the transcript below.
+Keep every question that was asked, the substance of each answer (claims, technologies, numbers, examples), and anything still worth probing. Leave out pleasantries. Write plain text, at most 250 words.
+${previousSummary ? `\n--- Notes So Far ---\n${previousSummary}\n` : ''}
+--- Transcript ---
+${formatTranscript(messages)}`;
+
+export const CONTEXT_SUMMARY_SECTION = (summary) => `\n\n--- Earlier In This Interview ---
+Only the latest turns follow verbatim. Your notes on what came before:
+${summary}`;
+
+// Where a new summary should end when `history` from message `from` on is over
+// budget: the oldest message that stays verbatim. It is always a candidate
+// message, since a request must start with a user turn. null if nothing can be folded.
+export const summaryCut = (history, from, budget) => {
+    if (estimateMessagesTokens(history.slice(from)) <= budget) return null;
+    let cut = Math.max(from, history.length - KEEP_RECENT_MESSAGES);
+    if (history[cut]?.role !== 'user') cut++;
+    return cut > from && cut < history.length ? cut : null;
+};
+
+const shorten = (text, max) => `${text.slice(0, Math.ceil(max * 0.7))} […] ${text.slice(text.length - Math.floor(max * 0.3))}`;
+
+// Shortens the longest messages, keeping their start and end, until the
+// transcript fits `budget` tokens. Every question and answer stays in.
+export const fitTranscript = (messages, budget = FEEDBACK_TRANSCRIPT_BUDGET) => {
+    const total = messages.reduce((sum, msg) => sum + estimateTokens(msg.parts[0].text), 0);
+    if (total <= budget) return messages;
+
+    // The largest per-message length that fits: short messages keep their
+    // full length and the rest share what is left equally.
+    const lengths = messages.map(msg => msg.parts[0].text.length).sort((a, b) => a - b);
+    let remaining = budget * 4;
+    let cap = 0;
+    for (let i = 0; i < lengths.length; i++) {
+        cap = Math.floor(remaining / (lengths.length - i));
+        if (lengths[i] > cap) break;
+        remaining -= lengths[i];
+    }
+    cap = Math.max(cap, MIN_MESSAGE_CHARS);
+
+    return messages.map(msg => (
+        msg.parts[0].text.length <= cap ? msg : { ...msg, parts: [{ text: shorten(msg.parts[0].text, cap) }] }
+    ));
+};
@@ -0,0 +1,30 @@
+// --- File Download / Print Helpers ---
+
+// Turns free text into a safe, readable file name stem.
+export const fileSlug = (text) => text.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase().slice(0, 60) || 'export';
+
+export const downloadText = (filename, text, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Prints a standalone HTML document from a hidden iframe so the app layout is
+// not part of the output; the browser's print dialog offers "Save as PDF".
+export const printHtml = (html) => {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    frame.srcdoc = html;
+    frame.onload = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => frame.remove(), 1000);
+    };
+    document.body.appendChild(frame);
+};
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTurnGuard } from './guardrails.js';
+
+// Streams the chunks through a guard and returns its verdict.
+const check = (...chunks) => {
+    const guard = createTurnGuard({ onRelease: () => {} });
+    chunks.forEach(chunk => guard.push(chunk));
+    return guard.finish();
+};
+
+describe('earlyFeedback', () => {
+    it('allows interview questions about strengths, weaknesses and improvement', () => {
+        for (const text of [
+            "What would you say are your main weaknesses?",
+            "Could you name an area for improvement in your last project?",
+            "Was sind Ihre Stärken?",
+            "Quais são seus pontos fortes?",
+        ]) {
+            assert.deepEqual(check(text).violations, [], text);
+        }
+    });
+
+    it('allows prompts about strengths and weaknesses given as statements', () => {
+        for (const text of [
+            "Tell me about your main strengths and how they fit this role.",
+            "Let's talk about your strengths. What are they?",
+            "Please walk me through your weaknesses.",
+            "Describe an area for improvement you have worked on.",
+            "Nennen Sie mir Ihre Stärken.",
+            "Fale sobre seus pontos fortes.",
+            "आइए आपकी ताकतों के बारे में बात करते हैं।",
+        ]) {
+            assert.deepEqual(check(text).violations, [], text);
+        }
+    });
+
+    it('allows ratios in a question or a scenario', () => {
+        assert.deepEqual(check("What would you do if 3 out of 10 requests time out?").violations, []);
+        assert.deepEqual(check("Imagine a service where 3 out of 10 requests time out. How would you debug it?").violations, []);
+    });
+
+    it('flags scores and reviews given as statements', () => {
+        for (const text of [
+            "Your main weaknesses are testing and planning.",
+            "I'd rate you 4/5 so far. Shall we move on?",
+            "You got 8/10. Why did you pick that approach?",
+            "That answer is a 7/10 for clarity.",
+            "Your strengths are clear structure and good examples.",
+            "One area for improvement is your pacing.",
+            "Ihre Stärken liegen in der Kommunikation.",
+            "Seus pontos fortes são a clareza e a estrutura.",
+            "आपकी सबसे बड़ी ताकत यह है कि आप स्पष्ट बोलते हैं।",
+        ]) {
+            assert.deepEqual(check(text).violations, ['earlyFeedback'], text);
+        }
+    });
+});
+
+describe('multipleQuestions', () => {
+    it('cuts a turn off after its first question', () => {
+        const result = check("What is a closure? ", "And how would you use one?");
+        assert.deepEqual(result.violations, ['multipleQuestions']);
+        assert.equal(result.text, "What is a closure?");
+    });
+
+    it('does not count question marks in code', () => {
+        const inline = check("Look at this line: `const y = x ? a : b;` ", "What does it return when x is 0?");
+        assert.deepEqual(inline.violations, []);
+        assert.equal(inline.text, "Look at this line: `const y = x ? a : b;` What does it return when x is 0?");
+
+        const block = check("Consider this:\n```js\nconst f = (x) => x ? 1 : 2;\n```\n", "What does f(0) return?");
+        assert.deepEqual(block.violations, []);
+        assert.equal(block.hasQuestion, true);
+    });
+});
@@ -0,0 +1,50 @@
+import { useEffect, useRef, useState } from 'react';
+
+const TICK_MS = 250;
+
+// Drives the timed-mode countdowns. `questionReadyAt` is the moment the current
+// question finished arriving (null while the interviewer is still talking).
+// Timeouts only fire while an answer is awaited, so a session that expires
+// mid-reply ends as soon as that reply is done. Each callback fires at most
+// once per question / per session.
+export const useInterviewTimer = ({ enabled, answerSeconds, sessionSeconds, questionReadyAt, sessionStartedAt, onAnswerTimeout, onSessionTimeout }) => {
+    const [now, setNow] = useState(() => Date.now());
+    const callbacksRef = useRef({});
+    const firedRef = useRef({ answer: null, session: null });
+
+    useEffect(() => {
+        callbacksRef.current = { onAnswerTimeout, onSessionTimeout };
+    });
+
+    const running = enabled && sessionStartedAt !== null;
+
+    useEffect(() => {
+        if (!running) return;
+
+        const id = setInterval(() => {
+            const tick = Date.now();
+            setNow(tick);
+
+            if (questionReadyAt === null) return;
+
+            if (tick - sessionStartedAt >= sessionSeconds * 1000 && firedRef.current.session !== sessionStartedAt) {
+                firedRef.current.session = sessionStartedAt;
+                callbacksRef.current.onSessionTimeout();
+            } else if (tick - questionReadyAt >= answerSeconds * 1000 && firedRef.current.answer !== questionReadyAt) {
+                firedRef.current.answer = questionReadyAt;
+                callbacksRef.current.onAnswerTimeout();
+            }
+        }, TICK_MS);
+
+        return () => clearInterval(id);
+    }, [running, answerSeconds, sessionSeconds, questionReadyAt, sessionStartedAt]);
+
+    if (!running) {
+        return { answerRemaining: null, sessionRemaining: null };
+    }
+
+    return {
+        answerRemaining: questionReadyAt === null ? null : answerSeconds - Math.max(0, now - questionReadyAt) / 1000,
+        sessionRemaining: sessionSeconds - Math.max(0, now - sessionStartedAt) / 1000,
+    };
+};
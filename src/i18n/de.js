@@ -0,0 +1,430 @@
+// --- German UI Strings ---
+export const DE_MESSAGES = {
+    // Shared
+    "common.cancel": "Abbrechen",
+
+    // Main screen
+    "app.title": "KI-Trainingspartner für Vorstellungsgespräche",
+    "app.subtitle": "Üben Sie für Ihr nächstes Vorstellungsgespräch.",
+    "app.nav.progress": "Fortschritt",
+    "app.nav.history": "Frühere Interviews",
+    "app.nav.settings": "Einstellungen für den Modellanbieter",
+    "app.mute": "Interviewer stummschalten",
+    "app.unmute": "Ton einschalten",
+    "app.language": "Sprache",
+    "app.languageLocked": "Die Sprache kann während eines Interviews nicht geändert werden.",
+    "app.unfinished": "Sie haben ein unvollständiges Interview für „{title}“.",
+    "app.resume": "Fortsetzen",
+    "app.dismiss": "Verwerfen",
+    "app.jobLabel": "Stelle eingeben oder Stellenbeschreibung einfügen",
+    "app.jobPlaceholder": "z. B. Senior React Developer, Verkaufsberater oder eine vollständige Stellenbeschreibung...",
+    "app.finish": "Beenden & Feedback",
+    "app.start": "Interview starten",
+    "app.plan": "Interview planen",
+    "app.planning": "Ein strukturierter Plan für Ihr Interview wird erstellt...",
+    "app.emptyHint": "Geben Sie oben eine Stelle oder Beschreibung ein und klicken Sie auf „{button}“, um ein strukturiertes Interview vorzubereiten.",
+    "app.genericPlan": "Es konnte kein zugeschnittener Plan erstellt werden, daher wird ein allgemeiner Ablauf angezeigt. Sie können ihn neu erstellen oder trotzdem beginnen.",
+    "app.thinking": "Der Interviewer denkt nach...",
+    "app.reportTitle": "Auswertung des Interviews",
+    "app.analyzing": "Ihre Leistung wird analysiert und ein strukturierter Bericht erstellt...",
+    "app.newInterview": "Neues Interview",
+    "app.input.listening": "Höre zu... Klicken Sie auf das Mikrofon, um zu beenden und zu senden.",
+    "app.input.recording": "Aufnahme läuft... Klicken Sie auf das Mikrofon, um zu beenden.",
+    "app.input.transcribing": "Ihre Antwort wird transkribiert...",
+    "app.input.ready": "Tippen oder auf das Mikrofon klicken, um zu sprechen...",
+    "app.input.notStarted": "Starten Sie zuerst das Interview.",
+    "app.send": "Senden",
+    "app.sendTitle": "Als Text senden",
+    "app.mic.stop": "Klicken, um die Aufnahme zu beenden und zu senden",
+    "app.mic.start": "Spracherkennung starten",
+    "app.alert.noSpeechApi": "Ihr Browser kann weder Sprache transkribieren noch Audio aufnehmen. Bitte verwenden Sie die Texteingabe.",
+    "app.alert.microphone": "Das Mikrofon konnte nicht geöffnet werden. Bitte erlauben Sie den Mikrofonzugriff oder verwenden Sie die Texteingabe.",
+    "app.alert.recognitionError": "Fehler bei der Spracherkennung: {error}. Bitte verwenden Sie die Texteingabe.",
+    "app.error.start": "Das Interview konnte nicht starten.",
+    "app.error.turn": "Die Antwort des Interviewers ist nicht angekommen. Ihre Antwort bleibt erhalten.",
+    "app.error.feedback": "Der Bericht konnte nicht erstellt werden.",
+    "app.error.kind.auth": "Der API-Schlüssel wurde abgelehnt. Prüfen Sie ihn in den Einstellungen.",
+    "app.error.kind.quota": "Das Rate-Limit oder Kontingent des Modells ist aufgebraucht. Warten Sie eine Minute oder prüfen Sie das Kontingent Ihres Tarifs.",
+    "app.error.kind.server": "Der Modelldienst hat Probleme. Versuchen Sie es gleich noch einmal.",
+    "app.error.kind.request": "Der Modelldienst hat die Anfrage abgelehnt. Prüfen Sie den Modellnamen in den Einstellungen.",
+    "app.error.kind.network": "Der Modelldienst ist nicht erreichbar. Prüfen Sie Ihre Verbindung und die URL in den Einstellungen.",
+    "app.error.kind.timeout": "Das Modell hat zu lange für die Antwort gebraucht.",
+    "app.error.kind.aborted": "Die Anfrage wurde abgebrochen.",
+    "app.error.kind.blocked": "Der Sicherheitsfilter des Modells hat die Antwort zurückgehalten.",
+    "app.error.kind.unknown": "Etwas ist schiefgelaufen.",
+    "app.error.retryTurn": "Letzten Schritt wiederholen",
+    "app.error.retryReport": "Bericht erneut erstellen",
+    "app.error.details": "Details",
+    "app.feedbackSpeech": "Ihr Interview ist abgeschlossen. Ihre Gesamtbewertung ist {score} von {max}.",
+
+    // Settings
+    "settings.provider": "Modellanbieter",
+    "provider.proxy": "Server-Proxy (empfohlen)",
+    "provider.gemini": "Google Gemini (direkt, der Schlüssel bleibt in diesem Browser)",
+    "provider.openai": "OpenAI-kompatibel (OpenAI, Ollama, LM Studio)",
+    "provider.mock": "Mock (offline, deterministisch)",
+    "provider.field.serverUrl": "Server-URL (leer für denselben Ursprung)",
+    "provider.field.baseUrl": "Basis-URL",
+    "provider.field.apiKey": "API-Schlüssel",
+    "provider.field.chatModel": "Chat-Modell",
+    "provider.field.ttsModel": "TTS-Modell",
+    "provider.field.ttsModelOptional": "TTS-Modell (leer lassen, um Audio abzuschalten)",
+    "provider.field.transcriptionModel": "Transkriptionsmodell",
+    "provider.field.voice": "Stimme",
+    "provider.field.latencyMs": "Simulierte Latenz (ms)",
+    "settings.locked": "Die Anbietereinstellungen sind während eines Interviews gesperrt.",
+    "settings.voice": "Stimme des Interviewers",
+    "settings.offlineVoice": "Offline-Stimme des Browsers statt der Modellstimme verwenden",
+    "settings.offlineVoiceHint": "Es wird nichts an das Sprachmodell gesendet. Die Browserstimme springt außerdem automatisch ein, wenn die Sprachausgabe des Modells fehlschlägt.",
+    "settings.offlineVoiceUnavailable": "Dieser Browser hat keine eingebaute Sprachsynthese.",
+    "settings.speechCache": "Zwischengespeicherte Sprache: {size} MB von {limit} MB",
+    "settings.clearSpeechCache": "Leeren",
+
+    // Conversation
+    "bubble.interviewer": "Interviewer",
+    "bubble.you": "Sie",
+    "bubble.pause": "Pausieren",
+    "bubble.resume": "Fortsetzen",
+    "bubble.replay": "Erneut abspielen",
+    "bubble.speed": "Wiedergabegeschwindigkeit",
+    "voice.sourceHint": "Woher die Sprachausgabe dieser Nachricht stammt",
+    "voice.source.cache": "zwischengespeichert",
+    "voice.source.model": "Modellstimme",
+    "voice.source.browser": "Browserstimme",
+
+    // Interview plan
+    "plan.perPhase": "Fragen pro Phase",
+    "plan.minutes": "~{minutes} Min.",
+    "plan.title": "Interviewplan",
+    "plan.summary": "{count} Fragen · ~{minutes} Min.",
+    "plan.regenerate": "Plan neu erstellen",
+    "plan.progress": "Frage {current} von {total} · ~{minutes} Min.",
+    "plan.phase.intro": "Einstieg",
+    "plan.phase.technical": "Fachlich",
+    "plan.phase.behavioral": "Verhalten",
+    "plan.phase.candidate-questions": "Fragen des Kandidaten",
+    "plan.phase.close": "Abschluss",
+    "plan.fromBank": "Fragenkatalog",
+
+    // Timed mode
+    "timer.enable": "Zeitmodus",
+    "timer.answerSeconds": "Sekunden pro Antwort",
+    "timer.sessionMinutes": "Minuten pro Sitzung",
+    "timer.warnAt": "Warnen bei (Sekunden übrig)",
+    "timer.onTimeout": "Wenn die Zeit abläuft",
+    "timer.autoSubmit": "Antwort automatisch senden",
+    "timer.cutIn": "Interviewer unterbricht",
+    "timer.answer": "Antwort",
+    "timer.session": "Sitzung",
+    "timer.almostUp": "Zeit fast abgelaufen",
+
+    // Rubrics
+    "rubric.title": "Bewertungsschema",
+    "rubric.edit": "Schema bearbeiten",
+    "rubric.duplicate": "Schema duplizieren",
+    "rubric.new": "Neues Schema",
+    "rubric.import": "Schema importieren (JSON)",
+    "rubric.export": "Schema exportieren (JSON)",
+    "rubric.delete": "Schema löschen",
+    "rubric.confirmDelete": "Das Schema „{name}“ löschen?",
+    "rubric.importError": "Schema konnte nicht importiert werden: {error}",
+    "error.rubric.notObject": "Die Bewertungsmatrix muss ein Objekt sein.",
+    "error.rubric.noName": "Die Bewertungsmatrix braucht einen Namen.",
+    "error.rubric.scale": "Das Skalenmaximum muss eine ganze Zahl von {min} bis {max} sein.",
+    "error.rubric.noCriteria": "Die Bewertungsmatrix braucht mindestens ein Kriterium.",
+    "error.rubric.criterionName": "Kriterium {number} braucht einen Namen.",
+    "error.rubric.weight": "„{label}“ braucht eine Gewichtung größer als 0.",
+    "error.rubric.duplicate": "Zwei Kriterien heißen beide „{label}“.",
+    "error.rubric.reserved": "„{label}“ kollidiert mit dem Berichtsfeld {key}; wählen Sie einen anderen Namen.",
+    "error.rubric.newerVersion": "Diese Bewertungsmatrix wurde von einer neueren Version der App exportiert.",
+    "error.import.notJson": "Die Datei ist kein gültiges JSON.",
+    "rubric.copyName": "{name} (Kopie)",
+    "rubric.scoredRange": "bewertet 1–{max}",
+    "rubric.name": "Name des Schemas",
+    "rubric.scale": "Skala (1 bis ...)",
+    "rubric.criterion": "Kriterium",
+    "rubric.criterionHint": "Was eine starke Antwort zeigt",
+    "rubric.weight": "Gewichtung",
+    "rubric.removeCriterion": "Kriterium entfernen",
+    "rubric.addCriterion": "Kriterium hinzufügen",
+    "rubric.save": "Schema speichern",
+
+    // Question banks
+    "bank.title": "Fragenkataloge",
+    "bank.perInterview": "Katalogfragen pro Interview",
+    "bank.new": "Neuer Fragenkatalog",
+    "bank.import": "Fragenkatalog importieren (JSON oder YAML)",
+    "bank.export": "Fragenkatalog exportieren (JSON)",
+    "bank.edit": "Fragenkatalog bearbeiten",
+    "bank.delete": "Fragenkatalog löschen",
+    "bank.confirmDelete": "Den Fragenkatalog „{name}“ löschen?",
+    "bank.importError": "Fragenkatalog konnte nicht importiert werden: {error}",
+    "error.bank.notObject": "Die Fragensammlung muss ein Objekt sein.",
+    "error.bank.noName": "Die Fragensammlung braucht einen Namen.",
+    "error.bank.noQuestions": "Die Fragensammlung braucht mindestens eine Frage.",
+    "error.bank.questionText": "Frage {number} hat keinen Text.",
+    "error.bank.difficulty": "Frage {number}: Die Schwierigkeit muss eine von {options} sein.",
+    "error.bank.phase": "Frage {number}: Die Phase muss eine von {options} sein.",
+    "error.bank.notJsonOrYaml": "Die Datei ist kein gültiges JSON oder YAML.",
+    "error.bank.newerVersion": "Diese Fragensammlung wurde von einer neueren Version der App exportiert.",
+    "bank.empty": "Noch keine Fragenkataloge. Importieren Sie einen oder legen Sie einen neuen an; Fragen aus den angehakten Katalogen werden wörtlich gestellt, gefolgt von eigenen Nachfragen des Interviewers.",
+    "bank.questionCount": "{count} Fragen",
+    "bank.name": "Name des Katalogs",
+    "bank.questionPlaceholder": "Die Frage, genau so, wie sie gestellt werden soll",
+    "bank.phase": "Interviewphase",
+    "bank.difficulty": "Schwierigkeit",
+    "bank.difficulty.easy": "Leicht",
+    "bank.difficulty.medium": "Mittel",
+    "bank.difficulty.hard": "Schwer",
+    "bank.roles": "Rollen (durch Kommas getrennt)",
+    "bank.rolesHint": "Wird nur verwendet, wenn die Stellenbeschreibung eine dieser Rollen nennt. Leer lassen für jede Rolle.",
+    "bank.skills": "Fähigkeiten (durch Kommas getrennt)",
+    "bank.skillsHint": "Wird bevorzugt, wenn die Stellenbeschreibung diese Fähigkeiten nennt.",
+    "bank.removeQuestion": "Frage entfernen",
+    "bank.addQuestion": "Frage hinzufügen",
+    "bank.save": "Fragenkatalog speichern",
+
+    // Persona
+    "persona.title": "Interviewer",
+    "persona.custom": "Benutzerdefiniert",
+    "persona.savePreset": "Als Vorlage speichern",
+    "persona.presetName": "Name der Vorlage, dann Enter",
+    "persona.deletePreset": "Vorlage löschen",
+    "persona.confirmDelete": "Die Vorlage „{name}“ löschen?",
+    "persona.style": "Stil",
+    "persona.seniority": "Erfahrungsstufe",
+    "persona.type": "Interviewart",
+    "persona.voice": "Stimme",
+    "persona.voiceDefault": "Standard des Anbieters",
+    "persona.voiceUnavailable": "{voice} (nicht verfügbar)",
+    "persona.preview": "Stimme anhören",
+    "persona.previewText": "Hallo, danke, dass Sie heute da sind. Beginnen wir mit einer kurzen Vorstellung: Erzählen Sie mir etwas über sich.",
+    "persona.style.friendly": "Freundlich",
+    "persona.style.neutral": "Neutral",
+    "persona.style.high-pressure": "Unter Druck",
+    "persona.seniority.intern": "Praktikum",
+    "persona.seniority.junior": "Junior",
+    "persona.seniority.mid": "Mittleres Level",
+    "persona.seniority.senior": "Senior",
+    "persona.seniority.staff": "Staff / Principal",
+    "persona.type.technical": "Fachlich",
+    "persona.type.behavioral": "Verhalten",
+    "persona.type.case": "Fallstudie",
+    "persona.preset.builtin-screen": "Freundliches Telefoninterview",
+    "persona.preset.builtin-onsite": "Übliches Fachinterview vor Ort",
+    "persona.preset.builtin-bar-raiser": "Strenger Senior-Interviewer",
+
+    // Panel interview
+    "panel.enable": "Panel-Interview",
+    "panel.hint": "Zwei bis vier Interviewer wechseln sich ab, jeder mit eigenem Schwerpunkt. Bei der Übergabe stellt sich der nächste kurz vor.",
+    "panel.turnsEach": "Runden pro Interviewer",
+    "panel.name": "Name",
+    "panel.role": "Rolle",
+    "panel.focus": "Schwerpunkt",
+    "panel.instructions": "Anweisungen",
+    "panel.instructionsPlaceholder": "Zusätzliche Hinweise für diesen Interviewer, z. B. „Fragen Sie nach dem Umgang mit Störungen.“",
+    "panel.voiceDefault": "Interviewer-Stimme",
+    "panel.remove": "Interviewer entfernen",
+    "panel.add": "Interviewer hinzufügen",
+    "panel.role.hiring-manager": "Hiring Manager",
+    "panel.role.senior-engineer": "Senior Engineer",
+    "panel.role.hr": "HR-Partner",
+    "panel.role.product-manager": "Produktmanager",
+    "panel.role.custom": "Interviewer",
+
+    // Resume
+    "resume.add": "Lebenslauf hinzufügen (PDF, DOCX oder Text, optional)",
+    "resume.reading": "Lebenslauf wird gelesen...",
+    "resume.remove": "Lebenslauf entfernen",
+    "resume.characters": "{count} Zeichen",
+    "resume.truncated": "gekürzt",
+    "resume.showText": "Extrahierten Text anzeigen",
+    "error.resume.unsupportedType": "Nicht unterstützter Dateityp. Laden Sie einen Lebenslauf als PDF, DOCX oder Textdatei hoch.",
+    "error.resume.noText": "Aus dieser Datei konnte kein Text gelesen werden. Gescannte PDFs werden nicht unterstützt; versuchen Sie eine DOCX- oder Textversion.",
+
+    // Export
+    "export.label": "Exportieren:",
+    "export.markdown": "Markdown",
+    "export.json": "JSON",
+    "export.jsonHint": "Kann in der Verlaufsansicht wieder importiert werden",
+    "export.pdf": "PDF",
+    "export.pdfHint": "Öffnet den Druckdialog; wählen Sie „Als PDF speichern“",
+    "share.button": "Teilen",
+    "share.hint": "Erstellt einen schreibgeschützten Link zu diesem Interview und Bericht für einen Mentor",
+    "share.copied": "Link in die Zwischenablage kopiert.",
+    "share.copyFailed": "Automatisches Kopieren nicht möglich; bitte kopieren Sie den Link unten.",
+    "share.link": "Review-Link",
+    "share.long": "Dieser Link ist {length} Zeichen lang; manche Chat-Apps und E-Mail-Programme kürzen lange Links. Senden Sie ihn als Datei oder in einem Dokument, falls er unvollständig ankommt.",
+    "share.failed": "Der Review-Link konnte nicht erstellt werden.",
+    "share.viewTitle": "Interview-Review",
+    "share.readOnly": "Schreibgeschützte Ansicht eines geteilten Interviews",
+    "share.loading": "Review wird geöffnet…",
+    "share.invalid": "Dieser Review-Link konnte nicht geöffnet werden.",
+    "share.openApp": "App öffnen",
+    "share.updateLink": "Aktualisierten Link kopieren ({count} Kommentare)",
+    "share.updateHint": "Erstellt einen neuen Link mit Ihren Kommentaren; senden Sie ihn an die Kandidatin oder den Kandidaten zurück",
+    "share.save": "In meinem Verlauf speichern",
+    "share.saved": "Gespeichert. Es erscheint in der Verlaufsansicht der App.",
+    "share.jobDescription": "Stellenbeschreibung",
+    "share.transcript": "Transkript",
+    "share.commentHint": "Fügen Sie unter beliebigen Nachrichten Kommentare hinzu und kopieren Sie dann den aktualisierten Link.",
+    "error.share.damaged": "Der Review-Link ist beschädigt oder unvollständig.",
+    "error.share.newerVersion": "Dieser Review-Link wurde mit einer neueren Version der App erstellt.",
+    "error.share.incomplete": "Dem Review-Link fehlen die Stellenbeschreibung oder das Transkript.",
+    "mentor.name": "Ihr Name",
+    "mentor.anonymous": "Anonymer Mentor",
+    "mentor.comment": "Kommentieren",
+    "mentor.add": "Kommentar hinzufügen",
+    "mentor.delete": "Kommentar löschen",
+    "mentor.placeholder": "Ihr Feedback zu dieser Nachricht (Strg+Enter zum Hinzufügen)",
+    "mentor.title": "Mentor-Kommentare",
+
+    // History
+    "history.back": "Zurück zum Verlauf",
+    "history.transcript": "Transkript",
+    "history.report": "Auswertung",
+    "history.loading": "Frühere Sitzungen werden geladen...",
+    "history.empty": "Noch keine gespeicherten Interviews. Abgeschlossene und laufende Interviews erscheinen hier.",
+    "history.completed": "Abgeschlossen",
+    "history.inProgress": "Läuft",
+    "history.overall": "Gesamt {score}/{max}",
+    "history.view": "Transkript und Auswertung ansehen",
+    "history.resume": "Interview fortsetzen",
+    "history.rename": "Umbenennen",
+    "history.saveName": "Namen speichern",
+    "history.delete": "Löschen",
+    "history.cannotDelete": "Das aktuelle Interview kann nicht gelöscht werden",
+    "history.confirmDelete": "„{title}“ löschen? Dies kann nicht rückgängig gemacht werden.",
+    "history.import": "JSON importieren",
+    "history.importError": "Interview konnte nicht importiert werden: {error}",
+    "error.session.notExport": "Diese Datei ist kein exportiertes Interview.",
+    "error.session.newerVersion": "Dieses Interview wurde von einer neueren Version der App exportiert.",
+    "error.session.incomplete": "Dem exportierten Interview fehlt die Stellenbeschreibung oder das Transkript.",
+
+    // Progress
+    "progress.loading": "Fortschritt wird geladen...",
+    "progress.empty": "Schließen Sie ein Interview mit Feedback ab, um Ihren Fortschritt zu verfolgen.",
+    "progress.allRoles": "Alle Stellen",
+    "progress.filter": "Nach Text der Stellenbeschreibung filtern...",
+    "progress.windowTitle": "Fenster für den gleitenden Durchschnitt",
+    "progress.window": "Gleitender Ø: letzte {count}",
+    "progress.summary": "{shown} von {total} bewerteten Interviews. Durchgezogene Linien sind einzelne Bewertungen; gestrichelte Linien der gleitende Durchschnitt. Bewertungen anderer Skalen werden auf 1–5 umgerechnet.",
+    "progress.overall": "Gesamt",
+    "progress.noScores": "Noch keine Bewertungen.",
+    "progress.rollingAvg": "Gleitender Ø",
+    "progress.best": "Beste",
+    "progress.thisWeek": "Diese Woche",
+
+    // Report
+    "report.overall": "Gesamtleistung",
+    "report.scoredWith": "Bewertet mit dem Schema „{name}“.",
+    "report.weight": "Gewichtung {weight}",
+    "report.insights": "Konkrete Empfehlungen",
+    "report.pacing": "Tempo",
+    "report.question": "Frage",
+    "report.latency": "Reaktionszeit",
+    "report.latencyHint": "Zeit bis zum Beginn Ihrer Antwort",
+    "report.duration": "Dauer",
+    "report.timedOut": "(Zeit abgelaufen)",
+    "report.delivery": "Vortrag",
+    "report.averagePace": "Durchschnittliches Tempo",
+    "report.averagePaceHint": "Nur gesprochene Antworten; 120–160 Wörter/Min. ist ein angenehmes Tempo",
+    "report.wpm": "{value} Wörter/Min.",
+    "report.fillersPer100": "Füllwörter / 100 Wörter",
+    "report.longPauses": "Lange Pausen",
+    "report.longPausesHint": "Pausen über {seconds} s beim lauten Antworten",
+    "report.averageAnswer": "Durchschnittliche Antwort",
+    "report.words": "{count} Wörter",
+    "report.answer": "Antwort",
+    "report.wordsColumn": "Wörter",
+    "report.pace": "Tempo",
+    "report.fillers": "Füllwörter",
+    "report.spoken": "Gesprochen",
+    "report.typed": "Getippt",
+    "report.none": "keine",
+    "report.longestPause": "(max. {seconds} s)",
+    "report.panel": "Aufschlüsselung nach Interviewer",
+    "report.panelist": "Interviewer",
+    "report.panelQuestions": "Fragen",
+    "report.overallShort": "Gesamt",
+    "report.panelHint": "Die Werte sind Durchschnitte der Fragen, die der jeweilige Interviewer gestellt hat.",
+    "report.resumeFit": "Lebenslauf vs. Stellenbeschreibung",
+    "report.resumeMatches": "Durch Ihren Lebenslauf belegt",
+    "report.resumeGaps": "Lücken",
+    "report.resumeInterview": "Im Interview:",
+    "report.resumeNext": "Nächster Schritt:",
+    "report.coding": "Live-Coding",
+    "report.correctness": "Korrektheit",
+    "report.codeQuality": "Codequalität",
+    "report.codingRound": "{title}: {passed}/{total} Tests bestanden",
+
+    // Per-question feedback
+    "questions.title": "Frage für Frage",
+    "questions.number": "F{number}.",
+    "questions.yourAnswer": "Ihre Antwort:",
+    "questions.stronger": "Stärkere Antwort",
+    "questions.retry": "Diese Frage wiederholen",
+    "questions.retryCount": "(bisher {count})",
+    "questions.hearAgain": "Frage erneut anhören",
+    "questions.closeRetry": "Wiederholung schließen",
+    "questions.retryPlaceholder": "Versuchen Sie Ihre Antwort noch einmal...",
+    "questions.submitAttempt": "Versuch senden",
+    "questions.retryError": "Dieser Versuch konnte nicht bewertet werden. Bitte versuchen Sie es erneut.",
+    "questions.original": "Ursprüngliche Antwort",
+    "questions.newAttempt": "Neuer Versuch",
+    "questions.newAttemptNumbered": "Neuer Versuch (#{number})",
+
+    // Live coding
+    "coding.start": "Live-Coding-Aufgabe starten",
+    "coding.title": "Live-Coding · {title}",
+    "coding.fallback": "Es konnte keine zugeschnittene Aufgabe erstellt werden, daher wird eine Standardaufgabe verwendet.",
+    "coding.editorLabel": "Ihre Lösung (JavaScript)",
+    "coding.run": "Tests ausführen",
+    "coding.running": "Wird ausgeführt...",
+    "coding.submit": "Lösung abgeben",
+    "coding.summary": "{passed}/{total} Tests bestanden",
+    "coding.example": "Beispiel {number}",
+    "coding.hidden": "Versteckter Test {number}",
+    "coding.passed": "bestanden",
+    "coding.failed": "fehlgeschlagen",
+    "coding.timedOut": "Zeitüberschreitung nach {seconds} s",
+    "coding.notRun": "nicht ausgeführt",
+    "coding.error": "Fehler: {error}",
+    "coding.expected": "erwartet {expected}",
+    "coding.got": "erhalten {actual}",
+    "coding.compileError": "Ihr Code konnte nicht ausgeführt werden: {error}",
+    "coding.console": "Konsolenausgabe",
+
+    // Usage
+    "usage.tokens": "{tokens} Tokens",
+    "usage.detail": "Eingabe {input} · Ausgabe {output} Tokens über {requests} Modellaufrufe. Letzte Anfrage: {last} Eingabe-Tokens.",
+    "usage.estimatedNote": "~ kennzeichnet Schätzungen: Der Anbieter hat nicht für jeden Aufruf die Nutzung gemeldet.",
+    "usage.noPrice": "Kosten für dieses Modell unbekannt",
+    "usage.summarized": "Frühere Runden zusammengefasst",
+    "usage.summarizedHint": "Damit die Anfragen klein bleiben, gehen die ersten {count} Nachrichten als Notizen an das Modell. Das vollständige Transkript bleibt für Bericht und Export erhalten.",
+
+    // Guardrails
+    "guard.fallback.start": "Fangen wir an. Können Sie mir Ihren Werdegang schildern und erzählen, was Sie an dieser Stelle reizt?",
+    "guard.fallback.turn": "Danke. Machen wir weiter: Können Sie eine weitere Erfahrung beschreiben, die für diese Stelle relevant ist?",
+    "guard.title": "Korrekturen am Interviewer ({count})",
+    "guard.hint": "Entwürfe von Interviewer-Beiträgen, die gegen eine Interviewregel verstießen. Sie wurden weder angezeigt noch vorgelesen; der Beitrag wurde gekürzt, neu formuliert oder durch eine Standardfrage ersetzt.",
+    "guard.entry": "Nachricht {index}, Entwurf {attempt}",
+    "guard.rule.multipleQuestions": "mehrere Fragen",
+    "guard.rule.earlyFeedback": "vorzeitige Bewertung",
+    "guard.rule.offRole": "aus der Rolle gefallen",
+    "guard.rule.injection": "eingeschleusten Anweisungen gefolgt",
+    "guard.rule.empty": "leere Antwort",
+    "guard.rule.blocked": "vom Sicherheitsfilter blockiert",
+    "guard.action.regenerated": "neu formuliert",
+    "guard.action.truncated": "nach der ersten Frage gekürzt",
+    "guard.action.fallback": "durch eine Standardfrage ersetzt",
+
+    // Voice answer review
+    "review.title": "Prüfen Sie Ihre Antwort vor dem Senden und korrigieren Sie falsch erkannte Wörter.",
+    "review.failed": "Ihre Aufnahme konnte nicht transkribiert werden.",
+    "review.send": "Antwort senden",
+    "review.rerecord": "Neu aufnehmen",
+    "review.discard": "Verwerfen",
+    "review.retryTranscription": "Erneut transkribieren",
+    "review.toggle": "Gesprochene Antworten vor dem Senden prüfen",
+};
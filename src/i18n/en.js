@@ -0,0 +1,431 @@
+// --- English UI Strings (reference set) ---
+// Keys are grouped by screen. Every other language file uses the same keys.
+export const EN_MESSAGES = {
+    // Shared
+    "common.cancel": "Cancel",
+
+    // Main screen
+    "app.title": "AI Interview Practice Partner",
+    "app.subtitle": "Practice and Ace your next interview.",
+    "app.nav.progress": "Progress dashboard",
+    "app.nav.history": "Past interviews",
+    "app.nav.settings": "Model provider settings",
+    "app.mute": "Mute interviewer",
+    "app.unmute": "Unmute interviewer",
+    "app.language": "Language",
+    "app.languageLocked": "The language can't be changed during an interview.",
+    "app.unfinished": "You have an unfinished interview for “{title}”.",
+    "app.resume": "Resume",
+    "app.dismiss": "Dismiss",
+    "app.jobLabel": "Enter Job Role or Paste Job Description",
+    "app.jobPlaceholder": "E.g., Senior React Developer, Sales Associate, or paste a full Job Description...",
+    "app.finish": "Finish & Feedback",
+    "app.start": "Start Interview",
+    "app.plan": "Plan Interview",
+    "app.planning": "Building a structured plan for your interview...",
+    "app.emptyHint": "Enter a job role or description above and click '{button}' to prepare a structured interview.",
+    "app.genericPlan": "A tailored plan could not be generated, so a generic outline is shown. You can regenerate it or start anyway.",
+    "app.thinking": "Interviewer is thinking...",
+    "app.reportTitle": "Interview Performance Report",
+    "app.analyzing": "Analyzing performance and generating structured report...",
+    "app.newInterview": "New Interview",
+    "app.input.listening": "Listening... Click the mic to stop and send.",
+    "app.input.recording": "Recording... Click the mic to stop.",
+    "app.input.transcribing": "Transcribing your answer...",
+    "app.input.ready": "Type or click the mic to speak...",
+    "app.input.notStarted": "Start the interview first.",
+    "app.send": "Send",
+    "app.sendTitle": "Send via text",
+    "app.mic.stop": "Click to stop recording and send",
+    "app.mic.start": "Start voice transcription",
+    "app.alert.noSpeechApi": "Your browser can neither transcribe speech nor record audio. Please use the text input.",
+    "app.alert.microphone": "The microphone could not be opened. Please allow microphone access or use the text input.",
+    "app.alert.recognitionError": "Speech recognition error: {error}. Please use the text input.",
+    "app.error.start": "The interview could not start.",
+    "app.error.turn": "The interviewer's reply did not arrive. Your answer is kept.",
+    "app.error.feedback": "The report could not be generated.",
+    "app.error.kind.auth": "The API key was rejected. Check it in Settings.",
+    "app.error.kind.quota": "The model's rate limit or quota is used up. Wait a minute, or check your plan's quota.",
+    "app.error.kind.server": "The model service is having trouble. Try again in a moment.",
+    "app.error.kind.request": "The model service refused the request. Check the model name in Settings.",
+    "app.error.kind.network": "The model service could not be reached. Check your connection and the URL in Settings.",
+    "app.error.kind.timeout": "The model took too long to respond.",
+    "app.error.kind.aborted": "The request was cancelled.",
+    "app.error.kind.blocked": "The model's safety filter withheld the reply.",
+    "app.error.kind.unknown": "Something went wrong.",
+    "app.error.retryTurn": "Retry last turn",
+    "app.error.retryReport": "Retry report",
+    "app.error.details": "Details",
+    "app.feedbackSpeech": "Your interview is complete. Your overall score is {score} out of {max}.",
+
+    // Settings
+    "settings.provider": "Model Provider",
+    "provider.proxy": "Server proxy (recommended)",
+    "provider.gemini": "Google Gemini (direct, key stays in this browser)",
+    "provider.openai": "OpenAI-compatible (OpenAI, Ollama, LM Studio)",
+    "provider.mock": "Mock (offline, deterministic)",
+    "provider.field.serverUrl": "Server URL (blank for same origin)",
+    "provider.field.baseUrl": "Base URL",
+    "provider.field.apiKey": "API Key",
+    "provider.field.chatModel": "Chat Model",
+    "provider.field.ttsModel": "TTS Model",
+    "provider.field.ttsModelOptional": "TTS Model (blank to disable audio)",
+    "provider.field.transcriptionModel": "Transcription Model",
+    "provider.field.voice": "Voice",
+    "provider.field.latencyMs": "Simulated latency (ms)",
+    "settings.locked": "Provider settings are locked while an interview is in progress.",
+    "settings.voice": "Interviewer voice",
+    "settings.offlineVoice": "Use the browser's offline voice instead of the model's",
+    "settings.offlineVoiceHint": "Nothing is sent to the speech model. The browser voice also steps in automatically whenever the model's speech fails.",
+    "settings.offlineVoiceUnavailable": "This browser has no built-in speech synthesis.",
+    "settings.speechCache": "Cached speech: {size} MB of {limit} MB",
+    "settings.clearSpeechCache": "Clear",
+
+    // Conversation
+    "bubble.interviewer": "Interviewer",
+    "bubble.you": "You",
+    "bubble.pause": "Pause",
+    "bubble.resume": "Resume",
+    "bubble.replay": "Replay",
+    "bubble.speed": "Playback speed",
+    "voice.sourceHint": "Where this message's speech came from",
+    "voice.source.cache": "cached",
+    "voice.source.model": "model voice",
+    "voice.source.browser": "browser voice",
+
+    // Interview plan
+    "plan.perPhase": "Questions per phase",
+    "plan.minutes": "~{minutes} min",
+    "plan.title": "Interview Plan",
+    "plan.summary": "{count} questions · ~{minutes} min",
+    "plan.regenerate": "Regenerate plan",
+    "plan.progress": "Question {current} of {total} · ~{minutes} min",
+    "plan.phase.intro": "Introduction",
+    "plan.phase.technical": "Technical",
+    "plan.phase.behavioral": "Behavioral",
+    "plan.phase.candidate-questions": "Candidate Questions",
+    "plan.phase.close": "Close",
+    "plan.fromBank": "Question bank",
+
+    // Timed mode
+    "timer.enable": "Timed mode",
+    "timer.answerSeconds": "Seconds per answer",
+    "timer.sessionMinutes": "Session minutes",
+    "timer.warnAt": "Warn at (seconds left)",
+    "timer.onTimeout": "When time runs out",
+    "timer.autoSubmit": "Auto-submit answer",
+    "timer.cutIn": "Interviewer cuts in",
+    "timer.answer": "Answer",
+    "timer.session": "Session",
+    "timer.almostUp": "Time almost up",
+
+    // Rubrics
+    "rubric.title": "Feedback rubric",
+    "rubric.edit": "Edit rubric",
+    "rubric.duplicate": "Duplicate rubric",
+    "rubric.new": "New rubric",
+    "rubric.import": "Import rubric (JSON)",
+    "rubric.export": "Export rubric (JSON)",
+    "rubric.delete": "Delete rubric",
+    "rubric.confirmDelete": "Delete the \"{name}\" rubric?",
+    "rubric.importError": "Could not import rubric: {error}",
+    "error.rubric.notObject": "Rubric must be an object.",
+    "error.rubric.noName": "Rubric needs a name.",
+    "error.rubric.scale": "Scale maximum must be a whole number from {min} to {max}.",
+    "error.rubric.noCriteria": "Rubric needs at least one criterion.",
+    "error.rubric.criterionName": "Criterion {number} needs a name.",
+    "error.rubric.weight": "\"{label}\" needs a weight greater than 0.",
+    "error.rubric.duplicate": "Two criteria are both named \"{label}\".",
+    "error.rubric.reserved": "\"{label}\" clashes with the report field {key}; choose another name.",
+    "error.rubric.newerVersion": "This rubric was exported by a newer version of the app.",
+    "error.import.notJson": "File is not valid JSON.",
+    "rubric.copyName": "{name} (copy)",
+    "rubric.scoredRange": "scored 1–{max}",
+    "rubric.name": "Rubric name",
+    "rubric.scale": "Scale (1 to ...)",
+    "rubric.criterion": "Criterion",
+    "rubric.criterionHint": "What a strong answer shows",
+    "rubric.weight": "Weight",
+    "rubric.removeCriterion": "Remove criterion",
+    "rubric.addCriterion": "Add criterion",
+    "rubric.save": "Save rubric",
+
+    // Question banks
+    "bank.title": "Question banks",
+    "bank.perInterview": "Bank questions per interview",
+    "bank.new": "New question bank",
+    "bank.import": "Import question bank (JSON or YAML)",
+    "bank.export": "Export question bank (JSON)",
+    "bank.edit": "Edit question bank",
+    "bank.delete": "Delete question bank",
+    "bank.confirmDelete": "Delete the \"{name}\" question bank?",
+    "bank.importError": "Could not import question bank: {error}",
+    "error.bank.notObject": "Question bank must be an object.",
+    "error.bank.noName": "Question bank needs a name.",
+    "error.bank.noQuestions": "Question bank needs at least one question.",
+    "error.bank.questionText": "Question {number} has no text.",
+    "error.bank.difficulty": "Question {number}: difficulty must be one of {options}.",
+    "error.bank.phase": "Question {number}: phase must be one of {options}.",
+    "error.bank.notJsonOrYaml": "File is not valid JSON or YAML.",
+    "error.bank.newerVersion": "This question bank was exported by a newer version of the app.",
+    "bank.empty": "No question banks yet. Import one or create a new bank; questions from the ticked banks are asked word for word, followed by the interviewer's own follow-ups.",
+    "bank.questionCount": "{count} questions",
+    "bank.name": "Bank name",
+    "bank.questionPlaceholder": "The question, exactly as it should be asked",
+    "bank.phase": "Interview phase",
+    "bank.difficulty": "Difficulty",
+    "bank.difficulty.easy": "Easy",
+    "bank.difficulty.medium": "Medium",
+    "bank.difficulty.hard": "Hard",
+    "bank.roles": "Roles (comma-separated)",
+    "bank.rolesHint": "Only used when the job description mentions one of these roles. Leave empty for any role.",
+    "bank.skills": "Skills (comma-separated)",
+    "bank.skillsHint": "Preferred when the job description mentions these skills.",
+    "bank.removeQuestion": "Remove question",
+    "bank.addQuestion": "Add question",
+    "bank.save": "Save question bank",
+
+    // Persona
+    "persona.title": "Interviewer",
+    "persona.custom": "Custom",
+    "persona.savePreset": "Save as preset",
+    "persona.presetName": "Preset name, then Enter",
+    "persona.deletePreset": "Delete preset",
+    "persona.confirmDelete": "Delete the \"{name}\" preset?",
+    "persona.style": "Style",
+    "persona.seniority": "Seniority",
+    "persona.type": "Interview type",
+    "persona.voice": "Voice",
+    "persona.voiceDefault": "Provider default",
+    "persona.voiceUnavailable": "{voice} (not available)",
+    "persona.preview": "Preview voice",
+    "persona.previewText": "Hi, thanks for joining today. Let's start with a quick introduction: tell me about yourself.",
+    "persona.style.friendly": "Friendly",
+    "persona.style.neutral": "Neutral",
+    "persona.style.high-pressure": "High-pressure",
+    "persona.seniority.intern": "Intern",
+    "persona.seniority.junior": "Junior",
+    "persona.seniority.mid": "Mid-level",
+    "persona.seniority.senior": "Senior",
+    "persona.seniority.staff": "Staff / Principal",
+    "persona.type.technical": "Technical",
+    "persona.type.behavioral": "Behavioral",
+    "persona.type.case": "Case",
+    "persona.preset.builtin-screen": "Friendly phone screen",
+    "persona.preset.builtin-onsite": "Standard technical onsite",
+    "persona.preset.builtin-bar-raiser": "Senior bar raiser",
+
+    // Panel interview
+    "panel.enable": "Panel interview",
+    "panel.hint": "Two to four interviewers take turns, each asking about their own focus. When one hands off, the next introduces themselves.",
+    "panel.turnsEach": "Turns per panelist",
+    "panel.name": "Name",
+    "panel.role": "Role",
+    "panel.focus": "Focus",
+    "panel.instructions": "Instructions",
+    "panel.instructionsPlaceholder": "Extra guidance for this interviewer, e.g. \"Dig into incident handling.\"",
+    "panel.voiceDefault": "Interviewer voice",
+    "panel.remove": "Remove panelist",
+    "panel.add": "Add panelist",
+    "panel.role.hiring-manager": "Hiring manager",
+    "panel.role.senior-engineer": "Senior engineer",
+    "panel.role.hr": "HR partner",
+    "panel.role.product-manager": "Product manager",
+    "panel.role.custom": "Panelist",
+
+    // Resume
+    "resume.add": "Add your resume (PDF, DOCX or text, optional)",
+    "resume.reading": "Reading resume...",
+    "resume.remove": "Remove resume",
+    "resume.characters": "{count} characters",
+    "resume.truncated": "truncated",
+    "resume.showText": "Show extracted text",
+    "error.resume.unsupportedType": "Unsupported file type. Upload a PDF, DOCX or plain text resume.",
+    "error.resume.noText": "No text could be read from this file. Scanned PDFs are not supported; try a DOCX or text version.",
+
+    // Export
+    "export.label": "Export:",
+    "export.markdown": "Markdown",
+    "export.json": "JSON",
+    "export.jsonHint": "Can be imported again from the History view",
+    "export.pdf": "PDF",
+    "export.pdfHint": "Opens the print dialog; choose \"Save as PDF\"",
+    "share.button": "Share",
+    "share.hint": "Creates a read-only link to this interview and report for a mentor",
+    "share.copied": "Link copied to the clipboard.",
+    "share.copyFailed": "Could not copy automatically; copy the link below.",
+    "share.link": "Review link",
+    "share.long": "This link is {length} characters long; some chat apps and mail clients cut long links. Send it as a file or paste it into a document if it arrives broken.",
+    "share.failed": "Could not create the review link.",
+    "share.viewTitle": "Interview Review",
+    "share.readOnly": "Read-only review of a shared interview",
+    "share.loading": "Opening the review…",
+    "share.invalid": "This review link could not be opened.",
+    "share.openApp": "Open the app",
+    "share.updateLink": "Copy updated link ({count} comments)",
+    "share.updateHint": "Creates a new link that includes your comments; send it back to the candidate",
+    "share.save": "Save to my history",
+    "share.saved": "Saved. It appears in the History view of the app.",
+    "share.jobDescription": "Job description",
+    "share.transcript": "Transcript",
+    "share.commentHint": "Add comments under any message, then copy the updated link.",
+    "error.share.damaged": "The review link is damaged or incomplete.",
+    "error.share.newerVersion": "This review link was made by a newer version of the app.",
+    "error.share.incomplete": "The review link is missing its job description or transcript.",
+    "mentor.name": "Your name",
+    "mentor.anonymous": "Anonymous mentor",
+    "mentor.comment": "Comment",
+    "mentor.add": "Add comment",
+    "mentor.delete": "Delete comment",
+    "mentor.placeholder": "Your feedback on this message (Ctrl+Enter to add)",
+    "mentor.title": "Mentor comments",
+
+    // History
+    "history.back": "Back to history",
+    "history.transcript": "Transcript",
+    "history.report": "Performance Report",
+    "history.loading": "Loading past sessions...",
+    "history.empty": "No saved interviews yet. Finished and in-progress interviews will appear here.",
+    "history.completed": "Completed",
+    "history.inProgress": "In progress",
+    "history.overall": "Overall {score}/{max}",
+    "history.view": "View transcript and report",
+    "history.resume": "Resume interview",
+    "history.rename": "Rename",
+    "history.saveName": "Save name",
+    "history.delete": "Delete",
+    "history.cannotDelete": "Cannot delete the current interview",
+    "history.confirmDelete": "Delete \"{title}\"? This cannot be undone.",
+    "history.import": "Import JSON",
+    "history.importError": "Could not import interview: {error}",
+    "error.session.notExport": "This file is not an exported interview.",
+    "error.session.newerVersion": "This interview was exported by a newer version of the app.",
+    "error.session.incomplete": "The exported interview is missing its job description or transcript.",
+
+    // Progress
+    "progress.loading": "Loading progress...",
+    "progress.empty": "Complete an interview with feedback to start tracking your progress.",
+    "progress.allRoles": "All roles",
+    "progress.filter": "Filter by job description text...",
+    "progress.windowTitle": "Rolling average window",
+    "progress.window": "Rolling avg: last {count}",
+    "progress.summary": "{shown} of {total} scored interviews. Solid lines are individual scores; dashed lines are the rolling average. Scores from other rubric scales are shown on a 1–5 scale.",
+    "progress.overall": "Overall",
+    "progress.noScores": "No scores yet.",
+    "progress.rollingAvg": "Rolling avg",
+    "progress.best": "Best",
+    "progress.thisWeek": "This week",
+
+    // Report
+    "report.overall": "Overall Performance",
+    "report.scoredWith": "Scored with the “{name}” rubric.",
+    "report.weight": "Weight {weight}",
+    "report.insights": "Actionable Insights",
+    "report.pacing": "Pacing",
+    "report.question": "Question",
+    "report.latency": "Latency",
+    "report.latencyHint": "Time before you started answering",
+    "report.duration": "Duration",
+    "report.timedOut": "(timed out)",
+    "report.delivery": "Delivery",
+    "report.averagePace": "Average pace",
+    "report.averagePaceHint": "Spoken answers only; 120-160 wpm is a comfortable pace",
+    "report.wpm": "{value} wpm",
+    "report.fillersPer100": "Fillers / 100 words",
+    "report.longPauses": "Long pauses",
+    "report.longPausesHint": "Silences over {seconds}s while answering out loud",
+    "report.averageAnswer": "Average answer",
+    "report.words": "{count} words",
+    "report.answer": "Answer",
+    "report.wordsColumn": "Words",
+    "report.pace": "Pace",
+    "report.fillers": "Fillers",
+    "report.spoken": "Spoken",
+    "report.typed": "Typed",
+    "report.none": "none",
+    "report.longestPause": "(max {seconds}s)",
+    "report.panel": "Panel Breakdown",
+    "report.panelist": "Panelist",
+    "report.panelQuestions": "Questions",
+    "report.overallShort": "Overall",
+    "report.panelHint": "Scores are the averages of the questions each panelist asked.",
+    "report.resumeFit": "Resume vs Job Description",
+    "report.resumeMatches": "Backed by your resume",
+    "report.resumeGaps": "Gaps",
+    "report.resumeInterview": "In the interview:",
+    "report.resumeNext": "Next step:",
+    "report.coding": "Live Coding",
+    "report.correctness": "Correctness",
+    "report.codeQuality": "Code quality",
+    "report.codingRound": "{title}: {passed}/{total} tests passed",
+
+    // Per-question feedback
+    "questions.title": "Question-by-Question",
+    "questions.number": "Q{number}.",
+    "questions.yourAnswer": "Your answer:",
+    "questions.stronger": "Stronger answer",
+    "questions.retry": "Retry this question",
+    "questions.retryCount": "({count} so far)",
+    "questions.hearAgain": "Hear the question again",
+    "questions.closeRetry": "Close retry",
+    "questions.retryPlaceholder": "Give your answer another try...",
+    "questions.submitAttempt": "Submit attempt",
+    "questions.retryError": "Could not evaluate this attempt. Please try again.",
+    "questions.original": "Original answer",
+    "questions.newAttempt": "New attempt",
+    "questions.newAttemptNumbered": "New attempt (#{number})",
+
+    // Live coding
+    "coding.start": "Start a live-coding exercise",
+    "coding.title": "Live coding · {title}",
+    "coding.fallback": "A tailored problem could not be generated, so a standard one is used.",
+    "coding.editorLabel": "Your solution (JavaScript)",
+    "coding.run": "Run tests",
+    "coding.running": "Running...",
+    "coding.submit": "Submit solution",
+    "coding.summary": "{passed}/{total} tests passed",
+    "coding.example": "Example {number}",
+    "coding.hidden": "Hidden test {number}",
+    "coding.passed": "passed",
+    "coding.failed": "failed",
+    "coding.timedOut": "timed out after {seconds}s",
+    "coding.notRun": "not run",
+    "coding.error": "error: {error}",
+    "coding.expected": "expected {expected}",
+    "coding.got": "got {actual}",
+    "coding.compileError": "Your code could not run: {error}",
+    "coding.console": "Console output",
+
+    // Usage
+    "usage.tokens": "{tokens} tokens",
+    "usage.detail": "Input {input} · output {output} tokens over {requests} model calls. Last request: {last} input tokens.",
+    "usage.estimatedNote": "~ marks estimates: the provider did not report usage for every call.",
+    "usage.noPrice": "cost unknown for this model",
+    "usage.summarized": "Earlier turns summarized",
+    "usage.summarizedHint": "To keep requests small, the first {count} messages are sent to the model as notes. The full transcript is kept for the report and exports.",
+
+    // Guardrails
+    "guard.fallback.start": "Let's begin. Could you walk me through your background and what draws you to this role?",
+    "guard.fallback.turn": "Thank you. Let's move on: could you describe another piece of your experience that is relevant to this role?",
+    "guard.title": "Interviewer corrections ({count})",
+    "guard.hint": "Drafts of the interviewer's turns that broke an interview rule. They were never shown or spoken; the turn was cut short, redrafted, or replaced with a stock question.",
+    "guard.entry": "Message {index}, draft {attempt}",
+    "guard.rule.multipleQuestions": "several questions",
+    "guard.rule.earlyFeedback": "early scores or feedback",
+    "guard.rule.offRole": "out of role",
+    "guard.rule.injection": "followed injected instructions",
+    "guard.rule.empty": "empty reply",
+    "guard.rule.blocked": "blocked by safety filter",
+    "guard.action.regenerated": "redrafted",
+    "guard.action.truncated": "cut after the first question",
+    "guard.action.fallback": "replaced with a stock question",
+
+    // Voice answer review
+    "review.title": "Check your answer before sending. Fix any misheard words.",
+    "review.failed": "Your recording could not be transcribed.",
+    "review.send": "Send answer",
+    "review.rerecord": "Record again",
+    "review.discard": "Discard",
+    "review.retryTranscription": "Transcribe again",
+    "review.toggle": "Review spoken answers before sending",
+};
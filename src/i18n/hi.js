@@ -0,0 +1,430 @@
+// --- Hindi UI Strings ---
+export const HI_MESSAGES = {
+    // Shared
+    "common.cancel": "रद्द करें",
+
+    // Main screen
+    "app.title": "AI इंटरव्यू अभ्यास साथी",
+    "app.subtitle": "अभ्यास करें और अपने अगले इंटरव्यू में सफल हों।",
+    "app.nav.progress": "प्रगति डैशबोर्ड",
+    "app.nav.history": "पिछले इंटरव्यू",
+    "app.nav.settings": "मॉडल प्रदाता सेटिंग्स",
+    "app.mute": "इंटरव्यूअर को म्यूट करें",
+    "app.unmute": "इंटरव्यूअर को अनम्यूट करें",
+    "app.language": "भाषा",
+    "app.languageLocked": "इंटरव्यू के दौरान भाषा नहीं बदली जा सकती।",
+    "app.unfinished": "“{title}” के लिए आपका एक अधूरा इंटरव्यू है।",
+    "app.resume": "जारी रखें",
+    "app.dismiss": "हटाएँ",
+    "app.jobLabel": "पद का नाम लिखें या जॉब विवरण चिपकाएँ",
+    "app.jobPlaceholder": "जैसे, सीनियर React डेवलपर, सेल्स एसोसिएट, या पूरा जॉब विवरण चिपकाएँ...",
+    "app.finish": "समाप्त करें और फ़ीडबैक",
+    "app.start": "इंटरव्यू शुरू करें",
+    "app.plan": "इंटरव्यू की योजना बनाएँ",
+    "app.planning": "आपके इंटरव्यू के लिए एक व्यवस्थित योजना बनाई जा रही है...",
+    "app.emptyHint": "ऊपर पद या विवरण लिखें और व्यवस्थित इंटरव्यू तैयार करने के लिए '{button}' पर क्लिक करें।",
+    "app.genericPlan": "अनुकूलित योजना नहीं बन सकी, इसलिए एक सामान्य रूपरेखा दिखाई जा रही है। आप इसे फिर से बना सकते हैं या ऐसे ही शुरू कर सकते हैं।",
+    "app.thinking": "इंटरव्यूअर सोच रहे हैं...",
+    "app.reportTitle": "इंटरव्यू प्रदर्शन रिपोर्ट",
+    "app.analyzing": "प्रदर्शन का विश्लेषण और व्यवस्थित रिपोर्ट तैयार की जा रही है...",
+    "app.newInterview": "नया इंटरव्यू",
+    "app.input.listening": "सुन रहे हैं... रोकने और भेजने के लिए माइक पर क्लिक करें।",
+    "app.input.recording": "रिकॉर्ड हो रहा है... रोकने के लिए माइक पर क्लिक करें।",
+    "app.input.transcribing": "आपके उत्तर का ट्रांसक्रिप्शन हो रहा है...",
+    "app.input.ready": "टाइप करें या बोलने के लिए माइक पर क्लिक करें...",
+    "app.input.notStarted": "पहले इंटरव्यू शुरू करें।",
+    "app.send": "भेजें",
+    "app.sendTitle": "टेक्स्ट के रूप में भेजें",
+    "app.mic.stop": "रिकॉर्डिंग रोकने और भेजने के लिए क्लिक करें",
+    "app.mic.start": "वॉइस ट्रांसक्रिप्शन शुरू करें",
+    "app.alert.noSpeechApi": "आपका ब्राउज़र न तो बोली का ट्रांसक्रिप्शन कर सकता है और न ही ऑडियो रिकॉर्ड कर सकता है। कृपया टेक्स्ट इनपुट का उपयोग करें।",
+    "app.alert.microphone": "माइक्रोफ़ोन नहीं खुल सका। कृपया माइक्रोफ़ोन की अनुमति दें या टेक्स्ट इनपुट का उपयोग करें।",
+    "app.alert.recognitionError": "वाक् पहचान त्रुटि: {error}। कृपया टेक्स्ट इनपुट का उपयोग करें।",
+    "app.error.start": "इंटरव्यू शुरू नहीं हो सका।",
+    "app.error.turn": "इंटरव्यूअर का जवाब नहीं आया। आपका उत्तर सुरक्षित है।",
+    "app.error.feedback": "रिपोर्ट नहीं बन सकी।",
+    "app.error.kind.auth": "API कुंजी अस्वीकार कर दी गई। सेटिंग्स में इसे जाँचें।",
+    "app.error.kind.quota": "मॉडल की रेट लिमिट या कोटा खत्म हो गया है। एक मिनट रुकें, या अपने प्लान का कोटा जाँचें।",
+    "app.error.kind.server": "मॉडल सेवा में समस्या है। थोड़ी देर में फिर से प्रयास करें।",
+    "app.error.kind.request": "मॉडल सेवा ने अनुरोध अस्वीकार कर दिया। सेटिंग्स में मॉडल का नाम जाँचें।",
+    "app.error.kind.network": "मॉडल सेवा तक नहीं पहुँचा जा सका। अपना कनेक्शन और सेटिंग्स में URL जाँचें।",
+    "app.error.kind.timeout": "मॉडल ने जवाब देने में बहुत समय लिया।",
+    "app.error.kind.aborted": "अनुरोध रद्द कर दिया गया।",
+    "app.error.kind.blocked": "मॉडल के सुरक्षा फ़िल्टर ने उत्तर रोक दिया।",
+    "app.error.kind.unknown": "कुछ गलत हो गया।",
+    "app.error.retryTurn": "पिछला चरण फिर से आज़माएँ",
+    "app.error.retryReport": "रिपोर्ट फिर से बनाएँ",
+    "app.error.details": "विवरण",
+    "app.feedbackSpeech": "आपका इंटरव्यू पूरा हो गया है। आपका कुल स्कोर {max} में से {score} है।",
+
+    // Settings
+    "settings.provider": "मॉडल प्रदाता",
+    "provider.proxy": "सर्वर प्रॉक्सी (अनुशंसित)",
+    "provider.gemini": "Google Gemini (सीधे, कुंजी इसी ब्राउज़र में रहती है)",
+    "provider.openai": "OpenAI-संगत (OpenAI, Ollama, LM Studio)",
+    "provider.mock": "मॉक (ऑफ़लाइन, नियतात्मक)",
+    "provider.field.serverUrl": "सर्वर URL (समान ओरिजिन के लिए खाली छोड़ें)",
+    "provider.field.baseUrl": "बेस URL",
+    "provider.field.apiKey": "API कुंजी",
+    "provider.field.chatModel": "चैट मॉडल",
+    "provider.field.ttsModel": "TTS मॉडल",
+    "provider.field.ttsModelOptional": "TTS मॉडल (ऑडियो बंद करने के लिए खाली छोड़ें)",
+    "provider.field.transcriptionModel": "ट्रांसक्रिप्शन मॉडल",
+    "provider.field.voice": "आवाज़",
+    "provider.field.latencyMs": "सिम्युलेटेड विलंब (ms)",
+    "settings.locked": "इंटरव्यू चलने के दौरान प्रदाता सेटिंग्स लॉक रहती हैं।",
+    "settings.voice": "इंटरव्यूअर की आवाज़",
+    "settings.offlineVoice": "मॉडल की आवाज़ के बजाय ब्राउज़र की ऑफ़लाइन आवाज़ का उपयोग करें",
+    "settings.offlineVoiceHint": "स्पीच मॉडल को कुछ नहीं भेजा जाता। मॉडल की आवाज़ विफल होने पर भी ब्राउज़र की आवाज़ अपने आप काम संभाल लेती है।",
+    "settings.offlineVoiceUnavailable": "इस ब्राउज़र में अंतर्निहित स्पीच सिंथेसिस नहीं है।",
+    "settings.speechCache": "कैश की गई आवाज़: {limit} MB में से {size} MB",
+    "settings.clearSpeechCache": "साफ़ करें",
+
+    // Conversation
+    "bubble.interviewer": "इंटरव्यूअर",
+    "bubble.you": "आप",
+    "bubble.pause": "रोकें",
+    "bubble.resume": "जारी रखें",
+    "bubble.replay": "फिर से चलाएँ",
+    "bubble.speed": "प्लेबैक गति",
+    "voice.sourceHint": "इस संदेश की आवाज़ कहाँ से आई",
+    "voice.source.cache": "कैश से",
+    "voice.source.model": "मॉडल की आवाज़",
+    "voice.source.browser": "ब्राउज़र की आवाज़",
+
+    // Interview plan
+    "plan.perPhase": "प्रति चरण प्रश्न",
+    "plan.minutes": "~{minutes} मिनट",
+    "plan.title": "इंटरव्यू योजना",
+    "plan.summary": "{count} प्रश्न · ~{minutes} मिनट",
+    "plan.regenerate": "योजना फिर से बनाएँ",
+    "plan.progress": "प्रश्न {current} / {total} · ~{minutes} मिनट",
+    "plan.phase.intro": "परिचय",
+    "plan.phase.technical": "तकनीकी",
+    "plan.phase.behavioral": "व्यवहारिक",
+    "plan.phase.candidate-questions": "उम्मीदवार के प्रश्न",
+    "plan.phase.close": "समापन",
+    "plan.fromBank": "प्रश्न बैंक",
+
+    // Timed mode
+    "timer.enable": "समयबद्ध मोड",
+    "timer.answerSeconds": "प्रति उत्तर सेकंड",
+    "timer.sessionMinutes": "सत्र के मिनट",
+    "timer.warnAt": "चेतावनी (शेष सेकंड)",
+    "timer.onTimeout": "समय समाप्त होने पर",
+    "timer.autoSubmit": "उत्तर अपने आप भेजें",
+    "timer.cutIn": "इंटरव्यूअर बीच में टोकें",
+    "timer.answer": "उत्तर",
+    "timer.session": "सत्र",
+    "timer.almostUp": "समय लगभग समाप्त",
+
+    // Rubrics
+    "rubric.title": "फ़ीडबैक रूब्रिक",
+    "rubric.edit": "रूब्रिक संपादित करें",
+    "rubric.duplicate": "रूब्रिक की प्रति बनाएँ",
+    "rubric.new": "नया रूब्रिक",
+    "rubric.import": "रूब्रिक आयात करें (JSON)",
+    "rubric.export": "रूब्रिक निर्यात करें (JSON)",
+    "rubric.delete": "रूब्रिक हटाएँ",
+    "rubric.confirmDelete": "\"{name}\" रूब्रिक हटाएँ?",
+    "rubric.importError": "रूब्रिक आयात नहीं हो सका: {error}",
+    "error.rubric.notObject": "रूब्रिक एक ऑब्जेक्ट होना चाहिए।",
+    "error.rubric.noName": "रूब्रिक का नाम होना चाहिए।",
+    "error.rubric.scale": "स्केल का अधिकतम मान {min} से {max} तक की पूर्ण संख्या होना चाहिए।",
+    "error.rubric.noCriteria": "रूब्रिक में कम से कम एक मानदंड होना चाहिए।",
+    "error.rubric.criterionName": "मानदंड {number} का नाम होना चाहिए।",
+    "error.rubric.weight": "\"{label}\" का भार 0 से अधिक होना चाहिए।",
+    "error.rubric.duplicate": "दो मानदंडों का नाम \"{label}\" है।",
+    "error.rubric.reserved": "\"{label}\" रिपोर्ट फ़ील्ड {key} से टकराता है; कोई दूसरा नाम चुनें।",
+    "error.rubric.newerVersion": "यह रूब्रिक ऐप के नए संस्करण से निर्यात किया गया था।",
+    "error.import.notJson": "फ़ाइल मान्य JSON नहीं है।",
+    "rubric.copyName": "{name} (प्रति)",
+    "rubric.scoredRange": "1–{max} अंक",
+    "rubric.name": "रूब्रिक का नाम",
+    "rubric.scale": "पैमाना (1 से ...)",
+    "rubric.criterion": "मानदंड",
+    "rubric.criterionHint": "एक मज़बूत उत्तर क्या दर्शाता है",
+    "rubric.weight": "भार",
+    "rubric.removeCriterion": "मानदंड हटाएँ",
+    "rubric.addCriterion": "मानदंड जोड़ें",
+    "rubric.save": "रूब्रिक सहेजें",
+
+    // Question banks
+    "bank.title": "प्रश्न बैंक",
+    "bank.perInterview": "प्रति इंटरव्यू बैंक प्रश्न",
+    "bank.new": "नया प्रश्न बैंक",
+    "bank.import": "प्रश्न बैंक इम्पोर्ट करें (JSON या YAML)",
+    "bank.export": "प्रश्न बैंक एक्सपोर्ट करें (JSON)",
+    "bank.edit": "प्रश्न बैंक संपादित करें",
+    "bank.delete": "प्रश्न बैंक हटाएँ",
+    "bank.confirmDelete": "\"{name}\" प्रश्न बैंक हटाएँ?",
+    "bank.importError": "प्रश्न बैंक इम्पोर्ट नहीं हो सका: {error}",
+    "error.bank.notObject": "प्रश्न बैंक एक ऑब्जेक्ट होना चाहिए।",
+    "error.bank.noName": "प्रश्न बैंक का नाम होना चाहिए।",
+    "error.bank.noQuestions": "प्रश्न बैंक में कम से कम एक प्रश्न होना चाहिए।",
+    "error.bank.questionText": "प्रश्न {number} में कोई टेक्स्ट नहीं है।",
+    "error.bank.difficulty": "प्रश्न {number}: कठिनाई {options} में से एक होनी चाहिए।",
+    "error.bank.phase": "प्रश्न {number}: चरण {options} में से एक होना चाहिए।",
+    "error.bank.notJsonOrYaml": "फ़ाइल मान्य JSON या YAML नहीं है।",
+    "error.bank.newerVersion": "यह प्रश्न बैंक ऐप के नए संस्करण से निर्यात किया गया था।",
+    "bank.empty": "अभी कोई प्रश्न बैंक नहीं है। एक इम्पोर्ट करें या नया बनाएँ; चुने गए बैंकों के प्रश्न शब्दशः पूछे जाते हैं, और फिर इंटरव्यूअर अपने फ़ॉलो-अप प्रश्न पूछता है।",
+    "bank.questionCount": "{count} प्रश्न",
+    "bank.name": "बैंक का नाम",
+    "bank.questionPlaceholder": "प्रश्न, ठीक वैसे ही जैसे पूछा जाना चाहिए",
+    "bank.phase": "इंटरव्यू चरण",
+    "bank.difficulty": "कठिनाई",
+    "bank.difficulty.easy": "आसान",
+    "bank.difficulty.medium": "मध्यम",
+    "bank.difficulty.hard": "कठिन",
+    "bank.roles": "भूमिकाएँ (कॉमा से अलग)",
+    "bank.rolesHint": "केवल तब उपयोग होता है जब जॉब विवरण में इनमें से कोई भूमिका हो। किसी भी भूमिका के लिए खाली छोड़ें।",
+    "bank.skills": "कौशल (कॉमा से अलग)",
+    "bank.skillsHint": "जब जॉब विवरण में ये कौशल हों तो प्राथमिकता दी जाती है।",
+    "bank.removeQuestion": "प्रश्न हटाएँ",
+    "bank.addQuestion": "प्रश्न जोड़ें",
+    "bank.save": "प्रश्न बैंक सहेजें",
+
+    // Persona
+    "persona.title": "इंटरव्यूअर",
+    "persona.custom": "कस्टम",
+    "persona.savePreset": "प्रीसेट के रूप में सहेजें",
+    "persona.presetName": "प्रीसेट का नाम, फिर Enter",
+    "persona.deletePreset": "प्रीसेट हटाएँ",
+    "persona.confirmDelete": "\"{name}\" प्रीसेट हटाएँ?",
+    "persona.style": "शैली",
+    "persona.seniority": "वरिष्ठता",
+    "persona.type": "इंटरव्यू का प्रकार",
+    "persona.voice": "आवाज़",
+    "persona.voiceDefault": "प्रदाता डिफ़ॉल्ट",
+    "persona.voiceUnavailable": "{voice} (उपलब्ध नहीं)",
+    "persona.preview": "आवाज़ सुनें",
+    "persona.previewText": "नमस्ते, आज आने के लिए धन्यवाद। चलिए एक छोटे परिचय से शुरू करते हैं: अपने बारे में बताइए।",
+    "persona.style.friendly": "मैत्रीपूर्ण",
+    "persona.style.neutral": "तटस्थ",
+    "persona.style.high-pressure": "उच्च दबाव",
+    "persona.seniority.intern": "इंटर्न",
+    "persona.seniority.junior": "जूनियर",
+    "persona.seniority.mid": "मिड-लेवल",
+    "persona.seniority.senior": "सीनियर",
+    "persona.seniority.staff": "स्टाफ़ / प्रिंसिपल",
+    "persona.type.technical": "तकनीकी",
+    "persona.type.behavioral": "व्यवहारिक",
+    "persona.type.case": "केस",
+    "persona.preset.builtin-screen": "मैत्रीपूर्ण फ़ोन स्क्रीन",
+    "persona.preset.builtin-onsite": "मानक तकनीकी ऑनसाइट",
+    "persona.preset.builtin-bar-raiser": "सीनियर बार रेज़र",
+
+    // Panel interview
+    "panel.enable": "पैनल इंटरव्यू",
+    "panel.hint": "दो से चार इंटरव्यूअर बारी-बारी से अपने-अपने फ़ोकस पर सवाल पूछते हैं। बारी बदलने पर अगला इंटरव्यूअर अपना परिचय देता है।",
+    "panel.turnsEach": "हर पैनलिस्ट की बारियाँ",
+    "panel.name": "नाम",
+    "panel.role": "भूमिका",
+    "panel.focus": "फ़ोकस",
+    "panel.instructions": "निर्देश",
+    "panel.instructionsPlaceholder": "इस इंटरव्यूअर के लिए अतिरिक्त निर्देश, जैसे \"इंसिडेंट हैंडलिंग पर गहराई से पूछें।\"",
+    "panel.voiceDefault": "इंटरव्यूअर की आवाज़",
+    "panel.remove": "पैनलिस्ट हटाएँ",
+    "panel.add": "पैनलिस्ट जोड़ें",
+    "panel.role.hiring-manager": "हायरिंग मैनेजर",
+    "panel.role.senior-engineer": "सीनियर इंजीनियर",
+    "panel.role.hr": "एचआर पार्टनर",
+    "panel.role.product-manager": "प्रोडक्ट मैनेजर",
+    "panel.role.custom": "पैनलिस्ट",
+
+    // Resume
+    "resume.add": "अपना रिज़्यूमे जोड़ें (PDF, DOCX या टेक्स्ट, वैकल्पिक)",
+    "resume.reading": "रिज़्यूमे पढ़ा जा रहा है...",
+    "resume.remove": "रिज़्यूमे हटाएँ",
+    "resume.characters": "{count} अक्षर",
+    "resume.truncated": "छोटा किया गया",
+    "resume.showText": "निकाला गया टेक्स्ट दिखाएँ",
+    "error.resume.unsupportedType": "असमर्थित फ़ाइल प्रकार। PDF, DOCX या सादे टेक्स्ट में रिज़्यूमे अपलोड करें।",
+    "error.resume.noText": "इस फ़ाइल से कोई टेक्स्ट नहीं पढ़ा जा सका। स्कैन किए गए PDF समर्थित नहीं हैं; DOCX या टेक्स्ट संस्करण आज़माएँ।",
+
+    // Export
+    "export.label": "निर्यात:",
+    "export.markdown": "Markdown",
+    "export.json": "JSON",
+    "export.jsonHint": "इतिहास दृश्य से फिर से आयात किया जा सकता है",
+    "export.pdf": "PDF",
+    "export.pdfHint": "प्रिंट डायलॉग खोलता है; \"PDF के रूप में सहेजें\" चुनें",
+    "share.button": "साझा करें",
+    "share.hint": "मेंटर के लिए इस इंटरव्यू और रिपोर्ट का केवल-पढ़ने वाला लिंक बनाता है",
+    "share.copied": "लिंक क्लिपबोर्ड पर कॉपी हो गया।",
+    "share.copyFailed": "अपने आप कॉपी नहीं हो सका; नीचे दिया लिंक कॉपी करें।",
+    "share.link": "रिव्यू लिंक",
+    "share.long": "यह लिंक {length} अक्षरों का है; कुछ चैट ऐप और ईमेल क्लाइंट लंबे लिंक काट देते हैं। अगर यह टूटा हुआ पहुँचे तो इसे फ़ाइल या दस्तावेज़ में भेजें।",
+    "share.failed": "रिव्यू लिंक नहीं बन सका।",
+    "share.viewTitle": "इंटरव्यू रिव्यू",
+    "share.readOnly": "साझा किए गए इंटरव्यू का केवल-पढ़ने वाला रिव्यू",
+    "share.loading": "रिव्यू खुल रहा है…",
+    "share.invalid": "यह रिव्यू लिंक नहीं खुल सका।",
+    "share.openApp": "ऐप खोलें",
+    "share.updateLink": "अपडेट किया गया लिंक कॉपी करें ({count} टिप्पणियाँ)",
+    "share.updateHint": "आपकी टिप्पणियों सहित नया लिंक बनाता है; इसे उम्मीदवार को वापस भेजें",
+    "share.save": "मेरी हिस्ट्री में सहेजें",
+    "share.saved": "सहेजा गया। यह ऐप के हिस्ट्री व्यू में दिखेगा।",
+    "share.jobDescription": "जॉब विवरण",
+    "share.transcript": "ट्रांसक्रिप्ट",
+    "share.commentHint": "किसी भी संदेश के नीचे टिप्पणी जोड़ें, फिर अपडेट किया गया लिंक कॉपी करें।",
+    "error.share.damaged": "समीक्षा लिंक क्षतिग्रस्त या अधूरा है।",
+    "error.share.newerVersion": "यह समीक्षा लिंक ऐप के नए संस्करण से बनाया गया था।",
+    "error.share.incomplete": "समीक्षा लिंक में नौकरी का विवरण या ट्रांसक्रिप्ट नहीं है।",
+    "mentor.name": "आपका नाम",
+    "mentor.anonymous": "अनाम मेंटर",
+    "mentor.comment": "टिप्पणी करें",
+    "mentor.add": "टिप्पणी जोड़ें",
+    "mentor.delete": "टिप्पणी हटाएँ",
+    "mentor.placeholder": "इस संदेश पर आपका फ़ीडबैक (जोड़ने के लिए Ctrl+Enter)",
+    "mentor.title": "मेंटर की टिप्पणियाँ",
+
+    // History
+    "history.back": "इतिहास पर वापस जाएँ",
+    "history.transcript": "ट्रांसक्रिप्ट",
+    "history.report": "प्रदर्शन रिपोर्ट",
+    "history.loading": "पिछले सत्र लोड हो रहे हैं...",
+    "history.empty": "अभी तक कोई इंटरव्यू सहेजा नहीं गया। पूरे और चल रहे इंटरव्यू यहाँ दिखाई देंगे।",
+    "history.completed": "पूर्ण",
+    "history.inProgress": "जारी",
+    "history.overall": "कुल {score}/{max}",
+    "history.view": "ट्रांसक्रिप्ट और रिपोर्ट देखें",
+    "history.resume": "इंटरव्यू जारी रखें",
+    "history.rename": "नाम बदलें",
+    "history.saveName": "नाम सहेजें",
+    "history.delete": "हटाएँ",
+    "history.cannotDelete": "मौजूदा इंटरव्यू को हटाया नहीं जा सकता",
+    "history.confirmDelete": "\"{title}\" हटाएँ? इसे पूर्ववत नहीं किया जा सकता।",
+    "history.import": "JSON आयात करें",
+    "history.importError": "इंटरव्यू आयात नहीं हो सका: {error}",
+    "error.session.notExport": "यह फ़ाइल निर्यात किया गया इंटरव्यू नहीं है।",
+    "error.session.newerVersion": "यह इंटरव्यू ऐप के नए संस्करण से निर्यात किया गया था।",
+    "error.session.incomplete": "निर्यात किए गए इंटरव्यू में जॉब विवरण या ट्रांसक्रिप्ट नहीं है।",
+
+    // Progress
+    "progress.loading": "प्रगति लोड हो रही है...",
+    "progress.empty": "अपनी प्रगति ट्रैक करना शुरू करने के लिए फ़ीडबैक के साथ एक इंटरव्यू पूरा करें।",
+    "progress.allRoles": "सभी पद",
+    "progress.filter": "जॉब विवरण के टेक्स्ट से फ़िल्टर करें...",
+    "progress.windowTitle": "रोलिंग औसत विंडो",
+    "progress.window": "रोलिंग औसत: पिछले {count}",
+    "progress.summary": "{total} में से {shown} स्कोर किए गए इंटरव्यू। ठोस रेखाएँ अलग-अलग स्कोर हैं; डैश वाली रेखाएँ रोलिंग औसत हैं। अन्य पैमानों के स्कोर 1–5 पैमाने पर दिखाए गए हैं।",
+    "progress.overall": "कुल",
+    "progress.noScores": "अभी कोई स्कोर नहीं।",
+    "progress.rollingAvg": "रोलिंग औसत",
+    "progress.best": "सर्वश्रेष्ठ",
+    "progress.thisWeek": "इस सप्ताह",
+
+    // Report
+    "report.overall": "कुल प्रदर्शन",
+    "report.scoredWith": "“{name}” रूब्रिक से स्कोर किया गया।",
+    "report.weight": "भार {weight}",
+    "report.insights": "व्यावहारिक सुझाव",
+    "report.pacing": "गति",
+    "report.question": "प्रश्न",
+    "report.latency": "प्रतिक्रिया समय",
+    "report.latencyHint": "उत्तर शुरू करने से पहले का समय",
+    "report.duration": "अवधि",
+    "report.timedOut": "(समय समाप्त)",
+    "report.delivery": "प्रस्तुति",
+    "report.averagePace": "औसत गति",
+    "report.averagePaceHint": "केवल बोले गए उत्तर; 120–160 शब्द प्रति मिनट आरामदायक गति है",
+    "report.wpm": "{value} शब्द/मिनट",
+    "report.fillersPer100": "भराव शब्द / 100 शब्द",
+    "report.longPauses": "लंबे विराम",
+    "report.longPausesHint": "बोलकर उत्तर देते समय {seconds} सेकंड से लंबी चुप्पी",
+    "report.averageAnswer": "औसत उत्तर",
+    "report.words": "{count} शब्द",
+    "report.answer": "उत्तर",
+    "report.wordsColumn": "शब्द",
+    "report.pace": "गति",
+    "report.fillers": "भराव शब्द",
+    "report.spoken": "बोला गया",
+    "report.typed": "टाइप किया गया",
+    "report.none": "कोई नहीं",
+    "report.longestPause": "(अधिकतम {seconds} सेकंड)",
+    "report.panel": "पैनलिस्ट के अनुसार स्कोर",
+    "report.panelist": "पैनलिस्ट",
+    "report.panelQuestions": "सवाल",
+    "report.overallShort": "कुल",
+    "report.panelHint": "स्कोर हर पैनलिस्ट द्वारा पूछे गए सवालों का औसत हैं।",
+    "report.resumeFit": "रिज़्यूमे बनाम जॉब विवरण",
+    "report.resumeMatches": "आपके रिज़्यूमे से समर्थित",
+    "report.resumeGaps": "कमियाँ",
+    "report.resumeInterview": "इंटरव्यू में:",
+    "report.resumeNext": "अगला कदम:",
+    "report.coding": "लाइव कोडिंग",
+    "report.correctness": "शुद्धता",
+    "report.codeQuality": "कोड गुणवत्ता",
+    "report.codingRound": "{title}: {total} में से {passed} टेस्ट पास",
+
+    // Per-question feedback
+    "questions.title": "प्रश्न-दर-प्रश्न",
+    "questions.number": "प्र{number}.",
+    "questions.yourAnswer": "आपका उत्तर:",
+    "questions.stronger": "बेहतर उत्तर",
+    "questions.retry": "यह प्रश्न फिर से आज़माएँ",
+    "questions.retryCount": "(अब तक {count})",
+    "questions.hearAgain": "प्रश्न फिर से सुनें",
+    "questions.closeRetry": "पुनः प्रयास बंद करें",
+    "questions.retryPlaceholder": "अपना उत्तर एक बार फिर आज़माएँ...",
+    "questions.submitAttempt": "प्रयास भेजें",
+    "questions.retryError": "इस प्रयास का मूल्यांकन नहीं हो सका। कृपया फिर से प्रयास करें।",
+    "questions.original": "मूल उत्तर",
+    "questions.newAttempt": "नया प्रयास",
+    "questions.newAttemptNumbered": "नया प्रयास (#{number})",
+
+    // Live coding
+    "coding.start": "लाइव-कोडिंग अभ्यास शुरू करें",
+    "coding.title": "लाइव कोडिंग · {title}",
+    "coding.fallback": "अनुकूलित समस्या नहीं बन सकी, इसलिए एक मानक समस्या उपयोग की जा रही है।",
+    "coding.editorLabel": "आपका समाधान (JavaScript)",
+    "coding.run": "टेस्ट चलाएँ",
+    "coding.running": "चल रहा है...",
+    "coding.submit": "समाधान जमा करें",
+    "coding.summary": "{total} में से {passed} टेस्ट पास",
+    "coding.example": "उदाहरण {number}",
+    "coding.hidden": "छिपा हुआ टेस्ट {number}",
+    "coding.passed": "पास",
+    "coding.failed": "फ़ेल",
+    "coding.timedOut": "{seconds} सेकंड बाद समय समाप्त",
+    "coding.notRun": "नहीं चला",
+    "coding.error": "त्रुटि: {error}",
+    "coding.expected": "अपेक्षित {expected}",
+    "coding.got": "मिला {actual}",
+    "coding.compileError": "आपका कोड नहीं चल सका: {error}",
+    "coding.console": "कंसोल आउटपुट",
+
+    // Usage
+    "usage.tokens": "{tokens} टोकन",
+    "usage.detail": "इनपुट {input} · आउटपुट {output} टोकन, {requests} मॉडल कॉल में। पिछला अनुरोध: {last} इनपुट टोकन।",
+    "usage.estimatedNote": "~ अनुमान दर्शाता है: प्रदाता ने हर कॉल का उपयोग नहीं बताया।",
+    "usage.noPrice": "इस मॉडल की लागत अज्ञात",
+    "usage.summarized": "पिछले चरणों का सारांश बनाया गया",
+    "usage.summarizedHint": "अनुरोध छोटे रखने के लिए पहले {count} संदेश मॉडल को नोट्स के रूप में भेजे जाते हैं। पूरा ट्रांसक्रिप्ट रिपोर्ट और एक्सपोर्ट के लिए सुरक्षित रहता है।",
+
+    // Guardrails
+    "guard.fallback.start": "चलिए शुरू करते हैं। क्या आप अपनी पृष्ठभूमि के बारे में बताएँगे और यह भी कि यह भूमिका आपको क्यों आकर्षित करती है?",
+    "guard.fallback.turn": "धन्यवाद। आगे बढ़ते हैं: क्या आप अपने अनुभव का कोई और हिस्सा बता सकते हैं जो इस भूमिका से जुड़ा हो?",
+    "guard.title": "इंटरव्यूअर में सुधार ({count})",
+    "guard.hint": "इंटरव्यूअर के वे ड्राफ़्ट जिन्होंने इंटरव्यू का कोई नियम तोड़ा। वे न दिखाए गए न बोले गए; उत्तर को छोटा किया गया, दोबारा लिखा गया या एक मानक प्रश्न से बदला गया।",
+    "guard.entry": "संदेश {index}, ड्राफ़्ट {attempt}",
+    "guard.rule.multipleQuestions": "कई प्रश्न",
+    "guard.rule.earlyFeedback": "समय से पहले स्कोर या फ़ीडबैक",
+    "guard.rule.offRole": "भूमिका से बाहर",
+    "guard.rule.injection": "डाले गए निर्देशों का पालन",
+    "guard.rule.empty": "खाली उत्तर",
+    "guard.rule.blocked": "सुरक्षा फ़िल्टर द्वारा रोका गया",
+    "guard.action.regenerated": "दोबारा लिखा गया",
+    "guard.action.truncated": "पहले प्रश्न के बाद काटा गया",
+    "guard.action.fallback": "मानक प्रश्न से बदला गया",
+
+    // Voice answer review
+    "review.title": "भेजने से पहले अपना उत्तर जाँचें और गलत सुने गए शब्द ठीक करें।",
+    "review.failed": "आपकी रिकॉर्डिंग का ट्रांसक्रिप्शन नहीं हो सका।",
+    "review.send": "उत्तर भेजें",
+    "review.rerecord": "फिर से रिकॉर्ड करें",
+    "review.discard": "हटाएँ",
+    "review.retryTranscription": "फिर से ट्रांसक्राइब करें",
+    "review.toggle": "बोले गए उत्तर भेजने से पहले जाँचें",
+};
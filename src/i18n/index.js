@@ -0,0 +1,20 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LANGUAGE, normalizeLanguage } from './languages.js';
+
+export { createTranslator, DEFAULT_LANGUAGE, LANGUAGE_INSTRUCTION, LANGUAGES, normalizeLanguage } from './languages.js';
+
+// --- Language Preference & React Binding ---
+const LANGUAGE_STORAGE_KEY = "interview-partner.language";
+
+export const loadLanguage = () => {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (stored) return normalizeLanguage(stored);
+    // First visit: pick up the browser language if we have it.
+    return normalizeLanguage(navigator.language?.slice(0, 2));
+};
+
+export const saveLanguage = (language) => localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LANGUAGE));
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,38 @@
+import { DE_MESSAGES } from './de.js';
+import { EN_MESSAGES } from './en.js';
+import { HI_MESSAGES } from './hi.js';
+import { PT_MESSAGES } from './pt.js';
+
+// --- Languages & UI Strings ---
+// `locale` drives speech recognition and the browser's offline voice; `promptName` is how the prompts name the
+// language to the model. Strings missing from a translation fall back to English.
+// Nothing here depends on React or the browser, so the session engine and CLI can use it.
+export const LANGUAGES = {
+    en: { label: "English", locale: "en-US", promptName: "English", messages: EN_MESSAGES },
+    de: { label: "Deutsch", locale: "de-DE", promptName: "German", messages: DE_MESSAGES },
+    hi: { label: "हिन्दी", locale: "hi-IN", promptName: "Hindi", messages: HI_MESSAGES },
+    pt: { label: "Português (Brasil)", locale: "pt-BR", promptName: "Brazilian Portuguese", messages: PT_MESSAGES },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const normalizeLanguage = (language) => Object.hasOwn(LANGUAGES, language) ? language : DEFAULT_LANGUAGE;
+
+// Replaces {name} placeholders with values from `params`.
+const interpolate = (template, params) => template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined ? match : String(params[name])
+));
+
+export const createTranslator = (language) => {
+    const { locale, messages } = LANGUAGES[normalizeLanguage(language)];
+    return {
+        language: normalizeLanguage(language),
+        locale,
+        t: (key, params = {}) => interpolate(messages[key] ?? EN_MESSAGES[key] ?? key, params),
+    };
+};
+
+// Appended to model prompts. JSON keys and ids stay in English so parsing is unaffected.
+export const LANGUAGE_INSTRUCTION = (language) => language === DEFAULT_LANGUAGE ? '' : `
+
+Language: conduct everything in ${LANGUAGES[language].promptName}. Every sentence you write for the candidate must be in ${LANGUAGES[language].promptName}; keep JSON property names, ids and enum values exactly as specified in English.`;
@@ -0,0 +1,430 @@
+// --- Brazilian Portuguese UI Strings ---
+export const PT_MESSAGES = {
+    // Shared
+    "common.cancel": "Cancelar",
+
+    // Main screen
+    "app.title": "Parceiro de Treino para Entrevistas com IA",
+    "app.subtitle": "Pratique e arrase na sua próxima entrevista.",
+    "app.nav.progress": "Painel de progresso",
+    "app.nav.history": "Entrevistas anteriores",
+    "app.nav.settings": "Configurações do provedor de modelo",
+    "app.mute": "Silenciar entrevistador",
+    "app.unmute": "Ativar som do entrevistador",
+    "app.language": "Idioma",
+    "app.languageLocked": "O idioma não pode ser alterado durante uma entrevista.",
+    "app.unfinished": "Você tem uma entrevista não concluída para “{title}”.",
+    "app.resume": "Retomar",
+    "app.dismiss": "Descartar",
+    "app.jobLabel": "Informe o cargo ou cole a descrição da vaga",
+    "app.jobPlaceholder": "Ex.: Desenvolvedor React Sênior, Vendedor, ou cole a descrição completa da vaga...",
+    "app.finish": "Encerrar e ver feedback",
+    "app.start": "Iniciar entrevista",
+    "app.plan": "Planejar entrevista",
+    "app.planning": "Montando um plano estruturado para a sua entrevista...",
+    "app.emptyHint": "Informe um cargo ou descrição acima e clique em '{button}' para preparar uma entrevista estruturada.",
+    "app.genericPlan": "Não foi possível gerar um plano personalizado, então um roteiro genérico é exibido. Você pode gerá-lo novamente ou começar assim mesmo.",
+    "app.thinking": "O entrevistador está pensando...",
+    "app.reportTitle": "Relatório de desempenho da entrevista",
+    "app.analyzing": "Analisando o desempenho e gerando um relatório estruturado...",
+    "app.newInterview": "Nova entrevista",
+    "app.input.listening": "Ouvindo... Clique no microfone para parar e enviar.",
+    "app.input.recording": "Gravando... Clique no microfone para parar.",
+    "app.input.transcribing": "Transcrevendo sua resposta...",
+    "app.input.ready": "Digite ou clique no microfone para falar...",
+    "app.input.notStarted": "Inicie a entrevista primeiro.",
+    "app.send": "Enviar",
+    "app.sendTitle": "Enviar como texto",
+    "app.mic.stop": "Clique para parar a gravação e enviar",
+    "app.mic.start": "Iniciar transcrição por voz",
+    "app.alert.noSpeechApi": "Seu navegador não consegue transcrever fala nem gravar áudio. Use a entrada de texto.",
+    "app.alert.microphone": "Não foi possível abrir o microfone. Permita o acesso ao microfone ou use a entrada de texto.",
+    "app.alert.recognitionError": "Erro no reconhecimento de voz: {error}. Use a entrada de texto.",
+    "app.error.start": "Não foi possível iniciar a entrevista.",
+    "app.error.turn": "A resposta do entrevistador não chegou. Sua resposta foi mantida.",
+    "app.error.feedback": "Não foi possível gerar o relatório.",
+    "app.error.kind.auth": "A chave de API foi recusada. Verifique-a nas Configurações.",
+    "app.error.kind.quota": "O limite de taxa ou a cota do modelo se esgotou. Aguarde um minuto ou verifique a cota do seu plano.",
+    "app.error.kind.server": "O serviço do modelo está com problemas. Tente novamente em instantes.",
+    "app.error.kind.request": "O serviço do modelo recusou a solicitação. Verifique o nome do modelo nas Configurações.",
+    "app.error.kind.network": "Não foi possível acessar o serviço do modelo. Verifique sua conexão e a URL nas Configurações.",
+    "app.error.kind.timeout": "O modelo demorou demais para responder.",
+    "app.error.kind.aborted": "A solicitação foi cancelada.",
+    "app.error.kind.blocked": "O filtro de segurança do modelo reteve a resposta.",
+    "app.error.kind.unknown": "Algo deu errado.",
+    "app.error.retryTurn": "Repetir último turno",
+    "app.error.retryReport": "Gerar relatório novamente",
+    "app.error.details": "Detalhes",
+    "app.feedbackSpeech": "Sua entrevista terminou. Sua nota geral é {score} de {max}.",
+
+    // Settings
+    "settings.provider": "Provedor de modelo",
+    "provider.proxy": "Proxy do servidor (recomendado)",
+    "provider.gemini": "Google Gemini (direto, a chave fica neste navegador)",
+    "provider.openai": "Compatível com OpenAI (OpenAI, Ollama, LM Studio)",
+    "provider.mock": "Simulado (offline, determinístico)",
+    "provider.field.serverUrl": "URL do servidor (em branco para a mesma origem)",
+    "provider.field.baseUrl": "URL base",
+    "provider.field.apiKey": "Chave de API",
+    "provider.field.chatModel": "Modelo de chat",
+    "provider.field.ttsModel": "Modelo de TTS",
+    "provider.field.ttsModelOptional": "Modelo de TTS (em branco para desativar o áudio)",
+    "provider.field.transcriptionModel": "Modelo de transcrição",
+    "provider.field.voice": "Voz",
+    "provider.field.latencyMs": "Latência simulada (ms)",
+    "settings.locked": "As configurações do provedor ficam bloqueadas durante uma entrevista.",
+    "settings.voice": "Voz do entrevistador",
+    "settings.offlineVoice": "Usar a voz offline do navegador em vez da voz do modelo",
+    "settings.offlineVoiceHint": "Nada é enviado ao modelo de fala. A voz do navegador também entra automaticamente sempre que a fala do modelo falhar.",
+    "settings.offlineVoiceUnavailable": "Este navegador não tem síntese de fala integrada.",
+    "settings.speechCache": "Fala em cache: {size} MB de {limit} MB",
+    "settings.clearSpeechCache": "Limpar",
+
+    // Conversation
+    "bubble.interviewer": "Entrevistador",
+    "bubble.you": "Você",
+    "bubble.pause": "Pausar",
+    "bubble.resume": "Continuar",
+    "bubble.replay": "Ouvir novamente",
+    "bubble.speed": "Velocidade de reprodução",
+    "voice.sourceHint": "De onde veio a fala desta mensagem",
+    "voice.source.cache": "em cache",
+    "voice.source.model": "voz do modelo",
+    "voice.source.browser": "voz do navegador",
+
+    // Interview plan
+    "plan.perPhase": "Perguntas por fase",
+    "plan.minutes": "~{minutes} min",
+    "plan.title": "Plano da entrevista",
+    "plan.summary": "{count} perguntas · ~{minutes} min",
+    "plan.regenerate": "Gerar plano novamente",
+    "plan.progress": "Pergunta {current} de {total} · ~{minutes} min",
+    "plan.phase.intro": "Apresentação",
+    "plan.phase.technical": "Técnica",
+    "plan.phase.behavioral": "Comportamental",
+    "plan.phase.candidate-questions": "Perguntas do candidato",
+    "plan.phase.close": "Encerramento",
+    "plan.fromBank": "Banco de perguntas",
+
+    // Timed mode
+    "timer.enable": "Modo cronometrado",
+    "timer.answerSeconds": "Segundos por resposta",
+    "timer.sessionMinutes": "Minutos da sessão",
+    "timer.warnAt": "Avisar com (segundos restantes)",
+    "timer.onTimeout": "Quando o tempo acabar",
+    "timer.autoSubmit": "Enviar resposta automaticamente",
+    "timer.cutIn": "Entrevistador interrompe",
+    "timer.answer": "Resposta",
+    "timer.session": "Sessão",
+    "timer.almostUp": "Tempo quase esgotado",
+
+    // Rubrics
+    "rubric.title": "Rubrica de feedback",
+    "rubric.edit": "Editar rubrica",
+    "rubric.duplicate": "Duplicar rubrica",
+    "rubric.new": "Nova rubrica",
+    "rubric.import": "Importar rubrica (JSON)",
+    "rubric.export": "Exportar rubrica (JSON)",
+    "rubric.delete": "Excluir rubrica",
+    "rubric.confirmDelete": "Excluir a rubrica \"{name}\"?",
+    "rubric.importError": "Não foi possível importar a rubrica: {error}",
+    "error.rubric.notObject": "A rubrica deve ser um objeto.",
+    "error.rubric.noName": "A rubrica precisa de um nome.",
+    "error.rubric.scale": "O máximo da escala deve ser um número inteiro de {min} a {max}.",
+    "error.rubric.noCriteria": "A rubrica precisa de pelo menos um critério.",
+    "error.rubric.criterionName": "O critério {number} precisa de um nome.",
+    "error.rubric.weight": "\"{label}\" precisa de um peso maior que 0.",
+    "error.rubric.duplicate": "Dois critérios têm o nome \"{label}\".",
+    "error.rubric.reserved": "\"{label}\" conflita com o campo do relatório {key}; escolha outro nome.",
+    "error.rubric.newerVersion": "Esta rubrica foi exportada por uma versão mais recente do app.",
+    "error.import.notJson": "O arquivo não é um JSON válido.",
+    "rubric.copyName": "{name} (cópia)",
+    "rubric.scoredRange": "notas de 1 a {max}",
+    "rubric.name": "Nome da rubrica",
+    "rubric.scale": "Escala (1 a ...)",
+    "rubric.criterion": "Critério",
+    "rubric.criterionHint": "O que uma resposta forte demonstra",
+    "rubric.weight": "Peso",
+    "rubric.removeCriterion": "Remover critério",
+    "rubric.addCriterion": "Adicionar critério",
+    "rubric.save": "Salvar rubrica",
+
+    // Question banks
+    "bank.title": "Bancos de perguntas",
+    "bank.perInterview": "Perguntas do banco por entrevista",
+    "bank.new": "Novo banco de perguntas",
+    "bank.import": "Importar banco de perguntas (JSON ou YAML)",
+    "bank.export": "Exportar banco de perguntas (JSON)",
+    "bank.edit": "Editar banco de perguntas",
+    "bank.delete": "Excluir banco de perguntas",
+    "bank.confirmDelete": "Excluir o banco de perguntas \"{name}\"?",
+    "bank.importError": "Não foi possível importar o banco de perguntas: {error}",
+    "error.bank.notObject": "O banco de perguntas deve ser um objeto.",
+    "error.bank.noName": "O banco de perguntas precisa de um nome.",
+    "error.bank.noQuestions": "O banco de perguntas precisa de pelo menos uma pergunta.",
+    "error.bank.questionText": "A pergunta {number} não tem texto.",
+    "error.bank.difficulty": "Pergunta {number}: a dificuldade deve ser uma de {options}.",
+    "error.bank.phase": "Pergunta {number}: a fase deve ser uma de {options}.",
+    "error.bank.notJsonOrYaml": "O arquivo não é um JSON ou YAML válido.",
+    "error.bank.newerVersion": "Este banco de perguntas foi exportado por uma versão mais recente do app.",
+    "bank.empty": "Ainda não há bancos de perguntas. Importe um ou crie um novo; as perguntas dos bancos marcados são feitas palavra por palavra, seguidas das perguntas de acompanhamento do entrevistador.",
+    "bank.questionCount": "{count} perguntas",
+    "bank.name": "Nome do banco",
+    "bank.questionPlaceholder": "A pergunta, exatamente como deve ser feita",
+    "bank.phase": "Fase da entrevista",
+    "bank.difficulty": "Dificuldade",
+    "bank.difficulty.easy": "Fácil",
+    "bank.difficulty.medium": "Média",
+    "bank.difficulty.hard": "Difícil",
+    "bank.roles": "Cargos (separados por vírgula)",
+    "bank.rolesHint": "Usada apenas quando a descrição da vaga menciona um desses cargos. Deixe vazio para qualquer cargo.",
+    "bank.skills": "Habilidades (separadas por vírgula)",
+    "bank.skillsHint": "Preferida quando a descrição da vaga menciona essas habilidades.",
+    "bank.removeQuestion": "Remover pergunta",
+    "bank.addQuestion": "Adicionar pergunta",
+    "bank.save": "Salvar banco de perguntas",
+
+    // Persona
+    "persona.title": "Entrevistador",
+    "persona.custom": "Personalizado",
+    "persona.savePreset": "Salvar como predefinição",
+    "persona.presetName": "Nome da predefinição e Enter",
+    "persona.deletePreset": "Excluir predefinição",
+    "persona.confirmDelete": "Excluir a predefinição \"{name}\"?",
+    "persona.style": "Estilo",
+    "persona.seniority": "Senioridade",
+    "persona.type": "Tipo de entrevista",
+    "persona.voice": "Voz",
+    "persona.voiceDefault": "Padrão do provedor",
+    "persona.voiceUnavailable": "{voice} (indisponível)",
+    "persona.preview": "Ouvir voz",
+    "persona.previewText": "Olá, obrigado por participar hoje. Vamos começar com uma breve apresentação: fale um pouco sobre você.",
+    "persona.style.friendly": "Amigável",
+    "persona.style.neutral": "Neutro",
+    "persona.style.high-pressure": "Sob pressão",
+    "persona.seniority.intern": "Estágio",
+    "persona.seniority.junior": "Júnior",
+    "persona.seniority.mid": "Pleno",
+    "persona.seniority.senior": "Sênior",
+    "persona.seniority.staff": "Staff / Principal",
+    "persona.type.technical": "Técnica",
+    "persona.type.behavioral": "Comportamental",
+    "persona.type.case": "Estudo de caso",
+    "persona.preset.builtin-screen": "Triagem por telefone amigável",
+    "persona.preset.builtin-onsite": "Entrevista técnica presencial padrão",
+    "persona.preset.builtin-bar-raiser": "Avaliador sênior exigente",
+
+    // Panel interview
+    "panel.enable": "Entrevista em painel",
+    "panel.hint": "De dois a quatro entrevistadores se revezam, cada um com seu foco. Na troca, o próximo se apresenta.",
+    "panel.turnsEach": "Turnos por entrevistador",
+    "panel.name": "Nome",
+    "panel.role": "Papel",
+    "panel.focus": "Foco",
+    "panel.instructions": "Instruções",
+    "panel.instructionsPlaceholder": "Orientações extras para este entrevistador, ex.: \"Explore o tratamento de incidentes.\"",
+    "panel.voiceDefault": "Voz do entrevistador",
+    "panel.remove": "Remover entrevistador",
+    "panel.add": "Adicionar entrevistador",
+    "panel.role.hiring-manager": "Gestor da vaga",
+    "panel.role.senior-engineer": "Engenheiro sênior",
+    "panel.role.hr": "RH",
+    "panel.role.product-manager": "Gerente de produto",
+    "panel.role.custom": "Entrevistador",
+
+    // Resume
+    "resume.add": "Adicione seu currículo (PDF, DOCX ou texto, opcional)",
+    "resume.reading": "Lendo currículo...",
+    "resume.remove": "Remover currículo",
+    "resume.characters": "{count} caracteres",
+    "resume.truncated": "truncado",
+    "resume.showText": "Mostrar texto extraído",
+    "error.resume.unsupportedType": "Tipo de arquivo não suportado. Envie um currículo em PDF, DOCX ou texto simples.",
+    "error.resume.noText": "Nenhum texto pôde ser lido deste arquivo. PDFs digitalizados não são suportados; tente uma versão em DOCX ou texto.",
+
+    // Export
+    "export.label": "Exportar:",
+    "export.markdown": "Markdown",
+    "export.json": "JSON",
+    "export.jsonHint": "Pode ser importado novamente na tela de Histórico",
+    "export.pdf": "PDF",
+    "export.pdfHint": "Abre a janela de impressão; escolha \"Salvar como PDF\"",
+    "share.button": "Compartilhar",
+    "share.hint": "Cria um link somente leitura desta entrevista e do relatório para um mentor",
+    "share.copied": "Link copiado para a área de transferência.",
+    "share.copyFailed": "Não foi possível copiar automaticamente; copie o link abaixo.",
+    "share.link": "Link de revisão",
+    "share.long": "Este link tem {length} caracteres; alguns apps de chat e clientes de e-mail cortam links longos. Envie-o como arquivo ou em um documento se chegar quebrado.",
+    "share.failed": "Não foi possível criar o link de revisão.",
+    "share.viewTitle": "Revisão da entrevista",
+    "share.readOnly": "Revisão somente leitura de uma entrevista compartilhada",
+    "share.loading": "Abrindo a revisão…",
+    "share.invalid": "Não foi possível abrir este link de revisão.",
+    "share.openApp": "Abrir o app",
+    "share.updateLink": "Copiar link atualizado ({count} comentários)",
+    "share.updateHint": "Cria um novo link com seus comentários; envie-o de volta ao candidato",
+    "share.save": "Salvar no meu histórico",
+    "share.saved": "Salvo. Aparece na visualização de Histórico do app.",
+    "share.jobDescription": "Descrição da vaga",
+    "share.transcript": "Transcrição",
+    "share.commentHint": "Adicione comentários abaixo de qualquer mensagem e depois copie o link atualizado.",
+    "error.share.damaged": "O link de revisão está danificado ou incompleto.",
+    "error.share.newerVersion": "Este link de revisão foi criado por uma versão mais recente do app.",
+    "error.share.incomplete": "O link de revisão não contém a descrição da vaga ou a transcrição.",
+    "mentor.name": "Seu nome",
+    "mentor.anonymous": "Mentor anônimo",
+    "mentor.comment": "Comentar",
+    "mentor.add": "Adicionar comentário",
+    "mentor.delete": "Excluir comentário",
+    "mentor.placeholder": "Seu feedback sobre esta mensagem (Ctrl+Enter para adicionar)",
+    "mentor.title": "Comentários do mentor",
+
+    // History
+    "history.back": "Voltar ao histórico",
+    "history.transcript": "Transcrição",
+    "history.report": "Relatório de desempenho",
+    "history.loading": "Carregando sessões anteriores...",
+    "history.empty": "Nenhuma entrevista salva ainda. Entrevistas concluídas e em andamento aparecerão aqui.",
+    "history.completed": "Concluída",
+    "history.inProgress": "Em andamento",
+    "history.overall": "Geral {score}/{max}",
+    "history.view": "Ver transcrição e relatório",
+    "history.resume": "Retomar entrevista",
+    "history.rename": "Renomear",
+    "history.saveName": "Salvar nome",
+    "history.delete": "Excluir",
+    "history.cannotDelete": "Não é possível excluir a entrevista atual",
+    "history.confirmDelete": "Excluir \"{title}\"? Esta ação não pode ser desfeita.",
+    "history.import": "Importar JSON",
+    "history.importError": "Não foi possível importar a entrevista: {error}",
+    "error.session.notExport": "Este arquivo não é uma entrevista exportada.",
+    "error.session.newerVersion": "Esta entrevista foi exportada por uma versão mais recente do app.",
+    "error.session.incomplete": "A entrevista exportada não tem a descrição da vaga ou a transcrição.",
+
+    // Progress
+    "progress.loading": "Carregando progresso...",
+    "progress.empty": "Conclua uma entrevista com feedback para começar a acompanhar seu progresso.",
+    "progress.allRoles": "Todos os cargos",
+    "progress.filter": "Filtrar pelo texto da descrição da vaga...",
+    "progress.windowTitle": "Janela da média móvel",
+    "progress.window": "Média móvel: últimas {count}",
+    "progress.summary": "{shown} de {total} entrevistas avaliadas. Linhas contínuas são notas individuais; linhas tracejadas são a média móvel. Notas de outras escalas são exibidas na escala de 1 a 5.",
+    "progress.overall": "Geral",
+    "progress.noScores": "Ainda não há notas.",
+    "progress.rollingAvg": "Média móvel",
+    "progress.best": "Melhor",
+    "progress.thisWeek": "Esta semana",
+
+    // Report
+    "report.overall": "Desempenho geral",
+    "report.scoredWith": "Avaliado com a rubrica “{name}”.",
+    "report.weight": "Peso {weight}",
+    "report.insights": "Recomendações práticas",
+    "report.pacing": "Ritmo",
+    "report.question": "Pergunta",
+    "report.latency": "Latência",
+    "report.latencyHint": "Tempo até você começar a responder",
+    "report.duration": "Duração",
+    "report.timedOut": "(tempo esgotado)",
+    "report.delivery": "Fala",
+    "report.averagePace": "Ritmo médio",
+    "report.averagePaceHint": "Apenas respostas faladas; 120–160 palavras/min é um ritmo confortável",
+    "report.wpm": "{value} palavras/min",
+    "report.fillersPer100": "Vícios de linguagem / 100 palavras",
+    "report.longPauses": "Pausas longas",
+    "report.longPausesHint": "Silêncios acima de {seconds}s ao responder em voz alta",
+    "report.averageAnswer": "Resposta média",
+    "report.words": "{count} palavras",
+    "report.answer": "Resposta",
+    "report.wordsColumn": "Palavras",
+    "report.pace": "Ritmo",
+    "report.fillers": "Vícios",
+    "report.spoken": "Falada",
+    "report.typed": "Digitada",
+    "report.none": "nenhum",
+    "report.longestPause": "(máx. {seconds}s)",
+    "report.panel": "Resultado por entrevistador",
+    "report.panelist": "Entrevistador",
+    "report.panelQuestions": "Perguntas",
+    "report.overallShort": "Geral",
+    "report.panelHint": "As notas são médias das perguntas feitas por cada entrevistador.",
+    "report.resumeFit": "Currículo vs descrição da vaga",
+    "report.resumeMatches": "Comprovado pelo seu currículo",
+    "report.resumeGaps": "Lacunas",
+    "report.resumeInterview": "Na entrevista:",
+    "report.resumeNext": "Próximo passo:",
+    "report.coding": "Live coding",
+    "report.correctness": "Correção",
+    "report.codeQuality": "Qualidade do código",
+    "report.codingRound": "{title}: {passed}/{total} testes aprovados",
+
+    // Per-question feedback
+    "questions.title": "Pergunta por pergunta",
+    "questions.number": "P{number}.",
+    "questions.yourAnswer": "Sua resposta:",
+    "questions.stronger": "Resposta mais forte",
+    "questions.retry": "Tentar esta pergunta novamente",
+    "questions.retryCount": "({count} até agora)",
+    "questions.hearAgain": "Ouvir a pergunta novamente",
+    "questions.closeRetry": "Fechar nova tentativa",
+    "questions.retryPlaceholder": "Tente responder mais uma vez...",
+    "questions.submitAttempt": "Enviar tentativa",
+    "questions.retryError": "Não foi possível avaliar esta tentativa. Tente novamente.",
+    "questions.original": "Resposta original",
+    "questions.newAttempt": "Nova tentativa",
+    "questions.newAttemptNumbered": "Nova tentativa (#{number})",
+
+    // Live coding
+    "coding.start": "Iniciar exercício de live coding",
+    "coding.title": "Live coding · {title}",
+    "coding.fallback": "Não foi possível gerar um problema personalizado, então um problema padrão é usado.",
+    "coding.editorLabel": "Sua solução (JavaScript)",
+    "coding.run": "Executar testes",
+    "coding.running": "Executando...",
+    "coding.submit": "Enviar solução",
+    "coding.summary": "{passed}/{total} testes aprovados",
+    "coding.example": "Exemplo {number}",
+    "coding.hidden": "Teste oculto {number}",
+    "coding.passed": "aprovado",
+    "coding.failed": "reprovado",
+    "coding.timedOut": "tempo esgotado após {seconds}s",
+    "coding.notRun": "não executado",
+    "coding.error": "erro: {error}",
+    "coding.expected": "esperado {expected}",
+    "coding.got": "obtido {actual}",
+    "coding.compileError": "Seu código não pôde ser executado: {error}",
+    "coding.console": "Saída do console",
+
+    // Usage
+    "usage.tokens": "{tokens} tokens",
+    "usage.detail": "Entrada {input} · saída {output} tokens em {requests} chamadas ao modelo. Última solicitação: {last} tokens de entrada.",
+    "usage.estimatedNote": "~ indica estimativas: o provedor não informou o uso de todas as chamadas.",
+    "usage.noPrice": "custo desconhecido para este modelo",
+    "usage.summarized": "Turnos anteriores resumidos",
+    "usage.summarizedHint": "Para manter as solicitações pequenas, as primeiras {count} mensagens são enviadas ao modelo como notas. A transcrição completa é mantida para o relatório e as exportações.",
+
+    // Guardrails
+    "guard.fallback.start": "Vamos começar. Você pode me contar sobre sua trajetória e o que atrai você nesta vaga?",
+    "guard.fallback.turn": "Obrigado. Vamos seguir: você pode descrever outra parte da sua experiência que seja relevante para esta vaga?",
+    "guard.title": "Correções do entrevistador ({count})",
+    "guard.hint": "Rascunhos de falas do entrevistador que violaram uma regra da entrevista. Eles nunca foram exibidos nem falados; a fala foi encurtada, reescrita ou substituída por uma pergunta padrão.",
+    "guard.entry": "Mensagem {index}, rascunho {attempt}",
+    "guard.rule.multipleQuestions": "várias perguntas",
+    "guard.rule.earlyFeedback": "notas ou feedback antecipados",
+    "guard.rule.offRole": "fora do papel",
+    "guard.rule.injection": "seguiu instruções injetadas",
+    "guard.rule.empty": "resposta vazia",
+    "guard.rule.blocked": "bloqueada pelo filtro de segurança",
+    "guard.action.regenerated": "reescrita",
+    "guard.action.truncated": "cortada após a primeira pergunta",
+    "guard.action.fallback": "substituída por uma pergunta padrão",
+
+    // Voice answer review
+    "review.title": "Confira sua resposta antes de enviar e corrija palavras mal reconhecidas.",
+    "review.failed": "Não foi possível transcrever sua gravação.",
+    "review.send": "Enviar resposta",
+    "review.rerecord": "Gravar novamente",
+    "review.discard": "Descartar",
+    "review.retryTranscription": "Transcrever novamente",
+    "review.toggle": "Revisar respostas faladas antes de enviar",
+};
@@ -0,0 +1,21 @@
+import { createTranslator } from './i18n/languages.js';
+
+// --- Input Errors ---
+// Thrown when something the user supplied (an uploaded file, an import, an
+// edited form, a review link) is rejected. `code` names the message
+// `error.<code>` in the i18n catalogs and `params` fills its placeholders;
+// `message` is the English text, for logs and the CLI.
+const english = createTranslator('en');
+
+export class InputError extends Error {
+    constructor(code, params = {}) {
+        super(english.t(`error.${code}`, params));
+        this.name = "InputError";
+        this.code = code;
+        this.params = params;
+    }
+}
+
+// The text to show for a caught error in the interface language; anything
+// other than an InputError (a bug, a library failure) keeps its own message.
+export const errorText = (t, error) => error instanceof InputError ? t(`error.${error.code}`, error.params) : error.message;
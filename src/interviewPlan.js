@@ -0,0 +1,152 @@
+// --- Structured Interview Plan ---
+// The app owns the plan's skeleton (phases, question budget, timing); the
+// model only fills in a focus and question topics for each phase.
+
+export const PLAN_PHASES = [
+    { id: "intro", label: "Introduction", defaultCount: 1, minutesPerQuestion: 2, description: "Warm-up: background and motivation for the role." },
+    { id: "technical", label: "Technical", defaultCount: 3, minutesPerQuestion: 5, description: "Role-specific skills and knowledge from the Job Description." },
+    { id: "behavioral", label: "Behavioral", defaultCount: 2, minutesPerQuestion: 4, description: "Past situations that show how the candidate works with others and handles pressure." },
+    { id: "candidate-questions", label: "Candidate Questions", defaultCount: 1, minutesPerQuestion: 3, description: "Invite the candidate to ask their own questions about the role and answer them briefly." },
+    { id: "close", label: "Close", defaultCount: 1, minutesPerQuestion: 1, description: "Wrap up: ask if there is anything else the candidate wants to add." },
+];
+
+export const DEFAULT_PHASE_COUNTS = Object.fromEntries(PLAN_PHASES.map(p => [p.id, p.defaultCount]));
+
+export const MAX_PHASE_QUESTIONS = 10;
+
+export const PLAN_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        phases: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING", description: "The phase id, exactly as given." },
+                    focus: { type: "STRING", description: "One sentence describing what this phase should assess." },
+                    topics: { type: "ARRAY", items: { type: "STRING" }, description: "Short question topics, one per planned question." },
+                },
+            },
+        },
+    },
+};
+
+const activePhases = (counts) => PLAN_PHASES.filter(p => (counts[p.id] ?? 0) > 0);
+
+export const estimateMinutes = (counts) => activePhases(counts)
+    .reduce((sum, p) => sum + counts[p.id] * p.minutesPerQuestion, 0);
+
+export const PLAN_PROMPT = (jobContext, counts) => `You are preparing a structured mock interview for the following Job Description or Role:
+"${jobContext}"
+
+Plan the interview in the phases below, in this order. For each phase, write a one-sentence focus and list exactly the requested number of question topics. A topic is a short phrase naming what to ask about (not the full question), tailored to the Job Description.
+
+${activePhases(counts).map(p => `- id "${p.id}" (${p.label}): ${counts[p.id]} topic(s). ${p.description}`).join('\n')}
+
+Return the phases in the same order, using the ids exactly as given.`;
+
+// Merges the model's output onto the fixed skeleton, so the plan always has
+// exactly the configured number of topics per phase whatever came back.
+export const normalizePlan = (raw, counts) => {
+    const returned = Array.isArray(raw?.phases) ? raw.phases : [];
+
+    const phases = activePhases(counts).map((phase, index) => {
+        const match = returned.find(p => p?.id === phase.id) || returned[index] || {};
+        const topics = (Array.isArray(match.topics) ? match.topics : [])
+            .filter(t => typeof t === 'string' && t.trim())
+            .slice(0, counts[phase.id]);
+        while (topics.length < counts[phase.id]) {
+            topics.push(topics.length === 0 ? phase.description : `Follow-up on ${phase.label.toLowerCase()} topics`);
+        }
+
+        return {
+            id: phase.id,
+            label: phase.label,
+            focus: typeof match.focus === 'string' && match.focus.trim() ? match.focus.trim() : phase.description,
+            topics,
+            questionCount: counts[phase.id],
+            minutesPerQuestion: phase.minutesPerQuestion,
+        };
+    });
+
+    return {
+        phases,
+        totalQuestions: phases.reduce((sum, p) => sum + p.questionCount, 0),
+        estimatedMinutes: estimateMinutes(counts),
+    };
+};
+
+// Rebuilds a stored plan (e.g. from an imported file) on the same skeleton,
+// keeping its topics and bank questions; null when there is no plan to rebuild.
+export const restorePlan = (plan) => {
+    if (!Array.isArray(plan?.phases)) return null;
+    const counts = Object.fromEntries(PLAN_PHASES.map(p => {
+        const count = plan.phases.find(phase => phase?.id === p.id)?.questionCount;
+        return [p.id, Number.isInteger(count) ? Math.max(0, Math.min(MAX_PHASE_QUESTIONS, count)) : 0];
+    }));
+    const rebuilt = normalizePlan(plan, counts);
+    if (rebuilt.phases.length === 0) return null;
+    return {
+        ...rebuilt,
+        phases: rebuilt.phases.map(phase => {
+            const bank = plan.phases.find(p => p?.id === phase.id)?.bank;
+            return Array.isArray(bank)
+                ? { ...phase, bank: phase.topics.map((_, i) => typeof bank[i]?.text === 'string' ? { id: bank[i].id, bankId: bank[i].bankId, text: bank[i].text } : null) }
+                : phase;
+        }),
+        ...(plan.generic === true ? { generic: true } : {}),
+    };
+};
+
+// Where the interview stands after `askedCount` interviewer questions.
+// `phaseIndex`/`topic` describe the next question to ask; `bankQuestion` is set
+// when that slot holds a question-bank question, and `followsBank` when the one before it did.
+export const planPosition = (plan, askedCount) => {
+    let remaining = askedCount;
+    for (let phaseIndex = 0; phaseIndex < plan.phases.length; phaseIndex++) {
+        const phase = plan.phases[phaseIndex];
+        if (remaining < phase.questionCount) {
+            return {
+                phaseIndex,
+                phase,
+                topic: phase.topics[remaining],
+                bankQuestion: phase.bank?.[remaining] || null,
+                followsBank: remaining > 0 && Boolean(phase.bank?.[remaining - 1]),
+                questionNumber: askedCount + 1,
+                total: plan.totalQuestions,
+                done: false,
+            };
+        }
+        remaining -= phase.questionCount;
+    }
+    return { phaseIndex: plan.phases.length, phase: null, topic: null, bankQuestion: null, followsBank: false, questionNumber: plan.totalQuestions, total: plan.totalQuestions, done: true };
+};
+
+// Appended to the interviewer system prompt on every turn so the model follows the plan.
+export const PLAN_INSTRUCTION = (plan, askedCount) => {
+    const position = planPosition(plan, askedCount);
+    const outline = plan.phases
+        .map((p, i) => `${i + 1}. ${p.label} (${p.questionCount} question${p.questionCount === 1 ? '' : 's'}): ${p.focus} Topics: ${p.topics.join('; ')}`)
+        .join('\n');
+
+    if (position.done) {
+        return `\n\n--- Interview Plan ---\n${outline}\n\nAll planned questions have been asked. Thank the candidate and close the interview without asking anything further.`;
+    }
+
+    const task = position.bankQuestion
+        ? `This question comes from the question bank: "${position.bankQuestion.text}"
+Ask it verbatim, word for word (translate it only if the interview is in another language), with at most a short transition before it. Do not skip ahead or return to finished phases.`
+        : position.followsBank
+            ? `Topic: "${position.topic}".
+Follow up freely on the candidate's answer to the previous question: probe gaps, trade-offs or specifics. If that answer was already complete, ask one question on this topic instead. Ask exactly one question, and do not skip ahead or return to finished phases.`
+            : `Topic: "${position.topic}".
+Ask exactly one question on this topic. It may build on the candidate's previous answer, but do not skip ahead or return to finished phases.`;
+
+    return `\n\n--- Interview Plan ---
+${outline}
+
+You are now asking question ${position.questionNumber} of ${position.total}, in the ${position.phase.label} phase. ${task}${position.questionNumber === position.total ? " This is the final question; the interview ends after the candidate answers." : ""}`;
+};
+
+// Every interviewer turn counts against the question budget, follow-ups included.
+export const countAskedQuestions = (history) => history.filter(msg => msg.role === 'model').length;
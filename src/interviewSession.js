@@ -0,0 +1,675 @@
+import { CONTEXT_SUMMARY_SECTION, DEFAULT_CONTEXT_BUDGET, fitTranscript, formatTranscript, summaryCut, SUMMARY_PROMPT } from './contextWindow.js';
+import { CODING_FEEDBACK_SECTION, CODING_FOLLOW_UP_INSTRUCTION, CODING_PROBLEM_MESSAGE, CODING_PROBLEM_PROMPT, CODING_PROBLEM_SCHEMA, CODING_SCHEMA, CODING_SUBMISSION_TEXT, FALLBACK_PROBLEM, normalizeCodingFeedback, normalizeCodingProblem } from './coding.js';
+import { createTurnGuard, GUARDRAIL_CORRECTION, INJECTION_NOTICE, looksLikeInjection, MAX_TURN_ATTEMPTS } from './guardrails.js';
+import { createTranslator, DEFAULT_LANGUAGE, LANGUAGE_INSTRUCTION } from './i18n/languages.js';
+import { countAskedQuestions, DEFAULT_PHASE_COUNTS, normalizePlan, PLAN_INSTRUCTION, PLAN_PROMPT, PLAN_SCHEMA } from './interviewPlan.js';
+import { DEFAULT_PANEL, labelSpeakers, PANEL_FEEDBACK_SCHEMA, PANEL_FEEDBACK_SECTION, PANEL_INSTRUCTION, panelBreakdown, panelistAt } from './panel.js';
+import { DEFAULT_PERSONA, PERSONA_INSTRUCTION, SENIORITY_LEVELS } from './persona.js';
+import { errorKind } from './providers/http.js';
+import { applyBankQuestions, rankBankQuestions } from './questionBanks.js';
+import { buildQuestionFeedbackSchema, buildRetrySchema, mergeQuestionFeedback, normalizeRetry, pairQuestionsAndAnswers, QUESTION_FEEDBACK_SECTION, RETRY_PROMPT } from './questionFeedback.js';
+import { normalizeResumeFit, RESUME_CONTEXT_SECTION, RESUME_FEEDBACK_SECTION, RESUME_FIT_SCHEMA } from './resume.js';
+import { clampScore, DEFAULT_RUBRIC, RUBRIC_PROMPT_SECTION, scoreProperties, weightedOverall } from './rubrics.js';
+import { DELIVERY_SECTION, typedDelivery } from './speechMetrics.js';
+import { createAnswerTiming, CUT_IN_INSTRUCTION, DEFAULT_TIMED_SETTINGS, NO_ANSWER_TEXT, TIMING_SECTION } from './timing.js';
+import { addUsage, EMPTY_USAGE, meterProvider } from './usage.js';
+
+// --- System Instructions & Prompts ---
+// UPDATED: Now accepts a full Job Description or Role string to customize the interview context.
+// An uploaded resume, when present, is appended so questions can target the candidate's experience.
+const INTERVIEWER_SYSTEM_PROMPT = (jobContext, resumeText = '') => `You are an AI interviewer conducting a mock interview based on the following Job Description or Role: 
+"${jobContext}"
+
+Your goal is to be professional, challenging, and fair. 
+
+Operational Rules:
+1. **Contextual Relevance:** tailored your questions specifically to the skills, requirements, and responsibilities mentioned in the provided Job Description.
+2. **One Question at a Time:** Never ask multiple questions in a single turn.
+3. **Targeted Follow-up:** If the candidate's answer is incomplete, vague, or misses key technical details, ask a specific follow-up question to probe their depth.
+4. **Off-Topic Handling (Chatty User):** If the user goes off-topic or rambles about irrelevant personal details, politely acknowledge the input but firmly redirect the conversation back to the specific interview topic.
+5. **Boundary Maintenance (Edge Case):** If the user asks you to perform tasks outside the scope of a mock interview (e.g., "write a poem", "explain stock prices"), firmly refuse and state that you are focused strictly on the interview.
+6. **No Early Feedback:** Do not provide feedback or scores until the user explicitly requests to finish the interview.
+
+Start the interview by asking the first question immediately after the opening phrase.${resumeText ? RESUME_CONTEXT_SECTION(resumeText) : ''}`;
+
+const START_PROMPT = "Start the interview. Ask your first question.";
+
+const FEEDBACK_PROMPT = (rubric) => `Analyze the following interview transcript and provide constructive feedback to the candidate. 
+You MUST return the output as a single JSON object that conforms to the specified schema. 
+${RUBRIC_PROMPT_SECTION(rubric)}
+The DetailedFeedback should contain a concise summary and 3-5 bullet points covering the interview's strengths and weaknesses based on the specific Job Description provided.`;
+
+// --- JSON Schema for Structured Feedback ---
+// Built from the active rubric; the overall score is a weighted aggregate computed locally.
+// The resume gap analysis, coding assessment and panelist comments are only requested when there is something to assess.
+const FEEDBACK_SCHEMA = (rubric, { withResume = false, withCoding = false, withPanel = false } = {}) => ({
+    type: "OBJECT",
+    properties: {
+        ...scoreProperties(rubric),
+        DetailedFeedback: { type: "STRING", description: "A summary of performance followed by 3-5 key bullet points for improvement." },
+        QuestionFeedback: buildQuestionFeedbackSchema(rubric),
+        ...(withResume ? { ResumeFit: RESUME_FIT_SCHEMA } : {}),
+        ...(withCoding ? { Coding: CODING_SCHEMA(rubric) } : {}),
+        ...(withPanel ? { PanelFeedback: PANEL_FEEDBACK_SCHEMA } : {}),
+    },
+    propertyOrdering: [
+        ...rubric.criteria.map(c => c.key),
+        "DetailedFeedback",
+        "QuestionFeedback",
+        ...(withResume ? ["ResumeFit"] : []),
+        ...(withCoding ? ["Coding"] : []),
+        ...(withPanel ? ["PanelFeedback"] : []),
+    ]
+});
+
+// --- Provider-backed API Calls ---
+
+// With `onText`, the reply is streamed and each new chunk is passed to it as it arrives.
+// An empty reply comes back as '' for the guardrails to reject.
+const fetchChatResponse = async (provider, history, prompt, systemInstruction, onText = undefined, signal = undefined) => {
+    const updatedHistory = [...history, { role: "user", parts: [{ text: prompt }] }];
+
+    const reply = onText && provider.streamChat
+        ? await provider.streamChat({ history: updatedHistory, systemInstruction, onText, signal })
+        : await provider.chat({ history: updatedHistory, systemInstruction, signal });
+
+    return { text: reply || '', updatedHistory };
+};
+
+// `panel` is set for a panel interview; `transcript` then carries speaker labels (see panel.js).
+const generateFeedback = async (provider, transcript, rubric, { answerTimings = [], jobContext = '', resumeText = '', codingRounds = [], panel = null, language = DEFAULT_LANGUAGE, signal } = {}) => {
+    // Very long sessions are shortened message by message; every question and answer stays in.
+    const transcriptText = formatTranscript(fitTranscript(transcript));
+    const jobText = jobContext ? "\n\n--- Job Description ---\n" + jobContext : '';
+    const timingText = answerTimings.length > 0 ? TIMING_SECTION(answerTimings) : '';
+    const resumeSection = resumeText ? RESUME_FEEDBACK_SECTION(resumeText) : '';
+    const codingSection = codingRounds.length > 0 ? CODING_FEEDBACK_SECTION(codingRounds) : '';
+    const panelSection = panel ? PANEL_FEEDBACK_SECTION(panel) : '';
+    const pairs = pairQuestionsAndAnswers(transcript);
+    const fullPrompt = FEEDBACK_PROMPT(rubric) + jobText + "\n\n--- Transcript ---\n" + transcriptText + timingText + DELIVERY_SECTION(answerTimings) + resumeSection + codingSection + panelSection + QUESTION_FEEDBACK_SECTION(pairs) + LANGUAGE_INSTRUCTION(language);
+
+    const raw = await provider.generateJSON({ prompt: fullPrompt, schema: FEEDBACK_SCHEMA(rubric, { withResume: Boolean(resumeText), withCoding: codingRounds.length > 0, withPanel: Boolean(panel) }), signal });
+    const scores = Object.fromEntries(rubric.criteria.map(c => [c.key, clampScore(raw[c.key], rubric)]));
+    const questionFeedback = mergeQuestionFeedback(raw.QuestionFeedback, pairs, rubric);
+
+    return {
+        ...scores,
+        OverallScore: weightedOverall(scores, rubric),
+        DetailedFeedback: raw.DetailedFeedback || '',
+        QuestionFeedback: questionFeedback,
+        ...(resumeText ? { ResumeFit: normalizeResumeFit(raw.ResumeFit) } : {}),
+        ...(codingRounds.length > 0 ? { Coding: normalizeCodingFeedback(raw.Coding, codingRounds, rubric) } : {}),
+        ...(panel ? { Panel: panelBreakdown(panel, questionFeedback, raw.PanelFeedback, rubric) } : {}),
+        Rubric: rubric,
+    };
+};
+
+const evaluateRetry = async (provider, jobContext, rubric, item, newAnswer, language = DEFAULT_LANGUAGE, signal = undefined) => {
+    const raw = await provider.generateJSON({
+        prompt: RETRY_PROMPT(jobContext, rubric, item.question, item.answer, newAnswer) + LANGUAGE_INSTRUCTION(language),
+        schema: buildRetrySchema(rubric),
+        signal,
+    });
+    return normalizeRetry(raw, newAnswer, rubric);
+};
+
+const generateCodingProblem = async (provider, jobContext, seniority, language = DEFAULT_LANGUAGE, signal = undefined) => {
+    const raw = await provider.generateJSON({
+        prompt: CODING_PROBLEM_PROMPT(jobContext, SENIORITY_LEVELS[seniority].instruction) + LANGUAGE_INSTRUCTION(language),
+        schema: CODING_PROBLEM_SCHEMA,
+        signal,
+    });
+    return normalizeCodingProblem(raw);
+};
+
+// Folds `messages` into the running notes on the interview.
+const summarizeTurns = async (provider, previousSummary, messages, signal) => {
+    const text = await provider.chat({
+        history: [{ role: "user", parts: [{ text: SUMMARY_PROMPT(previousSummary, messages) }] }],
+        systemInstruction: "You summarize interview transcripts accurately and concisely.",
+        signal,
+    });
+    if (!text.trim()) throw new Error("The model returned an empty summary.");
+    return text.trim();
+};
+
+const generateInterviewPlan = async (provider, jobContext, counts, language = DEFAULT_LANGUAGE, signal = undefined) => {
+    const raw = await provider.generateJSON({ prompt: PLAN_PROMPT(jobContext, counts) + LANGUAGE_INSTRUCTION(language), schema: PLAN_SCHEMA, signal });
+    return normalizePlan(raw, counts);
+};
+
+// --- Interview Session Engine ---
+// The interview state machine (initial → in-progress → feedback), with no UI:
+// the React app and the terminal CLI both drive it. `configure` sets the
+// inputs (provider, job description, persona, rubric...); the methods below
+// move the state along and resolve once the model has answered.
+//
+// Events, via `on(event, handler)`:
+//   question  { index, text, streamed, problem, speaker }  an interviewer message is complete
+//             (`streamed` if it arrived as deltas; `problem` for a live-coding problem;
+//             `speaker` is the panelist id in a panel interview, else null)
+//   delta     { index, text, speaker }            the next chunk of a streamed reply
+//   retract   { index }                           the deltas sent for `index` so far were
+//             withdrawn: the draft broke a guardrail and is being replaced
+//   violation { entry }                           a `guardrailLog` entry was added
+//   answer    { index, text }                     a candidate message was recorded
+//   feedback  { report }                          the report is ready
+//   error     { stage, error }                    a model call failed; stage is
+//             plan | start | turn | summary | coding | feedback. A fallback is used where there is one
+//             (a failed summary sends the turns verbatim).
+//
+// Older turns are summarized once the verbatim part of a request passes
+// `contextBudgetTokens`; see contextWindow.js. `state.usage` counts the
+// tokens and cost of every model call in the session (see usage.js).
+//
+// With `config.panel.enabled`, the panelists in panel.js take turns as the
+// interviewer; `state.speakers` records who spoke each message.
+//
+// Interviewer turns pass through the guardrails in guardrails.js before any
+// of their text is emitted; each rejected draft is recorded in `state.guardrailLog`.
+//
+// A failed opening question, reply or report adds nothing to the chat: it is
+// kept in `state.error` until `retryTurn` repeats the call. `cancel` aborts
+// whatever model call is in flight, which then fails with kind 'aborted'.
+// `subscribe`/`getState` follow the useSyncExternalStore contract.
+
+export const INITIAL_SESSION_STATE = {
+    status: 'initial',
+    chatHistory: [],
+    plan: null,
+    answerTimings: [],
+    codingRounds: [],
+    // { problem, startedAt } while a live-coding exercise is open.
+    codingProblem: null,
+    feedbackReport: null,
+    loading: false,
+    // The reply being streamed: { index, text, speaker }, where `index` is the chat position it will take.
+    streaming: null,
+    // Set while an answer is awaited; drives the answer clock.
+    questionReadyAt: null,
+    sessionStartedAt: null,
+    // { stage, kind, message } after a failed start, turn or report; see providers/http.js for kinds.
+    error: null,
+    // { text, through }: notes on chat messages before index `through`, sent instead of them.
+    contextSummary: null,
+    usage: EMPTY_USAGE,
+    // { at, index, attempt, rules, action, excerpt } per rejected interviewer draft;
+    // action is 'regenerated', 'truncated' or 'fallback'.
+    guardrailLog: [],
+    // { [chat index]: panelist id } for interviewer messages in a panel interview.
+    speakers: {},
+};
+
+const DEFAULT_SESSION_CONFIG = {
+    provider: null,
+    jobDescription: '',
+    resume: null,
+    persona: DEFAULT_PERSONA,
+    panel: DEFAULT_PANEL,
+    language: DEFAULT_LANGUAGE,
+    rubric: DEFAULT_RUBRIC,
+    phaseCounts: DEFAULT_PHASE_COUNTS,
+    timedSettings: DEFAULT_TIMED_SETTINGS,
+    // Banks to sample from when planning, and how many of their questions to use.
+    questionBanks: [],
+    bankQuestionCount: 0,
+    // Estimated tokens of conversation sent verbatim with each turn.
+    contextBudgetTokens: DEFAULT_CONTEXT_BUDGET,
+    now: () => Date.now(),
+};
+
+export const createInterviewSession = (initialConfig = {}) => {
+    let config = { ...DEFAULT_SESSION_CONFIG, ...initialConfig };
+    let state = INITIAL_SESSION_STATE;
+    let answerStartedAt = null;
+    // The instruction the last reply was asked with, so a retry asks the same way.
+    let turnInstruction = '';
+    // Bumped when the session is reset or restored.
+    let generation = 0;
+    const inFlight = new Set();
+    const stateListeners = new Set();
+    const handlers = new Map();
+
+    const setState = (changes) => {
+        state = { ...state, ...changes };
+        stateListeners.forEach(listener => listener());
+    };
+
+    const emit = (event, payload) => {
+        handlers.get(event)?.forEach(handler => handler(payload));
+    };
+
+    // The configured provider, with each call counted into `state.usage`. A
+    // cancelled call settles after a reset or restore; it is not counted
+    // against the session that replaced its own.
+    const provider = () => {
+        const started = generation;
+        return meterProvider(config.provider, (usage) => {
+            if (generation === started) setState({ usage: addUsage(state.usage, usage) });
+        });
+    };
+
+    // Runs `fn(signal)` so that `cancel` can abort it. A call that outlives a
+    // reset or restore belongs to an abandoned session: it never settles, so
+    // nothing it returns is written into the new one.
+    const request = (fn) => {
+        const controller = new AbortController();
+        const started = generation;
+        inFlight.add(controller);
+        const abandoned = new Promise(() => {});
+        return fn(controller.signal)
+            .finally(() => inFlight.delete(controller))
+            .then(
+                value => (generation === started ? value : abandoned),
+                error => (generation === started ? Promise.reject(error) : abandoned),
+            );
+    };
+
+    // Reports the failure and returns it in the `state.error` shape.
+    const fail = (stage, error) => {
+        const kind = errorKind(error);
+        if (handlers.get('error')?.size) {
+            emit('error', { stage, error });
+        } else if (kind !== 'aborted') {
+            console.error(`Interview session error (${stage}):`, error);
+        }
+        return { stage, kind, message: error?.message || String(error) };
+    };
+
+    // The panelist who speaks the interviewer message after `history`, or null outside a panel interview.
+    const speakerAfter = (history) => config.panel.enabled ? panelistAt(config.panel, countAskedQuestions(history)) : null;
+
+    const panelInstruction = (history) => {
+        const speaker = speakerAfter(history);
+        if (!speaker) return '';
+        const asked = countAskedQuestions(history);
+        return PANEL_INSTRUCTION(config.panel, speaker, asked > 0 ? panelistAt(config.panel, asked - 1) : null);
+    };
+
+    const systemInstruction = (history, extraInstruction) => INTERVIEWER_SYSTEM_PROMPT(config.jobDescription, config.resume?.text)
+        + PERSONA_INSTRUCTION(config.persona)
+        + panelInstruction(history)
+        + LANGUAGE_INSTRUCTION(config.language)
+        + (state.plan ? PLAN_INSTRUCTION(state.plan, countAskedQuestions(history)) : '')
+        + extraInstruction;
+
+    // The part of `history` to send verbatim, and the notes that stand in for
+    // the rest. Summarizes further first if the verbatim part is over budget.
+    const contextFor = async (history, signal) => {
+        let summary = state.contextSummary;
+        const from = summary?.through ?? 0;
+        const cut = summaryCut(history, from, config.contextBudgetTokens);
+        if (cut === null) return { summary, recent: history.slice(from) };
+
+        try {
+            const text = await summarizeTurns(provider(), summary?.text, history.slice(from, cut), signal);
+            summary = { text, through: cut };
+            setState({ contextSummary: summary });
+            return { summary, recent: history.slice(cut) };
+        } catch (error) {
+            if (fail('summary', error).kind === 'aborted') throw error;
+            return { summary, recent: history.slice(from) };
+        }
+    };
+
+    // Streams one draft of the interviewer's reply through a turn guard; only
+    // released text is shown and emitted. The draft's own request is aborted
+    // at the first violation. `messageIndex` is where the reply will sit in the chat.
+    const draftInterviewerTurn = async ({ recent, prompt, instruction, messageIndex, speaker, candidateText, signal }) => {
+        const attempt = new AbortController();
+        const abortAttempt = () => attempt.abort();
+        signal.addEventListener('abort', abortAttempt, { once: true });
+        const guard = createTurnGuard({
+            candidateText,
+            onRelease: (text) => {
+                setState({ streaming: { ...state.streaming, text: state.streaming.text + text } });
+                emit('delta', { index: messageIndex, text, speaker });
+            },
+        });
+        let stopped = false;
+        setState({ streaming: { index: messageIndex, text: '', speaker } });
+        try {
+            let streamed = false;
+            const { text } = await fetchChatResponse(provider(), recent, prompt, instruction, (delta) => {
+                streamed = true;
+                if (!stopped && !guard.push(delta)) {
+                    stopped = true;
+                    attempt.abort();
+                }
+            }, attempt.signal);
+            if (!streamed) guard.push(text);
+            return guard.finish();
+        } catch (error) {
+            if (signal.aborted) throw error;
+            if (stopped) return guard.finish();
+            if (errorKind(error) === 'blocked') return guard.finish({ blocked: true });
+            throw error;
+        } finally {
+            signal.removeEventListener('abort', abortAttempt);
+            setState({ streaming: null });
+        }
+    };
+
+    const logViolation = (entry) => {
+        setState({ guardrailLog: [...state.guardrailLog, entry] });
+        if (handlers.get('violation')?.size) {
+            emit('violation', { entry });
+        } else {
+            console.warn(`Interviewer turn ${entry.index} broke ${entry.rules.join(', ')} (${entry.action}).`);
+        }
+    };
+
+    // Drafts the interviewer's reply until one passes the guardrails. A draft
+    // that already asked its question before going wrong is cut short and
+    // kept; any other is redrafted with a correction, and after
+    // MAX_TURN_ATTEMPTS a neutral stock question stands in.
+    const guardedInterviewerTurn = async (history, prompt, messageIndex, extraInstruction, signal) => {
+        const candidateText = history.length > 0 ? prompt : '';
+        // The candidate's last message goes out as `prompt`, so it is left out of the context.
+        const { summary, recent } = await contextFor(history.length > 0 ? history.slice(0, -1) : history, signal);
+        const baseInstruction = systemInstruction(history, extraInstruction)
+            + (summary ? CONTEXT_SUMMARY_SECTION(summary.text) : '')
+            + (looksLikeInjection(candidateText) ? INJECTION_NOTICE : '');
+        const speaker = speakerAfter(history)?.id ?? null;
+
+        let correction = '';
+        for (let attempt = 1; ; attempt++) {
+            const draft = await draftInterviewerTurn({ recent, prompt, instruction: baseInstruction + correction, messageIndex, speaker, candidateText, signal });
+            if (draft.violations.length === 0) return { text: draft.text, streamed: true };
+
+            const action = draft.hasQuestion ? 'truncated' : attempt < MAX_TURN_ATTEMPTS ? 'regenerated' : 'fallback';
+            logViolation({ at: config.now(), index: messageIndex, attempt, rules: draft.violations, action, excerpt: draft.draft.trim().slice(0, 500) });
+            if (action === 'truncated') return { text: draft.text, streamed: true };
+
+            if (draft.text) emit('retract', { index: messageIndex });
+            if (action === 'fallback') {
+                const { t } = createTranslator(config.language);
+                return { text: t(history.length > 0 ? 'guard.fallback.turn' : 'guard.fallback.start'), streamed: false };
+            }
+            correction = GUARDRAIL_CORRECTION(draft.violations);
+        }
+    };
+
+    // Asks for the interviewer's next message after `history`: the opening
+    // question when it is empty, otherwise the reply to the candidate's last message.
+    const requestTurn = async (history, extraInstruction = '') => {
+        const opening = history.length === 0;
+        const prompt = opening ? START_PROMPT : history[history.length - 1].parts[0].text;
+        turnInstruction = extraInstruction;
+        setState({ loading: true, error: null, questionReadyAt: null });
+
+        try {
+            // The opening prompt becomes message 0, so the first question is message 1.
+            const { text, streamed } = await request(signal => (
+                guardedInterviewerTurn(history, prompt, opening ? 1 : history.length, extraInstruction, signal)
+            ));
+            addInterviewerMessage(opening ? [{ role: 'user', parts: [{ text: START_PROMPT }] }] : history, text, { streamed });
+            setState({ loading: false, questionReadyAt: config.now() });
+        } catch (error) {
+            setState({ loading: false, error: fail(opening ? 'start' : 'turn', error) });
+        }
+    };
+
+    const addInterviewerMessage = (history, text, event) => {
+        const speaker = speakerAfter(history)?.id ?? null;
+        setState({
+            chatHistory: [...history, { role: 'model', parts: [{ text }] }],
+            speakers: speaker ? { ...state.speakers, [history.length]: speaker } : state.speakers,
+        });
+        emit('question', { index: history.length, text, streamed: false, problem: null, speaker, ...event });
+    };
+
+    // Plans the interview. `askedKeys` (see questionBanks.js) marks bank
+    // questions earlier sessions already used, so others are preferred.
+    const plan = async ({ askedKeys } = {}) => {
+        if (!config.jobDescription.trim() || state.loading) return state.plan;
+
+        setState({ loading: true });
+        let next;
+        try {
+            next = await request(signal => generateInterviewPlan(provider(), config.jobDescription, config.phaseCounts, config.language, signal));
+        } catch (error) {
+            if (fail('plan', error).kind === 'aborted') {
+                setState({ loading: false });
+                return state.plan;
+            }
+            next = { ...normalizePlan(null, config.phaseCounts), generic: true };
+        }
+        if (config.questionBanks.length > 0 && config.bankQuestionCount > 0) {
+            const ranked = rankBankQuestions(config.questionBanks, { jobContext: config.jobDescription, seniority: config.persona.seniority, askedKeys });
+            next = applyBankQuestions(next, ranked, config.bankQuestionCount);
+        }
+        setState({ plan: next, loading: false });
+        return next;
+    };
+
+    const start = async () => {
+        if (!config.jobDescription.trim()) return;
+
+        const now = config.now();
+        answerStartedAt = null;
+        setState({
+            ...INITIAL_SESSION_STATE,
+            plan: state.plan,
+            // Planning is part of the session's cost.
+            usage: state.usage,
+            status: 'in-progress',
+            sessionStartedAt: now,
+        });
+        await requestTurn([]);
+    };
+
+    // The answer clock measures thinking time up to the first keystroke or word.
+    const markAnswerStarted = () => {
+        if (answerStartedAt === null) answerStartedAt = config.now();
+    };
+
+    // `timedOut` is 'answer' or 'session' when a timed-mode limit forced the submission.
+    // `delivery` carries speech metrics for spoken answers; typed answers are measured here.
+    // `codingRound` is set when the message is a live-coding submission.
+    const answer = async (text, { timedOut = null, delivery = null, codingRound = null } = {}) => {
+        // While a turn has failed, the unanswered message must be retried first.
+        if (state.loading || state.status !== 'in-progress' || state.error || !text.trim()) return;
+
+        const { timedSettings, language } = config;
+        let timings = state.answerTimings;
+        if (state.questionReadyAt !== null) {
+            const lastQuestion = state.chatHistory.findLast(m => m.role === 'model');
+            timings = [...timings, createAnswerTiming({
+                question: lastQuestion?.parts[0].text || '',
+                questionReadyAt: state.questionReadyAt,
+                answerStartedAt,
+                submittedAt: config.now(),
+                timedOut,
+                limitSeconds: timedSettings.enabled ? timedSettings.answerSeconds : null,
+                delivery: delivery ?? (text === NO_ANSWER_TEXT ? null : typedDelivery(text, language)),
+            })];
+        }
+        answerStartedAt = null;
+
+        const historyWithUser = [...state.chatHistory, { role: 'user', parts: [{ text }] }];
+        setState({
+            chatHistory: historyWithUser,
+            answerTimings: timings,
+            codingRounds: codingRound ? [...state.codingRounds, codingRound] : state.codingRounds,
+            questionReadyAt: null,
+        });
+        emit('answer', { index: historyWithUser.length - 1, text });
+
+        // Session time is up, or the last planned question has been answered: go straight to the report.
+        if (timedOut === 'session' || (state.plan && countAskedQuestions(historyWithUser) >= state.plan.totalQuestions)) {
+            await finish();
+            return;
+        }
+
+        const cutIn = timedOut === 'answer' && timedSettings.onTimeout === 'cut-in';
+        await requestTurn(historyWithUser, cutIn ? CUT_IN_INSTRUCTION : codingRound ? CODING_FOLLOW_UP_INSTRUCTION : '');
+    };
+
+    // Repeats the call behind `state.error`: the opening question, the reply
+    // to the last answer, or the report.
+    const retryTurn = async () => {
+        if (state.loading || !state.error) return;
+        if (state.error.stage === 'feedback') {
+            await finish();
+        } else {
+            await requestTurn(state.chatHistory, turnInstruction);
+        }
+    };
+
+    const cancel = () => {
+        inFlight.forEach(controller => controller.abort());
+    };
+
+    const finish = async () => {
+        const panel = Object.keys(state.speakers).length > 0 && config.panel.enabled ? config.panel : null;
+        const transcript = labelSpeakers(state.chatHistory, state.speakers, panel)
+            .filter(m => m.parts.length > 0 && m.parts[0].text.length > 0);
+        const timings = state.answerTimings;
+        setState({
+            status: 'feedback',
+            loading: true,
+            error: null,
+            codingProblem: null,
+            feedbackReport: null,
+            streaming: null,
+            questionReadyAt: null,
+            sessionStartedAt: null,
+        });
+
+        try {
+            const report = await request(signal => generateFeedback(provider(), transcript, config.rubric, {
+                answerTimings: timings,
+                jobContext: config.jobDescription,
+                resumeText: config.resume?.text,
+                codingRounds: state.codingRounds,
+                panel,
+                language: config.language,
+                signal,
+            }));
+            // Measured timings travel with the report so saved sessions can show them.
+            const feedbackReport = { ...report, answerTimings: timings };
+            setState({ feedbackReport, loading: false });
+            emit('feedback', { report: feedbackReport });
+        } catch (error) {
+            setState({ loading: false, error: fail('feedback', error) });
+        }
+    };
+
+    // Poses a live-coding problem as the interviewer's next message. The answer
+    // clock is paused while the exercise is open; the round keeps its own timeline.
+    const startCoding = async () => {
+        if (state.loading || state.status !== 'in-progress' || state.error || state.codingProblem) return;
+
+        setState({ loading: true, questionReadyAt: null });
+        let problem;
+        try {
+            problem = await request(signal => generateCodingProblem(provider(), config.jobDescription, config.persona.seniority, config.language, signal));
+        } catch (error) {
+            if (fail('coding', error).kind === 'aborted') {
+                setState({ loading: false, questionReadyAt: config.now() });
+                return;
+            }
+            problem = FALLBACK_PROBLEM;
+        }
+
+        setState({ codingProblem: { problem, startedAt: config.now() }, loading: false });
+        addInterviewerMessage(state.chatHistory, CODING_PROBLEM_MESSAGE(problem), { problem });
+    };
+
+    const submitCode = (round) => {
+        setState({ codingProblem: null });
+        return answer(CODING_SUBMISSION_TEXT(round), { codingRound: round });
+    };
+
+    // Transcribes a recorded answer in the interview language. Rejects if the
+    // model call fails, so the caller can keep the recording and try again.
+    const transcribe = (audio) => request(signal => provider().transcribeAudio({ audio, language: config.language, signal }));
+
+    // Scores a fresh attempt at one question from the report and keeps it alongside the original.
+    // Rejects if the model call fails, so the caller can show the error next to the attempt.
+    const retryQuestion = async (index, text) => {
+        const report = state.feedbackReport;
+        const rubric = report.Rubric || DEFAULT_RUBRIC;
+        const attempt = await request(signal => evaluateRetry(provider(), config.jobDescription, rubric, report.QuestionFeedback[index], text, config.language, signal));
+        setState({
+            feedbackReport: {
+                ...state.feedbackReport,
+                QuestionFeedback: state.feedbackReport.QuestionFeedback.map((item, i) => (
+                    i === index ? { ...item, retries: [...(item.retries || []), attempt] } : item
+                )),
+            },
+        });
+    };
+
+    // Loads a stored session. A reload between sending an answer and receiving
+    // the reply leaves a trailing candidate message in an interview still in
+    // progress; it is removed and returned so it can be put back in the input
+    // and resent. A finished interview ends on the last answer and keeps it.
+    const restore = (saved) => {
+        generation++;
+        cancel();
+        const history = saved.chatHistory;
+        // Clocks restart on resume; time spent away is not counted.
+        const resuming = saved.interviewState === 'in-progress';
+        const pending = resuming && history.length > 1 && history[history.length - 1].role === 'user'
+            ? history[history.length - 1].parts[0].text
+            : '';
+        const now = config.now();
+
+        answerStartedAt = pending ? now : null;
+        setState({
+            ...INITIAL_SESSION_STATE,
+            status: saved.interviewState,
+            chatHistory: pending ? history.slice(0, -1) : history,
+            plan: saved.interviewPlan || null,
+            answerTimings: saved.answerTimings || [],
+            codingRounds: saved.codingRounds || [],
+            feedbackReport: saved.feedbackReport,
+            contextSummary: saved.contextSummary || null,
+            usage: saved.usage || EMPTY_USAGE,
+            guardrailLog: saved.guardrailLog || [],
+            speakers: saved.speakers || {},
+            sessionStartedAt: resuming ? now : null,
+            questionReadyAt: resuming ? now : null,
+        });
+        return pending;
+    };
+
+    const reset = () => {
+        generation++;
+        cancel();
+        answerStartedAt = null;
+        setState(INITIAL_SESSION_STATE);
+    };
+
+    return {
+        configure: (changes) => {
+            config = { ...config, ...changes };
+        },
+        getState: () => state,
+        subscribe: (listener) => {
+            stateListeners.add(listener);
+            return () => stateListeners.delete(listener);
+        },
+        on: (event, handler) => {
+            if (!handlers.has(event)) handlers.set(event, new Set());
+            handlers.get(event).add(handler);
+            return () => handlers.get(event).delete(handler);
+        },
+        plan,
+        setPlan: (next) => setState({ plan: next }),
+        start,
+        answer,
+        retryTurn,
+        cancel,
+        markAnswerStarted,
+        finish,
+        startCoding,
+        submitCode,
+        retryQuestion,
+        transcribe,
+        restore,
+        reset,
+    };
+};
@@ -2,9 +2,18 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import InterviewApp from './InterviewApp.jsx'
+import SharedReview from './components/SharedReview.jsx'
+import { isShareLink } from './shareLink.js'
 
-createRoot(document.getElementById('root')).render(
+const root = createRoot(document.getElementById('root'))
+
+// A #review= link opens the read-only review instead of the app; pasting one
+// into an open tab switches over without a reload.
+const render = () => root.render(
   <StrictMode>
-    <InterviewApp />
+    {isShareLink(window.location.hash) ? <SharedReview key={window.location.hash} /> : <InterviewApp />}
   </StrictMode>,
 )
+
+window.addEventListener('hashchange', render)
+render()
@@ -0,0 +1,148 @@
+import { weightedOverall } from './rubrics.js';
+
+// --- Panel Interview ---
+// Two to four interviewers share the interview, each with a role, a focus,
+// their own instructions and a TTS voice. They take turns: each panelist
+// holds the floor for `turnsEach` interviewer messages, then hands off to the
+// next one, who introduces themselves before asking. The engine records who
+// spoke each interviewer message in `speakers`, and the report breaks the
+// per-question scores down by panelist.
+
+export const MIN_PANELISTS = 2;
+export const MAX_PANELISTS = 4;
+export const PANEL_TURN_OPTIONS = [1, 2, 3];
+
+// `focus` is the default for new panelists in that role; the label goes to the model.
+export const PANEL_ROLES = {
+    'hiring-manager': { label: "Hiring manager", focus: "motivation, ownership, the impact of past work and fit with the team's goals" },
+    'senior-engineer': { label: "Senior engineer", focus: "technical depth, problem solving, design trade-offs and code quality" },
+    hr: { label: "HR partner", focus: "collaboration, communication, handling conflict and working values" },
+    'product-manager': { label: "Product manager", focus: "user focus, prioritization and working with product and design" },
+    custom: { label: "Panelist", focus: "" },
+};
+
+const DEFAULT_NAMES = ["Alex", "Sam", "Jordan", "Taylor"];
+
+// An empty voice means "use the interviewer persona's voice".
+export const createPanelist = (role = 'custom', name = '', id = crypto.randomUUID()) => ({
+    id,
+    name,
+    role,
+    focus: PANEL_ROLES[role].focus,
+    instructions: '',
+    voice: '',
+});
+
+export const DEFAULT_PANEL = {
+    enabled: false,
+    turnsEach: 2,
+    panelists: [
+        createPanelist('hiring-manager', DEFAULT_NAMES[0], 'panelist-1'),
+        createPanelist('senior-engineer', DEFAULT_NAMES[1], 'panelist-2'),
+        createPanelist('hr', DEFAULT_NAMES[2], 'panelist-3'),
+    ],
+};
+
+export const nextPanelistName = (panelists) => DEFAULT_NAMES.find(name => !panelists.some(p => p.name === name)) || '';
+
+const text = (value, fallback = '') => typeof value === 'string' ? value : fallback;
+
+// Fills in missing or unknown values, e.g. from stored settings or older saved sessions.
+export const normalizePanel = (panel) => {
+    const p = { ...DEFAULT_PANEL, ...panel };
+    const panelists = (Array.isArray(p.panelists) ? p.panelists : DEFAULT_PANEL.panelists)
+        .slice(0, MAX_PANELISTS)
+        .map((panelist, i) => {
+            const role = Object.hasOwn(PANEL_ROLES, panelist?.role) ? panelist.role : 'custom';
+            return {
+                id: text(panelist?.id) || `panelist-${i + 1}`,
+                name: text(panelist?.name).trim() || DEFAULT_NAMES[i],
+                role,
+                focus: text(panelist?.focus, PANEL_ROLES[role].focus),
+                instructions: text(panelist?.instructions),
+                voice: text(panelist?.voice),
+            };
+        });
+    return {
+        enabled: p.enabled === true && panelists.length >= MIN_PANELISTS,
+        turnsEach: PANEL_TURN_OPTIONS.includes(p.turnsEach) ? p.turnsEach : DEFAULT_PANEL.turnsEach,
+        panelists: panelists.length > 0 ? panelists : DEFAULT_PANEL.panelists,
+    };
+};
+
+// The panelist who speaks the interviewer message after `asked` earlier ones.
+export const panelistAt = (panel, asked) => panel.panelists[Math.floor(asked / panel.turnsEach) % panel.panelists.length];
+
+export const findPanelist = (panel, id) => panel?.panelists.find(p => p.id === id) || null;
+
+// "Alex (Hiring manager)"; the role label is translated by the caller where needed.
+export const describePanelist = (panelist, roleLabel = PANEL_ROLES[panelist.role].label) => `${panelist.name} (${roleLabel})`;
+
+// Appended to the interviewer's system instruction for the panelist whose
+// turn it is. `previous` is the panelist who spoke last, or null at the start.
+export const PANEL_INSTRUCTION = (panel, panelist, previous) => {
+    const opening = previous === null
+        ? `You open the interview: greet the candidate, introduce the panel in one sentence (names and roles), then ask your first question.`
+        : previous.id !== panelist.id
+            ? `${previous.name} has just handed the interview over to you. Start with one short sentence introducing yourself, then ask your first question.`
+            : `Continue your part of the interview: follow up on the last answer or ask your next question.`;
+
+    return `
+
+--- Interview Panel ---
+This is a panel interview with ${panel.panelists.length} interviewers taking turns:
+${panel.panelists.map(p => `- ${describePanelist(p)}${p.focus ? `: ${p.focus}` : ''}`).join('\n')}
+You are ${describePanelist(panelist)}. Ask only about your own focus${panelist.focus ? ` (${panelist.focus})` : ''} and speak only as yourself: never write lines for the other panelists.${panelist.instructions.trim() ? `\nYour own instructions: ${panelist.instructions.trim()}` : ''}
+${opening}`;
+};
+
+// --- Report ---
+
+export const PANEL_FEEDBACK_SCHEMA = {
+    type: "ARRAY",
+    description: "One entry per panelist, in the order listed.",
+    items: {
+        type: "OBJECT",
+        properties: {
+            Panelist: { type: "STRING", description: "The panelist's name." },
+            Comment: { type: "STRING", description: "Two or three sentences: this panelist's view of the candidate from their own focus." },
+        },
+    },
+};
+
+export const PANEL_FEEDBACK_SECTION = (panel) => `\n\n--- Panel ---
+The interviewer turns in the transcript are labelled with the panelist who spoke them. For PanelFeedback, write one entry per panelist, in this order, giving their view of the candidate from their own focus:
+${panel.panelists.map((p, i) => `${i + 1}. ${describePanelist(p)}${p.focus ? `: ${p.focus}` : ''}`).join('\n')}`;
+
+const average = (values) => values.length === 0 ? null : Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10;
+
+// Per panelist: how many of the scored questions they asked, the mean of each
+// criterion over those questions and the weighted overall, plus the model's
+// comment. Names and roles are copied in so a saved report stands on its own.
+export const panelBreakdown = (panel, questionFeedback, rawFeedback, rubric) => {
+    const comments = Array.isArray(rawFeedback) ? rawFeedback : [];
+    return panel.panelists.map((panelist, i) => {
+        const items = questionFeedback.filter(item => item.speaker === panelist.id);
+        const scores = Object.fromEntries(rubric.criteria.map(c => [
+            c.key,
+            average(items.map(item => item[c.key]).filter(Number.isFinite)),
+        ]));
+        const comment = comments.find(entry => entry?.Panelist === panelist.name) || comments[i] || {};
+        return {
+            id: panelist.id,
+            name: panelist.name,
+            role: panelist.role,
+            questions: items.length,
+            scores,
+            overall: weightedOverall(scores, rubric),
+            comment: text(comment.Comment),
+        };
+    });
+};
+
+// Tags interviewer messages with their panelist (`speaker`, `speakerName`) for
+// the report prompt; the tags never go to a provider's chat history.
+export const labelSpeakers = (messages, speakers, panel) => messages.map((message, i) => {
+    const panelist = findPanelist(panel, speakers[i]);
+    return panelist ? { ...message, speaker: panelist.id, speakerName: describePanelist(panelist) } : message;
+});
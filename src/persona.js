@@ -0,0 +1,72 @@
+// --- Interviewer Persona ---
+// Style, seniority target, interview type and voice. Each choice adds a few
+// lines to the interviewer's system instruction; the voice goes into the TTS call.
+
+export const PERSONA_STYLES = {
+    friendly: {
+        label: "Friendly",
+        instruction: "Be warm and encouraging. Put the candidate at ease, acknowledge good points briefly, and give gentle hints if they get stuck.",
+    },
+    neutral: {
+        label: "Neutral",
+        instruction: "Be professional and even-toned. Neither praise nor criticize answers during the interview.",
+    },
+    'high-pressure': {
+        label: "High-pressure",
+        instruction: "Be brisk and demanding. Challenge weak claims immediately, interrupt rambling, ask pointed follow-ups, and do not offer hints or reassurance. Stay respectful.",
+    },
+};
+
+export const SENIORITY_LEVELS = {
+    intern: { label: "Intern", instruction: "an intern: focus on fundamentals, learning ability and school or personal projects" },
+    junior: { label: "Junior", instruction: "a junior engineer or early-career hire: focus on core skills and executing well-defined tasks" },
+    mid: { label: "Mid-level", instruction: "a mid-level professional: expect independent ownership of features and solid trade-off reasoning" },
+    senior: { label: "Senior", instruction: "a senior professional: expect system-level design, mentoring, and handling ambiguity" },
+    staff: { label: "Staff / Principal", instruction: "a staff or principal level candidate: expect cross-team technical strategy, organisational influence and long-term trade-offs" },
+};
+
+export const INTERVIEW_TYPES = {
+    technical: { label: "Technical", instruction: "This is a technical interview: concentrate on domain knowledge, problem solving and design questions." },
+    behavioral: { label: "Behavioral", instruction: "This is a behavioral interview: ask for specific past situations and probe them with the STAR structure (Situation, Task, Action, Result)." },
+    case: { label: "Case", instruction: "This is a case interview: present a realistic business or product scenario from the role's domain and have the candidate work through it step by step, asking for assumptions, structure and a recommendation." },
+};
+
+// An empty voice means "use the provider's configured voice".
+export const DEFAULT_PERSONA = {
+    style: 'neutral',
+    seniority: 'mid',
+    interviewType: 'technical',
+    voice: '',
+};
+
+// Built-in presets are never stored and are always listed first.
+export const BUILT_IN_PRESETS = [
+    { id: 'builtin-screen', name: "Friendly phone screen", builtIn: true, persona: { style: 'friendly', seniority: 'junior', interviewType: 'behavioral', voice: '' } },
+    { id: 'builtin-onsite', name: "Standard technical onsite", builtIn: true, persona: { ...DEFAULT_PERSONA } },
+    { id: 'builtin-bar-raiser', name: "Senior bar raiser", builtIn: true, persona: { style: 'high-pressure', seniority: 'senior', interviewType: 'technical', voice: '' } },
+];
+
+// Fills in missing or unknown values, e.g. from older saved sessions.
+export const normalizePersona = (persona) => {
+    const p = { ...DEFAULT_PERSONA, ...persona };
+    return {
+        style: Object.hasOwn(PERSONA_STYLES, p.style) ? p.style : DEFAULT_PERSONA.style,
+        seniority: Object.hasOwn(SENIORITY_LEVELS, p.seniority) ? p.seniority : DEFAULT_PERSONA.seniority,
+        interviewType: Object.hasOwn(INTERVIEW_TYPES, p.interviewType) ? p.interviewType : DEFAULT_PERSONA.interviewType,
+        voice: typeof p.voice === 'string' ? p.voice : '',
+    };
+};
+
+export const describePersona = (persona) => [
+    PERSONA_STYLES[persona.style].label,
+    SENIORITY_LEVELS[persona.seniority].label,
+    INTERVIEW_TYPES[persona.interviewType].label,
+].join(' · ');
+
+// Appended to the interviewer's system instruction.
+export const PERSONA_INSTRUCTION = (persona) => `
+
+Interviewer persona:
+- Style: ${PERSONA_STYLES[persona.style].instruction}
+- Calibrate difficulty and expectations for ${SENIORITY_LEVELS[persona.seniority].instruction}.
+- ${INTERVIEW_TYPES[persona.interviewType].instruction}`;
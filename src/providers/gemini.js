@@ -0,0 +1,165 @@
+import { arrayBufferToBase64, base64ToArrayBuffer, pcmToWav } from '../audio.js';
+import { ApiError, parseModelJSON, postJSON, postSpeechRequest, readServerSentEvents } from './http.js';
+
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+
+export const GEMINI_DEFAULTS = {
+    apiKey: "",
+    chatModel: "gemini-2.5-flash-preview-09-2025",
+    ttsModel: "gemini-2.5-flash-preview-tts",
+    voice: "Kore",
+};
+
+// Prebuilt TTS voices: name and the style Google describes it with.
+export const GEMINI_VOICES = [
+    ["Kore", "Firm"], ["Puck", "Upbeat"], ["Charon", "Informative"], ["Zephyr", "Bright"],
+    ["Fenrir", "Excitable"], ["Leda", "Youthful"], ["Orus", "Firm"], ["Aoede", "Breezy"],
+    ["Callirrhoe", "Easy-going"], ["Autonoe", "Bright"], ["Enceladus", "Breathy"], ["Iapetus", "Clear"],
+    ["Umbriel", "Easy-going"], ["Algieba", "Smooth"], ["Despina", "Smooth"], ["Erinome", "Clear"],
+    ["Algenib", "Gravelly"], ["Rasalgethi", "Informative"], ["Laomedeia", "Upbeat"], ["Achernar", "Soft"],
+    ["Alnilam", "Firm"], ["Schedar", "Even"], ["Gacrux", "Mature"], ["Pulcherrima", "Forward"],
+    ["Achird", "Friendly"], ["Zubenelgenubi", "Casual"], ["Vindemiatrix", "Gentle"], ["Sadachbia", "Lively"],
+    ["Sadaltager", "Knowledgeable"], ["Sulafat", "Warm"],
+].map(([id, style]) => ({ id, label: `${id} (${style})` }));
+
+const firstPart = (result) => result?.candidates?.[0]?.content?.parts?.[0];
+
+const TRANSCRIBE_PROMPT = (language) => `Transcribe this recording of a job candidate answering an interview question, word for word, including filler words such as "um".${language ? ` The candidate speaks the language with ISO 639-1 code "${language}".` : ''} Return only the transcript, with no timestamps, labels or commentary. If nothing is said, return nothing.`;
+
+// Finish reasons for a reply withheld or cut off by a safety or policy filter.
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY']);
+
+const throwIfBlocked = (result) => {
+    const finishReason = result?.candidates?.[0]?.finishReason;
+    const reason = result?.promptFeedback?.blockReason || (BLOCKED_FINISH_REASONS.has(finishReason) ? finishReason : null);
+    if (reason) throw new ApiError('blocked', `The model's reply was blocked (${reason}).`);
+};
+
+// Thinking tokens are billed as output.
+const usageOf = (model, metadata) => ({
+    model,
+    inputTokens: metadata.promptTokenCount || 0,
+    outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+});
+
+export const createGeminiProvider = (config = {}) => {
+    const { apiKey, chatModel, ttsModel, voice } = { ...GEMINI_DEFAULTS, ...config };
+    const endpoint = (model) => `${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`;
+    const streamEndpoint = (model) => `${GEMINI_BASE_URL}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+
+    const chat = async ({ history, systemInstruction, signal, onUsage }) => {
+        const payload = {
+            contents: history,
+            systemInstruction: { parts: [{ text: systemInstruction }] },
+        };
+
+        const response = await postJSON(endpoint(chatModel), payload, {}, { signal });
+        const result = await response.json();
+        if (result.usageMetadata) onUsage?.(usageOf(chatModel, result.usageMetadata));
+        throwIfBlocked(result);
+        return firstPart(result)?.text || "";
+    };
+
+    // Calls onText with each new chunk of the reply and resolves with the full text.
+    // Every chunk carries the usage so far; the last one has the totals.
+    const streamChat = async ({ history, systemInstruction, onText, signal, onUsage }) => {
+        const payload = {
+            contents: history,
+            systemInstruction: { parts: [{ text: systemInstruction }] },
+        };
+
+        const response = await postJSON(streamEndpoint(chatModel), payload, {}, { signal });
+        let text = "";
+        let usage = null;
+        await readServerSentEvents(response, (data) => {
+            const chunk = JSON.parse(data);
+            throwIfBlocked(chunk);
+            const delta = firstPart(chunk)?.text;
+            if (delta) {
+                text += delta;
+                onText(delta);
+            }
+            usage = chunk.usageMetadata || usage;
+        });
+        if (usage) onUsage?.(usageOf(chatModel, usage));
+        return text;
+    };
+
+    const generateJSON = async ({ prompt, schema, signal, onUsage }) => {
+        const payload = {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: schema,
+            },
+        };
+
+        const response = await postJSON(endpoint(chatModel), payload, {}, { signal });
+        const result = await response.json();
+        if (result.usageMetadata) onUsage?.(usageOf(chatModel, result.usageMetadata));
+        throwIfBlocked(result);
+        const jsonText = firstPart(result)?.text;
+
+        if (!jsonText) {
+            throw new Error("Could not retrieve JSON feedback from model.");
+        }
+        return parseModelJSON(jsonText);
+    };
+
+    // The chat model accepts audio input, so it doubles as the transcriber.
+    const transcribeAudio = async ({ audio, language, signal, onUsage }) => {
+        const payload = {
+            contents: [{
+                parts: [
+                    { text: TRANSCRIBE_PROMPT(language) },
+                    // Gemini rejects MIME parameters such as ";codecs=opus".
+                    { inlineData: { mimeType: audio.type.split(';')[0] || "audio/webm", data: arrayBufferToBase64(await audio.arrayBuffer()) } },
+                ],
+            }],
+        };
+
+        const response = await postJSON(endpoint(chatModel), payload, {}, { signal });
+        const result = await response.json();
+        if (result.usageMetadata) onUsage?.(usageOf(chatModel, result.usageMetadata));
+        throwIfBlocked(result);
+        return (firstPart(result)?.text || "").trim();
+    };
+
+    // Returns a WAV Blob, or null when the model produced no audio.
+    const synthesizeSpeech = async (text, options = {}) => {
+        if (!text) return null;
+
+        const payload = {
+            contents: [{ parts: [{ text: text }] }],
+            generationConfig: {
+                responseModalities: ["AUDIO"],
+                speechConfig: {
+                    voiceConfig: {
+                        prebuiltVoiceConfig: { voiceName: options.voice || voice }
+                    }
+                }
+            },
+        };
+
+        const response = await postSpeechRequest(endpoint(ttsModel), payload, {}, { signal: options.signal });
+        if (!response) return null;
+
+        const result = await response.json();
+
+        const part = firstPart(result);
+        const audioData = part?.inlineData?.data;
+        const mimeType = part?.inlineData?.mimeType;
+
+        if (audioData && mimeType && mimeType.startsWith("audio/")) {
+            const sampleRateMatch = mimeType.match(/rate=(\d+)/);
+            const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1], 10) : 16000;
+
+            const pcmData = base64ToArrayBuffer(audioData);
+            return pcmToWav(pcmData, sampleRate);
+        }
+
+        return null;
+    };
+
+    return { id: "gemini", model: chatModel, ttsModel, voice, chat, streamChat, generateJSON, synthesizeSpeech, transcribeAudio };
+};
@@ -0,0 +1,180 @@
+// --- Request Errors ---
+// Every failed request rejects with an ApiError whose `kind` says what went wrong:
+//   auth     the API key was rejected (401, 403)
+//   quota    rate limit or quota exhausted (429)
+//   server   the service failed or is overloaded (408, 5xx)
+//   request  the request itself was refused (other 4xx)
+//   network  no response at all (offline, DNS, CORS)
+//   timeout  no response within REQUEST_TIMEOUT_MS
+//   aborted  cancelled through the caller's AbortSignal
+//   blocked  the provider's safety filter withheld the reply
+const RETRYABLE_KINDS = new Set(['quota', 'server', 'network', 'timeout']);
+
+export class ApiError extends Error {
+    constructor(kind, message, { status = null, retryAfterMs = null, retryable = RETRYABLE_KINDS.has(kind) } = {}) {
+        super(message);
+        this.name = "ApiError";
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.retryable = retryable;
+    }
+}
+
+export const REQUEST_TIMEOUT_MS = 60_000;
+// A longer Retry-After (a daily quota, say) is reported instead of waited out.
+const MAX_RETRY_WAIT_MS = 60_000;
+
+// The error kind of anything a provider call rejected with; 'unknown' for bugs and bad model output.
+export const errorKind = (error) => error?.kind || (error?.name === 'AbortError' ? 'aborted' : 'unknown');
+
+const kindOfStatus = (status) => (
+    status === 401 || status === 403 ? 'auth'
+        : status === 429 ? 'quota'
+        : status === 408 || status >= 500 ? 'server'
+        : 'request'
+);
+
+// Retry-After is a number of seconds or an HTTP date. Gemini puts its hint in
+// the body instead ("retryDelay": "31s").
+const retryDelayOf = (response, body) => {
+    const header = response.headers.get('Retry-After');
+    if (header) {
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const hint = body.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    return hint ? Number(hint[1]) * 1000 : null;
+};
+
+const errorFromResponse = async (response) => {
+    const body = await response.text().catch(() => '');
+    const kind = kindOfStatus(response.status);
+    return new ApiError(kind, `API call failed with status ${response.status}: ${body}`, {
+        status: response.status,
+        retryAfterMs: retryDelayOf(response, body),
+        // An account out of credit stays that way however long we wait.
+        ...(kind === 'quota' && /insufficient_quota|billing_hard_limit/.test(body) ? { retryable: false } : {}),
+    });
+};
+
+const abortedError = () => new ApiError('aborted', "Request cancelled.");
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortedError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// One attempt: `fn(signal)` starts the fetch. The timeout covers the wait for
+// the response headers; the caller's signal also cancels reading the body.
+const attempt = async (fn, signal, timeoutMs) => {
+    if (signal?.aborted) throw abortedError();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(abortedError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(new ApiError('timeout', `No response within ${timeoutMs / 1000} s.`)), timeoutMs);
+
+    try {
+        const response = await fn(controller.signal);
+        if (!response.ok) throw await errorFromResponse(response);
+        return response;
+    } catch (error) {
+        // A failed attempt lets go of the caller's signal so retries do not pile up
+        // listeners; a successful one keeps it, to cancel reading the body.
+        signal?.removeEventListener('abort', onAbort);
+        if (controller.signal.aborted) throw controller.signal.reason;
+        if (error instanceof ApiError) throw error;
+        throw new ApiError('network', error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Runs `fn(signal)` -> fetch Response until it returns a 2xx response. Network
+// failures, timeouts, 408/429 and 5xx are retried with exponential backoff
+// (or after the server's Retry-After); anything else rejects straight away.
+export const withExponentialBackoff = async (fn, { retries = 5, delay = 1000, signal, timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+    for (let i = 1; ; i++) {
+        try {
+            return await attempt(fn, signal, timeoutMs);
+        } catch (error) {
+            const wait = error.retryAfterMs ?? delay;
+            if (!error.retryable || i >= retries || wait > MAX_RETRY_WAIT_MS) throw error;
+            console.warn(`Attempt ${i} failed (${error.kind}). Retrying in ${wait}ms...`, error.message);
+            await sleep(wait, signal);
+            delay *= 2;
+        }
+    }
+};
+
+// POSTs a JSON payload (with retries) and rejects with an ApiError on failure.
+export const postJSON = (url, payload, headers = {}, { signal } = {}) => withExponentialBackoff((attemptSignal) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal: attemptSignal,
+}), { signal });
+
+// POSTs multipart form data (with retries), for file uploads such as recorded audio.
+export const postFormData = (url, form, headers = {}, { signal } = {}) => withExponentialBackoff((attemptSignal) => fetch(url, {
+    method: 'POST',
+    headers,
+    body: form,
+    signal: attemptSignal,
+}), { signal });
+
+// Speech is optional: a refused TTS request resolves to null instead of failing the turn.
+export const postSpeechRequest = async (url, payload, headers = {}, options = {}) => {
+    try {
+        return await postJSON(url, payload, headers, options);
+    } catch (error) {
+        if (!error.status) throw error;
+        console.error("TTS API call failed:", error.message);
+        return null;
+    }
+};
+
+// Models sometimes wrap structured output in a ```json fence even when asked not to.
+export const parseModelJSON = (text) => {
+    const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(unfenced);
+};
+
+// Reads a text/event-stream response and calls onData with each `data:` payload.
+export const readServerSentEvents = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (event) => {
+        const data = event
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        if (data) onData(data);
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    dispatch(buffer);
+};
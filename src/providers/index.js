@@ -0,0 +1,105 @@
+import { createGeminiProvider, GEMINI_DEFAULTS, GEMINI_VOICES } from './gemini.js';
+import { createMockProvider, MOCK_DEFAULTS } from './mock.js';
+import { createOpenAIProvider, OPENAI_DEFAULTS, OPENAI_VOICES } from './openai.js';
+import { createProxyProvider, PROXY_DEFAULTS } from './proxy.js';
+
+// --- Model Provider Registry ---
+// Every provider exposes the same operations:
+//   chat({ history, systemInstruction, signal })  -> Promise<string>
+//   streamChat({ history, systemInstruction, onText, signal }) -> Promise<string>
+//       (onText receives each new chunk; resolves with the full reply)
+//   generateJSON({ prompt, schema, signal })      -> Promise<object>
+//   synthesizeSpeech(text, { voice, signal })     -> Promise<Blob | null>
+//   transcribeAudio({ audio, language, signal })  -> Promise<string>
+//       (`audio` is a recorded Blob; `language` an ISO 639-1 code such as "de")
+// `signal` is an optional AbortSignal; failed requests reject with an ApiError (see http.js).
+// The text operations and transcribeAudio also take `onUsage`, called with { model,
+// inputTokens, outputTokens } when the response reports token usage. `model` names the chat model;
+// `ttsModel`, `voice` (the configured default) and `baseUrl`, where there is one, identify
+// the speech it makes, for the speech cache.
+// `fields` drives the settings panel, each `label` naming its i18n message
+// `provider.field.<label>`; the provider itself is shown as `provider.<id>`.
+// `voices` lists the selectable TTS voices.
+export const PROVIDERS = {
+    proxy: {
+        create: createProxyProvider,
+        defaults: PROXY_DEFAULTS,
+        voices: GEMINI_VOICES,
+        fields: [
+            { key: "baseUrl", label: "serverUrl" },
+            { key: "voice", label: "voice" },
+        ],
+    },
+    gemini: {
+        create: createGeminiProvider,
+        defaults: GEMINI_DEFAULTS,
+        voices: GEMINI_VOICES,
+        fields: [
+            { key: "apiKey", label: "apiKey", type: "password" },
+            { key: "chatModel", label: "chatModel" },
+            { key: "ttsModel", label: "ttsModel" },
+            { key: "voice", label: "voice" },
+        ],
+    },
+    openai: {
+        create: createOpenAIProvider,
+        defaults: OPENAI_DEFAULTS,
+        voices: OPENAI_VOICES,
+        fields: [
+            { key: "baseUrl", label: "baseUrl" },
+            { key: "apiKey", label: "apiKey", type: "password" },
+            { key: "chatModel", label: "chatModel" },
+            { key: "ttsModel", label: "ttsModelOptional" },
+            { key: "transcriptionModel", label: "transcriptionModel" },
+            { key: "voice", label: "voice" },
+        ],
+    },
+    mock: {
+        create: createMockProvider,
+        defaults: MOCK_DEFAULTS,
+        voices: [],
+        fields: [
+            { key: "latencyMs", label: "latencyMs", type: "number" },
+        ],
+    },
+};
+
+const SETTINGS_STORAGE_KEY = "interview-partner.provider-settings";
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+    providerId: "proxy",
+    config: Object.fromEntries(Object.entries(PROVIDERS).map(([id, p]) => [id, { ...p.defaults }])),
+};
+
+export const loadProviderSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (!stored || !PROVIDERS[stored.providerId]) return DEFAULT_PROVIDER_SETTINGS;
+
+        // Merge over defaults so newly added fields pick up a value.
+        const config = Object.fromEntries(Object.entries(PROVIDERS).map(([id, p]) => (
+            [id, { ...p.defaults, ...stored.config?.[id] }]
+        )));
+        return { providerId: stored.providerId, config };
+    } catch {
+        return DEFAULT_PROVIDER_SETTINGS;
+    }
+};
+
+export const saveProviderSettings = (settings) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const createProvider = ({ providerId, config }) => {
+    const entry = PROVIDERS[providerId];
+    if (!entry) {
+        throw new Error(`Unknown model provider: ${providerId}`);
+    }
+    return entry.create(config[providerId]);
+};
+
+// A persona voice only applies if the active provider offers it; otherwise
+// the provider's own configured voice is used.
+export const resolveVoice = (providerId, voice) => (
+    voice && PROVIDERS[providerId]?.voices.some(v => v.id === voice) ? voice : undefined
+);
@@ -0,0 +1,103 @@
+import { pcmToWav } from '../audio.js';
+import { ApiError } from './http.js';
+
+// Deterministic, network-free provider for offline practice and automated tests.
+// The same conversation always produces the same questions, report and audio.
+export const MOCK_DEFAULTS = {
+    latencyMs: 300,
+};
+
+const MOCK_QUESTIONS = [
+    "Thanks for joining. To start, can you walk me through your background and what draws you to this role?",
+    "Tell me about a recent project you are proud of. What was your specific contribution?",
+    "Describe a time you disagreed with a teammate. How did you resolve it?",
+    "How would you approach learning an unfamiliar part of our stack in your first month?",
+    "What is the hardest technical problem you have debugged, and how did you find the root cause?",
+    "Where do you see the biggest gap between your current experience and this role?",
+];
+
+const MOCK_TRANSCRIPT = "I would start by clarifying the requirements, then walk through the design and the trade-offs I considered.";
+
+const MOCK_SAMPLE_RATE = 16000;
+
+// Simulated latency that can be cancelled like a real request.
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError('aborted', "Request cancelled."));
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ApiError('aborted', "Request cancelled."));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Cheap stable hash so the "scores" depend on the transcript but never on chance.
+const hashString = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+// Builds a value for any Gemini-style response schema.
+const mockValueForSchema = (schema, key, seed) => {
+    switch (schema.type) {
+        case "OBJECT":
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([k, s], i) => [k, mockValueForSchema(s, k, seed + i)])
+            );
+        case "ARRAY":
+            return [0, 1].map(i => mockValueForSchema(schema.items, key, seed + i));
+        case "INTEGER":
+        case "NUMBER":
+            return 2 + (seed % 4);
+        case "BOOLEAN":
+            return seed % 2 === 0;
+        default:
+            return `Mock ${key || "value"}: a concise summary of the candidate's performance.\n* Structure answers with a clear situation, action and result.\n* Quantify the impact of your work.\n* Ask a clarifying question before diving into details.`;
+    }
+};
+
+export const createMockProvider = (config = {}) => {
+    const { latencyMs } = { ...MOCK_DEFAULTS, ...config };
+
+    const chat = async ({ history, signal }) => {
+        await wait(latencyMs, signal);
+        const asked = history.filter(msg => msg.role === 'model').length;
+        return MOCK_QUESTIONS[asked % MOCK_QUESTIONS.length];
+    };
+
+    // Emits the canned question a word at a time to exercise incremental rendering.
+    const streamChat = async ({ history, onText, signal }) => {
+        const text = await chat({ history, signal });
+        for (const word of text.match(/\S+\s*/g)) {
+            await wait(latencyMs / 10, signal);
+            onText(word);
+        }
+        return text;
+    };
+
+    const generateJSON = async ({ prompt, schema, signal }) => {
+        await wait(latencyMs, signal);
+        return mockValueForSchema(schema, null, hashString(prompt));
+    };
+
+    // Short silent clip so the playback path is still exercised.
+    const synthesizeSpeech = async (text) => {
+        if (!text) return null;
+        const silence = new ArrayBuffer(MOCK_SAMPLE_RATE / 5 * 2);
+        return pcmToWav(silence, MOCK_SAMPLE_RATE);
+    };
+
+    // Any recording transcribes to the same answer.
+    const transcribeAudio = async ({ signal }) => {
+        await wait(latencyMs, signal);
+        return MOCK_TRANSCRIPT;
+    };
+
+    return { id: "mock", model: "mock", ttsModel: "mock", voice: "", chat, streamChat, generateJSON, synthesizeSpeech, transcribeAudio };
+};
@@ -0,0 +1,145 @@
+import { ApiError, parseModelJSON, postFormData, postJSON, postSpeechRequest, readServerSentEvents } from './http.js';
+
+// Works against api.openai.com as well as local OpenAI-compatible servers
+// such as Ollama (http://localhost:11434/v1) and LM Studio (http://localhost:1234/v1).
+export const OPENAI_DEFAULTS = {
+    baseUrl: "https://api.openai.com/v1",
+    apiKey: "",
+    chatModel: "gpt-4o-mini",
+    ttsModel: "gpt-4o-mini-tts",
+    transcriptionModel: "gpt-4o-mini-transcribe",
+    voice: "alloy",
+};
+
+// The transcription endpoint tells formats apart by file name.
+const AUDIO_EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/mp4": "mp4", "audio/mpeg": "mp3", "audio/wav": "wav" };
+
+// OpenAI's built-in TTS voices; local servers may support a different set.
+export const OPENAI_VOICES = ["alloy", "ash", "ballad", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer", "verse"]
+    .map(id => ({ id, label: id[0].toUpperCase() + id.slice(1) }));
+
+// Our canonical message format is Gemini's { role: 'user' | 'model', parts: [{ text }] }.
+const toOpenAIMessages = (history, systemInstruction) => [
+    ...(systemInstruction ? [{ role: "system", content: systemInstruction }] : []),
+    ...history.map(msg => ({
+        role: msg.role === 'model' ? 'assistant' : 'user',
+        content: msg.parts.map(p => p.text).join('\n'),
+    })),
+];
+
+// A choice stopped by the content filter, or a refusal, is reported as 'blocked'.
+const throwIfBlocked = (choice) => {
+    if (choice?.finish_reason === 'content_filter' || choice?.message?.refusal || choice?.delta?.refusal) {
+        throw new ApiError('blocked', `The model's reply was blocked (${choice.finish_reason || 'refusal'}).`);
+    }
+};
+
+// Gemini response schemas use upper-case type names and a propertyOrdering hint;
+// translate them into plain JSON Schema.
+export const toJSONSchema = (schema) => {
+    const { type, properties, items, propertyOrdering: _ordering, ...rest } = schema;
+    const converted = { ...rest, type: type.toLowerCase() };
+
+    if (properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(properties).map(([key, value]) => [key, toJSONSchema(value)])
+        );
+        converted.required = Object.keys(properties);
+    }
+    if (items) {
+        converted.items = toJSONSchema(items);
+    }
+    return converted;
+};
+
+export const createOpenAIProvider = (config = {}) => {
+    const { baseUrl, apiKey, chatModel, ttsModel, transcriptionModel, voice } = { ...OPENAI_DEFAULTS, ...config };
+    const root = baseUrl.replace(/\/+$/, '');
+    const authHeaders = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    const usageOf = (usage) => ({ model: chatModel, inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+
+    const complete = async (payload, { signal, onUsage }) => {
+        const response = await postJSON(`${root}/chat/completions`, { model: chatModel, ...payload }, authHeaders, { signal });
+        const result = await response.json();
+        if (result?.usage) onUsage?.(usageOf(result.usage));
+        throwIfBlocked(result?.choices?.[0]);
+        return result?.choices?.[0]?.message?.content || "";
+    };
+
+    const chat = ({ history, systemInstruction, signal, onUsage }) => complete({
+        messages: toOpenAIMessages(history, systemInstruction),
+    }, { signal, onUsage });
+
+    // With include_usage the last chunk carries the totals (and no choices).
+    const streamChat = async ({ history, systemInstruction, onText, signal, onUsage }) => {
+        const response = await postJSON(`${root}/chat/completions`, {
+            model: chatModel,
+            messages: toOpenAIMessages(history, systemInstruction),
+            stream: true,
+            stream_options: { include_usage: true },
+        }, authHeaders, { signal });
+
+        let text = "";
+        await readServerSentEvents(response, (data) => {
+            if (data === '[DONE]') return;
+            const chunk = JSON.parse(data);
+            throwIfBlocked(chunk?.choices?.[0]);
+            const delta = chunk?.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onText(delta);
+            }
+            if (chunk?.usage) onUsage?.(usageOf(chunk.usage));
+        });
+        return text;
+    };
+
+    const generateJSON = async ({ prompt, schema, signal, onUsage }) => {
+        const text = await complete({
+            messages: [{ role: "user", content: prompt }],
+            response_format: {
+                type: "json_schema",
+                json_schema: { name: "response", schema: toJSONSchema(schema) },
+            },
+        }, { signal, onUsage });
+
+        if (!text) {
+            throw new Error("Could not retrieve JSON feedback from model.");
+        }
+        return parseModelJSON(text);
+    };
+
+    // Newer transcription models report token usage; whisper-1 reports none.
+    const transcribeAudio = async ({ audio, language, signal, onUsage }) => {
+        if (!transcriptionModel) throw new ApiError('request', "No transcription model is configured.");
+
+        const form = new FormData();
+        form.append("model", transcriptionModel);
+        form.append("file", audio, `answer.${AUDIO_EXTENSIONS[audio.type.split(';')[0]] || "webm"}`);
+        if (language) form.append("language", language);
+
+        const response = await postFormData(`${root}/audio/transcriptions`, form, authHeaders, { signal });
+        const result = await response.json();
+        if (result?.usage?.input_tokens !== undefined) {
+            onUsage?.({ model: transcriptionModel, inputTokens: result.usage.input_tokens, outputTokens: result.usage.output_tokens || 0 });
+        }
+        return (result?.text || "").trim();
+    };
+
+    // Many local servers have no speech endpoint; leave ttsModel blank to skip audio.
+    const synthesizeSpeech = async (text, options = {}) => {
+        if (!text || !ttsModel) return null;
+
+        const response = await postSpeechRequest(`${root}/audio/speech`, {
+            model: ttsModel,
+            input: text,
+            voice: options.voice || voice,
+            response_format: "wav",
+        }, authHeaders, { signal: options.signal });
+
+        return response && await response.blob();
+    };
+
+    return { id: "openai", model: chatModel, ttsModel, voice, baseUrl, chat, streamChat, generateJSON, synthesizeSpeech, transcribeAudio };
+};
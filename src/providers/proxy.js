@@ -0,0 +1,75 @@
+import { arrayBufferToBase64 } from '../audio.js';
+import { ApiError, postJSON, postSpeechRequest, readServerSentEvents } from './http.js';
+
+// Talks to our own backend (server/index.js), which holds the real API key.
+// Leave baseUrl blank to use the same origin the app is served from.
+export const PROXY_DEFAULTS = {
+    baseUrl: "",
+    voice: "Kore",
+};
+
+// The server reports each call's token usage in this header (streams send a `usage` event).
+const reportUsage = (response, onUsage) => {
+    const usage = response.headers.get('X-Model-Usage');
+    if (usage) onUsage?.(JSON.parse(usage));
+};
+
+export const createProxyProvider = (config = {}) => {
+    const { baseUrl, voice } = { ...PROXY_DEFAULTS, ...config };
+    const route = (name) => `${baseUrl.replace(/\/+$/, '')}/api/${name}`;
+    // The server answers 422 when the model's safety filter withheld the reply.
+    const post = (name, payload, signal) => postJSON(route(name), payload, {}, { signal }).catch((error) => {
+        throw error.status === 422 ? new ApiError('blocked', error.message, { status: 422 }) : error;
+    });
+
+    const chat = async ({ history, systemInstruction, signal, onUsage }) => {
+        const response = await post("chat", { history, systemInstruction }, signal);
+        reportUsage(response, onUsage);
+        const result = await response.json();
+        return result.text || "";
+    };
+
+    const streamChat = async ({ history, systemInstruction, onText, signal, onUsage }) => {
+        const response = await post("chat/stream", { history, systemInstruction }, signal);
+        let text = "";
+        await readServerSentEvents(response, (data) => {
+            if (data === '[DONE]') return;
+            const event = JSON.parse(data);
+            if (event.error) throw new ApiError(event.kind || 'server', event.error);
+            if (event.usage) {
+                onUsage?.(event.usage);
+                return;
+            }
+            text += event.text;
+            onText(event.text);
+        });
+        return text;
+    };
+
+    const generateJSON = async ({ prompt, schema, signal, onUsage }) => {
+        const response = await post("feedback", { prompt, schema }, signal);
+        reportUsage(response, onUsage);
+        return response.json();
+    };
+
+    const transcribeAudio = async ({ audio, language, signal, onUsage }) => {
+        const payload = { audio: arrayBufferToBase64(await audio.arrayBuffer()), mimeType: audio.type, language };
+        const response = await post("transcribe", payload, signal);
+        reportUsage(response, onUsage);
+        const result = await response.json();
+        return result.text || "";
+    };
+
+    const synthesizeSpeech = async (text, options = {}) => {
+        if (!text) return null;
+
+        const response = await postSpeechRequest(route("tts"), { text, voice: options.voice || voice }, {}, { signal: options.signal });
+        if (!response || response.status === 204) return null;
+
+        return await response.blob();
+    };
+
+    // The model is chosen by the server and named in its usage reports.
+    // The server picks the TTS model; a change there is not seen here.
+    return { id: "proxy", model: null, ttsModel: null, voice, baseUrl, chat, streamChat, generateJSON, synthesizeSpeech, transcribeAudio };
+};
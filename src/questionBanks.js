@@ -0,0 +1,158 @@
+import { InputError } from './inputError.js';
+import { countAskedQuestions, PLAN_PHASES } from './interviewPlan.js';
+
+// --- Question Banks ---
+// A bank is { id, name, questions }, each question
+// { id, text, phase, difficulty, roles, skills }. Sampled questions take
+// slots in the interview plan and are asked verbatim; the slot after each
+// one is left for the model's own follow-up.
+const BANK_EXPORT_FORMAT = "interview-partner.question-bank";
+const BANK_EXPORT_VERSION = 1;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const BANK_PHASES = PLAN_PHASES.map(p => p.id);
+const DEFAULT_PHASE = 'technical';
+
+// The difficulty that fits each interviewer seniority setting best.
+const SENIORITY_DIFFICULTY = { intern: 'easy', junior: 'easy', mid: 'medium', senior: 'hard', staff: 'hard' };
+
+// Tags may be written as a list or a comma-separated string; they are matched case-insensitively.
+const tagList = (value) => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+// Identifies a question across banks, re-imports and stored sessions.
+export const questionKey = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Throws an InputError for the first problem found; returns a cleaned copy.
+// A question may also be a bare string, which gets the defaults.
+export const validateBank = (bank) => {
+    if (!bank || typeof bank !== 'object') throw new InputError('bank.notObject');
+    if (typeof bank.name !== 'string' || !bank.name.trim()) throw new InputError('bank.noName');
+    if (!Array.isArray(bank.questions) || bank.questions.length === 0) {
+        throw new InputError('bank.noQuestions');
+    }
+
+    const questions = bank.questions.map((raw, i) => {
+        const q = typeof raw === 'string' ? { text: raw } : raw || {};
+        if (typeof q.text !== 'string' || !q.text.trim()) throw new InputError('bank.questionText', { number: i + 1 });
+
+        const difficulty = String(q.difficulty ?? 'medium').trim().toLowerCase();
+        if (!DIFFICULTIES.includes(difficulty)) throw new InputError('bank.difficulty', { number: i + 1, options: DIFFICULTIES.join(', ') });
+        const phase = String(q.phase ?? DEFAULT_PHASE).trim().toLowerCase();
+        if (!BANK_PHASES.includes(phase)) throw new InputError('bank.phase', { number: i + 1, options: BANK_PHASES.join(', ') });
+
+        return {
+            id: typeof q.id === 'string' && q.id ? q.id : crypto.randomUUID(),
+            text: q.text.trim(),
+            phase,
+            difficulty,
+            roles: tagList(q.roles ?? q.role),
+            skills: tagList(q.skills ?? q.skill),
+        };
+    });
+
+    return {
+        id: typeof bank.id === 'string' && bank.id ? bank.id : crypto.randomUUID(),
+        name: bank.name.trim(),
+        questions,
+    };
+};
+
+export const exportBank = (bank) => JSON.stringify({
+    format: BANK_EXPORT_FORMAT,
+    version: BANK_EXPORT_VERSION,
+    bank: {
+        name: bank.name,
+        questions: bank.questions.map(q => ({ text: q.text, phase: q.phase, difficulty: q.difficulty, roles: q.roles, skills: q.skills })),
+    },
+}, null, 2);
+
+// Accepts our export envelope or a bare bank, as JSON or YAML. A bare list of
+// questions is named after the file. Imports always get a new id.
+export const parseBankImport = async (text, fileName = '') => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        try {
+            const { parse } = await import('yaml');
+            data = parse(text);
+        } catch {
+            throw new InputError('bank.notJsonOrYaml');
+        }
+    }
+    if (data?.format === BANK_EXPORT_FORMAT && data.version > BANK_EXPORT_VERSION) {
+        throw new InputError('bank.newerVersion');
+    }
+    const bank = data?.format === BANK_EXPORT_FORMAT ? data.bank
+        : Array.isArray(data) ? { name: fileName.replace(/\.(json|ya?ml)$/i, ''), questions: data }
+        : data;
+    return validateBank({ ...bank, id: undefined });
+};
+
+// --- Sampling ---
+// Keys of bank questions that stored sessions actually reached, read from
+// each session's plan so a question counts as asked even if it was translated.
+export const askedBankKeys = (sessions) => new Set(sessions.flatMap(session => {
+    if (!session.interviewPlan) return [];
+    let remaining = countAskedQuestions(session.chatHistory || []);
+    return session.interviewPlan.phases.flatMap(phase => {
+        const reached = (phase.bank || []).slice(0, Math.max(0, remaining));
+        remaining -= phase.questionCount;
+        return reached.filter(Boolean).map(q => questionKey(q.text));
+    });
+}));
+
+// Best candidates first. Questions tagged for other roles are left out; among
+// the rest, never-asked questions always come before asked ones, then matching
+// role, skills and difficulty count, and ties are broken at random.
+export const rankBankQuestions = (banks, { jobContext, seniority, askedKeys = new Set() }) => {
+    const context = jobContext.toLowerCase();
+    const target = DIFFICULTIES.indexOf(SENIORITY_DIFFICULTY[seniority] || 'medium');
+    const seen = new Set();
+
+    return banks
+        .flatMap(bank => bank.questions.map(q => ({ ...q, bankId: bank.id })))
+        .filter(q => q.roles.length === 0 || q.roles.some(role => context.includes(role)))
+        .map(q => ({
+            question: q,
+            score: (askedKeys.has(questionKey(q.text)) ? 0 : 100)
+                + (q.roles.length > 0 ? 10 : 0)
+                + 2 * q.skills.filter(skill => context.includes(skill)).length
+                + [4, 1, 0][Math.abs(DIFFICULTIES.indexOf(q.difficulty) - target)]
+                + Math.random(),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ question }) => question)
+        .filter(q => {
+            const key = questionKey(q.text);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+// Places up to `count` ranked questions into the plan, in their own phase and
+// on every other slot so each is followed by a free follow-up. A bank slot's
+// topic becomes the question itself; `phase.bank` marks which slots are verbatim.
+export const applyBankQuestions = (plan, ranked, count) => {
+    let left = count;
+    const used = new Set();
+
+    const phases = plan.phases.map(phase => {
+        const topics = [...phase.topics];
+        const bank = topics.map(() => null);
+        for (let slot = 0; slot < phase.questionCount && left > 0; slot += 2) {
+            const question = ranked.find(q => q.phase === phase.id && !used.has(q.id));
+            if (!question) break;
+            used.add(question.id);
+            left--;
+            topics[slot] = question.text;
+            bank[slot] = { id: question.id, bankId: question.bankId, text: question.text };
+        }
+        return { ...phase, topics, bank };
+    });
+
+    return { ...plan, phases };
+};
@@ -0,0 +1,83 @@
+import { clampScore, RUBRIC_PROMPT_SECTION, scoreProperties } from './rubrics.js';
+
+// --- Per-Question Feedback ---
+// The transcript is split into question/answer pairs locally, so the model only
+// has to score them; its output is merged back onto the pairs by number.
+
+export const buildQuestionFeedbackSchema = (rubric) => ({
+    type: "ARRAY",
+    description: "One entry per numbered question, in order.",
+    items: {
+        type: "OBJECT",
+        properties: {
+            QuestionNumber: { type: "INTEGER", description: "The number of the question being evaluated." },
+            ...scoreProperties(rubric),
+            Critique: { type: "STRING", description: "Two or three sentences on what the answer did well and what it missed." },
+            SuggestedAnswer: { type: "STRING", description: "A concise, stronger answer the candidate could have given, in the first person." },
+        },
+    },
+});
+
+export const buildRetrySchema = (rubric) => ({
+    type: "OBJECT",
+    properties: {
+        ...scoreProperties(rubric),
+        Critique: { type: "STRING", description: "Two or three sentences on the new attempt." },
+        Comparison: { type: "STRING", description: "One or two sentences comparing the new attempt with the original answer." },
+    },
+});
+
+const rubricScores = (raw, rubric) => Object.fromEntries(rubric.criteria.map(c => [c.key, clampScore(raw?.[c.key], rubric)]));
+
+// Interviewer turn followed by the candidate's reply. The opening instruction
+// to the model and an unanswered final question are skipped. In a panel
+// interview each pair keeps the panelist who asked (`speaker`).
+export const pairQuestionsAndAnswers = (transcript) => {
+    const pairs = [];
+    transcript.forEach((msg, i) => {
+        const next = transcript[i + 1];
+        if (msg.role === 'model' && next?.role === 'user') {
+            pairs.push({ question: msg.parts[0].text, answer: next.parts[0].text, ...(msg.speaker ? { speaker: msg.speaker } : {}) });
+        }
+    });
+    return pairs;
+};
+
+export const QUESTION_FEEDBACK_SECTION = (pairs) => `\n\n--- Questions To Evaluate ---
+For QuestionFeedback, evaluate the candidate's answer to each of the following interviewer turns separately, using the transcript above. Each answer is the candidate message that immediately follows the question.
+${pairs.map((p, i) => `${i + 1}. "${p.question}"`).join('\n')}`;
+
+export const mergeQuestionFeedback = (raw, pairs, rubric) => {
+    const returned = Array.isArray(raw) ? raw : [];
+    return pairs.map((pair, i) => {
+        const match = returned.find(item => item?.QuestionNumber === i + 1) || returned[i] || {};
+        return {
+            ...pair,
+            ...rubricScores(match, rubric),
+            Critique: match.Critique || '',
+            SuggestedAnswer: match.SuggestedAnswer || '',
+            retries: [],
+        };
+    });
+};
+
+export const RETRY_PROMPT = (jobContext, rubric, question, originalAnswer, newAnswer) => `You are evaluating a candidate's second attempt at one mock interview question for the following Job Description or Role:
+"${jobContext}"
+
+Question: "${question}"
+
+Original answer: "${originalAnswer}"
+
+New attempt: "${newAnswer}"
+
+Evaluate the NEW attempt. ${RUBRIC_PROMPT_SECTION(rubric)}
+
+Give a short critique of the new attempt and compare it with the original answer: what improved and what got worse.`;
+
+export const normalizeRetry = (raw, answer, rubric) => ({
+    answer,
+    ...rubricScores(raw, rubric),
+    Critique: raw?.Critique || '',
+    Comparison: raw?.Comparison || '',
+    createdAt: Date.now(),
+});
@@ -0,0 +1,34 @@
+// --- Answer Recording ---
+// Captures the microphone with MediaRecorder in browsers without the Web
+// Speech API (Firefox, for one); the recording is then transcribed by the
+// model (see transcribeAudio in providers/index.js).
+
+export const recordingSupported = () => (
+    typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia) && typeof MediaRecorder !== 'undefined'
+);
+
+// Resolves once the microphone is open (rejects if access is denied).
+// `stop` resolves with the recording as a Blob and releases the microphone.
+export const startRecording = async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve) => {
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            resolve(new Blob(chunks, { type: recorder.mimeType || chunks[0]?.type || 'audio/webm' }));
+        };
+    });
+
+    recorder.start();
+    return {
+        startedAt: Date.now(),
+        stop: () => {
+            if (recorder.state !== 'inactive') recorder.stop();
+            return stopped;
+        },
+    };
+};
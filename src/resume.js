@@ -0,0 +1,118 @@
+import { InputError } from './inputError.js';
+
+// --- Resume Parsing & Prompt Sections ---
+// Resumes are parsed to plain text in the browser; the parsers are loaded on
+// first use so they stay out of the main bundle.
+
+export const RESUME_ACCEPT = ".pdf,.docx,.txt,.md,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown";
+
+// Keeps the prompts (and proxy request bodies) a reasonable size.
+export const MAX_RESUME_CHARS = 12000;
+
+const extensionOf = (name) => name.toLowerCase().split('.').pop();
+
+const extractPdfText = async (file) => {
+    const [pdfjs, { default: workerSrc }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages = [];
+    for (let n = 1; n <= pdf.numPages; n++) {
+        const content = await (await pdf.getPage(n)).getTextContent();
+        pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+    }
+    return pages.join('\n\n');
+};
+
+const extractDocxText = async (file) => {
+    const { default: mammoth } = await import('mammoth/mammoth.browser.js');
+    const result = await mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+    return result.value;
+};
+
+// Collapses runs of spaces and blank lines left over from PDF/DOCX layout.
+export const normalizeResumeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Resolves to { fileName, text, truncated }. Throws an InputError for files it cannot use.
+export const parseResumeFile = async (file) => {
+    const extension = extensionOf(file.name);
+    let raw;
+    if (extension === 'pdf') {
+        raw = await extractPdfText(file);
+    } else if (extension === 'docx') {
+        raw = await extractDocxText(file);
+    } else if (extension === 'txt' || extension === 'md') {
+        raw = await file.text();
+    } else {
+        throw new InputError('resume.unsupportedType');
+    }
+
+    const text = normalizeResumeText(raw);
+    if (!text) {
+        throw new InputError('resume.noText');
+    }
+    return {
+        fileName: file.name,
+        text: text.slice(0, MAX_RESUME_CHARS),
+        truncated: text.length > MAX_RESUME_CHARS,
+    };
+};
+
+// Appended to the interviewer's system instruction.
+export const RESUME_CONTEXT_SECTION = (resumeText) => `
+
+The candidate's resume:
+"""
+${resumeText}
+"""
+
+Use the resume alongside the Job Description:
+- Ask about specific past projects, roles and technologies named in the resume, and probe what the candidate personally did and the measurable outcome.
+- Where the Job Description requires something the resume does not show, ask a question that lets the candidate address that gap.
+- Never read the resume back verbatim or assume claims are true; verify them through questions.`;
+
+// Added to the feedback prompt when a resume was provided.
+export const RESUME_FEEDBACK_SECTION = (resumeText) => `\n\n--- Candidate Resume ---
+${resumeText}
+
+For ResumeFit, compare the resume against the Job Description: list requirements the resume clearly supports, and for each gap (a requirement the resume does not evidence) say whether the interview answers closed it and what the candidate should add or practise.`;
+
+export const RESUME_FIT_SCHEMA = {
+    type: "OBJECT",
+    description: "Resume vs Job Description gap analysis.",
+    properties: {
+        Summary: { type: "STRING", description: "Two or three sentences on how well the resume fits the role." },
+        Matches: { type: "ARRAY", items: { type: "STRING" }, description: "Job requirements the resume clearly supports." },
+        Gaps: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    Requirement: { type: "STRING" },
+                    Interview: { type: "STRING", description: "Whether the interview answers addressed this gap." },
+                    Suggestion: { type: "STRING", description: "What to add to the resume or prepare for next time." },
+                },
+                propertyOrdering: ["Requirement", "Interview", "Suggestion"],
+            },
+        },
+    },
+    propertyOrdering: ["Summary", "Matches", "Gaps"],
+};
+
+const strings = (value) => Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()) : [];
+
+export const normalizeResumeFit = (raw) => ({
+    Summary: typeof raw?.Summary === 'string' ? raw.Summary : '',
+    Matches: strings(raw?.Matches),
+    Gaps: (Array.isArray(raw?.Gaps) ? raw.Gaps : [])
+        .filter(gap => typeof gap?.Requirement === 'string' && gap.Requirement.trim())
+        .map(gap => ({ Requirement: gap.Requirement, Interview: typeof gap.Interview === 'string' ? gap.Interview : '', Suggestion: typeof gap.Suggestion === 'string' ? gap.Suggestion : '' })),
+});
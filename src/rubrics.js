@@ -0,0 +1,114 @@
+import { InputError } from './inputError.js';
+
+// --- Feedback Rubrics ---
+// A rubric is a named list of weighted criteria scored on 1..scale.max. The
+// feedback schema is built from the active rubric, and a snapshot of it is
+// stored with every report so old reports keep rendering after edits.
+
+export const RUBRIC_EXPORT_FORMAT = "interview-partner/rubric";
+export const RUBRIC_EXPORT_VERSION = 1;
+
+export const MIN_SCALE = 3;
+export const MAX_SCALE = 10;
+
+// Keys match the original fixed schema so earlier reports stay comparable.
+export const DEFAULT_RUBRIC = {
+    id: "default",
+    name: "General Interview",
+    scale: { max: 5 },
+    criteria: [
+        { key: "ClarityAndStructureScore", label: "Clarity & Structure", description: "Answer clarity and structure.", weight: 1 },
+        { key: "RelevanceAndDepthScore", label: "Relevance & Depth", description: "Technical relevance and depth of knowledge.", weight: 1 },
+        { key: "ConfidenceAndCommunicationScore", label: "Confidence & Communication", description: "Verbal confidence and communication style.", weight: 1 },
+    ],
+};
+
+// Fields that sit next to the criterion scores in a report or a per-question
+// entry; a criterion with one of these keys would overwrite it.
+const RESERVED_KEYS = new Set([
+    'OverallScore', 'DetailedFeedback', 'QuestionFeedback', 'ResumeFit', 'Coding', 'PanelFeedback', 'Panel', 'Rubric', 'answerTimings', 'error',
+    'QuestionNumber', 'Critique', 'SuggestedAnswer', 'Comparison', 'question', 'answer', 'speaker', 'retries', 'createdAt',
+]);
+
+// "Discovery questions" -> "DiscoveryQuestionsScore"
+export const criterionKey = (label) => {
+    const words = label.replace(/[^A-Za-z0-9 ]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+    const base = words.map(w => w[0].toUpperCase() + w.slice(1)).join('') || 'Criterion';
+    return /^[0-9]/.test(base) ? `C${base}Score` : `${base}Score`;
+};
+
+// Throws an InputError for the first problem found; returns a cleaned copy.
+export const validateRubric = (rubric) => {
+    if (!rubric || typeof rubric !== 'object') throw new InputError('rubric.notObject');
+    if (typeof rubric.name !== 'string' || !rubric.name.trim()) throw new InputError('rubric.noName');
+
+    const max = Number(rubric.scale?.max ?? 5);
+    if (!Number.isInteger(max) || max < MIN_SCALE || max > MAX_SCALE) {
+        throw new InputError('rubric.scale', { min: MIN_SCALE, max: MAX_SCALE });
+    }
+    if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+        throw new InputError('rubric.noCriteria');
+    }
+
+    const seen = new Set();
+    const criteria = rubric.criteria.map((c, i) => {
+        if (typeof c?.label !== 'string' || !c.label.trim()) throw new InputError('rubric.criterionName', { number: i + 1 });
+        const weight = Number(c.weight ?? 1);
+        if (!(weight > 0)) throw new InputError('rubric.weight', { label: c.label });
+
+        const key = typeof c.key === 'string' && /^[A-Za-z][A-Za-z0-9]*$/.test(c.key) ? c.key : criterionKey(c.label);
+        if (RESERVED_KEYS.has(key)) throw new InputError('rubric.reserved', { label: c.label, key });
+        if (seen.has(key)) throw new InputError('rubric.duplicate', { label: c.label });
+        seen.add(key);
+
+        return { key, label: c.label.trim(), description: (c.description || '').trim(), weight };
+    });
+
+    return {
+        id: typeof rubric.id === 'string' && rubric.id ? rubric.id : crypto.randomUUID(),
+        name: rubric.name.trim(),
+        scale: { max },
+        criteria,
+    };
+};
+
+export const RUBRIC_PROMPT_SECTION = (rubric) => `Score each criterion as an integer between 1 (Poor) and ${rubric.scale.max} (Excellent):
+${rubric.criteria.map(c => `- ${c.key} (${c.label}): ${c.description || c.label}`).join('\n')}`;
+
+export const scoreProperties = (rubric) => Object.fromEntries(rubric.criteria.map(c => (
+    [c.key, { type: "INTEGER", description: `${c.label}: ${c.description || c.label} (1-${rubric.scale.max}).` }]
+)));
+
+export const clampScore = (value, rubric) => (
+    Number.isFinite(value) ? Math.min(rubric.scale.max, Math.max(1, Math.round(value))) : null
+);
+
+// Weighted mean of the criteria that were scored, to one decimal place.
+export const weightedOverall = (scores, rubric) => {
+    const scored = rubric.criteria.filter(c => Number.isFinite(scores[c.key]));
+    const totalWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight === 0) return null;
+    const mean = scored.reduce((sum, c) => sum + scores[c.key] * c.weight, 0) / totalWeight;
+    return Math.round(mean * 10) / 10;
+};
+
+export const exportRubric = (rubric) => JSON.stringify({
+    format: RUBRIC_EXPORT_FORMAT,
+    version: RUBRIC_EXPORT_VERSION,
+    rubric: { name: rubric.name, scale: rubric.scale, criteria: rubric.criteria },
+}, null, 2);
+
+// Accepts our export envelope or a bare rubric object. Imports always get a new id.
+export const parseRubricImport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new InputError('import.notJson');
+    }
+    if (data?.format === RUBRIC_EXPORT_FORMAT && data.version > RUBRIC_EXPORT_VERSION) {
+        throw new InputError('rubric.newerVersion');
+    }
+    const rubric = data?.format === RUBRIC_EXPORT_FORMAT ? data.rubric : data;
+    return validateRubric({ ...rubric, id: undefined });
+};
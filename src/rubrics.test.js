@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { InputError } from './inputError.js';
+import { parseRubricImport, validateRubric } from './rubrics.js';
+
+const rubricWith = (...criteria) => ({ name: "Sales", scale: { max: 5 }, criteria });
+
+describe('validateRubric', () => {
+    it('derives keys from labels', () => {
+        const rubric = validateRubric(rubricWith({ label: "Discovery questions" }, { label: "Closing", key: "ClosingScore", weight: 2 }));
+        assert.deepEqual(rubric.criteria.map(c => c.key), ["DiscoveryQuestionsScore", "ClosingScore"]);
+    });
+
+    it('rejects keys that would overwrite report fields', () => {
+        for (const key of ["OverallScore", "answerTimings", "Critique", "createdAt"]) {
+            assert.throws(
+                () => validateRubric(rubricWith({ label: "Pacing", key })),
+                (error) => error instanceof InputError && error.code === 'rubric.reserved' && error.params.key === key,
+                key,
+            );
+        }
+    });
+
+    it('applies the same check to imported rubrics', () => {
+        const text = JSON.stringify(rubricWith({ label: "Timing", key: "answerTimings" }));
+        assert.throws(() => parseRubricImport(text), { code: 'rubric.reserved' });
+    });
+});
@@ -0,0 +1,50 @@
+// --- Streaming Sentence Splitter ---
+// Accumulates streamed text and hands out complete sentences as soon as they
+// end, so speech synthesis can start before the full reply has arrived.
+// `onSentence` gets the trimmed sentence and, second, the raw slice with its whitespace.
+
+// Sentence-ending punctuation (plus closing quotes/brackets) followed by whitespace.
+// '।' (danda) ends sentences in Hindi.
+const SENTENCE_END = /[.!?।]+["')\]]*\s+/g;
+
+// A period that ends one of these is not the end of a sentence.
+const ABBREVIATION = /(?:\b(?:[A-Za-z]\.){2,}|\b(?:Mr|Mrs|Ms|Dr|Sr|Jr|vs|etc|Inc|bzw|usw|ca|Nr|Sra)\.)$/;
+
+// Inside an open `code span` or ``` block, punctuation does not end a sentence.
+const insideCode = (text) => {
+    const fenced = text.split('```');
+    return fenced.length % 2 === 0 || fenced.join('').split('`').length % 2 === 0;
+};
+
+// Very short fragments ("Great.", "e.g.") are held back and spoken with the
+// following sentence; each TTS request has a fixed overhead.
+const MIN_SENTENCE_LENGTH = 24;
+
+export const createSentenceBuffer = (onSentence) => {
+    let buffer = '';
+
+    const push = (delta) => {
+        buffer += delta;
+
+        let cut = 0;
+        for (const match of buffer.matchAll(SENTENCE_END)) {
+            const end = match.index + match[0].length;
+            if (ABBREVIATION.test(buffer.slice(cut, end).trimEnd())) continue;
+            if (insideCode(buffer.slice(cut, end))) continue;
+            if (end - cut >= MIN_SENTENCE_LENGTH) {
+                onSentence(buffer.slice(cut, end).trim(), buffer.slice(cut, end));
+                cut = end;
+            }
+        }
+        buffer = buffer.slice(cut);
+    };
+
+    // Emits whatever is left once the stream has finished.
+    const flush = () => {
+        const raw = buffer;
+        buffer = '';
+        if (raw.trim()) onSentence(raw.trim(), raw);
+    };
+
+    return { push, flush };
+};
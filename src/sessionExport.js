@@ -0,0 +1,375 @@
+import { normalizeLanguage } from './i18n/languages.js';
+import { InputError } from './inputError.js';
+import { restorePlan } from './interviewPlan.js';
+import { describePanelist, findPanelist, normalizePanel } from './panel.js';
+import { describePersona, normalizePersona } from './persona.js';
+import { DEFAULT_RUBRIC } from './rubrics.js';
+import { normalizeAnnotations, normalizeReport, normalizeSpeakers, normalizeTimings } from './shareLink.js';
+import { createSession } from './storage/sessions.js';
+import { formatCost, formatTokens } from './usage.js';
+
+// --- Session Export / Import ---
+// Markdown for notes, a versioned JSON bundle that round-trips through
+// `parseSessionBundle`, and a standalone HTML page laid out for printing to PDF.
+
+export const SESSION_EXPORT_FORMAT = "interview-partner/session";
+export const SESSION_EXPORT_VERSION = 1;
+
+// Session fields carried in the JSON bundle; ids and timestamps are reassigned on import.
+const BUNDLE_FIELDS = ['title', 'role', 'jobDescription', 'resume', 'persona', 'language', 'chatHistory', 'feedbackReport', 'interviewState', 'interviewPlan', 'timedSettings', 'answerTimings', 'codingRounds', 'contextSummary', 'usage', 'guardrailLog', 'panel', 'speakers', 'annotations', 'createdAt'];
+
+// Panel interviews name the panelist behind each interviewer message.
+const speaker = (session, message, index) => {
+    if (message.role === 'user') return 'Candidate';
+    const panelist = findPanelist(session.panel, session.speakers?.[index]);
+    return panelist ? describePanelist(panelist) : 'Interviewer';
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+const formatMs = (ms) => ms === null || ms === undefined ? '–' : `${(ms / 1000).toFixed(1)}s`;
+
+// DetailedFeedback is free text with '*' or '-' bullets; returns [{ bullet, text }].
+const feedbackLines = (text = '') => text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => /^[*-]\s*/.test(line)
+        ? { bullet: true, text: line.replace(/^[*-]\s*/, '') }
+        : { bullet: false, text: line });
+
+const reportParts = (report) => {
+    if (!report || report.error) return null;
+    const rubric = report.Rubric || DEFAULT_RUBRIC;
+    return {
+        rubric,
+        max: rubric.scale.max,
+        scores: rubric.criteria.map(c => ({ label: c.label, score: report[c.key] })),
+        insights: feedbackLines(report.DetailedFeedback),
+        questions: report.QuestionFeedback || [],
+        timings: report.answerTimings || [],
+        panel: report.Panel || [],
+    };
+};
+
+// --- Markdown ---
+
+const quote = (text) => text.split('\n').map(line => `> ${line}`).join('\n');
+
+export const sessionToMarkdown = (session) => {
+    const lines = [
+        `# ${session.title}`,
+        '',
+        `_Interview on ${formatDate(session.createdAt)}${session.persona ? ` · ${describePersona(normalizePersona(session.persona))} interviewer` : ''}_`,
+        '',
+        '## Job Description',
+        '',
+        quote(session.jobDescription.trim()),
+        '',
+        '## Transcript',
+        '',
+    ];
+    session.chatHistory.forEach((message, i) => {
+        // Message 0 is the app's opening instruction to the model.
+        if (i === 0) return;
+        lines.push(`**${speaker(session, message, i)}:** ${message.parts[0].text.trim()}`, '');
+        (session.annotations?.[i] || []).forEach(note => {
+            lines.push(quote(`**Comment from ${note.author || 'mentor'}:** ${note.text.trim()}`), '');
+        });
+    });
+
+    const report = reportParts(session.feedbackReport);
+    if (!report) return lines.join('\n');
+
+    lines.push(
+        '## Scores',
+        '',
+        `Scored with the "${report.rubric.name}" rubric (1–${report.max}).`,
+        '',
+        '| Criterion | Score |',
+        '| --- | --- |',
+        `| **Overall** | **${session.feedbackReport.OverallScore}/${report.max}** |`,
+        ...report.scores.map(s => `| ${s.label} | ${s.score}/${report.max} |`),
+        '',
+        '## Insights',
+        '',
+        ...report.insights.map(line => line.bullet ? `- ${line.text}` : `**${line.text}**`),
+        '',
+    );
+
+    const fit = session.feedbackReport.ResumeFit;
+    if (fit) {
+        lines.push('## Resume vs Job Description', '');
+        if (fit.Summary) lines.push(fit.Summary, '');
+        if (fit.Matches.length) lines.push('**Backed by the resume:**', '', ...fit.Matches.map(m => `- ${m}`), '');
+        if (fit.Gaps.length) {
+            lines.push('**Gaps:**', '', ...fit.Gaps.map(g => `- **${g.Requirement}**: ${[g.Interview, g.Suggestion].filter(Boolean).join(' ')}`), '');
+        }
+    }
+
+    const coding = session.feedbackReport.Coding;
+    if (coding) {
+        lines.push(
+            '## Live Coding',
+            '',
+            `**Correctness:** ${coding.Correctness}/${report.max} · **Code quality:** ${coding.CodeQuality}/${report.max}`,
+            '',
+            ...coding.Rounds.map(r => `- ${r.title}: ${r.passed}/${r.total} tests passed`),
+            '',
+        );
+        if (coding.Summary) lines.push(coding.Summary, '');
+        if (coding.Suggestions.length) lines.push(...coding.Suggestions.map(s => `- ${s}`), '');
+    }
+
+    if (report.panel.length) {
+        lines.push(
+            '## Panel',
+            '',
+            `| Panelist | Questions | ${report.rubric.criteria.map(c => c.label).join(' | ')} | Overall |`,
+            `| --- | --- | ${report.rubric.criteria.map(() => '---').join(' | ')} | --- |`,
+            ...report.panel.map(p => `| ${describePanelist(p)} | ${p.questions} | ${report.rubric.criteria.map(c => p.scores[c.key] ?? '–').join(' | ')} | ${p.overall ?? '–'} |`),
+            '',
+            ...report.panel.filter(p => p.comment).map(p => `- **${p.name}:** ${p.comment}`),
+            '',
+        );
+    }
+
+    if (report.questions.length) {
+        lines.push('## Question by Question', '');
+        report.questions.forEach((item, i) => {
+            lines.push(
+                `### ${i + 1}. ${item.question}`,
+                '',
+                `**Your answer:** ${item.answer}`,
+                '',
+                `**Scores:** ${report.rubric.criteria.map(c => `${c.label} ${item[c.key]}/${report.max}`).join(' · ')}`,
+                '',
+            );
+            if (item.Critique) lines.push(`**Critique:** ${item.Critique}`, '');
+            if (item.SuggestedAnswer) lines.push('**Stronger answer:**', '', quote(item.SuggestedAnswer), '');
+            (item.retries || []).forEach((retry, n) => {
+                lines.push(`**Retry ${n + 1}:** ${retry.answer}`, '', `_${retry.Critique}_`, '');
+            });
+        });
+    }
+
+    if (report.timings.length) {
+        lines.push(
+            '## Pacing',
+            '',
+            '| # | Question | Latency | Duration |',
+            '| --- | --- | --- | --- |',
+            ...report.timings.map((t, i) => `| ${i + 1} | ${t.question.replace(/\|/g, '\\|')} | ${formatMs(t.latencyMs)} | ${formatMs(t.durationMs)}${t.timedOut ? ' (timed out)' : ''} |`),
+            '',
+        );
+    }
+
+    if (session.guardrailLog?.length) {
+        lines.push(
+            '## Interviewer Corrections',
+            '',
+            ...session.guardrailLog.map(entry => `- Message ${entry.index}, draft ${entry.attempt}: ${entry.rules.join(', ')} (${entry.action})`),
+            '',
+        );
+    }
+
+    const usage = session.usage;
+    if (usage?.requests) {
+        const approx = usage.estimated ? '~' : '';
+        lines.push(`_Model usage: ${approx}${formatTokens(usage.inputTokens)} input / ${approx}${formatTokens(usage.outputTokens)} output tokens over ${usage.requests} calls${usage.cost === null ? '' : ` · ${approx}${formatCost(usage.cost)}`}_`, '');
+    }
+
+    return lines.join('\n');
+};
+
+// --- JSON Bundle ---
+
+const bundleFields = (source) => Object.fromEntries(BUNDLE_FIELDS.filter(f => source[f] !== undefined).map(f => [f, source[f]]));
+
+export const exportSessionBundle = (session) => JSON.stringify({
+    format: SESSION_EXPORT_FORMAT,
+    version: SESSION_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: bundleFields(session),
+}, null, 2);
+
+const isMessage = (m) => (m?.role === 'user' || m?.role === 'model') && typeof m.parts?.[0]?.text === 'string';
+
+const INTERVIEW_STATES = ['initial', 'in-progress', 'feedback'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A hand-edited or truncated file must not crash the report or plan views:
+// the report, plan, timings and comments are rebuilt the way a review link's
+// are (see shareLink.js), and other fields of the wrong type are dropped.
+const normalizeBundleFields = (fields) => {
+    const chatHistory = fields.chatHistory.map(m => ({ role: m.role, parts: [{ text: m.parts[0].text }] }));
+    const strings = Object.fromEntries(['title', 'role', 'contextSummary']
+        .filter(f => typeof fields[f] === 'string')
+        .map(f => [f, fields[f]]));
+    const objects = Object.fromEntries(['resume', 'timedSettings', 'usage']
+        .filter(f => isObject(fields[f]))
+        .map(f => [f, fields[f]]));
+    const lists = Object.fromEntries(['codingRounds', 'guardrailLog']
+        .filter(f => Array.isArray(fields[f]))
+        .map(f => [f, fields[f].filter(isObject)]));
+    return {
+        ...strings,
+        ...objects,
+        ...lists,
+        jobDescription: fields.jobDescription,
+        chatHistory,
+        ...(INTERVIEW_STATES.includes(fields.interviewState) ? { interviewState: fields.interviewState } : {}),
+        language: normalizeLanguage(fields.language),
+        ...(isObject(fields.persona) ? { persona: normalizePersona(fields.persona) } : {}),
+        ...(isObject(fields.panel) ? { panel: normalizePanel(fields.panel) } : {}),
+        feedbackReport: normalizeReport(fields.feedbackReport),
+        interviewPlan: restorePlan(fields.interviewPlan),
+        answerTimings: normalizeTimings(fields.answerTimings),
+        speakers: normalizeSpeakers(fields.speakers),
+        annotations: normalizeAnnotations(fields.annotations, chatHistory.length),
+    };
+};
+
+// Returns a new session record (fresh id) ready to be saved. The bundle fields,
+// including interviewState, are kept so an in-progress export can be resumed;
+// anything else in the file is dropped.
+export const parseSessionBundle = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new InputError('import.notJson');
+    }
+    if (data?.format !== SESSION_EXPORT_FORMAT) {
+        throw new InputError('session.notExport');
+    }
+    if (data.version > SESSION_EXPORT_VERSION) {
+        throw new InputError('session.newerVersion');
+    }
+    const imported = data.session;
+    if (typeof imported?.jobDescription !== 'string' || !Array.isArray(imported.chatHistory) || !imported.chatHistory.every(isMessage)) {
+        throw new InputError('session.incomplete');
+    }
+
+    const session = createSession(imported.jobDescription);
+    return {
+        ...session,
+        ...normalizeBundleFields(bundleFields(imported)),
+        createdAt: typeof imported.createdAt === 'number' ? imported.createdAt : session.createdAt,
+    };
+};
+
+// --- Printable HTML ---
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 720px; margin: 0 auto; padding: 24px; line-height: 1.5; font-size: 11pt; }
+    h1 { font-size: 20pt; margin-bottom: 0; }
+    h2 { font-size: 14pt; border-bottom: 1px solid #999; padding-bottom: 2px; margin-top: 24px; }
+    h3 { font-size: 11pt; margin-bottom: 4px; }
+    .muted { color: #555; font-size: 9pt; }
+    .jd { white-space: pre-wrap; background: #f4f4f4; padding: 8px; border-left: 3px solid #999; }
+    .turn { margin: 6px 0; }
+    .note { margin: 2px 0 8px 16px; padding-left: 8px; border-left: 2px solid #bbb; font-size: 10pt; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; vertical-align: top; }
+    .question { break-inside: avoid; margin-bottom: 12px; }
+    h2, h3 { break-after: avoid; }
+    @page { margin: 18mm; }
+`;
+
+export const sessionToPrintHtml = (session) => {
+    const report = reportParts(session.feedbackReport);
+    const body = [
+        `<h1>${escapeHtml(session.title)}</h1>`,
+        `<p class="muted">Interview on ${escapeHtml(formatDate(session.createdAt))}</p>`,
+        '<h2>Job Description</h2>',
+        `<div class="jd">${escapeHtml(session.jobDescription.trim())}</div>`,
+    ];
+
+    if (report) {
+        body.push(
+            '<h2>Scores</h2>',
+            `<p class="muted">Scored with the "${escapeHtml(report.rubric.name)}" rubric (1–${report.max}).</p>`,
+            '<table>',
+            `<tr><th>Overall</th><th>${session.feedbackReport.OverallScore}/${report.max}</th></tr>`,
+            ...report.scores.map(s => `<tr><td>${escapeHtml(s.label)}</td><td>${s.score}/${report.max}</td></tr>`),
+            '</table>',
+            '<h2>Insights</h2>',
+            ...report.insights.map(line => line.bullet
+                ? `<p class="turn">&bull; ${escapeHtml(line.text)}</p>`
+                : `<p><strong>${escapeHtml(line.text)}</strong></p>`),
+        );
+
+        const fit = session.feedbackReport.ResumeFit;
+        if (fit) {
+            body.push('<h2>Resume vs Job Description</h2>');
+            if (fit.Summary) body.push(`<p>${escapeHtml(fit.Summary)}</p>`);
+            if (fit.Matches.length) body.push('<h3>Backed by the resume</h3>', ...fit.Matches.map(m => `<p class="turn">&bull; ${escapeHtml(m)}</p>`));
+            if (fit.Gaps.length) {
+                body.push('<h3>Gaps</h3>', ...fit.Gaps.map(g => `<p class="turn">&bull; <strong>${escapeHtml(g.Requirement)}:</strong> ${escapeHtml([g.Interview, g.Suggestion].filter(Boolean).join(' '))}</p>`));
+            }
+        }
+
+        const coding = session.feedbackReport.Coding;
+        if (coding) {
+            body.push(
+                '<h2>Live Coding</h2>',
+                `<p><strong>Correctness:</strong> ${coding.Correctness}/${report.max} · <strong>Code quality:</strong> ${coding.CodeQuality}/${report.max}</p>`,
+                ...coding.Rounds.map(r => `<p class="turn">&bull; ${escapeHtml(r.title)}: ${r.passed}/${r.total} tests passed</p>`),
+            );
+            if (coding.Summary) body.push(`<p>${escapeHtml(coding.Summary)}</p>`);
+            body.push(...coding.Suggestions.map(s => `<p class="turn">&bull; ${escapeHtml(s)}</p>`));
+        }
+    }
+
+    body.push('<h2>Transcript</h2>');
+    session.chatHistory.forEach((message, i) => {
+        if (i === 0) return;
+        body.push(`<p class="turn"><strong>${escapeHtml(speaker(session, message, i))}:</strong> ${escapeHtml(message.parts[0].text)}</p>`);
+        (session.annotations?.[i] || []).forEach(note => {
+            body.push(`<p class="note"><strong>Comment from ${escapeHtml(note.author || 'mentor')}:</strong> ${escapeHtml(note.text.trim())}</p>`);
+        });
+    });
+
+    if (report?.panel.length) {
+        body.push(
+            '<h2>Panel</h2>',
+            `<table><tr><th>Panelist</th><th>Questions</th>${report.rubric.criteria.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}<th>Overall</th></tr>`,
+            ...report.panel.map(p => `<tr><td>${escapeHtml(describePanelist(p))}${p.comment ? `<br><span class="muted">${escapeHtml(p.comment)}</span>` : ''}</td><td>${p.questions}</td>${report.rubric.criteria.map(c => `<td>${p.scores[c.key] ?? '–'}</td>`).join('')}<td>${p.overall ?? '–'}</td></tr>`),
+            '</table>',
+        );
+    }
+
+    if (report?.questions.length) {
+        body.push('<h2>Question by Question</h2>');
+        report.questions.forEach((item, i) => {
+            body.push(
+                '<div class="question">',
+                `<h3>${i + 1}. ${escapeHtml(item.question)}</h3>`,
+                `<p class="muted">${report.rubric.criteria.map(c => `${escapeHtml(c.label)} ${item[c.key]}/${report.max}`).join(' · ')}</p>`,
+                item.Critique ? `<p><strong>Critique:</strong> ${escapeHtml(item.Critique)}</p>` : '',
+                item.SuggestedAnswer ? `<p><strong>Stronger answer:</strong> ${escapeHtml(item.SuggestedAnswer)}</p>` : '',
+                '</div>',
+            );
+        });
+    }
+
+    if (report?.timings.length) {
+        body.push(
+            '<h2>Pacing</h2>',
+            '<table><tr><th>#</th><th>Question</th><th>Latency</th><th>Duration</th></tr>',
+            ...report.timings.map((t, i) => `<tr><td>${i + 1}</td><td>${escapeHtml(t.question)}</td><td>${formatMs(t.latencyMs)}</td><td>${formatMs(t.durationMs)}${t.timedOut ? ' (timed out)' : ''}</td></tr>`),
+            '</table>',
+        );
+    }
+
+    return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(session.title)}</title><style>${PRINT_STYLES}</style></head>
+<body>${body.join('\n')}</body></html>`;
+};
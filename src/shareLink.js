@@ -0,0 +1,228 @@
+import { arrayBufferToBase64, base64ToArrayBuffer } from './audio.js';
+import { normalizeLanguage } from './i18n/languages.js';
+import { InputError } from './inputError.js';
+import { normalizePanel, PANEL_ROLES } from './panel.js';
+import { normalizePersona } from './persona.js';
+import { normalizeResumeFit } from './resume.js';
+import { clampScore, DEFAULT_RUBRIC, validateRubric, weightedOverall } from './rubrics.js';
+
+// --- Shareable Review Links ---
+// A finished interview travels in the URL fragment, so it can be sent to a
+// mentor without any server: the job description, transcript and report are
+// compressed (deflate) and base64url-encoded after `#review=`. Fragments are
+// never sent to the server that hosts the app. The mentor's comments ride
+// along in `annotations`, and an updated link carries them back.
+//
+// annotations: { [chat index]: [{ id, author, text, at }] }
+
+export const SHARE_FRAGMENT_PREFIX = "#review=";
+export const SHARE_VERSION = 1;
+// Some chat apps and mail clients cut links longer than this.
+export const SHARE_LINK_WARN_LENGTH = 8000;
+
+// Session fields a review needs; audio, timings outside the report and usage stay behind.
+// The id lets the candidate's browser put returned comments on the original session.
+const SHARED_FIELDS = ['id', 'createdAt', 'title', 'jobDescription', 'language', 'persona', 'panel', 'speakers', 'chatHistory', 'feedbackReport'];
+
+export const isShareLink = (hash) => hash.startsWith(SHARE_FRAGMENT_PREFIX);
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const toBase64Url = (bytes) => arrayBufferToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => base64ToArrayBuffer(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+export const pickSharedFields = (source) => Object.fromEntries(SHARED_FIELDS.filter(f => source[f] !== undefined && source[f] !== null).map(f => [f, source[f]]));
+
+export const buildSharePayload = (session, annotations = {}) => ({
+    v: SHARE_VERSION,
+    ...pickSharedFields(session),
+    annotations,
+});
+
+export const encodeShareLink = async (payload, baseUrl = `${window.location.origin}${window.location.pathname}`) => {
+    const json = new TextEncoder().encode(JSON.stringify(payload));
+    const compressed = await pipeThrough(json, new CompressionStream('deflate-raw'));
+    return `${baseUrl}${SHARE_FRAGMENT_PREFIX}${toBase64Url(compressed)}`;
+};
+
+// --- Decoding ---
+// Anyone can write a link by hand, so nothing in it is trusted: only the
+// shared fields are kept, and the report is rebuilt from the shapes the
+// report view expects (strings where it shows text, numbers where it
+// shows scores). Parts that do not fit are dropped or emptied. Imported
+// session files (sessionExport.js) go through the same normalizers.
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const text = (value) => typeof value === 'string' ? value : '';
+const number = (value) => Number.isFinite(value) ? value : null;
+const list = (value) => Array.isArray(value) ? value : [];
+
+const isMessage = (m) => (m?.role === 'user' || m?.role === 'model') && typeof m.parts?.[0]?.text === 'string';
+
+const sharedRubric = (rubric) => {
+    try {
+        return rubric ? validateRubric(rubric) : DEFAULT_RUBRIC;
+    } catch {
+        return DEFAULT_RUBRIC;
+    }
+};
+
+const sharedScores = (source, rubric) => Object.fromEntries(rubric.criteria.map(c => [c.key, clampScore(source?.[c.key], rubric)]));
+
+const sharedQuestion = (item, rubric) => ({
+    question: text(item.question),
+    answer: text(item.answer),
+    ...(typeof item.speaker === 'string' ? { speaker: item.speaker } : {}),
+    ...sharedScores(item, rubric),
+    Critique: text(item.Critique),
+    SuggestedAnswer: text(item.SuggestedAnswer),
+    retries: list(item.retries).filter(isObject).map(retry => ({
+        answer: text(retry.answer),
+        ...sharedScores(retry, rubric),
+        Critique: text(retry.Critique),
+        Comparison: text(retry.Comparison),
+        createdAt: number(retry.createdAt),
+    })),
+});
+
+const sharedCoding = (coding, rubric) => ({
+    Correctness: clampScore(coding.Correctness, rubric),
+    CodeQuality: clampScore(coding.CodeQuality, rubric),
+    Summary: text(coding.Summary),
+    Suggestions: list(coding.Suggestions).filter(s => typeof s === 'string' && s.trim()),
+    Rounds: list(coding.Rounds).filter(isObject).map(round => ({ title: text(round.title), passed: number(round.passed) ?? 0, total: number(round.total) ?? 0 })),
+});
+
+const sharedPanelist = (panelist, i, rubric) => ({
+    id: text(panelist.id) || `panelist-${i + 1}`,
+    name: text(panelist.name),
+    role: Object.hasOwn(PANEL_ROLES, panelist.role) ? panelist.role : 'custom',
+    questions: number(panelist.questions) ?? 0,
+    scores: Object.fromEntries(rubric.criteria.map(c => [c.key, number(panelist.scores?.[c.key])])),
+    overall: number(panelist.overall),
+    comment: text(panelist.comment),
+});
+
+const sharedDelivery = (delivery) => ({
+    source: delivery.source === 'speech' ? 'speech' : 'typed',
+    wordCount: number(delivery.wordCount) ?? 0,
+    fillers: Object.fromEntries(Object.entries(isObject(delivery.fillers) ? delivery.fillers : {}).filter(([, n]) => Number.isFinite(n))),
+    fillerTotal: number(delivery.fillerTotal) ?? 0,
+    speakingMs: number(delivery.speakingMs),
+    wordsPerMinute: number(delivery.wordsPerMinute),
+    longPauses: number(delivery.longPauses),
+    longestPauseMs: number(delivery.longestPauseMs),
+});
+
+const sharedTiming = (timing) => ({
+    question: text(timing.question),
+    latencyMs: number(timing.latencyMs),
+    durationMs: number(timing.durationMs),
+    timedOut: timing.timedOut === true,
+    limitSeconds: number(timing.limitSeconds),
+    delivery: isObject(timing.delivery) ? sharedDelivery(timing.delivery) : null,
+});
+
+export const normalizeTimings = (timings) => list(timings).filter(isObject).map(sharedTiming);
+
+// Null for anything that is not a finished report (generated reports always
+// carry DetailedFeedback); the review then shows the transcript only.
+export const normalizeReport = (report) => {
+    if (!isObject(report) || report.error || typeof report.DetailedFeedback !== 'string') return null;
+    const rubric = sharedRubric(report.Rubric);
+    const scores = sharedScores(report, rubric);
+    return {
+        ...scores,
+        OverallScore: weightedOverall(scores, rubric),
+        DetailedFeedback: text(report.DetailedFeedback),
+        QuestionFeedback: list(report.QuestionFeedback).filter(isObject).map(item => sharedQuestion(item, rubric)),
+        ...(isObject(report.ResumeFit) ? { ResumeFit: normalizeResumeFit(report.ResumeFit) } : {}),
+        ...(isObject(report.Coding) ? { Coding: sharedCoding(report.Coding, rubric) } : {}),
+        ...(Array.isArray(report.Panel) ? { Panel: report.Panel.filter(isObject).map((p, i) => sharedPanelist(p, i, rubric)) } : {}),
+        ...(report.Rubric ? { Rubric: rubric } : {}),
+        answerTimings: normalizeTimings(report.answerTimings),
+    };
+};
+
+// Keeps comments on messages of the transcript, each with a text.
+export const normalizeAnnotations = (annotations, messageCount) => Object.fromEntries(
+    Object.entries(isObject(annotations) ? annotations : {})
+        .filter(([index]) => /^\d+$/.test(index) && Number(index) < messageCount)
+        .map(([index, notes]) => [index, list(notes)
+            .filter(note => typeof note?.text === 'string' && note.text.trim())
+            .map(note => ({ id: text(note.id) || crypto.randomUUID(), author: text(note.author), text: note.text, at: number(note.at) ?? Date.now() }))])
+        .filter(([, notes]) => notes.length > 0),
+);
+
+export const normalizeSpeakers = (speakers) => Object.fromEntries(
+    Object.entries(isObject(speakers) ? speakers : {}).filter(([index, id]) => /^\d+$/.test(index) && typeof id === 'string'),
+);
+
+// Rejects with an InputError when the fragment is damaged, truncated or from a newer version.
+export const decodeShareLink = async (hash) => {
+    let payload;
+    try {
+        const bytes = await pipeThrough(new Uint8Array(fromBase64Url(hash.slice(SHARE_FRAGMENT_PREFIX.length))), new DecompressionStream('deflate-raw'));
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new InputError('share.damaged');
+    }
+    if (payload?.v > SHARE_VERSION) {
+        throw new InputError('share.newerVersion');
+    }
+    if (typeof payload?.jobDescription !== 'string' || !Array.isArray(payload.chatHistory) || !payload.chatHistory.every(isMessage)) {
+        throw new InputError('share.incomplete');
+    }
+    const feedbackReport = normalizeReport(payload.feedbackReport);
+    return {
+        ...(typeof payload.id === 'string' && payload.id ? { id: payload.id } : {}),
+        ...(Number.isFinite(payload.createdAt) ? { createdAt: payload.createdAt } : {}),
+        ...(typeof payload.title === 'string' && payload.title.trim() ? { title: payload.title } : {}),
+        jobDescription: payload.jobDescription,
+        language: normalizeLanguage(payload.language),
+        ...(isObject(payload.persona) ? { persona: normalizePersona(payload.persona) } : {}),
+        ...(isObject(payload.panel) ? { panel: normalizePanel(payload.panel) } : {}),
+        speakers: normalizeSpeakers(payload.speakers),
+        chatHistory: payload.chatHistory.map(m => ({ role: m.role, parts: [{ text: m.parts[0].text }] })),
+        ...(feedbackReport ? { feedbackReport } : {}),
+        annotations: normalizeAnnotations(payload.annotations, payload.chatHistory.length),
+    };
+};
+
+// --- Annotations ---
+
+export const createAnnotation = (author, text) => ({ id: crypto.randomUUID(), author: author.trim(), text: text.trim(), at: Date.now() });
+
+export const addAnnotation = (annotations, index, note) => ({ ...annotations, [index]: [...(annotations[index] || []), note] });
+
+export const removeAnnotation = (annotations, index, id) => {
+    const notes = (annotations[index] || []).filter(note => note.id !== id);
+    const next = { ...annotations, [index]: notes };
+    if (notes.length === 0) delete next[index];
+    return next;
+};
+
+// Adds the notes of `incoming` to `annotations` message by message; a note
+// already present (same id) takes its text from `incoming`.
+export const mergeAnnotations = (annotations, incoming) => {
+    const merged = { ...annotations };
+    for (const [index, notes] of Object.entries(incoming)) {
+        const ids = new Set(notes.map(note => note.id));
+        merged[index] = [...(merged[index] || []).filter(note => !ids.has(note.id)), ...notes];
+    }
+    return merged;
+};
+
+export const countAnnotations = (annotations) => Object.values(annotations || {}).reduce((sum, notes) => sum + notes.length, 0);
+
+// Builds the link and tries to put it on the clipboard; `copied` is false
+// when the browser refused, so the link can be shown for copying by hand.
+export const copyShareLink = async (payload) => {
+    const url = await encodeShareLink(payload);
+    try {
+        await navigator.clipboard.writeText(url);
+        return { url, copied: true };
+    } catch {
+        return { url, copied: false };
+    }
+};
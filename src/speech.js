@@ -0,0 +1,49 @@
+import { LANGUAGES, normalizeLanguage } from './i18n/languages.js';
+import { loadCachedSpeech, saveCachedSpeech, speechCacheKey } from './storage/speechCache.js';
+
+// --- Interviewer Voice ---
+// Speech for a piece of text, from the first source that works:
+//   cache    a clip the TTS model made earlier for the same text and voice
+//   model    a fresh clip from the provider's TTS model, then cached
+//   browser  the browser's own speechSynthesis, when the model produced
+//            nothing or the offline voice is chosen
+// Resolves to { clip, source }, where `clip` is a Blob or a
+// SpeechSynthesisUtterance for the audio queue; both are null if nothing can speak.
+
+export const VOICE_SOURCES = ['cache', 'model', 'browser'];
+
+const NO_SPEECH = { clip: null, source: null };
+
+export const browserVoiceAvailable = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+const browserUtterance = (text, language) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = LANGUAGES[normalizeLanguage(language)].locale;
+    return utterance;
+};
+
+// `voice` undefined means the provider's configured voice.
+export const synthesizeSpeech = async (provider, text, { voice, language, offline = false } = {}) => {
+    if (!text) return NO_SPEECH;
+
+    if (!offline) {
+        const key = speechCacheKey(provider, voice, text);
+        const cached = await loadCachedSpeech(key).catch((error) => {
+            console.error("Error reading speech cache:", error);
+            return null;
+        });
+        if (cached) return { clip: cached, source: 'cache' };
+
+        try {
+            const blob = await provider.synthesizeSpeech(text, { voice });
+            if (blob) {
+                saveCachedSpeech(key, blob).catch(error => console.error("Error caching speech:", error));
+                return { clip: blob, source: 'model' };
+            }
+        } catch (error) {
+            console.error("TTS request failed:", error);
+        }
+    }
+
+    return browserVoiceAvailable() ? { clip: browserUtterance(text, language), source: 'browser' } : NO_SPEECH;
+};
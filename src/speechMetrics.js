@@ -0,0 +1,132 @@
+// --- Speech Delivery Metrics ---
+// Per-answer pace, filler words and pauses. Timing comes from when the speech
+// recognizer delivers results: it fires continuously while the candidate is
+// talking, so a long gap between results is a pause.
+
+// Filler words per interview language: display form -> pattern source.
+// Speech recognition may also write English fillers in Hinglish answers.
+const FILLER_SOURCES = {
+    en: { um: 'um+', uh: 'uh+', like: 'like', 'you know': 'you know' },
+    de: { äh: 'äh+', ähm: 'ähm+', halt: 'halt', sozusagen: 'sozusagen', quasi: 'quasi' },
+    hi: { मतलब: 'मतलब', यानी: 'यानी', हम्म: 'हम्म+', basically: 'basically', like: 'like' },
+    pt: { né: 'né', tipo: 'tipo', ahn: 'ahn+', hum: 'hum+', sabe: 'sabe' },
+};
+
+// \b only understands ASCII letters, so word boundaries are spelled out with Unicode classes.
+const wordPattern = (source) => new RegExp(`(?<![\\p{L}\\p{M}])(?:${source})(?![\\p{L}\\p{M}])`, 'giu');
+
+export const FILLER_WORDS = Object.fromEntries(Object.entries(FILLER_SOURCES).map(([language, words]) => (
+    [language, Object.fromEntries(Object.entries(words).map(([word, source]) => [word, wordPattern(source)]))]
+)));
+
+export const LONG_PAUSE_MS = 2500;
+
+// Pace is unreliable for very short answers.
+const MIN_SPEAKING_MS = 3000;
+
+const countWords = (text) => text.trim() ? text.trim().split(/\s+/).length : 0;
+
+export const analyzeAnswerText = (text, language = 'en') => {
+    const fillers = Object.fromEntries(Object.entries(FILLER_WORDS[language] || FILLER_WORDS.en).map(([word, pattern]) => [word, (text.match(pattern) || []).length]));
+    return {
+        wordCount: countWords(text),
+        fillers,
+        fillerTotal: Object.values(fillers).reduce((sum, n) => sum + n, 0),
+    };
+};
+
+// Typed answers have a length and fillers but no pace or pauses.
+export const typedDelivery = (text, language) => ({
+    source: 'typed',
+    ...analyzeAnswerText(text, language),
+    speakingMs: null,
+    wordsPerMinute: null,
+    longPauses: null,
+    longestPauseMs: null,
+});
+
+// Recorded answers (transcribed by the model afterwards) have no word timing:
+// pace is taken over the whole recording and pauses are not measured.
+export const recordedDelivery = (text, language, durationMs) => {
+    const textMetrics = analyzeAnswerText(text, language);
+    return {
+        source: 'speech',
+        ...textMetrics,
+        speakingMs: durationMs,
+        wordsPerMinute: durationMs >= MIN_SPEAKING_MS ? Math.round(textMetrics.wordCount / (durationMs / 60000)) : null,
+        longPauses: null,
+        longestPauseMs: null,
+    };
+};
+
+// One tracker per spoken answer; it survives the recognizer's automatic restarts.
+export const createSpeechTracker = () => {
+    let firstResultAt = null;
+    let lastResultAt = null;
+    const pauses = [];
+
+    return {
+        result(now = Date.now()) {
+            if (lastResultAt !== null && now - lastResultAt >= LONG_PAUSE_MS) {
+                pauses.push(now - lastResultAt);
+            }
+            firstResultAt ??= now;
+            lastResultAt = now;
+        },
+
+        summarize(text, language) {
+            const textMetrics = analyzeAnswerText(text, language);
+            // Long pauses are reported separately, so pace reflects time spent talking.
+            const speakingMs = firstResultAt === null
+                ? 0
+                : lastResultAt - firstResultAt - pauses.reduce((sum, ms) => sum + ms, 0);
+            return {
+                source: 'speech',
+                ...textMetrics,
+                speakingMs,
+                wordsPerMinute: speakingMs >= MIN_SPEAKING_MS ? Math.round(textMetrics.wordCount / (speakingMs / 60000)) : null,
+                longPauses: pauses.length,
+                longestPauseMs: pauses.length ? Math.max(...pauses) : 0,
+            };
+        },
+    };
+};
+
+export const formatFillers = (fillers) => {
+    const used = Object.entries(fillers).filter(([, n]) => n > 0);
+    return used.length ? used.map(([word, n]) => `"${word}" ×${n}`).join(', ') : 'none';
+};
+
+const mean = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// Whole-interview figures for the report; null when no answer has delivery metrics.
+export const summarizeDelivery = (timings) => {
+    const measured = timings.map(t => t.delivery).filter(Boolean);
+    if (!measured.length) return null;
+    const spoken = measured.filter(d => d.source === 'speech');
+    const words = measured.reduce((sum, d) => sum + d.wordCount, 0);
+    const paced = spoken.map(d => d.wordsPerMinute).filter(wpm => wpm !== null);
+    return {
+        spokenAnswers: spoken.length,
+        averageWordsPerMinute: paced.length ? Math.round(mean(paced)) : null,
+        fillersPer100Words: words ? Math.round(measured.reduce((sum, d) => sum + d.fillerTotal, 0) / words * 1000) / 10 : 0,
+        longPauses: spoken.reduce((sum, d) => sum + (d.longPauses ?? 0), 0),
+        averageWords: Math.round(mean(measured.map(d => d.wordCount))),
+    };
+};
+
+// Appended to the feedback prompt as evidence for the communication score.
+export const DELIVERY_SECTION = (timings) => {
+    const lines = timings
+        .map((t, i) => ({ t, i }))
+        .filter(({ t }) => t.delivery)
+        .map(({ t: { delivery: d }, i }) => d.source === 'speech'
+            ? `${i + 1}. spoken, ${d.wordCount} words, pace ${d.wordsPerMinute ? `${d.wordsPerMinute} wpm` : 'n/a'}, fillers ${formatFillers(d.fillers)}, ${d.longPauses === null ? 'pauses not measured' : `${d.longPauses} pauses over ${LONG_PAUSE_MS / 1000}s (longest ${(d.longestPauseMs / 1000).toFixed(1)}s)`}`
+            : `${i + 1}. typed, ${d.wordCount} words, fillers ${formatFillers(d.fillers)}`);
+    if (!lines.length) return '';
+
+    return `\n\n--- Speech Delivery ---
+Numbered as in the Answer Timing list. Spoken answers were transcribed by speech recognition, which often drops "um" and "uh", so filler counts are a lower bound.
+${lines.join('\n')}
+Use these measurements as evidence for the communication-related scores: a comfortable conversational pace is roughly 120-160 words per minute. Include one bullet in DetailedFeedback about delivery (pace, filler words, pauses) when any answer was spoken.`;
+};
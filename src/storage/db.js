@@ -0,0 +1,50 @@
+// --- IndexedDB Access ---
+// A single database for everything the app keeps between visits. Bump
+// DB_VERSION and add to OBJECT_STORES when a new kind of record is needed.
+const DB_NAME = "interview-partner";
+const DB_VERSION = 5;
+
+const OBJECT_STORES = {
+    sessions: { keyPath: "id", indexes: ["createdAt"] },
+    rubrics: { keyPath: "id", indexes: [] },
+    personaPresets: { keyPath: "id", indexes: [] },
+    questionBanks: { keyPath: "id", indexes: [] },
+    speechCache: { keyPath: "key", indexes: ["usedAt"] },
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(OBJECT_STORES).forEach(([name, { keyPath, indexes }]) => {
+                    if (db.objectStoreNames.contains(name)) return;
+                    const store = db.createObjectStore(name, { keyPath });
+                    indexes.forEach(index => store.createIndex(index, index));
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `fn` against one object store inside a transaction and resolves with
+// the result of the IDBRequest it returns (if any) once the transaction commits.
+export const withStore = async (storeName, mode, fn) => {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
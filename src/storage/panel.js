@@ -0,0 +1,17 @@
+import { normalizePanel } from '../panel.js';
+
+// --- Panel Setup ---
+// The interview panel being edited, kept across reloads like the current persona.
+const PANEL_KEY = "interview-partner.panel";
+
+export const loadPanel = () => {
+    try {
+        return normalizePanel(JSON.parse(localStorage.getItem(PANEL_KEY)));
+    } catch {
+        return normalizePanel(null);
+    }
+};
+
+export const savePanel = (panel) => {
+    localStorage.setItem(PANEL_KEY, JSON.stringify(panel));
+};
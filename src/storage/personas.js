@@ -0,0 +1,31 @@
+import { BUILT_IN_PRESETS, DEFAULT_PERSONA, normalizePersona } from '../persona.js';
+import { withStore } from './db.js';
+
+// --- Persona Presets ---
+// A preset is { id, name, persona }. The persona currently being edited is
+// kept in localStorage so it survives reloads without being saved as a preset.
+const CURRENT_PERSONA_KEY = "interview-partner.persona";
+
+export const listPersonaPresets = async () => {
+    const saved = await withStore("personaPresets", "readonly", store => store.getAll());
+    return [...BUILT_IN_PRESETS, ...saved.sort((a, b) => a.name.localeCompare(b.name))];
+};
+
+export const savePersonaPreset = (name, persona) => {
+    const preset = { id: crypto.randomUUID(), name: name.trim(), persona: normalizePersona(persona) };
+    return withStore("personaPresets", "readwrite", store => store.put(preset)).then(() => preset);
+};
+
+export const deletePersonaPreset = (id) => withStore("personaPresets", "readwrite", store => store.delete(id));
+
+export const loadCurrentPersona = () => {
+    try {
+        return normalizePersona(JSON.parse(localStorage.getItem(CURRENT_PERSONA_KEY)));
+    } catch {
+        return DEFAULT_PERSONA;
+    }
+};
+
+export const saveCurrentPersona = (persona) => {
+    localStorage.setItem(CURRENT_PERSONA_KEY, JSON.stringify(persona));
+};
@@ -0,0 +1,25 @@
+import { PLAYBACK_RATES } from '../audioQueue.js';
+
+// --- Playback Preferences ---
+// Interviewer speed, the global mute and whether the browser's offline voice
+// replaces the model's (see speech.js), kept across reloads.
+const PLAYBACK_KEY = "interview-partner.playback";
+
+export const DEFAULT_PLAYBACK = { rate: 1, muted: false, offlineVoice: false };
+
+export const loadPlayback = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PLAYBACK_KEY));
+        return {
+            rate: PLAYBACK_RATES.includes(stored?.rate) ? stored.rate : DEFAULT_PLAYBACK.rate,
+            muted: stored?.muted === true,
+            offlineVoice: stored?.offlineVoice === true,
+        };
+    } catch {
+        return DEFAULT_PLAYBACK;
+    }
+};
+
+export const savePlayback = (playback) => {
+    localStorage.setItem(PLAYBACK_KEY, JSON.stringify(playback));
+};
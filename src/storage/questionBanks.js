@@ -0,0 +1,35 @@
+import { withStore } from './db.js';
+
+// --- Saved Question Banks ---
+// Banks live in IndexedDB; which banks are in use and how many of their
+// questions go into each interview are kept in localStorage.
+const BANK_SETTINGS_KEY = "interview-partner.question-banks";
+
+export const DEFAULT_BANK_SETTINGS = { enabledIds: [], count: 3 };
+export const MAX_BANK_QUESTIONS = 10;
+
+export const listBanks = async () => {
+    const saved = await withStore("questionBanks", "readonly", store => store.getAll());
+    return saved.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveBank = (bank) => withStore("questionBanks", "readwrite", store => store.put(bank));
+
+export const deleteBank = (id) => withStore("questionBanks", "readwrite", store => store.delete(id));
+
+export const loadBankSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BANK_SETTINGS_KEY));
+        const count = Number(stored?.count);
+        return {
+            enabledIds: Array.isArray(stored?.enabledIds) ? stored.enabledIds.filter(id => typeof id === 'string') : [],
+            count: Number.isInteger(count) ? Math.max(0, Math.min(MAX_BANK_QUESTIONS, count)) : DEFAULT_BANK_SETTINGS.count,
+        };
+    } catch {
+        return DEFAULT_BANK_SETTINGS;
+    }
+};
+
+export const saveBankSettings = (settings) => {
+    localStorage.setItem(BANK_SETTINGS_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,9 @@
+// --- Reviewer Name ---
+// The name a mentor signs comments on shared reviews with, kept across reloads.
+const REVIEWER_NAME_KEY = "interview-partner.reviewer-name";
+
+export const loadReviewerName = () => localStorage.getItem(REVIEWER_NAME_KEY) || '';
+
+export const saveReviewerName = (name) => {
+    localStorage.setItem(REVIEWER_NAME_KEY, name);
+};
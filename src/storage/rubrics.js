@@ -0,0 +1,19 @@
+import { DEFAULT_RUBRIC } from '../rubrics.js';
+import { withStore } from './db.js';
+
+// --- Saved Rubrics ---
+// The built-in default rubric is never stored; it is always listed first.
+const ACTIVE_RUBRIC_KEY = "interview-partner.active-rubric";
+
+export const listRubrics = async () => {
+    const saved = await withStore("rubrics", "readonly", store => store.getAll());
+    return [DEFAULT_RUBRIC, ...saved.sort((a, b) => a.name.localeCompare(b.name))];
+};
+
+export const saveRubric = (rubric) => withStore("rubrics", "readwrite", store => store.put(rubric));
+
+export const deleteRubric = (id) => withStore("rubrics", "readwrite", store => store.delete(id));
+
+export const getActiveRubricId = () => localStorage.getItem(ACTIVE_RUBRIC_KEY) || DEFAULT_RUBRIC.id;
+
+export const setActiveRubricId = (id) => localStorage.setItem(ACTIVE_RUBRIC_KEY, id);
@@ -0,0 +1,68 @@
+import { withStore } from './db.js';
+
+// --- Interview Session Persistence ---
+// A session record:
+//   { id, title, role, jobDescription, chatHistory, feedbackReport,
+//     interviewState, createdAt, updatedAt }
+const ACTIVE_SESSION_KEY = "interview-partner.active-session";
+
+// A short label for lists: the first line of the job description.
+export const deriveRole = (jobDescription) => {
+    const firstLine = jobDescription.trim().split('\n')[0].trim();
+    return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+};
+
+export const createSession = (jobDescription) => {
+    const now = Date.now();
+    return {
+        id: crypto.randomUUID(),
+        title: deriveRole(jobDescription),
+        role: deriveRole(jobDescription),
+        jobDescription,
+        chatHistory: [],
+        feedbackReport: null,
+        interviewState: 'in-progress',
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+export const saveSession = (session) => withStore("sessions", "readwrite", store => (
+    store.put({ ...session, updatedAt: Date.now() })
+));
+
+// Autosave: merges the latest interview state into the stored record without
+// clobbering fields edited elsewhere (e.g. a rename from the History view).
+export const updateSession = (session, changes) => withStore("sessions", "readwrite", store => {
+    const request = store.get(session.id);
+    request.onsuccess = () => {
+        store.put({ ...session, ...request.result, ...changes, updatedAt: Date.now() });
+    };
+});
+
+export const getSession = (id) => withStore("sessions", "readonly", store => store.get(id));
+
+// Newest first.
+export const listSessions = async () => {
+    const sessions = await withStore("sessions", "readonly", store => store.getAll());
+    return sessions.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteSession = (id) => withStore("sessions", "readwrite", store => store.delete(id));
+
+export const renameSession = async (id, title) => {
+    const session = await getSession(id);
+    if (!session) return;
+    await saveSession({ ...session, title: title.trim() || session.role });
+};
+
+// The active session id survives reloads so an interview can be resumed.
+export const getActiveSessionId = () => localStorage.getItem(ACTIVE_SESSION_KEY);
+
+export const setActiveSessionId = (id) => {
+    if (id) {
+        localStorage.setItem(ACTIVE_SESSION_KEY, id);
+    } else {
+        localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+};
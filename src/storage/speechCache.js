@@ -0,0 +1,58 @@
+import { withStore } from './db.js';
+
+// --- Synthesized Speech Cache ---
+// WAV clips from the TTS model, keyed by provider, endpoint, TTS model, the
+// voice actually used and text, so replays and repeated phrases are not
+// synthesized twice, and a settings change never plays an old voice. Past
+// SPEECH_CACHE_LIMIT_BYTES the least recently played clips are evicted.
+export const SPEECH_CACHE_LIMIT_BYTES = 50 * 1024 * 1024;
+
+// `voice` undefined means the provider's configured voice.
+export const speechCacheKey = (provider, voice, text) => (
+    [provider.id, provider.baseUrl ?? '', provider.ttsModel ?? '', voice || provider.voice || '', text].join('|')
+);
+
+// Resolves with the cached Blob, or null. A hit counts as a use for eviction.
+export const loadCachedSpeech = async (key) => {
+    const record = await withStore("speechCache", "readonly", store => store.get(key));
+    if (!record) return null;
+    withStore("speechCache", "readwrite", store => store.put({ ...record, usedAt: Date.now() }))
+        .catch(error => console.error("Error updating speech cache:", error));
+    return record.blob;
+};
+
+// Walks the clips from most to least recently used, deleting those past the limit.
+const evictSpeech = () => withStore("speechCache", "readwrite", store => {
+    let total = 0;
+    const request = store.index("usedAt").openCursor(null, "prev");
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        total += cursor.value.size;
+        if (total > SPEECH_CACHE_LIMIT_BYTES) cursor.delete();
+        cursor.continue();
+    };
+    return request;
+});
+
+export const saveCachedSpeech = async (key, blob) => {
+    await withStore("speechCache", "readwrite", store => store.put({ key, blob, size: blob.size, usedAt: Date.now() }));
+    await evictSpeech();
+};
+
+export const speechCacheSize = async () => {
+    let total = 0;
+    await withStore("speechCache", "readonly", store => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            total += cursor.value.size;
+            cursor.continue();
+        };
+        return request;
+    });
+    return total;
+};
+
+export const clearSpeechCache = () => withStore("speechCache", "readwrite", store => store.clear());
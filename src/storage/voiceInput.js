@@ -0,0 +1,18 @@
+// --- Voice Answer Preferences ---
+// Whether spoken answers are held for review before they are sent, kept across reloads.
+const VOICE_INPUT_KEY = "interview-partner.voice-input";
+
+export const DEFAULT_VOICE_INPUT = { reviewBeforeSending: false };
+
+export const loadVoiceInput = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(VOICE_INPUT_KEY));
+        return { reviewBeforeSending: stored?.reviewBeforeSending === true };
+    } catch {
+        return DEFAULT_VOICE_INPUT;
+    }
+};
+
+export const saveVoiceInput = (settings) => {
+    localStorage.setItem(VOICE_INPUT_KEY, JSON.stringify(settings));
+};
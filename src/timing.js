@@ -0,0 +1,42 @@
+// --- Answer Timing ---
+// Per-answer latency (question ready -> first keystroke or mic start) and
+// duration (first input -> submission), plus the timed-mode configuration.
+
+export const DEFAULT_TIMED_SETTINGS = {
+    enabled: false,
+    answerSeconds: 120,
+    sessionMinutes: 30,
+    warningSeconds: 20,
+    // 'auto-submit': send whatever has been said/typed and carry on.
+    // 'cut-in': send it, and have the interviewer interrupt and move on.
+    onTimeout: 'auto-submit',
+};
+
+// Stands in for an answer when time ran out before anything was said.
+export const NO_ANSWER_TEXT = "(No answer given before the time limit.)";
+
+// Added to the interviewer's instructions for the turn after a 'cut-in' timeout.
+export const CUT_IN_INSTRUCTION = "\n\nThe candidate ran out of time on their last answer and was cut off. Briefly and politely interrupt, acknowledge the time limit in one sentence, then move on to the next question.";
+
+export const formatSeconds = (totalSeconds) => {
+    const seconds = Math.max(0, Math.ceil(totalSeconds));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// `delivery` holds the speech metrics for the answer (see speechMetrics.js).
+export const createAnswerTiming = ({ question, questionReadyAt, answerStartedAt, submittedAt, timedOut, limitSeconds, delivery }) => ({
+    question: question.length > 120 ? `${question.slice(0, 117)}...` : question,
+    latencyMs: answerStartedAt ? answerStartedAt - questionReadyAt : null,
+    durationMs: submittedAt - (answerStartedAt ?? questionReadyAt),
+    timedOut: Boolean(timedOut),
+    limitSeconds: limitSeconds ?? null,
+    delivery: delivery ?? null,
+});
+
+const toSeconds = (ms) => ms === null ? 'n/a' : `${(ms / 1000).toFixed(1)}s`;
+
+// Appended to the feedback prompt as evidence for comments on pacing.
+export const TIMING_SECTION = (timings) => `\n\n--- Answer Timing ---
+Each line: question, response latency (time before the candidate started answering), answer duration${timings.some(t => t.limitSeconds) ? ', time limit' : ''}.
+${timings.map((t, i) => `${i + 1}. "${t.question}" latency ${toSeconds(t.latencyMs)}, duration ${toSeconds(t.durationMs)}${t.limitSeconds ? `, limit ${t.limitSeconds}s` : ''}${t.timedOut ? ' (ran out of time)' : ''}`).join('\n')}
+Include one bullet in DetailedFeedback about pacing: how quickly the candidate started answering and whether answers were rushed, too long, or cut off by the time limit.`;
@@ -0,0 +1,109 @@
+import { errorKind } from './providers/http.js';
+
+// --- Token Usage & Cost ---
+// A session's usage is { inputTokens, outputTokens, requests, estimated, cost,
+// lastInputTokens }. Providers report real counts through `onUsage`
+// ({ model, inputTokens, outputTokens }); calls that report nothing (mock,
+// many local servers) are estimated from the text sent and received.
+
+export const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, requests: 0, estimated: false, cost: 0, lastInputTokens: 0 };
+
+// About four characters per token for English text; a rough guide for other scripts.
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// A few tokens per message go to role markers and separators.
+export const estimateMessagesTokens = (messages) => messages.reduce(
+    (sum, msg) => sum + 4 + estimateTokens(msg.parts.map(p => p.text).join('\n')),
+    0,
+);
+
+// USD per million [input, output] tokens, matched by model-name prefix (the
+// longest match wins). List prices when this table was written; check the
+// provider's pricing page before relying on them.
+const MODEL_PRICES = {
+    "gemini-2.5-pro": [1.25, 10],
+    "gemini-2.5-flash": [0.30, 2.50],
+    "gemini-2.5-flash-lite": [0.10, 0.40],
+    "gemini-2.0-flash": [0.10, 0.40],
+    "gpt-4o": [2.50, 10],
+    "gpt-4o-mini": [0.15, 0.60],
+    "gpt-4.1": [2, 8],
+    "gpt-4.1-mini": [0.40, 1.60],
+    "gpt-4.1-nano": [0.10, 0.40],
+    "mock": [0, 0],
+};
+
+export const modelPrice = (model) => {
+    const match = Object.keys(MODEL_PRICES)
+        .filter(prefix => model?.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? MODEL_PRICES[match] : null;
+};
+
+export const addUsage = (total, { model, inputTokens = 0, outputTokens = 0, estimated = false }) => {
+    const price = modelPrice(model);
+    return {
+        inputTokens: total.inputTokens + inputTokens,
+        outputTokens: total.outputTokens + outputTokens,
+        requests: total.requests + 1,
+        estimated: total.estimated || estimated,
+        // A single call on an unpriced model leaves the session's cost unknown.
+        cost: price && total.cost !== null ? total.cost + (inputTokens * price[0] + outputTokens * price[1]) / 1e6 : null,
+        lastInputTokens: inputTokens,
+    };
+};
+
+// A request the service turned away, or that never reached it, used no tokens.
+const NOT_BILLED_KINDS = new Set(['auth', 'quota', 'request', 'network']);
+
+// Wraps a provider so each chat, streamChat, generateJSON and transcribeAudio
+// call is passed to `record` once it settles. Calls that fail or are cancelled
+// part-way (a draft stopped by the guardrails, a cancelled turn, a broken
+// stream) still used tokens: they are estimated from the input and whatever
+// streamed text arrived. An unreported transcription counts its transcript
+// only: audio tokens cannot be estimated from a Blob.
+export const meterProvider = (provider, record) => {
+    const metered = (method, inputTokensOf, outputOf) => provider[method] && (async (options) => {
+        let reported = false;
+        let streamed = '';
+        let result;
+        let failure = null;
+        try {
+            result = await provider[method]({
+                ...options,
+                ...(options.onText && {
+                    onText: (delta) => {
+                        streamed += delta;
+                        options.onText(delta);
+                    },
+                }),
+                onUsage: (usage) => {
+                    reported = true;
+                    record({ model: provider.model, ...usage });
+                },
+            });
+            return result;
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            if (!reported && !(failure && NOT_BILLED_KINDS.has(errorKind(failure)))) {
+                const outputTokens = failure ? estimateTokens(streamed) : estimateTokens(outputOf(result));
+                record({ model: provider.model, inputTokens: inputTokensOf(options), outputTokens, estimated: true });
+            }
+        }
+    });
+    const chatInputTokens = ({ history, systemInstruction }) => estimateTokens(systemInstruction) + estimateMessagesTokens(history);
+
+    return {
+        ...provider,
+        chat: metered('chat', chatInputTokens, text => text),
+        streamChat: metered('streamChat', chatInputTokens, text => text),
+        generateJSON: metered('generateJSON', ({ prompt, schema }) => estimateTokens(prompt + JSON.stringify(schema)), result => JSON.stringify(result)),
+        transcribeAudio: metered('transcribeAudio', () => 0, text => text),
+    };
+};
+
+export const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+
+export const formatCost = (cost) => `$${cost.toFixed(cost < 0.1 ? 4 : 2)}`;
@@ -5,4 +5,10 @@ import { defineConfig } from 'vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),tailwindcss()],
+  server: {
+    // Forward API calls to the key-holding backend (npm run server).
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })